@@ -0,0 +1,195 @@
+'use strict';
+
+const crypto = require('crypto');
+const { postWithTimeout } = require('./http-post');
+
+const RATE_LIMIT_SCOPES = Object.freeze(['ip', 'email', 'quote']);
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Requests allowed per window for each public endpoint. A null or missing
+// scope is not limited; quotes are cheap to price but logging and checkout
+// page dispatch and open Stripe sessions, so those are held tighter. Admin
+// sign-in is limited per email to slow password guessing against one
+// account, re-pricing per email because it mails the customer, and order
+// lookups per quote so emails cannot be guessed against one quote ID.
+const DEFAULT_RATE_LIMITS = Object.freeze({
+  calculateQuote: { ip: { max: 60, windowSeconds: 600 }, email: null },
+  logQuote: { ip: { max: 10, windowSeconds: 600 }, email: { max: 5, windowSeconds: 3600 } },
+  checkout: { ip: { max: 10, windowSeconds: 600 }, email: { max: 5, windowSeconds: 3600 } },
+  adminLogin: { ip: { max: 20, windowSeconds: 900 }, email: { max: 5, windowSeconds: 900 } },
+  reprice: { ip: { max: 10, windowSeconds: 600 }, email: { max: 5, windowSeconds: 3600 } },
+  orderLookup: { ip: { max: 20, windowSeconds: 600 }, email: null, quote: { max: 10, windowSeconds: 3600 } },
+});
+
+const RATE_LIMIT_ENV = Object.freeze({
+  calculateQuote: 'RATE_LIMIT_CALCULATE_QUOTE',
+  logQuote: 'RATE_LIMIT_LOG_QUOTE',
+  checkout: 'RATE_LIMIT_CHECKOUT',
+  adminLogin: 'RATE_LIMIT_ADMIN_LOGIN',
+  reprice: 'RATE_LIMIT_REPRICE',
+  orderLookup: 'RATE_LIMIT_ORDER_LOOKUP',
+});
+
+// Each variable overrides scopes of one endpoint, e.g.
+// RATE_LIMIT_LOG_QUOTE=ip=20/600,email=off for 20 per IP per 10 minutes and
+// no per-email limit.
+function getRateLimits(env = process.env) {
+  const limits = {};
+  for (const [rule, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    const name = RATE_LIMIT_ENV[rule];
+    limits[rule] = { ...defaults };
+    const configured = String(env[name] ?? '').trim();
+    for (const entry of configured ? configured.split(',') : []) {
+      const [scope, value] = entry.split('=').map(part => part.trim());
+      if (!RATE_LIMIT_SCOPES.includes(scope)) {
+        throw new Error(`${name} entries must look like ip=10/600, using ${RATE_LIMIT_SCOPES.join(' or ')}.`);
+      }
+      if (value === 'off') {
+        limits[rule][scope] = null;
+        continue;
+      }
+      const [max, windowSeconds] = String(value || '').split('/').map(Number);
+      if (!Number.isInteger(max) || max < 1 || !Number.isInteger(windowSeconds) ||
+          windowSeconds < 1 || windowSeconds > MAX_WINDOW_SECONDS) {
+        throw new Error(`${name} ${scope} must be off or requests/seconds, such as 10/600, with a window of at most ${MAX_WINDOW_SECONDS} seconds.`);
+      }
+      limits[rule][scope] = { max, windowSeconds };
+    }
+  }
+  return Object.freeze(limits);
+}
+
+// Express's trust proxy setting, so req.ip is the client behind the host's
+// load balancer. Defaults to one hop; set TRUST_PROXY=false when serving directly.
+function getTrustProxy(env = process.env) {
+  const configured = String(env.TRUST_PROXY ?? '').trim();
+  if (!configured) return 1;
+  if (configured === 'false') return false;
+  if (configured === 'true') return true;
+  return /^\d+$/.test(configured) ? Number(configured) : configured;
+}
+
+// Fixed windows held in this process. Counts reset when the server restarts.
+// A window that starts is moved to the end of the map, so once it holds
+// maxKeys buckets the oldest windows are dropped first.
+function createMemoryRateLimitStore({ maxKeys = 10000 } = {}) {
+  const buckets = new Map();
+  return {
+    name: 'memory',
+    async hit(key, windowMs, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket || now >= bucket.resetAt) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.delete(key);
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      for (const oldestKey of buckets.keys()) {
+        if (buckets.size <= maxKeys) break;
+        buckets.delete(oldestKey);
+      }
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+  };
+}
+
+// Shares counts between server instances through the rate_limit_buckets table.
+function createPostgresRateLimitStore(db, { pruneEvery = 500 } = {}) {
+  let hits = 0;
+  return {
+    name: 'postgres',
+    async hit(key, windowMs, now = Date.now()) {
+      const result = await db.query(
+        `INSERT INTO rate_limit_buckets (bucket_key, hit_count, reset_at)
+         VALUES ($1, 1, $2)
+         ON CONFLICT (bucket_key) DO UPDATE SET
+           hit_count = CASE WHEN rate_limit_buckets.reset_at <= $3 THEN 1 ELSE rate_limit_buckets.hit_count + 1 END,
+           reset_at = CASE WHEN rate_limit_buckets.reset_at <= $3 THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END
+         RETURNING hit_count, reset_at`,
+        [key, new Date(now + windowMs), new Date(now)]
+      );
+      hits += 1;
+      if (hits % pruneEvery === 0) {
+        await db.query('DELETE FROM rate_limit_buckets WHERE reset_at <= $1', [new Date(now)]);
+      }
+      return { count: result.rows[0].hit_count, resetAt: new Date(result.rows[0].reset_at).getTime() };
+    },
+  };
+}
+
+function createRateLimitStore(db, env = process.env) {
+  const storeName = String(env.RATE_LIMIT_STORE ?? '').trim().toLowerCase() || 'memory';
+  if (storeName === 'memory') return createMemoryRateLimitStore();
+  if (storeName === 'postgres') return createPostgresRateLimitStore(db);
+  throw new Error('RATE_LIMIT_STORE must be memory or postgres.');
+}
+
+// Callers are identified by hash so the store never holds raw addresses.
+function bucketKey(rule, scope, value) {
+  return crypto.createHash('sha256').update(`${rule}:${scope}:${value}`).digest('hex');
+}
+
+// Counts a request against every limited scope of the rule it falls under
+// and reports the longest wait among the scopes it has exceeded.
+function createAbuseGuard({ limits = getRateLimits(), store = createMemoryRateLimitStore() } = {}) {
+  async function check(rule, identity = {}, now = Date.now()) {
+    const ruleLimits = limits[rule];
+    if (!ruleLimits) throw new Error(`Unknown rate limit rule "${rule}".`);
+    let blocked = null;
+    for (const scope of RATE_LIMIT_SCOPES) {
+      const limit = ruleLimits[scope];
+      const value = identity[scope];
+      if (!limit || !value) continue;
+      const { count, resetAt } = await store.hit(bucketKey(rule, scope, value), limit.windowSeconds * 1000, now);
+      if (count <= limit.max) continue;
+      const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - now) / 1000));
+      if (!blocked || retryAfterSeconds > blocked.retryAfterSeconds) {
+        blocked = { scope, limit: limit.max, retryAfterSeconds };
+      }
+    }
+    return blocked ? { allowed: false, ...blocked } : { allowed: true };
+  }
+
+  return { check };
+}
+
+// A challenge lets a caller over the limit prove they are a person. The
+// client sends the widget's token in the X-Challenge-Token header.
+function createTurnstileChallenge({ secretKey, fetchImpl = globalThis.fetch, timeoutMs } = {}) {
+  if (!secretKey) throw new Error('A Turnstile secret key is required.');
+  return {
+    name: 'turnstile',
+    async verify(token, remoteIp) {
+      const body = new URLSearchParams({ secret: secretKey, response: token });
+      if (remoteIp) body.set('remoteip', remoteIp);
+      const { response, text } = await postWithTimeout(TURNSTILE_VERIFY_URL, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString(),
+      }, { fetchImpl, timeoutMs, label: 'Turnstile verification' });
+      if (!response.ok) return false;
+      try {
+        return JSON.parse(text).success === true;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
+
+function createAbuseChallenge(env = process.env, options = {}) {
+  const secretKey = String(env.TURNSTILE_SECRET_KEY ?? '').trim();
+  return secretKey ? createTurnstileChallenge({ secretKey, ...options }) : null;
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  createAbuseChallenge,
+  createAbuseGuard,
+  createMemoryRateLimitStore,
+  createPostgresRateLimitStore,
+  createRateLimitStore,
+  createTurnstileChallenge,
+  getRateLimits,
+  getTrustProxy,
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RATE_LIMITS,
+  createAbuseChallenge,
+  createAbuseGuard,
+  createMemoryRateLimitStore,
+  createPostgresRateLimitStore,
+  createRateLimitStore,
+  getRateLimits,
+  getTrustProxy,
+} = require('./abuse-guard');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('reads rate limit windows from the environment', () => {
+  assert.deepEqual(getRateLimits({}), DEFAULT_RATE_LIMITS);
+  const limits = getRateLimits({ RATE_LIMIT_LOG_QUOTE: 'ip=20/300, email=off', RATE_LIMIT_CALCULATE_QUOTE: 'email=30/3600' });
+  assert.deepEqual(limits.logQuote, { ip: { max: 20, windowSeconds: 300 }, email: null });
+  assert.deepEqual(limits.calculateQuote.email, { max: 30, windowSeconds: 3600 });
+  assert.deepEqual(limits.checkout, DEFAULT_RATE_LIMITS.checkout);
+  assert.deepEqual(getRateLimits({ RATE_LIMIT_ADMIN_LOGIN: 'email=3/900' }).adminLogin.email, { max: 3, windowSeconds: 900 });
+  assert.equal(getRateLimits({ RATE_LIMIT_ORDER_LOOKUP: 'quote=off' }).orderLookup.quote, null);
+  assert.throws(() => getRateLimits({ RATE_LIMIT_CHECKOUT: 'phone=5/60' }), /ip=10\/600/);
+  assert.throws(() => getRateLimits({ RATE_LIMIT_CHECKOUT: 'ip=5' }), /RATE_LIMIT_CHECKOUT ip must be off/);
+  assert.throws(() => getRateLimits({ RATE_LIMIT_CHECKOUT: 'ip=5/90000' }), /at most 86400 seconds/);
+  assert.throws(() => createRateLimitStore(null, { RATE_LIMIT_STORE: 'redis' }), /memory or postgres/);
+  assert.equal(getTrustProxy({}), 1);
+  assert.equal(getTrustProxy({ TRUST_PROXY: 'false' }), false);
+  assert.equal(getTrustProxy({ TRUST_PROXY: 'loopback' }), 'loopback');
+});
+
+test('blocks a caller past the per-IP or per-email limit until the window resets', async () => {
+  const guard = createAbuseGuard({
+    limits: { logQuote: { ip: { max: 2, windowSeconds: 600 }, email: { max: 1, windowSeconds: 3600 } } },
+    store: createMemoryRateLimitStore(),
+  });
+  assert.deepEqual(await guard.check('logQuote', { ip: '203.0.113.7' }, NOW), { allowed: true });
+  assert.deepEqual(await guard.check('logQuote', { ip: '203.0.113.7', email: 'a@example.com' }, NOW), { allowed: true });
+  assert.deepEqual(
+    await guard.check('logQuote', { ip: '203.0.113.7', email: 'a@example.com' }, NOW + 60000),
+    { allowed: false, scope: 'email', limit: 1, retryAfterSeconds: 3540 }
+  );
+  assert.deepEqual(
+    await guard.check('logQuote', { ip: '203.0.113.7' }, NOW + 61000),
+    { allowed: false, scope: 'ip', limit: 2, retryAfterSeconds: 539 }
+  );
+  assert.equal((await guard.check('logQuote', { ip: '198.51.100.4' }, NOW + 61000)).allowed, true);
+  assert.equal((await guard.check('logQuote', { ip: '203.0.113.7' }, NOW + 600000)).allowed, true);
+
+  const lookups = createAbuseGuard({
+    limits: { orderLookup: { ip: null, email: null, quote: { max: 1, windowSeconds: 3600 } } },
+    store: createMemoryRateLimitStore(),
+  });
+  assert.equal((await lookups.check('orderLookup', { ip: '203.0.113.7', quote: 'XN-20261019-A1B2C3' }, NOW)).allowed, true);
+  assert.equal((await lookups.check('orderLookup', { ip: '198.51.100.4', quote: 'XN-20261019-A1B2C3' }, NOW)).scope, 'quote');
+  await assert.rejects(guard.check('bookings', { ip: '203.0.113.7' }), /Unknown rate limit rule/);
+});
+
+test('drops the oldest windows once the memory store is full', async () => {
+  const store = createMemoryRateLimitStore({ maxKeys: 2 });
+  await store.hit('a', 60000, NOW);
+  await store.hit('a', 60000, NOW);
+  await store.hit('b', 60000, NOW);
+  await store.hit('c', 60000, NOW);
+  assert.equal((await store.hit('b', 60000, NOW)).count, 2);
+  assert.equal((await store.hit('a', 60000, NOW)).count, 1);
+});
+
+test('keeps shared counts in Postgres under hashed keys', async () => {
+  const queries = [];
+  const db = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      return { rows: [{ hit_count: 3, reset_at: new Date(NOW + 600000) }] };
+    },
+  };
+  const store = createPostgresRateLimitStore(db, { pruneEvery: 2 });
+  const guard = createAbuseGuard({ limits: { checkout: { ip: { max: 2, windowSeconds: 600 }, email: null } }, store });
+  assert.deepEqual(
+    await guard.check('checkout', { ip: '203.0.113.7', email: 'a@example.com' }, NOW),
+    { allowed: false, scope: 'ip', limit: 2, retryAfterSeconds: 600 }
+  );
+  assert.match(queries[0].sql, /ON CONFLICT \(bucket_key\)/);
+  assert.match(queries[0].values[0], /^[a-f0-9]{64}$/);
+  assert.equal(queries[0].values.includes('203.0.113.7'), false);
+  await store.hit('other', 1000, NOW);
+  assert.match(queries[2].sql, /DELETE FROM rate_limit_buckets/);
+});
+
+test('verifies challenge tokens with Turnstile when a secret is set', async () => {
+  assert.equal(createAbuseChallenge({}), null);
+  const requests = [];
+  const challenge = createAbuseChallenge({ TURNSTILE_SECRET_KEY: 'secret' }, {
+    fetchImpl: async (url, init) => {
+      requests.push({ url, body: new URLSearchParams(init.body) });
+      const success = requests.at(-1).body.get('response') === 'good-token';
+      return { ok: true, text: async () => JSON.stringify({ success }) };
+    },
+  });
+  assert.equal(challenge.name, 'turnstile');
+  assert.equal(await challenge.verify('good-token', '203.0.113.7'), true);
+  assert.equal(await challenge.verify('bad-token'), false);
+  assert.equal(requests[0].body.get('remoteip'), '203.0.113.7');
+  assert.equal(requests[1].body.has('remoteip'), false);
+});
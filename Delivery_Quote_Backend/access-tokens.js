@@ -0,0 +1,36 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Each kind of key carries its own prefix so a leaked or pasted key is easy
+// to recognise.
+const TOKEN_PREFIXES = Object.freeze({
+  DRIVER: 'xnd_',
+  ACCOUNT: 'xna_',
+  PARTNER: 'xnp_',
+  ADMIN_SESSION: 'xas_',
+});
+const DISPLAY_PREFIX_LENGTH = 12;
+
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// The plaintext is handed out once; only its hash is stored, with a short
+// prefix admins can use to tell keys apart.
+function generateAccessToken(prefix, { bytes = 24 } = {}) {
+  if (!Object.values(TOKEN_PREFIXES).includes(prefix)) throw new Error(`Unknown token prefix "${prefix}".`);
+  const token = `${prefix}${crypto.randomBytes(bytes).toString('base64url')}`;
+  return { token, hash: hashAccessToken(token), prefix: token.slice(0, DISPLAY_PREFIX_LENGTH) };
+}
+
+function readBearerToken(req) {
+  return String(req.headers?.authorization || '').replace(/^Bearer\s+/i, '').trim();
+}
+
+module.exports = {
+  TOKEN_PREFIXES,
+  generateAccessToken,
+  hashAccessToken,
+  readBearerToken,
+};
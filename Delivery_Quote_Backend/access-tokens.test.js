@@ -0,0 +1,22 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TOKEN_PREFIXES, generateAccessToken, hashAccessToken, readBearerToken } = require('./access-tokens');
+
+test('issues prefixed tokens that are stored only as a hash', () => {
+  const { token, hash, prefix } = generateAccessToken(TOKEN_PREFIXES.DRIVER);
+  assert.match(token, /^xnd_[A-Za-z0-9_-]{32}$/);
+  assert.equal(hash, hashAccessToken(token));
+  assert.match(hash, /^[a-f0-9]{64}$/);
+  assert.equal(prefix, token.slice(0, 12));
+  assert.notEqual(generateAccessToken(TOKEN_PREFIXES.DRIVER).token, token);
+  assert.match(generateAccessToken(TOKEN_PREFIXES.ADMIN_SESSION, { bytes: 32 }).token, /^xas_[A-Za-z0-9_-]{43}$/);
+  assert.throws(() => generateAccessToken('xx_'), /Unknown token prefix/);
+});
+
+test('reads the bearer token from the Authorization header', () => {
+  assert.equal(readBearerToken({ headers: { authorization: 'Bearer xna_abc ' } }), 'xna_abc');
+  assert.equal(readBearerToken({ headers: { authorization: 'bearer xnp_abc' } }), 'xnp_abc');
+  assert.equal(readBearerToken({ headers: {} }), '');
+});
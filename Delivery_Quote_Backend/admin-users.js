@@ -0,0 +1,129 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { normalizeEmail } = require('./email-validation');
+const { cleanText } = require('./alert-content');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most access; each role can do what the ones before it can.
+const ADMIN_ROLES = Object.freeze(['READ_ONLY', 'DISPATCHER', 'OWNER']);
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 200;
+const PASSWORD_KEY_LENGTH = 64;
+const DEFAULT_SESSION_HOURS = 12;
+const MAX_SESSION_HOURS = 7 * 24;
+
+class AdminUserError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'AdminUserError';
+    this.statusCode = statusCode;
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// A missing or malformed hash still costs one scrypt run, so a login for an
+// unknown email takes as long as a wrong password.
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, key] = String(storedHash || '').split('$');
+  const usable = scheme === 'scrypt' && salt && key;
+  const expected = usable ? Buffer.from(key, 'base64') : crypto.randomBytes(PASSWORD_KEY_LENGTH);
+  const actual = await scrypt(String(password), usable ? Buffer.from(salt, 'base64') : crypto.randomBytes(16), expected.length);
+  return Boolean(usable) && crypto.timingSafeEqual(expected, actual);
+}
+
+function getAdminSessionHours(env = process.env) {
+  const configured = String(env.ADMIN_SESSION_HOURS ?? '').trim();
+  if (!configured) return DEFAULT_SESSION_HOURS;
+  const hours = Number(configured);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SESSION_HOURS) {
+    throw new Error(`ADMIN_SESSION_HOURS must be a whole number between 1 and ${MAX_SESSION_HOURS}.`);
+  }
+  return hours;
+}
+
+function roleAllows(role, requiredRole) {
+  const granted = ADMIN_ROLES.indexOf(role);
+  return granted >= 0 && granted >= ADMIN_ROLES.indexOf(requiredRole);
+}
+
+function validatePassword(password, field = 'password') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new AdminUserError(`${field} must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`);
+  }
+  return password;
+}
+
+function parseAdminUserId(value) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id < 1) throw new AdminUserError('Admin user was not found.', 404);
+  return id;
+}
+
+// Validates a new admin user (password required) or an update of only the
+// fields sent. Sending a password on update resets it.
+function parseAdminUserInput(body = {}, { partial = false } = {}) {
+  const user = {};
+  if (!partial || body.name !== undefined) {
+    user.name = cleanText(body.name, 150);
+    if (!user.name) throw new AdminUserError('name is required.');
+  }
+  if (!partial || body.email !== undefined) {
+    user.email = normalizeEmail(body.email);
+    if (!user.email) throw new AdminUserError('email must be a valid email address.');
+  }
+  if (!partial || body.role !== undefined) {
+    user.role = String(body.role ?? '').trim().toUpperCase();
+    if (!ADMIN_ROLES.includes(user.role)) throw new AdminUserError(`role must be one of ${ADMIN_ROLES.join(', ')}.`);
+  }
+  if (!partial || body.password !== undefined) user.password = validatePassword(body.password);
+  if (!partial || body.active !== undefined) {
+    if (body.active !== undefined && typeof body.active !== 'boolean') throw new AdminUserError('active must be true or false.');
+    user.active = body.active ?? true;
+  }
+  if (partial && !Object.keys(user).length) {
+    throw new AdminUserError('Send at least one admin user field to update.');
+  }
+  return user;
+}
+
+// The fleet must keep at least one active owner who can manage the others.
+function removesLastOwner(existing, changes, activeOwnerCount) {
+  const wasOwner = existing.role === 'OWNER' && existing.active;
+  const staysOwner = (changes.role ?? existing.role) === 'OWNER' && (changes.active ?? existing.active);
+  return wasOwner && !staysOwner && activeOwnerCount <= 1;
+}
+
+function mapAdminUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at,
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  AdminUserError,
+  getAdminSessionHours,
+  hashPassword,
+  mapAdminUser,
+  parseAdminUserId,
+  parseAdminUserInput,
+  removesLastOwner,
+  roleAllows,
+  validatePassword,
+  verifyPassword,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AdminUserError,
+  getAdminSessionHours,
+  hashPassword,
+  parseAdminUserInput,
+  removesLastOwner,
+  roleAllows,
+  verifyPassword,
+} = require('./admin-users');
+
+test('stores passwords as salted scrypt hashes', async () => {
+  const hash = await hashPassword('correct horse battery');
+  assert.match(hash, /^scrypt\$[^$]+\$[^$]+$/);
+  assert.notEqual(await hashPassword('correct horse battery'), hash);
+  assert.equal(await verifyPassword('correct horse battery', hash), true);
+  assert.equal(await verifyPassword('wrong horse battery', hash), false);
+  assert.equal(await verifyPassword('correct horse battery', null), false);
+  assert.equal(await verifyPassword('correct horse battery', 'plain-text'), false);
+});
+
+test('reads the admin session length from the environment', () => {
+  assert.equal(getAdminSessionHours({}), 12);
+  assert.equal(getAdminSessionHours({ ADMIN_SESSION_HOURS: '24' }), 24);
+  assert.throws(() => getAdminSessionHours({ ADMIN_SESSION_HOURS: '0' }), /between 1 and 168/);
+});
+
+test('ranks roles so owners can do what dispatchers and read-only users can', () => {
+  assert.equal(roleAllows('OWNER', 'DISPATCHER'), true);
+  assert.equal(roleAllows('DISPATCHER', 'DISPATCHER'), true);
+  assert.equal(roleAllows('DISPATCHER', 'OWNER'), false);
+  assert.equal(roleAllows('READ_ONLY', 'READ_ONLY'), true);
+  assert.equal(roleAllows('READ_ONLY', 'DISPATCHER'), false);
+  assert.equal(roleAllows('ADMIN', 'READ_ONLY'), false);
+});
+
+test('validates admin users and keeps one active owner', () => {
+  const user = parseAdminUserInput({
+    name: ' Maria Lopez ', email: 'Maria@Example.com', role: 'dispatcher', password: 'long enough pass',
+  });
+  assert.deepEqual(user, {
+    name: 'Maria Lopez', email: 'maria@example.com', role: 'DISPATCHER', password: 'long enough pass', active: true,
+  });
+  assert.deepEqual(parseAdminUserInput({ active: false }, { partial: true }), { active: false });
+  assert.throws(() => parseAdminUserInput({ ...user, password: 'short' }), /12 to 200 characters/);
+  assert.throws(() => parseAdminUserInput({ ...user, role: 'admin' }), /role must be one of READ_ONLY, DISPATCHER, OWNER/);
+  assert.throws(() => parseAdminUserInput({}, { partial: true }), AdminUserError);
+
+  const owner = { role: 'OWNER', active: true };
+  assert.equal(removesLastOwner(owner, { role: 'DISPATCHER' }, 1), true);
+  assert.equal(removesLastOwner(owner, { active: false }, 1), true);
+  assert.equal(removesLastOwner(owner, { active: false }, 2), false);
+  assert.equal(removesLastOwner(owner, { name: 'Renamed' }, 1), false);
+  assert.equal(removesLastOwner({ role: 'DISPATCHER', active: true }, { active: false }, 1), false);
+});
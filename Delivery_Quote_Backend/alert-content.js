@@ -0,0 +1,292 @@
+'use strict';
+
+const { DEFAULT_TIME_ZONE, parseLocalDateTime } = require('./scheduling');
+
+const VEHICLE_LABELS = Object.freeze({
+  car: 'Car',
+  suv: 'SUV',
+  pickup_truck: 'Pickup Truck',
+  cargo_van: 'Cargo Van',
+  cargo_van_high_roof: 'Cargo Van (High Roof)',
+  box_truck: 'Box Truck',
+});
+
+// Customer-facing labels for the server-verified breakdown, in display order.
+// Lines flagged false are shown only when non-zero.
+const PRICE_BREAKDOWN_LINES = Object.freeze([
+  ['Mileage', 'mileageCost', true],
+  ['Weight', 'weightCost', true],
+  ['Service adjustments', 'serviceAdjustment', false],
+  ['Driver handling', 'loadUnloadFee', false],
+  ['Stairs', 'stairCost', false],
+  ['Extra labor', 'flatServiceFees', false],
+  ['Urgency', 'urgencyPremium', false],
+  ['Late-night service', 'afterHoursFee', false],
+  ['Holiday surcharge', 'holidayFee', false],
+  ['Out-of-area surcharge', 'outOfAreaFee', false],
+  ['Additional stops', 'additionalStopFee', false],
+  ['Minimum-charge adjustment', 'minimumAdjustment', false],
+  ['Promo discount', 'promoDiscount', false],
+]);
+
+const STATUS_ALERT_TITLES = Object.freeze({
+  CANCELLED: 'BOOKING CANCELLED',
+  REFUNDED: 'BOOKING REFUNDED',
+  DISPUTED: 'PAYMENT DISPUTED',
+});
+
+const STOP_ALERT_TITLES = Object.freeze({
+  ARRIVED: 'DRIVER ARRIVED',
+  LOADED: 'FREIGHT LOADED',
+  DELIVERED: 'STOP DELIVERED',
+});
+
+function cleanText(value, maxLength = 160) {
+  const normalized = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxLength) return normalized;
+  return `${normalized.slice(0, Math.max(0, maxLength - 3)).trimEnd()}...`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[character]);
+}
+
+function formatQuoteAmount(value) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return 'Amount unavailable';
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+
+function formatMiles(value) {
+  const miles = Number(value);
+  return Number.isFinite(miles) ? `${miles.toFixed(1)} miles` : 'Mileage unavailable';
+}
+
+// With a zone, appends its abbreviation in force at that time, e.g. "EDT".
+function formatDateTime(dateValue, timeValue, timeZone = null) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateValue || ''));
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(String(timeValue || ''));
+  if (!dateMatch || !timeMatch) return 'Date/time unavailable';
+  const year = Number(dateMatch[1]);
+  const monthIndex = Number(dateMatch[2]) - 1;
+  const day = Number(dateMatch[3]);
+  const hours = Number(timeMatch[1]);
+  const minutes = Number(timeMatch[2]);
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day || hours > 23 || minutes > 59) {
+    return 'Date/time unavailable';
+  }
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+  const displayHour = hours % 12 || 12;
+  const meridiem = hours < 12 ? 'am' : 'pm';
+  const display = `${weekdays[date.getUTCDay()]}, ${months[monthIndex]} ${day}, ${year} @ ${displayHour}:${String(minutes).padStart(2, '0')}${meridiem}`;
+  const zoneName = timeZone ? formatZoneName(dateValue, timeValue, timeZone) : null;
+  return zoneName ? `${display} ${zoneName}` : display;
+}
+
+function formatZoneName(dateValue, timeValue, timeZone) {
+  try {
+    const instant = parseLocalDateTime(dateValue, timeValue, 'Schedule', timeZone);
+    return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(instant))
+      .find(part => part.type === 'timeZoneName')?.value || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Formats an instant for customers in the business's local time.
+function formatTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+  const date = new Date(value);
+  if (!Number.isFinite(date.getTime())) return 'Unavailable';
+  return new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  }).format(date);
+}
+
+function formatStopLines(stops) {
+  if (!stops.length) return ['Pickup Address: Unavailable', 'Delivery Address: Unavailable'];
+  if (stops.length === 1) {
+    return [`Pickup Address: ${cleanText(stops[0]?.address, 120) || 'Unavailable'}`, 'Delivery Address: Unavailable'];
+  }
+  return stops.map((stop, index) => {
+    const address = cleanText(stop?.address, 120) || 'Unavailable';
+    if (index === 0) return `Pickup Address: ${address}`;
+    if (index === stops.length - 1) return `Delivery Address: ${address}`;
+    return `Stop ${index + 1}: ${address}`;
+  });
+}
+
+function formatPiecesAndWeight(packages) {
+  let pieces = 0;
+  let totalWeight = 0;
+  const descriptions = [];
+  for (const item of packages) {
+    const quantity = Number(item?.qty) || 0;
+    const weight = Number(item?.weight) || 0;
+    pieces += quantity;
+    totalWeight += quantity * weight;
+    const description = cleanText(item?.desc, 35);
+    if (description && descriptions.length < 2 && !descriptions.includes(description)) {
+      descriptions.push(description);
+    }
+  }
+  const freight = descriptions.length ? descriptions.join(', ') : 'Freight details unavailable';
+  return `${pieces || '?'} pc | ${totalWeight.toFixed(0)} lb | ${freight}`;
+}
+
+function formatHandling(stops) {
+  const labels = {
+    customer: 'Customer',
+    driver: 'Driver',
+    driver_assist: 'Driver assist',
+  };
+  return stops.map((stop, index) => {
+    const responsibility = labels[stop?.loadUnload] || 'Unknown';
+    const stairFlights = Number(stop?.stairFlights || Math.max(0, Number(stop?.floor || 1) - 1));
+    const stairs = stop?.stairs ? ` + ${stairFlights || '?'} stair flight(s)` : '';
+    return `S${index + 1} ${responsibility}${stairs}`;
+  }).join('; ');
+}
+
+function formatExtras(services) {
+  const extras = [];
+  if (services.insideDelivery) extras.push('Inside');
+  if (services.hazardousBio || services.hazardous || services.bioHazardous) extras.push('Hazmat/Bio');
+  if (services.fragileHandling) extras.push('Fragile');
+  if (services.extraLaborer) extras.push('Extra laborer');
+  if (services.afterHoursApplied) extras.push('Late night');
+  if (services.holidayApplied) extras.push(`Holiday${services.holidayName ? ` (${cleanText(services.holidayName, 40)})` : ''}`);
+  return extras.length ? extras.join(', ') : 'None';
+}
+
+function formatPaymentLine(bookingDetails) {
+  if (bookingDetails.paymentTerms) {
+    const account = bookingDetails.accountName ? ` | ${cleanText(bookingDetails.accountName, 70)}` : '';
+    return `Payment: INVOICED (${cleanText(bookingDetails.paymentTerms, 20).replace(/_/g, ' ')})${account}`;
+  }
+  return `Payment: PAID${bookingDetails.paidAt ? ` | ${cleanText(bookingDetails.paidAt, 30)}` : ''}`;
+}
+
+function buildOperationalLines(leadData, leadId, bookingDetails = null) {
+  const contact = leadData?.contactDetails || {};
+  const services = leadData?.serviceDetails || {};
+  const stops = Array.isArray(leadData?.stopsData) ? leadData.stopsData : [];
+  const packages = Array.isArray(leadData?.packagesData) ? leadData.packagesData : [];
+  const serviceLabel = cleanText(services.urgencyLabel || services.urgency, 45) || 'Service unavailable';
+  const quoteId = cleanText(leadData?.quoteId, 40) || 'Quote ID unavailable';
+
+  return [
+    `Quote: ${quoteId}${leadId !== undefined && leadId !== null ? ` | Lead #${leadId}` : ''}`,
+    bookingDetails ? formatPaymentLine(bookingDetails) : null,
+    leadData?.partnerName
+      ? `Partner: ${cleanText(leadData.partnerName, 70)}${leadData.partnerReference ? ` | Ref ${cleanText(leadData.partnerReference, 40)}` : ''}`
+      : null,
+    `Customer: ${cleanText(contact.name, 70) || 'Unknown'}${contact.company ? ` | ${cleanText(contact.company, 55)}` : ''}`,
+    `Email: ${cleanText(contact.email, 100) || 'Unavailable'}`,
+    `Phone: ${cleanText(contact.phone, 40) || 'Unavailable'}`,
+    `Route: ${formatMiles(leadData?.totalMiles)} | ${stops.length} stops`,
+    `Pickup Date: ${formatDateTime(services.pickupDate, services.pickupTime, services.timeZone)}`,
+    `Delivery Date: ${formatDateTime(services.deliveryDate, services.deliveryTime, services.timeZone)}`,
+    `Urgency: ${serviceLabel}${services.afterHoursApplied ? ' + Late Night' : ''}`,
+    ...formatStopLines(stops),
+    `Freight: ${formatPiecesAndWeight(packages)}`,
+    `Handling: ${formatHandling(stops) || 'Unavailable'}`,
+    `Extras: ${formatExtras(services)}`,
+    services.specialNotes ? `Notes: ${cleanText(services.specialNotes, 140)}` : null,
+  ].filter(Boolean);
+}
+
+function buildStatusSummary(details) {
+  return [
+    `Status: ${cleanText(details.status, 30) || 'Unknown'}${details.paymentStatus ? ` | Payment ${cleanText(details.paymentStatus, 30)}` : ''}`,
+    Number(details.refundedAmount) > 0 ? `Refunded: ${formatQuoteAmount(details.refundedAmount)}` : null,
+    details.reason ? `Reason: ${cleanText(details.reason, 140)}` : null,
+  ].filter(Boolean);
+}
+
+function buildStopSummary(details, timeZone) {
+  return [
+    `Stop ${Number(details.stopNumber) || '?'} of ${Number(details.stopCount) || '?'}: ${cleanText(details.address, 120) || 'Address unavailable'}`,
+    `Driver: ${cleanText(details.driverName, 70) || 'Unknown'}${details.recordedAt ? ` | ${formatTimestamp(details.recordedAt, timeZone)}` : ''}`,
+    details.note ? `Note: ${cleanText(details.note, 140)}` : null,
+  ].filter(Boolean);
+}
+
+// The channel-neutral alert: every notifier renders these same fields in its
+// own format. `urgent` alerts are the ones dispatch must act on right away.
+function buildAlertContent(kind, leadData, details = {}) {
+  const services = leadData?.serviceDetails || {};
+  const quoteAmount = formatQuoteAmount(leadData?.calculatedQuote);
+  const vehicle = VEHICLE_LABELS[services.vehicleType] || cleanText(services.vehicleType) || 'Vehicle unavailable';
+  let heading;
+  let summary;
+  let lines;
+  if (kind === 'quote') {
+    heading = 'NEW QUOTE';
+    summary = [`Price: ${quoteAmount}`];
+    lines = buildOperationalLines(leadData, details.leadId);
+  } else if (kind === 'booking') {
+    heading = details.paymentTerms ? 'LOAD BOOKED ON ACCOUNT' : 'LOAD PAID & BOOKED';
+    summary = [`Price: ${quoteAmount}`];
+    lines = buildOperationalLines(leadData, details.leadId, details);
+  } else if (kind === 'booking_status') {
+    heading = details.unmatchedPayment
+      ? 'PAYMENT NEEDS REVIEW'
+      : STATUS_ALERT_TITLES[details.status] || `BOOKING ${cleanText(details.status, 30) || 'UPDATED'}`;
+    summary = buildStatusSummary(details);
+    lines = buildOperationalLines(leadData, details.leadId);
+  } else if (kind === 'stop_update') {
+    heading = details.orderDelivered ? 'LOAD DELIVERED' : STOP_ALERT_TITLES[details.status] || 'STOP UPDATED';
+    summary = buildStopSummary(details, services.timeZone || undefined);
+    lines = buildOperationalLines(leadData, details.leadId);
+  } else {
+    throw new Error(`Unknown alert kind: ${kind}`);
+  }
+  return {
+    kind,
+    heading,
+    title: cleanText(`${heading} | ${quoteAmount} | ${vehicle}`, 250),
+    summary,
+    lines,
+    urgent: kind === 'booking' || kind === 'booking_status',
+    quoteId: cleanText(leadData?.quoteId, 40) || null,
+    pickup: formatDateTime(services.pickupDate, services.pickupTime, services.timeZone),
+  };
+}
+
+const ALERT_KINDS = Object.freeze(['quote', 'booking', 'booking_status', 'stop_update']);
+
+// Reads a channel's comma-separated subscription list, e.g. SMS_ALERT_KINDS=booking,booking_status.
+function parseAlertKinds(value, fallback = ALERT_KINDS, label = 'Alert kinds') {
+  const text = String(value ?? '').trim();
+  if (!text) return [...fallback];
+  const kinds = [...new Set(text.split(',').map(kind => kind.trim().toLowerCase()).filter(Boolean))];
+  const unknown = kinds.filter(kind => !ALERT_KINDS.includes(kind));
+  if (unknown.length) {
+    throw new Error(`${label} contains unknown kind(s): ${unknown.join(', ')}. Use ${ALERT_KINDS.join(', ')}.`);
+  }
+  return kinds;
+}
+
+module.exports = {
+  ALERT_KINDS,
+  PRICE_BREAKDOWN_LINES,
+  VEHICLE_LABELS,
+  buildAlertContent,
+  cleanText,
+  escapeHtml,
+  formatDateTime,
+  formatQuoteAmount,
+  formatTimestamp,
+  parseAlertKinds,
+};
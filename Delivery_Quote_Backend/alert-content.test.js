@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAlertContent, parseAlertKinds } = require('./alert-content');
+
+const SAMPLE_LEAD = {
+  quoteId: 'XN-20260820-A1B2C3',
+  contactDetails: { name: 'Teena Marie', email: 'office@xpeditenow.com' },
+  stopsData: [
+    { address: '7841 Carriage Pointe Dr, Gibsonton, FL', loadUnload: 'customer' },
+    { address: '4217 Empire Place, Tampa, FL', loadUnload: 'driver' },
+  ],
+  serviceDetails: { vehicleType: 'cargo_van', pickupDate: '2026-08-13', pickupTime: '07:51' },
+  totalMiles: 15,
+  calculatedQuote: 95,
+};
+
+test('builds channel-neutral quote and booking alerts', () => {
+  const quote = buildAlertContent('quote', SAMPLE_LEAD, { leadId: 42 });
+  assert.equal(quote.title, 'NEW QUOTE | $95.00 | Cargo Van');
+  assert.deepEqual(quote.summary, ['Price: $95.00']);
+  assert.equal(quote.lines[0], 'Quote: XN-20260820-A1B2C3 | Lead #42');
+  assert.equal(quote.urgent, false);
+  assert.equal(quote.pickup, 'Thu, Aug. 13, 2026 @ 7:51am');
+  const zoned = buildAlertContent('quote', {
+    ...SAMPLE_LEAD,
+    serviceDetails: { ...SAMPLE_LEAD.serviceDetails, pickupDate: '2026-12-03', timeZone: 'America/Chicago' },
+  });
+  assert.equal(zoned.pickup, 'Thu, Dec. 3, 2026 @ 7:51am CST');
+
+  const booking = buildAlertContent('booking', SAMPLE_LEAD, { leadId: 42, paidAt: '2026-08-13T10:00:00Z' });
+  assert.equal(booking.urgent, true);
+  assert.equal(booking.lines[1], 'Payment: PAID | 2026-08-13T10:00:00Z');
+  const invoiced = buildAlertContent('booking', SAMPLE_LEAD, { leadId: 9, paymentTerms: 'NET_30', accountName: 'Acme Labs' });
+  assert.equal(invoiced.heading, 'LOAD BOOKED ON ACCOUNT');
+  assert.equal(invoiced.lines[1], 'Payment: INVOICED (NET 30) | Acme Labs');
+  const partnerQuote = buildAlertContent('quote', { ...SAMPLE_LEAD, partnerName: 'Casa Furniture', partnerReference: 'SO-1182' });
+  assert.equal(partnerQuote.lines[1], 'Partner: Casa Furniture | Ref SO-1182');
+});
+
+test('summarizes status changes and rejects unknown kinds', () => {
+  const status = buildAlertContent('booking_status', SAMPLE_LEAD, { status: 'CANCELLED', paymentStatus: 'REFUNDED', refundedAmount: 95 });
+  assert.match(status.title, /^BOOKING CANCELLED/);
+  assert.deepEqual(status.summary, ['Status: CANCELLED | Payment REFUNDED', 'Refunded: $95.00']);
+  const unmatched = buildAlertContent('booking_status', SAMPLE_LEAD, { status: 'BOOKED', paymentStatus: 'INVOICED', unmatchedPayment: true });
+  assert.match(unmatched.title, /^PAYMENT NEEDS REVIEW/);
+  assert.throws(() => buildAlertContent('other', SAMPLE_LEAD), /Unknown alert kind/);
+});
+
+test('reports driver stop updates to dispatch', () => {
+  const arrived = buildAlertContent('stop_update', SAMPLE_LEAD, {
+    status: 'ARRIVED', stopNumber: 2, stopCount: 2, address: '4217 Empire Place, Tampa, FL',
+    driverName: 'Sam Ortiz', recordedAt: '2026-08-13T14:05:00.000Z', note: 'Dock 4',
+  });
+  assert.equal(arrived.title, 'DRIVER ARRIVED | $95.00 | Cargo Van');
+  assert.equal(arrived.summary[0], 'Stop 2 of 2: 4217 Empire Place, Tampa, FL');
+  assert.match(arrived.summary[1], /^Driver: Sam Ortiz \| Aug 13, 2026, 10:05\sAM EDT$/);
+  assert.equal(arrived.summary[2], 'Note: Dock 4');
+  assert.equal(arrived.urgent, false);
+  assert.match(buildAlertContent('stop_update', SAMPLE_LEAD, { status: 'DELIVERED', orderDelivered: true }).title, /^LOAD DELIVERED/);
+});
+
+test('parses channel alert subscriptions', () => {
+  assert.deepEqual(parseAlertKinds('', ['booking']), ['booking']);
+  assert.deepEqual(parseAlertKinds('Booking, booking_status'), ['booking', 'booking_status']);
+  assert.throws(() => parseAlertKinds('quote,invoice', undefined, 'SMS_ALERT_KINDS'), /SMS_ALERT_KINDS contains unknown kind\(s\): invoice/);
+});
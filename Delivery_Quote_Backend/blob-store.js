@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { postWithTimeout } = require('./http-post');
+
+const BLOB_STORES = Object.freeze(['local', 'http']);
+const DEFAULT_LOCAL_DIR = 'pod-uploads';
+// Keys are generated by the server, but are still checked so a bad row can
+// never reach outside the storage directory.
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+function assertKey(key) {
+  if (!KEY_PATTERN.test(String(key || '')) || String(key).includes('..')) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return key;
+}
+
+function createLocalBlobStore({ directory = DEFAULT_LOCAL_DIR } = {}) {
+  const root = path.resolve(directory);
+  return {
+    kind: 'local',
+    async put(key, body) {
+      const filePath = path.join(root, assertKey(key));
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body, { flag: 'wx' });
+      return { key };
+    },
+    async get(key) {
+      return fs.readFile(path.join(root, assertKey(key)));
+    },
+  };
+}
+
+// Stores objects with PUT/GET against BLOB_STORE_URL/<key>, which fits most
+// object-storage gateways and presigning proxies without pulling in an SDK.
+function createHttpBlobStore({ baseUrl, token = '', fetchImpl = globalThis.fetch } = {}) {
+  const base = String(baseUrl || '').trim().replace(/\/$/, '');
+  if (!base) throw new Error('BLOB_STORE_URL is required for the http blob store.');
+  const authorization = token ? { Authorization: `Bearer ${token}` } : {};
+  const urlFor = key => `${base}/${assertKey(key).split('/').map(encodeURIComponent).join('/')}`;
+  return {
+    kind: 'http',
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      const { response, text } = await postWithTimeout(urlFor(key), {
+        method: 'PUT',
+        headers: { ...authorization, 'Content-Type': contentType },
+        body,
+      }, { fetchImpl, label: 'Blob store upload' });
+      if (!response.ok) throw new Error(`Blob store upload failed: HTTP ${response.status} ${text.slice(0, 200)}`);
+      return { key };
+    },
+    async get(key) {
+      const response = await fetchImpl(urlFor(key), { headers: authorization });
+      if (!response.ok) throw new Error(`Blob store download failed: HTTP ${response.status}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+  };
+}
+
+// BLOB_STORE=local (default; POD_STORAGE_DIR) or http (BLOB_STORE_URL, BLOB_STORE_TOKEN).
+function createBlobStore({ env = process.env, fetchImpl = globalThis.fetch } = {}) {
+  const kind = String(env.BLOB_STORE || 'local').trim().toLowerCase();
+  if (!BLOB_STORES.includes(kind)) {
+    throw new Error(`BLOB_STORE must be one of ${BLOB_STORES.join(', ')}.`);
+  }
+  if (kind === 'http') {
+    return createHttpBlobStore({ baseUrl: env.BLOB_STORE_URL, token: String(env.BLOB_STORE_TOKEN || '').trim(), fetchImpl });
+  }
+  return createLocalBlobStore({ directory: String(env.POD_STORAGE_DIR || '').trim() || DEFAULT_LOCAL_DIR });
+}
+
+module.exports = {
+  BLOB_STORES,
+  createBlobStore,
+  createHttpBlobStore,
+  createLocalBlobStore,
+};
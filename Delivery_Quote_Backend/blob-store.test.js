@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createBlobStore, createHttpBlobStore, createLocalBlobStore } = require('./blob-store');
+
+test('stores and reads blobs on local disk without overwriting', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'xn-blobs-'));
+  try {
+    const store = createLocalBlobStore({ directory });
+    await store.put('pod/XN-20260820-A1B2C3/stop-1-photo.jpg', Buffer.from('photo'));
+    assert.equal((await store.get('pod/XN-20260820-A1B2C3/stop-1-photo.jpg')).toString(), 'photo');
+    await assert.rejects(store.put('pod/XN-20260820-A1B2C3/stop-1-photo.jpg', Buffer.from('again')), /EEXIST/);
+    await assert.rejects(store.get('../outside.txt'), /Invalid blob key/);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('puts and gets blobs through an HTTP object store', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url, method: init.method || 'GET', headers: init.headers });
+    return new Response(init.method === 'PUT' ? '' : 'signature-bytes', { status: 200 });
+  };
+  const store = createHttpBlobStore({ baseUrl: 'https://blobs.example.com/xn/', token: 'secret', fetchImpl });
+  await store.put('pod/XN-20260820-A1B2C3/stop-2.png', Buffer.from('png'), { contentType: 'image/png' });
+  assert.equal((await store.get('pod/XN-20260820-A1B2C3/sig.png')).toString(), 'signature-bytes');
+  assert.equal(calls[0].url, 'https://blobs.example.com/xn/pod/XN-20260820-A1B2C3/stop-2.png');
+  assert.equal(calls[0].method, 'PUT');
+  assert.deepEqual(calls[0].headers, { Authorization: 'Bearer secret', 'Content-Type': 'image/png' });
+});
+
+test('selects the configured store', () => {
+  assert.equal(createBlobStore({ env: {} }).kind, 'local');
+  assert.equal(createBlobStore({ env: { BLOB_STORE: 'http', BLOB_STORE_URL: 'https://blobs.example.com' } }).kind, 'http');
+  assert.throws(() => createBlobStore({ env: { BLOB_STORE: 's3' } }), /BLOB_STORE must be one of local, http/);
+  assert.throws(() => createBlobStore({ env: { BLOB_STORE: 'http' } }), /BLOB_STORE_URL is required/);
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const BOOKING_STATUS = Object.freeze({
+  QUOTED: 'QUOTED',
+  CHECKOUT_STARTED: 'CHECKOUT_STARTED',
+  CHECKOUT_EXPIRED: 'CHECKOUT_EXPIRED',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  BOOKED: 'BOOKED',
+  CANCELLED: 'CANCELLED',
+  REFUNDED: 'REFUNDED',
+  DISPUTED: 'DISPUTED',
+});
+
+const PAYMENT_STATUS = Object.freeze({
+  UNPAID: 'UNPAID',
+  PENDING: 'PENDING',
+  FAILED: 'FAILED',
+  PAID: 'PAID',
+  // Booked on account terms; paid later against a statement.
+  INVOICED: 'INVOICED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+  DISPUTED: 'DISPUTED',
+});
+
+// A customer may open a new Checkout Session from any of these states.
+const CHECKOUT_OPEN_STATUSES = Object.freeze([
+  BOOKING_STATUS.QUOTED,
+  BOOKING_STATUS.CHECKOUT_STARTED,
+  BOOKING_STATUS.CHECKOUT_EXPIRED,
+  BOOKING_STATUS.PAYMENT_FAILED,
+]);
+
+const CLOSED_SESSION_STATUSES = Object.freeze({
+  'checkout.session.expired': Object.freeze({
+    bookingStatus: BOOKING_STATUS.CHECKOUT_EXPIRED,
+    paymentStatus: PAYMENT_STATUS.UNPAID,
+  }),
+  'checkout.session.async_payment_failed': Object.freeze({
+    bookingStatus: BOOKING_STATUS.PAYMENT_FAILED,
+    paymentStatus: PAYMENT_STATUS.FAILED,
+  }),
+});
+
+class BookingTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BookingTransitionError';
+  }
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+// Accepts "full", "none", or a dollar amount and returns the refund in cents,
+// capped by what is still refundable on the payment.
+function parseRefundRequest(value, refundableCents) {
+  if (value === undefined || value === null || value === '' || value === 'full') return refundableCents;
+  if (value === 'none') return 0;
+  const amount = Number(value);
+  if (typeof value === 'boolean' || !Number.isFinite(amount) || amount < 0) {
+    throw new BookingTransitionError('refund must be "full", "none", or a dollar amount of zero or more.');
+  }
+  const cents = toCents(amount);
+  if (cents > refundableCents) {
+    throw new BookingTransitionError(`The refund cannot exceed the refundable balance of $${(refundableCents / 100).toFixed(2)}.`);
+  }
+  return cents;
+}
+
+// A load refunded from the Stripe dashboard can still be cancelled so it
+// leaves the schedule, and a cancelled load can be cancelled again to retry a
+// refund that failed.
+function planCancellation(lead, refundCents) {
+  if (lead.booking_status === BOOKING_STATUS.CANCELLED && refundCents === 0) {
+    throw new BookingTransitionError('This booking is already cancelled and there is nothing left to refund.');
+  }
+  if (![BOOKING_STATUS.BOOKED, BOOKING_STATUS.REFUNDED, BOOKING_STATUS.CANCELLED].includes(lead.booking_status)) {
+    throw new BookingTransitionError(`Only booked loads can be cancelled; this quote is ${lead.booking_status || 'not booked'}.`);
+  }
+  const paidCents = toCents(lead.calculated_quote);
+  const refundedCents = toCents(lead.refunded_amount || 0) + refundCents;
+  let paymentStatus = lead.payment_status;
+  if (refundCents > 0) {
+    paymentStatus = refundedCents >= paidCents ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  }
+  return {
+    bookingStatus: BOOKING_STATUS.CANCELLED,
+    paymentStatus,
+    refundedAmount: refundedCents / 100,
+  };
+}
+
+// Stripe reports the running refund total on the charge, so the plan is
+// idempotent: a refund we already issued from the admin API changes nothing.
+function planChargeRefund(lead, charge) {
+  const amountRefundedCents = Number(charge.amount_refunded) || 0;
+  const fullyRefunded = Boolean(charge.refunded) || amountRefundedCents >= Number(charge.amount);
+  let bookingStatus = lead.booking_status;
+  if (fullyRefunded && bookingStatus !== BOOKING_STATUS.CANCELLED && bookingStatus !== BOOKING_STATUS.DISPUTED) {
+    bookingStatus = BOOKING_STATUS.REFUNDED;
+  }
+  let paymentStatus = lead.payment_status;
+  if (paymentStatus !== PAYMENT_STATUS.DISPUTED) {
+    paymentStatus = fullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  }
+  return {
+    bookingStatus,
+    paymentStatus,
+    refundedAmount: amountRefundedCents / 100,
+  };
+}
+
+function canStartCheckout(lead) {
+  return CHECKOUT_OPEN_STATUSES.includes(lead.booking_status || BOOKING_STATUS.QUOTED);
+}
+
+// Account bookings skip Checkout but start from the same open states.
+function planInvoiceBooking(lead) {
+  if (!canStartCheckout(lead)) {
+    throw new BookingTransitionError('This quote has already been booked or cancelled. Please request a new quote.');
+  }
+  return {
+    bookingStatus: BOOKING_STATUS.BOOKED,
+    paymentStatus: PAYMENT_STATUS.INVOICED,
+  };
+}
+
+// A paid session books any quote that is still open for checkout, even when
+// it was paid in an older tab or reopened session. A payment for a quote that
+// is already booked, cancelled or closed must not overwrite it and is left for
+// review.
+function planCheckoutPaid(lead) {
+  if (!lead || !canStartCheckout(lead)) return null;
+  return {
+    bookingStatus: BOOKING_STATUS.BOOKED,
+    paymentStatus: PAYMENT_STATUS.PAID,
+  };
+}
+
+// Only the session the quote currently points at may close it. An older
+// session expiring after the customer reopened Checkout changes nothing, and
+// a quote that has since been paid is never moved backwards.
+function planCheckoutSessionClosed(lead, session, eventType) {
+  const plan = CLOSED_SESSION_STATUSES[eventType];
+  if (!plan || !lead || lead.stripe_session_id !== session.id) return null;
+  if (lead.booking_status !== BOOKING_STATUS.CHECKOUT_STARTED) return null;
+  return { ...plan };
+}
+
+function planDispute() {
+  return {
+    bookingStatus: BOOKING_STATUS.DISPUTED,
+    paymentStatus: PAYMENT_STATUS.DISPUTED,
+  };
+}
+
+// Payments that arrived after a quote was already booked or closed are kept
+// apart from the booking; a full refund settles one and a dispute flags it.
+const UNMATCHED_PAYMENT_STATUS = Object.freeze({
+  OPEN: 'OPEN',
+  REFUNDED: 'REFUNDED',
+  DISPUTED: 'DISPUTED',
+});
+
+function planUnmatchedPaymentRefund(payment, charge) {
+  const amountRefundedCents = Number(charge.amount_refunded) || 0;
+  const fullyRefunded = Boolean(charge.refunded) || amountRefundedCents >= toCents(payment.amount);
+  return {
+    status: payment.status === UNMATCHED_PAYMENT_STATUS.OPEN && fullyRefunded ? UNMATCHED_PAYMENT_STATUS.REFUNDED : payment.status,
+    refundedAmount: amountRefundedCents / 100,
+  };
+}
+
+function planUnmatchedPaymentDispute(payment) {
+  return { status: UNMATCHED_PAYMENT_STATUS.DISPUTED, refundedAmount: Number(payment.refunded_amount) };
+}
+
+function isTransition(lead, plan) {
+  return lead.booking_status !== plan.bookingStatus ||
+    lead.payment_status !== plan.paymentStatus ||
+    (plan.refundedAmount !== undefined && toCents(plan.refundedAmount) !== toCents(lead.refunded_amount || 0));
+}
+
+module.exports = {
+  BOOKING_STATUS,
+  BookingTransitionError,
+  CHECKOUT_OPEN_STATUSES,
+  CLOSED_SESSION_STATUSES,
+  PAYMENT_STATUS,
+  UNMATCHED_PAYMENT_STATUS,
+  canStartCheckout,
+  isTransition,
+  parseRefundRequest,
+  planCancellation,
+  planChargeRefund,
+  planCheckoutPaid,
+  planCheckoutSessionClosed,
+  planDispute,
+  planInvoiceBooking,
+  planUnmatchedPaymentDispute,
+  planUnmatchedPaymentRefund,
+  toCents,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BookingTransitionError,
+  canStartCheckout,
+  isTransition,
+  parseRefundRequest,
+  planCancellation,
+  planChargeRefund,
+  planCheckoutPaid,
+  planCheckoutSessionClosed,
+  planDispute,
+  planInvoiceBooking,
+  planUnmatchedPaymentDispute,
+  planUnmatchedPaymentRefund,
+} = require('./booking-status');
+
+const BOOKED_LEAD = Object.freeze({
+  booking_status: 'BOOKED',
+  payment_status: 'PAID',
+  calculated_quote: '95.00',
+  refunded_amount: null,
+});
+
+test('parses full, none and partial refund requests in cents', () => {
+  assert.equal(parseRefundRequest(undefined, 9500), 9500);
+  assert.equal(parseRefundRequest('full', 9500), 9500);
+  assert.equal(parseRefundRequest('none', 9500), 0);
+  assert.equal(parseRefundRequest('40.255', 9500), 4026);
+  assert.throws(() => parseRefundRequest(96, 9500), /refundable balance of \$95\.00/);
+  assert.throws(() => parseRefundRequest(-1, 9500), BookingTransitionError);
+  assert.throws(() => parseRefundRequest(true, 9500), BookingTransitionError);
+});
+
+test('cancels a booking with a full, partial or no refund', () => {
+  assert.deepEqual(planCancellation(BOOKED_LEAD, 9500), { bookingStatus: 'CANCELLED', paymentStatus: 'REFUNDED', refundedAmount: 95 });
+  assert.deepEqual(planCancellation(BOOKED_LEAD, 4000), { bookingStatus: 'CANCELLED', paymentStatus: 'PARTIALLY_REFUNDED', refundedAmount: 40 });
+  assert.deepEqual(planCancellation(BOOKED_LEAD, 0), { bookingStatus: 'CANCELLED', paymentStatus: 'PAID', refundedAmount: 0 });
+});
+
+test('stores Stripe\'s refund total and cancels loads already refunded in Stripe', () => {
+  const cancelled = { ...BOOKED_LEAD, booking_status: 'CANCELLED', payment_status: 'PARTIALLY_REFUNDED', refunded_amount: '40.00' };
+  assert.deepEqual(
+    planChargeRefund(cancelled, { amount: 9500, amount_refunded: 4000 }),
+    { bookingStatus: 'CANCELLED', paymentStatus: 'PARTIALLY_REFUNDED', refundedAmount: 40 }
+  );
+  const refunded = { ...BOOKED_LEAD, booking_status: 'REFUNDED', payment_status: 'REFUNDED', refunded_amount: '95.00' };
+  assert.deepEqual(planCancellation(refunded, 0), { bookingStatus: 'CANCELLED', paymentStatus: 'REFUNDED', refundedAmount: 95 });
+});
+
+test('refuses to cancel anything that is not booked', () => {
+  assert.throws(() => planCancellation({ ...BOOKED_LEAD, booking_status: 'QUOTED' }, 0), /Only booked loads/);
+  assert.throws(() => planCancellation({ ...BOOKED_LEAD, booking_status: 'CANCELLED' }, 0), /already cancelled/);
+});
+
+test('retries a refund on a booking that is already cancelled', () => {
+  const cancelled = { ...BOOKED_LEAD, booking_status: 'CANCELLED' };
+  assert.deepEqual(planCancellation(cancelled, 9500), { bookingStatus: 'CANCELLED', paymentStatus: 'REFUNDED', refundedAmount: 95 });
+});
+
+test('marks a dashboard refund as refunded or partially refunded', () => {
+  assert.deepEqual(
+    planChargeRefund(BOOKED_LEAD, { amount: 9500, amount_refunded: 9500, refunded: true }),
+    { bookingStatus: 'REFUNDED', paymentStatus: 'REFUNDED', refundedAmount: 95 }
+  );
+  assert.deepEqual(
+    planChargeRefund(BOOKED_LEAD, { amount: 9500, amount_refunded: 1000, refunded: false }),
+    { bookingStatus: 'BOOKED', paymentStatus: 'PARTIALLY_REFUNDED', refundedAmount: 10 }
+  );
+});
+
+test('treats the webhook for an admin refund as no further transition', () => {
+  const cancelled = { ...BOOKED_LEAD, booking_status: 'CANCELLED', payment_status: 'REFUNDED', refunded_amount: '95.00' };
+  const plan = planChargeRefund(cancelled, { amount: 9500, amount_refunded: 9500, refunded: true });
+  assert.equal(plan.bookingStatus, 'CANCELLED');
+  assert.equal(isTransition(cancelled, plan), false);
+});
+
+test('a dispute overrides booking and payment status', () => {
+  const plan = planDispute(BOOKED_LEAD);
+  assert.deepEqual(plan, { bookingStatus: 'DISPUTED', paymentStatus: 'DISPUTED' });
+  assert.equal(isTransition(BOOKED_LEAD, plan), true);
+});
+
+test('closes the current checkout session when it expires or its payment fails', () => {
+  const lead = { booking_status: 'CHECKOUT_STARTED', payment_status: 'UNPAID', stripe_session_id: 'cs_2' };
+  assert.deepEqual(planCheckoutSessionClosed(lead, { id: 'cs_2' }, 'checkout.session.expired'), {
+    bookingStatus: 'CHECKOUT_EXPIRED',
+    paymentStatus: 'UNPAID',
+  });
+  assert.deepEqual(planCheckoutSessionClosed(lead, { id: 'cs_2' }, 'checkout.session.async_payment_failed'), {
+    bookingStatus: 'PAYMENT_FAILED',
+    paymentStatus: 'FAILED',
+  });
+  assert.equal(planCheckoutSessionClosed(lead, { id: 'cs_1' }, 'checkout.session.expired'), null);
+  assert.equal(planCheckoutSessionClosed({ ...lead, booking_status: 'BOOKED' }, { id: 'cs_2' }, 'checkout.session.expired'), null);
+});
+
+test('allows a fresh checkout only before the quote is booked', () => {
+  assert.equal(canStartCheckout({ booking_status: null }), true);
+  assert.equal(canStartCheckout({ booking_status: 'CHECKOUT_EXPIRED' }), true);
+  assert.equal(canStartCheckout({ booking_status: 'PAYMENT_FAILED' }), true);
+  assert.equal(canStartCheckout(BOOKED_LEAD), false);
+  assert.equal(canStartCheckout({ booking_status: 'CANCELLED' }), false);
+});
+
+test('books an open quote on account terms without a payment', () => {
+  assert.deepEqual(planInvoiceBooking({ booking_status: 'QUOTED' }), { bookingStatus: 'BOOKED', paymentStatus: 'INVOICED' });
+  assert.deepEqual(planInvoiceBooking({ booking_status: 'CHECKOUT_EXPIRED' }).paymentStatus, 'INVOICED');
+  assert.throws(() => planInvoiceBooking(BOOKED_LEAD), BookingTransitionError);
+});
+
+test('books a paid session while the quote is open and never overwrites a booking', () => {
+  const started = { booking_status: 'CHECKOUT_STARTED', payment_status: 'UNPAID', stripe_session_id: 'cs_1' };
+  assert.deepEqual(planCheckoutPaid(started), { bookingStatus: 'BOOKED', paymentStatus: 'PAID' });
+  assert.deepEqual(planCheckoutPaid({ ...started, booking_status: 'CHECKOUT_EXPIRED' }), { bookingStatus: 'BOOKED', paymentStatus: 'PAID' });
+  assert.equal(planCheckoutPaid({ ...started, booking_status: 'BOOKED', payment_status: 'INVOICED' }), null);
+  assert.equal(planCheckoutPaid({ ...started, booking_status: 'CANCELLED', payment_status: 'REFUNDED' }), null);
+  assert.equal(planCheckoutPaid(null), null);
+});
+
+test('settles an unmatched payment once Stripe has refunded all of it', () => {
+  const payment = { amount: '120.00', refunded_amount: '0.00', status: 'OPEN' };
+  assert.deepEqual(planUnmatchedPaymentRefund(payment, { amount_refunded: 5000 }), { status: 'OPEN', refundedAmount: 50 });
+  assert.deepEqual(planUnmatchedPaymentRefund(payment, { amount_refunded: 12000 }), { status: 'REFUNDED', refundedAmount: 120 });
+  assert.deepEqual(planUnmatchedPaymentRefund({ ...payment, status: 'DISPUTED' }, { amount_refunded: 12000 }).status, 'DISPUTED');
+  assert.deepEqual(planUnmatchedPaymentDispute(payment), { status: 'DISPUTED', refundedAmount: 0 });
+});
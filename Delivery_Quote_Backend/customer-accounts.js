@@ -0,0 +1,188 @@
+'use strict';
+
+const { QUOTE_RULES, mergeRateCardRules, normalizeRateCardRules } = require('./rate-cards');
+const { normalizeEmail } = require('./email-validation');
+const { cleanText } = require('./alert-content');
+
+// Days after the statement period closes that an invoice is due.
+const PAYMENT_TERMS = Object.freeze({
+  DUE_ON_RECEIPT: 0,
+  NET_15: 15,
+  NET_30: 30,
+  NET_45: 45,
+  NET_60: 60,
+});
+
+// Accounts may negotiate prices, never vehicle capacities or weight limits.
+const RATE_OVERRIDE_FIELDS = Object.freeze([
+  'vehicleRates',
+  'vehicleMinimums',
+  'urgencyFees',
+  'handlingRules',
+  'weightRate',
+  'lateNightFee',
+  'additionalStopFee',
+  'extraLaborerFee',
+  'stairFeePerFlight',
+]);
+
+const STATEMENT_STATUS = Object.freeze({
+  OPEN: 'OPEN',
+  PAID: 'PAID',
+});
+
+class AccountError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'AccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseAccountId(value) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id < 1) throw new AccountError('Account was not found.', 404);
+  return id;
+}
+
+function parseRateOverrides(value) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw new AccountError('rateOverrides must be an object.');
+  const unknown = Object.keys(value).filter(key => !RATE_OVERRIDE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new AccountError(`rateOverrides may only change ${RATE_OVERRIDE_FIELDS.join(', ')}; remove ${unknown.join(', ')}.`);
+  }
+  try {
+    normalizeRateCardRules(mergeRateCardRules(QUOTE_RULES, value));
+  } catch (error) {
+    throw new AccountError(`rateOverrides: ${error.message}`);
+  }
+  return value;
+}
+
+function parseAccountInput(body = {}, { partial = false } = {}) {
+  const account = {};
+  if (!partial || body.name !== undefined) {
+    account.name = cleanText(body.name, 150);
+    if (!account.name) throw new AccountError('name is required.');
+  }
+  if (!partial || body.billingEmail !== undefined) {
+    account.billingEmail = normalizeEmail(body.billingEmail);
+    if (!account.billingEmail) throw new AccountError('billingEmail must be a valid email address.');
+  }
+  if (!partial || body.paymentTerms !== undefined) {
+    account.paymentTerms = String(body.paymentTerms ?? 'NET_30').trim().toUpperCase();
+    if (PAYMENT_TERMS[account.paymentTerms] === undefined) {
+      throw new AccountError(`paymentTerms must be one of ${Object.keys(PAYMENT_TERMS).join(', ')}.`);
+    }
+  }
+  for (const field of ['invoiceBilling', 'active']) {
+    if (partial && body[field] === undefined) continue;
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') throw new AccountError(`${field} must be true or false.`);
+    account[field] = body[field] ?? (field === 'active');
+  }
+  if (!partial || body.rateOverrides !== undefined) account.rateOverrides = parseRateOverrides(body.rateOverrides);
+  if (partial && !Object.keys(account).length) {
+    throw new AccountError('Send at least one account field to update.');
+  }
+  return account;
+}
+
+function parseAccountUserInput(body = {}) {
+  const name = cleanText(body.name, 150);
+  if (!name) throw new AccountError('name is required.');
+  const email = normalizeEmail(body.email);
+  if (!email) throw new AccountError('email must be a valid email address.');
+  return { name, email };
+}
+
+function mapAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    billingEmail: row.billing_email,
+    paymentTerms: row.payment_terms,
+    invoiceBilling: row.invoice_billing,
+    rateOverrides: row.rate_overrides || {},
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapAccountUser(row) {
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    name: row.name,
+    email: row.email,
+    hasAccessKey: Boolean(row.access_token_hash),
+    active: row.active,
+    createdAt: row.created_at,
+  };
+}
+
+function mapStatement(row) {
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    bookingCount: Number(row.booking_count),
+    total: Number(row.total),
+    paymentTerms: row.payment_terms,
+    dueDate: row.due_date,
+    status: row.status,
+    createdAt: row.created_at,
+    paidAt: row.paid_at,
+  };
+}
+
+// The account's negotiated prices laid over the card in force, checked the
+// same way a published card is.
+function applyAccountRates(rateCard, account) {
+  if (!account || !Object.keys(account.rateOverrides || {}).length) return rateCard;
+  return {
+    ...rateCard,
+    rules: normalizeRateCardRules(mergeRateCardRules(rateCard.rules, account.rateOverrides)),
+  };
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Statements default to the last full calendar month before `today`.
+function resolveStatementPeriod({ from, to } = {}, today) {
+  if (!from && !to) {
+    const [year, month] = today.split('-').map(Number);
+    const periodStart = new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 10);
+    return { periodStart, periodEnd: addDays(`${today.slice(0, 7)}-01`, -1) };
+  }
+  if (!from || !to) throw new AccountError('Send both from and to, or neither for last month.');
+  if (to < from) throw new AccountError('to must be on or after from.');
+  if (to >= today) throw new AccountError('A statement can only cover days that have already ended.');
+  return { periodStart: from, periodEnd: to };
+}
+
+function computeStatementDueDate(periodEnd, paymentTerms) {
+  return addDays(periodEnd, PAYMENT_TERMS[paymentTerms] ?? PAYMENT_TERMS.NET_30);
+}
+
+module.exports = {
+  AccountError,
+  PAYMENT_TERMS,
+  RATE_OVERRIDE_FIELDS,
+  STATEMENT_STATUS,
+  applyAccountRates,
+  computeStatementDueDate,
+  mapAccount,
+  mapAccountUser,
+  mapStatement,
+  parseAccountId,
+  parseAccountInput,
+  parseAccountUserInput,
+  resolveStatementPeriod,
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QUOTE_RULES, QUOTE_VERSION } = require('./rate-cards');
+const {
+  AccountError,
+  applyAccountRates,
+  computeStatementDueDate,
+  parseAccountInput,
+  parseAccountUserInput,
+  resolveStatementPeriod,
+} = require('./customer-accounts');
+
+test('validates accounts and limits rate overrides to prices', () => {
+  const account = parseAccountInput({
+    name: ' Acme Labs ',
+    billingEmail: 'AP@Acme.example.com',
+    invoiceBilling: true,
+    rateOverrides: { vehicleRates: { cargo_van: 1.5 }, lateNightFee: 0 },
+  });
+  assert.equal(account.name, 'Acme Labs');
+  assert.equal(account.billingEmail, 'ap@acme.example.com');
+  assert.equal(account.paymentTerms, 'NET_30');
+  assert.equal(account.active, true);
+  assert.throws(() => parseAccountInput({ ...account, paymentTerms: 'NET_90' }), /paymentTerms must be one of/);
+  assert.throws(() => parseAccountInput({ ...account, rateOverrides: { maxTotalWeight: 99999 } }), /remove maxTotalWeight/);
+  assert.throws(() => parseAccountInput({ ...account, rateOverrides: { vehicleRates: { cargo_van: -1 } } }), AccountError);
+  assert.deepEqual(parseAccountInput({ invoiceBilling: false }, { partial: true }), { invoiceBilling: false });
+  assert.throws(() => parseAccountUserInput({ name: 'Pat', email: 'not-an-email' }), /valid email/);
+});
+
+test('lays negotiated rates over the card in force', () => {
+  const card = { id: 1, version: QUOTE_VERSION, rules: QUOTE_RULES };
+  const priced = applyAccountRates(card, { rateOverrides: { vehicleRates: { cargo_van: 1.5 } } });
+  assert.equal(priced.version, QUOTE_VERSION);
+  assert.equal(priced.rules.vehicleRates.cargo_van, 1.5);
+  assert.equal(priced.rules.vehicleRates.car, QUOTE_RULES.vehicleRates.car);
+  assert.equal(applyAccountRates(card, { rateOverrides: {} }), card);
+  assert.equal(applyAccountRates(card, null), card);
+});
+
+test('bills last month by default and dates the statement by payment terms', () => {
+  assert.deepEqual(resolveStatementPeriod({}, '2026-03-10'), { periodStart: '2026-02-01', periodEnd: '2026-02-28' });
+  assert.deepEqual(resolveStatementPeriod({}, '2026-01-05'), { periodStart: '2025-12-01', periodEnd: '2025-12-31' });
+  assert.deepEqual(
+    resolveStatementPeriod({ from: '2026-03-01', to: '2026-03-09' }, '2026-03-10'),
+    { periodStart: '2026-03-01', periodEnd: '2026-03-09' }
+  );
+  assert.throws(() => resolveStatementPeriod({ from: '2026-03-01', to: '2026-03-10' }, '2026-03-10'), /already ended/);
+  assert.throws(() => resolveStatementPeriod({ from: '2026-03-01' }, '2026-03-10'), /both from and to/);
+  assert.equal(computeStatementDueDate('2026-02-28', 'NET_30'), '2026-03-30');
+  assert.equal(computeStatementDueDate('2026-02-28', 'DUE_ON_RECEIPT'), '2026-02-28');
+});
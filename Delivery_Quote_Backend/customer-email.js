@@ -0,0 +1,168 @@
+'use strict';
+
+const {
+  PRICE_BREAKDOWN_LINES,
+  VEHICLE_LABELS,
+  cleanText,
+  escapeHtml,
+  formatDateTime,
+  formatQuoteAmount,
+  formatTimestamp,
+} = require('./alert-content');
+const { normalizeEmail } = require('./email-validation');
+const { createMailTransport } = require('./mailer');
+
+const CUSTOMER_EMAIL_KINDS = Object.freeze(['customer_quote', 'customer_receipt']);
+const SUPPORT_PHONE = '(813) 575-0387';
+
+function isCustomerEmailEnabled(env = process.env) {
+  return String(env.CUSTOMER_EMAILS_ENABLED || '').trim().toLowerCase() === 'true';
+}
+
+function describeShipment(leadData) {
+  const services = leadData?.serviceDetails || {};
+  const stops = Array.isArray(leadData?.stopsData) ? leadData.stopsData : [];
+  return [
+    ['Quote ID', cleanText(leadData?.quoteId, 40) || 'Unavailable'],
+    ['Vehicle', VEHICLE_LABELS[services.vehicleType] || cleanText(services.vehicleType) || 'Unavailable'],
+    ['Service', cleanText(services.urgencyLabel || services.urgency, 60) || 'Unavailable'],
+    ['Pickup', formatDateTime(services.pickupDate, services.pickupTime, services.timeZone)],
+    ['Delivery', formatDateTime(services.deliveryDate, services.deliveryTime, services.timeZone)],
+    ...stops.map((stop, index) => [
+      index === 0 ? 'Pickup address' : index === stops.length - 1 ? 'Delivery address' : `Stop ${index + 1}`,
+      cleanText(stop?.address, 160) || 'Unavailable',
+    ]),
+    ['Route', Number.isFinite(Number(leadData?.totalMiles)) ? `${Number(leadData.totalMiles).toFixed(1)} miles` : 'Unavailable'],
+  ];
+}
+
+function describeBreakdown(breakdown, total) {
+  if (!breakdown) return [['Total', formatQuoteAmount(total)]];
+  return [
+    ...PRICE_BREAKDOWN_LINES
+      .filter(([, field, alwaysShow]) => alwaysShow || Number(breakdown[field] || 0) !== 0)
+      .map(([label, field]) => [label, formatQuoteAmount(breakdown[field])]),
+    ['Total', formatQuoteAmount(total)],
+  ];
+}
+
+function renderRows(rows) {
+  return {
+    text: rows.map(([label, value]) => `${label}: ${value}`).join('\n'),
+    html: `<table cellpadding="4" style="border-collapse:collapse">${rows.map(([label, value]) =>
+      `<tr><th align="left" valign="top">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`,
+  };
+}
+
+function renderEmail({ subject, greeting, intro, sections, actions = [], closing }) {
+  const links = actions.filter(Boolean);
+  const rendered = sections.map(section => ({ title: section.title, ...renderRows(section.rows) }));
+  const text = [
+    greeting,
+    '',
+    intro,
+    ...rendered.flatMap(section => ['', section.title, section.text]),
+    ...(links.length ? ['', ...links.map(action => `${action.label}: ${action.url}`)] : []),
+    '',
+    closing,
+  ].join('\n');
+  const html = [
+    '<div style="font-family:sans-serif;font-size:15px;line-height:1.5;color:#1f2933">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    ...rendered.map(section => `<h3 style="margin:20px 0 6px">${escapeHtml(section.title)}</h3>${section.html}`),
+    links.length ? `<p style="margin:24px 0">${links.map(action =>
+      `<a href="${escapeHtml(action.url)}" style="display:inline-block;margin:0 8px 8px 0;background:#0b5cab;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a>`).join('')}</p>` : '',
+    `<p>${escapeHtml(closing)}</p>`,
+    '</div>',
+  ].join('\n');
+  return { subject, text: `${text}\n`, html };
+}
+
+function greetingFor(leadData) {
+  const name = cleanText(leadData?.contactDetails?.name, 70);
+  return name ? `Hi ${name},` : 'Hello,';
+}
+
+function renderQuoteEmail(leadData, details = {}) {
+  const quoteId = cleanText(leadData?.quoteId, 40);
+  const amount = formatQuoteAmount(leadData?.calculatedQuote);
+  return renderEmail({
+    subject: `Your Xpedite Now delivery quote ${quoteId}: ${amount}`,
+    greeting: greetingFor(leadData),
+    intro: `Thanks for requesting a delivery quote. Your price of ${amount} is held until ${formatTimestamp(details.quoteExpiresAt, details.timeZone || leadData?.serviceDetails?.timeZone)}.`,
+    sections: [
+      { title: 'Price details', rows: describeBreakdown(details.breakdown, leadData?.calculatedQuote) },
+      { title: 'Delivery details', rows: describeShipment(leadData) },
+    ],
+    actions: [details.resumeUrl && { label: 'Resume booking', url: details.resumeUrl }],
+    closing: `Questions? Reply to this email or call ${SUPPORT_PHONE}.`,
+  });
+}
+
+function renderReceiptEmail(leadData, details = {}) {
+  const quoteId = cleanText(leadData?.quoteId, 40);
+  const amount = formatQuoteAmount(details.amountPaid ?? leadData?.calculatedQuote);
+  return renderEmail({
+    subject: `Booking confirmed: ${quoteId} (${amount} paid)`,
+    greeting: greetingFor(leadData),
+    intro: 'Your payment was received and your delivery is booked. Dispatch will contact you if anything about the pickup changes.',
+    sections: [
+      {
+        title: 'Receipt',
+        rows: [
+          ['Amount paid', amount],
+          ['Paid', formatTimestamp(details.paidAt, details.timeZone || leadData?.serviceDetails?.timeZone)],
+          ['Payment reference', cleanText(details.paymentIntentId, 80) || 'Unavailable'],
+        ],
+      },
+      { title: 'Delivery details', rows: describeShipment(leadData) },
+    ],
+    actions: [
+      details.trackingUrl && { label: 'Track your delivery', url: details.trackingUrl },
+      details.invoiceUrl && { label: 'Download your invoice', url: details.invoiceUrl },
+    ],
+    closing: `Questions? Reply to this email or call ${SUPPORT_PHONE}.`,
+  });
+}
+
+const RENDERERS = Object.freeze({
+  customer_quote: renderQuoteEmail,
+  customer_receipt: renderReceiptEmail,
+});
+
+// Outbox channel for customer-facing email. Payload is { to, leadData, details };
+// `to` is the address already normalized and domain-checked at quote time.
+function createCustomerEmailChannel({ env = process.env, transport = null } = {}) {
+  let mailTransport = transport;
+  return {
+    isEnabled: isCustomerEmailEnabled,
+    accepts: kind => CUSTOMER_EMAIL_KINDS.includes(kind),
+    async send(kind, payload = {}) {
+      const render = RENDERERS[kind];
+      if (!render) throw new Error(`Unknown customer email kind: ${kind}`);
+      const to = normalizeEmail(payload.to);
+      if (!to) return { sent: false, reason: 'invalid recipient' };
+      const from = String(env.CUSTOMER_EMAIL_FROM || '').trim();
+      if (!from) throw new Error('CUSTOMER_EMAIL_FROM is required for customer emails.');
+
+      mailTransport = mailTransport || createMailTransport(env);
+      const replyTo = String(env.CUSTOMER_EMAIL_REPLY_TO || '').trim();
+      const info = await mailTransport.sendMail({
+        from,
+        to,
+        replyTo: replyTo || undefined,
+        ...render(payload.leadData, payload.details || {}),
+      });
+      return { sent: true, requestId: info?.messageId || null };
+    },
+  };
+}
+
+module.exports = {
+  CUSTOMER_EMAIL_KINDS,
+  createCustomerEmailChannel,
+  isCustomerEmailEnabled,
+  renderQuoteEmail,
+  renderReceiptEmail,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCustomerEmailChannel, renderQuoteEmail, renderReceiptEmail } = require('./customer-email');
+
+const SAMPLE_LEAD = {
+  quoteId: 'XN-20260820-A1B2C3',
+  contactDetails: { name: 'Teena Marie', email: 'office@xpeditenow.com' },
+  stopsData: [
+    { address: '7841 Carriage Pointe Dr, Gibsonton, FL' },
+    { address: '4217 Empire Place, Tampa, FL' },
+  ],
+  serviceDetails: { vehicleType: 'cargo_van', urgencyLabel: 'Standard', pickupDate: '2026-08-21', pickupTime: '09:00' },
+  totalMiles: 15,
+  calculatedQuote: 95,
+};
+
+test('renders the quote email with its breakdown and resume link', () => {
+  const email = renderQuoteEmail(SAMPLE_LEAD, {
+    breakdown: { mileageCost: 30, weightCost: 5, urgencyPremium: 0, minimumAdjustment: 60 },
+    quoteExpiresAt: '2026-08-21T15:00:00.000Z',
+    resumeUrl: 'https://xpeditenow.com/?resumeQuote=XN-20260820-A1B2C3&token=abc',
+  });
+  assert.equal(email.subject, 'Your Xpedite Now delivery quote XN-20260820-A1B2C3: $95.00');
+  assert.match(email.text, /held until Aug 21, 2026, 11:00\sAM EDT/);
+  assert.match(email.text, /Mileage: \$30\.00\nWeight: \$5\.00\nMinimum-charge adjustment: \$60\.00\nTotal: \$95\.00/);
+  assert.doesNotMatch(email.text, /Urgency:/);
+  assert.match(email.text, /Resume booking: https:\/\/xpeditenow\.com\/\?resumeQuote=XN-20260820-A1B2C3&token=abc/);
+  assert.match(email.html, /href="https:\/\/xpeditenow\.com\/\?resumeQuote=XN-20260820-A1B2C3&amp;token=abc"/);
+});
+
+test('renders the booking receipt from the paid amount', () => {
+  const email = renderReceiptEmail(SAMPLE_LEAD, { amountPaid: 95, paidAt: '2026-08-20T16:30:00.000Z', paymentIntentId: 'pi_123' });
+  assert.equal(email.subject, 'Booking confirmed: XN-20260820-A1B2C3 ($95.00 paid)');
+  assert.match(email.text, /Amount paid: \$95\.00\nPaid: Aug 20, 2026, 12:30\sPM EDT\nPayment reference: pi_123/);
+  assert.match(email.text, /Delivery address: 4217 Empire Place, Tampa, FL/);
+  assert.doesNotMatch(email.text, /Track your delivery/);
+});
+
+test('links the receipt to order tracking and the invoice', () => {
+  const email = renderReceiptEmail(SAMPLE_LEAD, {
+    amountPaid: 95,
+    trackingUrl: 'https://xpeditenow.com/order-status.html?quote=XN-20260820-A1B2C3&token=abc',
+    invoiceUrl: 'https://api.xpeditenow.com/quotes/XN-20260820-A1B2C3/invoice.pdf?token=def',
+  });
+  assert.match(email.text, /Track your delivery: https:\/\/xpeditenow\.com\/order-status\.html\?quote=XN-20260820-A1B2C3&token=abc\nDownload your invoice: /);
+  assert.equal(email.html.match(/<a href=/g).length, 2);
+});
+
+test('sends through the injected transport and skips unusable addresses', async () => {
+  const sent = [];
+  const channel = createCustomerEmailChannel({
+    env: { CUSTOMER_EMAILS_ENABLED: 'true', CUSTOMER_EMAIL_FROM: 'quotes@xpeditenow.com' },
+    transport: { sendMail: async message => { sent.push(message); return { messageId: '<c1@test>' }; } },
+  });
+  assert.equal(channel.accepts('customer_receipt'), true);
+  assert.equal(channel.accepts('booking'), false);
+  await channel.send('customer_quote', { to: ' Office@XpediteNow.com ', leadData: SAMPLE_LEAD, details: {} });
+  assert.equal(sent[0].to, 'office@xpeditenow.com');
+  assert.deepEqual(await channel.send('customer_quote', { to: 'not-an-email', leadData: SAMPLE_LEAD }), { sent: false, reason: 'invalid recipient' });
+  assert.equal(sent.length, 1);
+});
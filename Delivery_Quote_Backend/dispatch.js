@@ -0,0 +1,205 @@
+'use strict';
+
+const { BOOKING_STATUS } = require('./booking-status');
+const { VEHICLE_TYPES } = require('./rate-cards');
+const { cleanText } = require('./alert-content');
+const { normalizeEmail } = require('./email-validation');
+const { resolveServiceWindow } = require('./scheduling');
+
+const ASSIGNMENT_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  REPLACED: 'REPLACED',
+  RELEASED: 'RELEASED',
+});
+
+// Bookings in these states no longer need a driver.
+const RELEASING_BOOKING_STATUSES = Object.freeze([BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REFUNDED]);
+
+class DispatchError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'DispatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseVehicleTypes(value) {
+  if (!Array.isArray(value) || !value.length) {
+    throw new DispatchError('vehicleTypes must list at least one vehicle the driver can run.');
+  }
+  const vehicleTypes = [...new Set(value.map(type => String(type).trim()))];
+  const unknown = vehicleTypes.filter(type => !VEHICLE_TYPES.includes(type));
+  if (unknown.length) {
+    throw new DispatchError(`Unknown vehicle type(s): ${unknown.join(', ')}.`);
+  }
+  return vehicleTypes;
+}
+
+// Validates a driver create (all required fields) or update (only the fields sent).
+function parseDriverInput(body = {}, { partial = false } = {}) {
+  const driver = {};
+  if (!partial || body.name !== undefined) {
+    driver.name = cleanText(body.name, 120);
+    if (!driver.name) throw new DispatchError('name is required.');
+  }
+  if (!partial || body.phone !== undefined) {
+    driver.phone = cleanText(body.phone, 40);
+    if (!driver.phone) throw new DispatchError('phone is required so dispatch can reach the driver.');
+  }
+  if (body.email !== undefined && body.email !== null && body.email !== '') {
+    driver.email = normalizeEmail(body.email);
+    if (!driver.email) throw new DispatchError('email is not a valid address.');
+  } else if (body.email !== undefined) {
+    driver.email = null;
+  }
+  if (!partial || body.vehicleTypes !== undefined) {
+    driver.vehicleTypes = parseVehicleTypes(body.vehicleTypes);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw new DispatchError('active must be true or false.');
+    driver.active = body.active;
+  }
+  if (body.notes !== undefined) driver.notes = cleanText(body.notes, 500) || null;
+  if (partial && !Object.keys(driver).length) {
+    throw new DispatchError('Send at least one driver field to update.');
+  }
+  return driver;
+}
+
+function parseDriverId(value) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id < 1) throw new DispatchError('driverId must be a driver ID.');
+  return id;
+}
+
+function parseScheduleDate(value, fallback) {
+  const text = String(value ?? '').trim() || fallback;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || new Date(`${text}T00:00:00Z`).toISOString().slice(0, 10) !== text) {
+    throw new DispatchError('date must be a calendar date (YYYY-MM-DD).');
+  }
+  return text;
+}
+
+function resolveAssignmentWindow(lead) {
+  try {
+    return resolveServiceWindow({
+      pickupDate: lead.pickup_date,
+      pickupTime: lead.pickup_time,
+      deliveryDate: lead.delivery_date,
+      deliveryTime: lead.delivery_time,
+      timeZone: lead.time_zone,
+    });
+  } catch (error) {
+    throw new DispatchError(`This booking has no usable schedule: ${error.message}`);
+  }
+}
+
+// Checks that a paid booking can go to this driver and vehicle. `conflicts`
+// are the driver's other active assignments overlapping the booking window.
+function planAssignment({ lead, driver, vehicleType, current = null, conflicts = [] }) {
+  if (lead.booking_status !== BOOKING_STATUS.BOOKED) {
+    throw new DispatchError(`Only paid, booked loads can be assigned; this quote is ${lead.booking_status || 'not booked'}.`, 409);
+  }
+  if (!driver.active) {
+    throw new DispatchError(`${driver.name} is not active and cannot take loads.`, 409);
+  }
+  const bookedVehicle = lead.vehicle_type;
+  const assignedVehicle = String(vehicleType || bookedVehicle || '').trim();
+  if (!VEHICLE_TYPES.includes(assignedVehicle)) {
+    throw new DispatchError(`vehicleType must be one of ${VEHICLE_TYPES.join(', ')}.`);
+  }
+  // A larger vehicle can always run a smaller booking, never the reverse.
+  if (VEHICLE_TYPES.includes(bookedVehicle) && VEHICLE_TYPES.indexOf(assignedVehicle) < VEHICLE_TYPES.indexOf(bookedVehicle)) {
+    throw new DispatchError(`This load was booked for a ${bookedVehicle}; a ${assignedVehicle} is too small.`);
+  }
+  if (!(driver.vehicle_types || []).includes(assignedVehicle)) {
+    throw new DispatchError(`${driver.name} is not set up to drive a ${assignedVehicle}.`);
+  }
+  if (current && current.driver_id === driver.id && current.vehicle_type === assignedVehicle) {
+    throw new DispatchError(`This load is already assigned to ${driver.name}.`, 409);
+  }
+  if (conflicts.length) {
+    throw new DispatchError(`${driver.name} is already running ${conflicts.map(conflict => conflict.quote_id).join(', ')} during this window.`, 409);
+  }
+  return {
+    driverId: driver.id,
+    vehicleType: assignedVehicle,
+    replacesAssignmentId: current ? current.id : null,
+  };
+}
+
+function mapDriver(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phone: row.phone,
+    email: row.email,
+    vehicleTypes: row.vehicle_types || [],
+    active: row.active,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapAssignment(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    driverId: row.driver_id,
+    driverName: row.driver_name ?? undefined,
+    vehicleType: row.vehicle_type,
+    status: row.status,
+    scheduledStart: row.scheduled_start,
+    scheduledEnd: row.scheduled_end,
+    assignedBy: row.assigned_by,
+    notes: row.notes,
+    createdAt: row.created_at,
+    endedAt: row.ended_at,
+  };
+}
+
+// Groups the day's active assignments (joined to their leads) under each
+// driver. Inactive drivers only appear if they still have work that day.
+function buildDriverSchedule(drivers, assignmentRows) {
+  const jobsByDriver = new Map();
+  assignmentRows.forEach(row => {
+    const stops = Array.isArray(row.lead_payload?.stopsData) ? row.lead_payload.stopsData : [];
+    const jobs = jobsByDriver.get(row.driver_id) || [];
+    jobs.push({
+      assignmentId: row.id,
+      quoteId: row.quote_id,
+      vehicleType: row.vehicle_type,
+      scheduledStart: row.scheduled_start,
+      scheduledEnd: row.scheduled_end,
+      bookingStatus: row.booking_status,
+      customer: { name: row.contact_name, phone: row.contact_phone, company: row.contact_company },
+      pickupAddress: stops[0]?.address || null,
+      deliveryAddress: stops.length > 1 ? stops[stops.length - 1].address : null,
+      stopCount: stops.length,
+      notes: row.notes,
+    });
+    jobsByDriver.set(row.driver_id, jobs);
+  });
+  return drivers
+    .filter(driver => driver.active || jobsByDriver.has(driver.id))
+    .map(driver => ({
+      driver: mapDriver(driver),
+      jobs: (jobsByDriver.get(driver.id) || [])
+        .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart)),
+    }));
+}
+
+module.exports = {
+  ASSIGNMENT_STATUS,
+  DispatchError,
+  RELEASING_BOOKING_STATUSES,
+  buildDriverSchedule,
+  mapAssignment,
+  mapDriver,
+  parseDriverId,
+  parseDriverInput,
+  parseScheduleDate,
+  planAssignment,
+  resolveAssignmentWindow,
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DispatchError,
+  buildDriverSchedule,
+  parseDriverInput,
+  parseScheduleDate,
+  planAssignment,
+  resolveAssignmentWindow,
+} = require('./dispatch');
+
+const BOOKED_LEAD = Object.freeze({
+  quote_id: 'XN-20260820-A1B2C3',
+  booking_status: 'BOOKED',
+  vehicle_type: 'cargo_van',
+  pickup_date: '2026-08-21',
+  pickup_time: '09:00',
+  delivery_date: '2026-08-21',
+  delivery_time: '13:00',
+});
+const DRIVER = Object.freeze({ id: 7, name: 'Sam Ortiz', active: true, vehicle_types: ['cargo_van', 'box_truck'] });
+
+test('validates new drivers and partial updates', () => {
+  assert.deepEqual(parseDriverInput({
+    name: ' Sam  Ortiz ',
+    phone: '813-555-0100',
+    email: 'Sam@XpediteNow.com',
+    vehicleTypes: ['cargo_van', 'cargo_van'],
+  }), { name: 'Sam Ortiz', phone: '813-555-0100', email: 'sam@xpeditenow.com', vehicleTypes: ['cargo_van'] });
+  assert.deepEqual(parseDriverInput({ active: false }, { partial: true }), { active: false });
+  assert.throws(() => parseDriverInput({ name: 'Sam', phone: '1', vehicleTypes: ['hovercraft'] }), /Unknown vehicle type\(s\): hovercraft/);
+  assert.throws(() => parseDriverInput({}, { partial: true }), DispatchError);
+});
+
+test('assigns a booked load to an active driver with a large enough vehicle', () => {
+  assert.deepEqual(planAssignment({ lead: BOOKED_LEAD, driver: DRIVER }), {
+    driverId: 7,
+    vehicleType: 'cargo_van',
+    replacesAssignmentId: null,
+  });
+  assert.equal(planAssignment({ lead: BOOKED_LEAD, driver: DRIVER, vehicleType: 'box_truck' }).vehicleType, 'box_truck');
+  assert.throws(
+    () => planAssignment({ lead: BOOKED_LEAD, driver: { ...DRIVER, vehicle_types: ['car', 'suv'] }, vehicleType: 'suv' }),
+    /booked for a cargo_van; a suv is too small/
+  );
+  assert.throws(
+    () => planAssignment({ lead: BOOKED_LEAD, driver: { ...DRIVER, vehicle_types: ['box_truck'] } }),
+    /not set up to drive a cargo_van/
+  );
+});
+
+test('refuses unpaid loads, inactive drivers and overlapping jobs', () => {
+  const conflict = error => error instanceof DispatchError && error.statusCode === 409;
+  assert.throws(() => planAssignment({ lead: { ...BOOKED_LEAD, booking_status: 'CHECKOUT_STARTED' }, driver: DRIVER }), conflict);
+  assert.throws(() => planAssignment({ lead: BOOKED_LEAD, driver: { ...DRIVER, active: false } }), conflict);
+  assert.throws(
+    () => planAssignment({ lead: BOOKED_LEAD, driver: DRIVER, conflicts: [{ quote_id: 'XN-20260820-FFFFFF' }] }),
+    /already running XN-20260820-FFFFFF/
+  );
+});
+
+test('reassigns by replacing the current assignment', () => {
+  const current = { id: 3, driver_id: 4, vehicle_type: 'cargo_van' };
+  assert.equal(planAssignment({ lead: BOOKED_LEAD, driver: DRIVER, current }).replacesAssignmentId, 3);
+  assert.throws(() => planAssignment({ lead: BOOKED_LEAD, driver: DRIVER, current: { ...current, driver_id: 7 } }), /already assigned to Sam Ortiz/);
+});
+
+test('reports bookings without a usable schedule as dispatch errors', () => {
+  assert.throws(() => resolveAssignmentWindow({ ...BOOKED_LEAD, delivery_time: null }), /no usable schedule/);
+  assert.equal(parseScheduleDate('', '2026-08-21'), '2026-08-21');
+  assert.throws(() => parseScheduleDate('2026-02-30'), /calendar date/);
+});
+
+test('groups the day schedule by driver in start order', () => {
+  const schedule = buildDriverSchedule(
+    [DRIVER, { id: 8, name: 'Idle Inactive', active: false, vehicle_types: ['car'] }, { id: 9, name: 'Free Driver', active: true, vehicle_types: ['car'] }],
+    [
+      { id: 2, driver_id: 7, quote_id: 'XN-20260820-BBBBBB', scheduled_start: '2026-08-21T17:00:00.000Z', lead_payload: { stopsData: [{ address: 'A' }, { address: 'B' }] } },
+      { id: 1, driver_id: 7, quote_id: 'XN-20260820-AAAAAA', scheduled_start: '2026-08-21T13:00:00.000Z', lead_payload: null },
+    ]
+  );
+  assert.deepEqual(schedule.map(entry => [entry.driver.name, entry.jobs.map(job => job.quoteId)]), [
+    ['Sam Ortiz', ['XN-20260820-AAAAAA', 'XN-20260820-BBBBBB']],
+    ['Free Driver', []],
+  ]);
+  assert.equal(schedule[0].jobs[1].deliveryAddress, 'B');
+});
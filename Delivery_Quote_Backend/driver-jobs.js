@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const { STOP_STATUS, STOP_STATUS_ORDER, isStopComplete } = require('./order-status');
+const { cleanText } = require('./alert-content');
+
+const PROOF_KINDS = Object.freeze(['photo', 'signature']);
+const PROOF_CONTENT_TYPES = Object.freeze({
+  'image/jpeg': { extension: 'jpg', magic: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: 'png', magic: [0x89, 0x50, 0x4e, 0x47] },
+  'image/webp': { extension: 'webp', magic: [0x52, 0x49, 0x46, 0x46] },
+});
+// Drivers may report a stop late from a dead zone, but not days later or ahead of the clock.
+const MAX_BACKDATE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class DriverJobError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'DriverJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseStopNumber(value, stopCount) {
+  const stopNumber = Number(value);
+  if (!Number.isInteger(stopNumber) || stopNumber < 1 || stopNumber > stopCount) {
+    throw new DriverJobError(`Stop must be a number from 1 to ${stopCount}.`, 404);
+  }
+  return stopNumber;
+}
+
+function parseRecordedAt(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return now;
+  const text = String(value);
+  const timestamp = Date.parse(text);
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !Number.isFinite(timestamp)) {
+    throw new DriverJobError('recordedAt must be an ISO 8601 timestamp with a time zone offset.');
+  }
+  if (timestamp > now.getTime() + MAX_CLOCK_SKEW_MS || timestamp < now.getTime() - MAX_BACKDATE_MS) {
+    throw new DriverJobError('recordedAt must be within the last 24 hours.');
+  }
+  return new Date(timestamp);
+}
+
+// Stops only move forward. The first stop is the pickup, so it finishes at
+// LOADED and can never be DELIVERED; later stops may pick up more freight.
+function planStopUpdate({ stopIndex, stopCount, currentStatus, status }) {
+  const nextStatus = String(status || '').trim().toUpperCase();
+  if (!STOP_STATUS_ORDER.includes(nextStatus) || nextStatus === STOP_STATUS.PENDING) {
+    throw new DriverJobError('status must be ARRIVED, LOADED or DELIVERED.');
+  }
+  if (stopIndex === 0 && nextStatus === STOP_STATUS.DELIVERED) {
+    throw new DriverJobError('The pickup stop is completed by marking it LOADED.');
+  }
+  const current = currentStatus || STOP_STATUS.PENDING;
+  if (STOP_STATUS_ORDER.indexOf(nextStatus) <= STOP_STATUS_ORDER.indexOf(current)) {
+    throw new DriverJobError(`Stop ${stopIndex + 1} is already ${current}.`, 409);
+  }
+  return {
+    status: nextStatus,
+    completesStop: isStopComplete(stopIndex, nextStatus),
+    isFinalStop: stopIndex === stopCount - 1,
+  };
+}
+
+function detectProofContentType(contentType, body) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const format = PROOF_CONTENT_TYPES[type];
+  if (!format) {
+    throw new DriverJobError(`Upload a ${Object.keys(PROOF_CONTENT_TYPES).join(', ')} image.`, 415);
+  }
+  if (!Buffer.isBuffer(body) || !body.length || !format.magic.every((byte, index) => body[index] === byte)) {
+    throw new DriverJobError(`The upload is not a valid ${type} image.`);
+  }
+  return { contentType: type, extension: format.extension };
+}
+
+function buildProofKey(quoteId, stopNumber, kind, extension, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, '');
+  return `pod/${quoteId}/stop-${stopNumber}-${kind}-${stamp}-${crypto.randomBytes(3).toString('hex')}.${extension}`;
+}
+
+function mapStopUpdate(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    stopNumber: row.stop_index + 1,
+    status: row.status,
+    driverId: row.driver_id,
+    note: row.note,
+    recordedAt: row.recorded_at,
+    createdAt: row.created_at,
+  };
+}
+
+function mapProof(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    stopNumber: row.stop_index + 1,
+    kind: row.kind,
+    contentType: row.content_type,
+    byteSize: row.byte_size,
+    sha256: row.sha256,
+    driverId: row.driver_id,
+    createdAt: row.created_at,
+  };
+}
+
+// What a driver needs to run one assigned load. Stop progress comes from
+// the order status so the driver and the customer see the same thing.
+function buildDriverJob(row, orderStatus, proofs = []) {
+  const payload = row.lead_payload && typeof row.lead_payload === 'object' ? row.lead_payload : {};
+  const services = payload.serviceDetails || {};
+  const stops = Array.isArray(payload.stopsData) ? payload.stopsData : [];
+  return {
+    quoteId: row.quote_id,
+    assignmentId: row.id,
+    vehicleType: row.vehicle_type,
+    scheduledStart: row.scheduled_start,
+    scheduledEnd: row.scheduled_end,
+    phase: orderStatus.phase,
+    customer: {
+      name: row.contact_name,
+      phone: row.contact_phone,
+      company: row.contact_company,
+    },
+    specialNotes: cleanText(services.specialNotes, 500) || null,
+    dispatchNotes: row.notes,
+    packages: Array.isArray(payload.packagesData) ? payload.packagesData : [],
+    stops: orderStatus.stops.map((stop, index) => ({
+      ...stop,
+      loadUnload: stops[index]?.loadUnload || null,
+      stairs: Boolean(stops[index]?.stairs),
+      stairFlights: Number(stops[index]?.stairFlights) || 0,
+      proofs: proofs.filter(proof => proof.stop_index === index).map(mapProof),
+    })),
+  };
+}
+
+module.exports = {
+  DriverJobError,
+  PROOF_KINDS,
+  buildDriverJob,
+  buildProofKey,
+  detectProofContentType,
+  mapProof,
+  mapStopUpdate,
+  parseRecordedAt,
+  parseStopNumber,
+  planStopUpdate,
+};
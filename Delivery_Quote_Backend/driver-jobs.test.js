@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrderStatus } = require('./order-status');
+const {
+  DriverJobError,
+  buildDriverJob,
+  buildProofKey,
+  detectProofContentType,
+  parseRecordedAt,
+  parseStopNumber,
+  planStopUpdate,
+} = require('./driver-jobs');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('moves stops forward only and completes the pickup at LOADED', () => {
+  assert.deepEqual(planStopUpdate({ stopIndex: 0, stopCount: 2, currentStatus: 'ARRIVED', status: 'loaded' }), {
+    status: 'LOADED',
+    completesStop: true,
+    isFinalStop: false,
+  });
+  assert.equal(planStopUpdate({ stopIndex: 1, stopCount: 2, currentStatus: 'PENDING', status: 'DELIVERED' }).completesStop, true);
+  assert.equal(planStopUpdate({ stopIndex: 1, stopCount: 3, currentStatus: 'ARRIVED', status: 'LOADED' }).completesStop, false);
+  assert.throws(() => planStopUpdate({ stopIndex: 0, stopCount: 2, status: 'DELIVERED' }), /completed by marking it LOADED/);
+  assert.throws(
+    () => planStopUpdate({ stopIndex: 1, stopCount: 2, currentStatus: 'DELIVERED', status: 'ARRIVED' }),
+    error => error instanceof DriverJobError && error.statusCode === 409
+  );
+  assert.throws(() => planStopUpdate({ stopIndex: 1, stopCount: 2, status: 'PENDING' }), /ARRIVED, LOADED or DELIVERED/);
+});
+
+test('validates stop numbers and reported times', () => {
+  assert.equal(parseStopNumber('2', 3), 2);
+  assert.throws(() => parseStopNumber('4', 3), /from 1 to 3/);
+  const now = new Date('2026-08-21T15:00:00.000Z');
+  assert.equal(parseRecordedAt(undefined, now), now);
+  assert.equal(parseRecordedAt('2026-08-21T10:30:00-04:00', now).toISOString(), '2026-08-21T14:30:00.000Z');
+  assert.throws(() => parseRecordedAt('2026-08-21T10:30:00', now), /time zone offset/);
+  assert.throws(() => parseRecordedAt('2026-08-19T10:30:00Z', now), /last 24 hours/);
+});
+
+test('accepts only real image uploads for proof of delivery', () => {
+  assert.deepEqual(detectProofContentType('image/png', PNG), { contentType: 'image/png', extension: 'png' });
+  assert.throws(() => detectProofContentType('image/jpeg', PNG), /not a valid image\/jpeg image/);
+  assert.throws(() => detectProofContentType('application/pdf', PNG), error => error.statusCode === 415);
+  assert.match(
+    buildProofKey('XN-20260820-A1B2C3', 2, 'signature', 'png', new Date('2026-08-21T15:00:00.000Z')),
+    /^pod\/XN-20260820-A1B2C3\/stop-2-signature-20260821T150000000Z-[a-f0-9]{6}\.png$/
+  );
+});
+
+test('builds the driver view of a job with stop progress and proofs', () => {
+  const row = {
+    id: 11,
+    quote_id: 'XN-20260820-A1B2C3',
+    booking_status: 'BOOKED',
+    vehicle_type: 'cargo_van',
+    contact_name: 'Teena Marie',
+    contact_phone: '8135550100',
+    notes: 'Call on arrival',
+    lead_payload: {
+      stopsData: [{ address: 'A', loadUnload: 'driver' }, { address: 'B', stairs: true, stairFlights: 2 }],
+      serviceDetails: { specialNotes: 'Fragile' },
+    },
+  };
+  const order = buildOrderStatus(row, [{ stop_index: 0, status: 'LOADED', recorded_at: '2026-08-21T13:00:00.000Z' }]);
+  const job = buildDriverJob(row, order, [{ id: 5, stop_index: 0, kind: 'photo', content_type: 'image/jpeg' }]);
+  assert.equal(job.phase, 'IN_PROGRESS');
+  assert.equal(job.dispatchNotes, 'Call on arrival');
+  assert.deepEqual(job.stops.map(stop => [stop.status, stop.completed, stop.proofs.length]), [['LOADED', true, 1], ['PENDING', false, 0]]);
+  assert.equal(job.stops[1].stairFlights, 2);
+});
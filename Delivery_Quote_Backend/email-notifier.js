@@ -0,0 +1,62 @@
+'use strict';
+
+const { buildAlertContent, escapeHtml, parseAlertKinds } = require('./alert-content');
+const { createMailTransport } = require('./mailer');
+
+function isEmailAlertEnabled(env = process.env) {
+  return String(env.EMAIL_NOTIFICATIONS_ENABLED || '').trim().toLowerCase() === 'true';
+}
+
+function parseRecipients(value) {
+  return String(value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+function renderEmailAlert(content) {
+  const text = `${content.summary.join('\n')}\n\n${content.lines.join('\n')}\n`;
+  const html = [
+    `<h2 style="margin:0 0 8px">${escapeHtml(content.heading)}</h2>`,
+    `<p style="margin:0 0 12px"><strong>${content.summary.map(escapeHtml).join('<br>')}</strong></p>`,
+    '<table cellpadding="4" style="border-collapse:collapse;font-family:sans-serif;font-size:14px">',
+    ...content.lines.map(line => {
+      const separator = line.indexOf(': ');
+      if (separator === -1) return `<tr><td colspan="2">${escapeHtml(line)}</td></tr>`;
+      return `<tr><th align="left" valign="top">${escapeHtml(line.slice(0, separator))}</th><td>${escapeHtml(line.slice(separator + 2))}</td></tr>`;
+    }),
+    '</table>',
+  ].join('\n');
+  return { subject: content.title, text, html };
+}
+
+// Emails dispatch through the MAIL_TRANSPORT (SMTP in production). Pass
+// `transport` (anything with sendMail) to replace it, e.g. in tests.
+function createEmailNotifier({ env = process.env, transport = null } = {}) {
+  const kinds = parseAlertKinds(env.EMAIL_ALERT_KINDS, undefined, 'EMAIL_ALERT_KINDS');
+  let mailTransport = transport;
+
+  return {
+    isEnabled: isEmailAlertEnabled,
+    accepts: kind => kinds.includes(kind),
+    async send(kind, payload = {}) {
+      const from = String(env.EMAIL_ALERT_FROM || '').trim();
+      const to = parseRecipients(env.EMAIL_ALERT_TO);
+      if (!from || !to.length) {
+        throw new Error('EMAIL_ALERT_FROM and EMAIL_ALERT_TO are required for email alerts.');
+      }
+      const content = buildAlertContent(kind, payload.leadData, payload.details || {});
+      mailTransport = mailTransport || createMailTransport(env);
+      const info = await mailTransport.sendMail({
+        from,
+        to,
+        ...renderEmailAlert(content),
+        priority: content.urgent ? 'high' : 'normal',
+      });
+      return { sent: true, requestId: info?.messageId || null };
+    },
+  };
+}
+
+module.exports = {
+  createEmailNotifier,
+  isEmailAlertEnabled,
+  renderEmailAlert,
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEmailNotifier } = require('./email-notifier');
+
+const SAMPLE_LEAD = {
+  quoteId: 'XN-20260820-A1B2C3',
+  contactDetails: { name: 'Teena Marie <Dispatch>' },
+  serviceDetails: { vehicleType: 'box_truck' },
+  calculatedQuote: 310,
+};
+
+const ENV = Object.freeze({
+  EMAIL_NOTIFICATIONS_ENABLED: 'true',
+  EMAIL_ALERT_FROM: 'alerts@xpeditenow.com',
+  EMAIL_ALERT_TO: 'dispatch@xpeditenow.com, owner@xpeditenow.com',
+});
+
+test('emails the alert as text and escaped HTML through the injected transport', async () => {
+  const sent = [];
+  const notifier = createEmailNotifier({
+    env: ENV,
+    transport: { sendMail: async message => { sent.push(message); return { messageId: '<m1@test>' }; } },
+  });
+  assert.equal(notifier.isEnabled(ENV), true);
+  const result = await notifier.send('booking', { leadData: SAMPLE_LEAD, details: { leadId: 7 } });
+  assert.deepEqual(result, { sent: true, requestId: '<m1@test>' });
+  assert.deepEqual(sent[0].to, ['dispatch@xpeditenow.com', 'owner@xpeditenow.com']);
+  assert.equal(sent[0].subject, 'LOAD PAID & BOOKED | $310.00 | Box Truck');
+  assert.equal(sent[0].priority, 'high');
+  assert.match(sent[0].text, /^Price: \$310\.00\n\nQuote: XN-20260820-A1B2C3 \| Lead #7/);
+  assert.match(sent[0].html, /<th align="left" valign="top">Customer<\/th><td>Teena Marie &lt;Dispatch&gt;<\/td>/);
+});
+
+test('requires sender and recipients before sending', async () => {
+  const notifier = createEmailNotifier({
+    env: { EMAIL_NOTIFICATIONS_ENABLED: 'true', EMAIL_ALERT_KINDS: 'booking' },
+    transport: { sendMail: async () => assert.fail('should not send') },
+  });
+  assert.equal(notifier.accepts('quote'), false);
+  await assert.rejects(notifier.send('booking', { leadData: SAMPLE_LEAD }), /EMAIL_ALERT_FROM and EMAIL_ALERT_TO/);
+});
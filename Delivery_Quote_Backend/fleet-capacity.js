@@ -0,0 +1,181 @@
+'use strict';
+
+const { BOOKING_STATUS } = require('./booking-status');
+const { VEHICLE_TYPES } = require('./rate-cards');
+const { cleanText } = require('./alert-content');
+
+// Bookings in these states hold a vehicle for their pickup-to-deadline window.
+const CAPACITY_HOLDING_STATUSES = Object.freeze([BOOKING_STATUS.BOOKED]);
+const MAX_UNIT_COUNT = 500;
+
+const DOWNTIME_REASONS = Object.freeze({
+  MAINTENANCE: 'maintenance',
+  DRIVER_OFF: 'driver off',
+  INSPECTION: 'inspection',
+  OTHER: 'other',
+});
+
+function normalizeUnitCount(value) {
+  const count = Number(value);
+  if (value === null || value === '' || typeof value === 'boolean' || !Number.isInteger(count) ||
+      count < 0 || count > MAX_UNIT_COUNT) {
+    throw new Error(`unitCount must be a whole number from 0 to ${MAX_UNIT_COUNT}.`);
+  }
+  return count;
+}
+
+function parseDowntimeTimestamp(value, field) {
+  const text = String(value ?? '').trim();
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !Number.isFinite(Date.parse(text))) {
+    throw new Error(`${field} must be an ISO 8601 timestamp with a time zone offset.`);
+  }
+  return new Date(text);
+}
+
+// Validates a downtime create (all required fields) or update (only the
+// fields sent, checked against the saved window). `units` is null when the
+// whole vehicle type is down.
+function parseDowntimeInput(body = {}, { partial = false, existing = null } = {}) {
+  const downtime = {};
+  if (!partial || body.vehicleType !== undefined) {
+    downtime.vehicleType = String(body.vehicleType ?? '').trim();
+    if (!VEHICLE_TYPES.includes(downtime.vehicleType)) {
+      throw new Error(`vehicleType must be one of ${VEHICLE_TYPES.join(', ')}.`);
+    }
+  }
+  if (body.units !== undefined && body.units !== null && body.units !== '') {
+    downtime.units = normalizeUnitCount(body.units);
+    if (downtime.units < 1) throw new Error('units must be at least 1, or left empty when the whole vehicle type is down.');
+  } else if (!partial || body.units !== undefined) {
+    downtime.units = null;
+  }
+  if (!partial || body.startsAt !== undefined) downtime.startsAt = parseDowntimeTimestamp(body.startsAt, 'startsAt');
+  if (!partial || body.endsAt !== undefined) downtime.endsAt = parseDowntimeTimestamp(body.endsAt, 'endsAt');
+  if (!partial || body.reason !== undefined) {
+    downtime.reason = String(body.reason ?? '').trim().toUpperCase();
+    if (!DOWNTIME_REASONS[downtime.reason]) {
+      throw new Error(`reason must be one of ${Object.keys(DOWNTIME_REASONS).join(', ')}.`);
+    }
+  }
+  if (body.notes !== undefined) downtime.notes = cleanText(body.notes, 500) || null;
+  if (partial && !Object.keys(downtime).length) {
+    throw new Error('Send at least one downtime field to update.');
+  }
+
+  const startsAt = downtime.startsAt ?? existing?.startsAt;
+  const endsAt = downtime.endsAt ?? existing?.endsAt;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    throw new Error('endsAt must be after startsAt.');
+  }
+  return downtime;
+}
+
+function mapDowntime(row) {
+  return {
+    id: row.id,
+    vehicleType: row.vehicle_type,
+    units: row.units,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    reason: row.reason,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// The most units of each vehicle type tied up at the same moment, so two
+// back-to-back jobs inside the requested window only use one unit. Entries
+// may carry a `units` weight; downtime for a whole type weighs Infinity.
+function countPeakBookings(bookings) {
+  const eventsByType = new Map();
+  for (const booking of bookings) {
+    const startsAt = new Date(booking.startsAt).getTime();
+    const endsAt = new Date(booking.endsAt).getTime();
+    if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= startsAt) continue;
+    if (!eventsByType.has(booking.vehicleType)) eventsByType.set(booking.vehicleType, []);
+    const units = booking.units ?? 1;
+    eventsByType.get(booking.vehicleType).push([startsAt, units], [endsAt, -units]);
+  }
+
+  const peaks = {};
+  for (const [vehicleType, events] of eventsByType) {
+    // Ends sort before starts at the same instant: a van is free the moment its last job ends.
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let running = 0;
+    let peak = 0;
+    let wholeTypeDown = 0;
+    for (const [, change] of events) {
+      // Infinity - Infinity is NaN, so whole-type downtime is tracked on its own.
+      if (Math.abs(change) === Infinity) wholeTypeDown += Math.sign(change);
+      else running += change;
+      peak = Math.max(peak, wholeTypeDown > 0 ? Infinity : running);
+    }
+    peaks[vehicleType] = peak;
+  }
+  return peaks;
+}
+
+// Units each type can still take in a window: none when the type is switched
+// off, otherwise its fleet size less the peak of overlapping paid bookings
+// and scheduled downtime.
+function summarizeFleetCapacity(inventory, bookings = [], downtimes = []) {
+  const downtimeEntries = downtimes.map(downtime => ({ ...downtime, units: downtime.units ?? Infinity }));
+  const bookedPeaks = countPeakBookings(bookings);
+  const downPeaks = countPeakBookings(downtimeEntries);
+  const combinedPeaks = countPeakBookings([...bookings, ...downtimeEntries]);
+  return inventory.map(vehicle => {
+    const bookedUnits = bookedPeaks[vehicle.vehicleType] || 0;
+    const downUnits = Math.min(downPeaks[vehicle.vehicleType] || 0, vehicle.unitCount);
+    const availableUnits = vehicle.enabled
+      ? Math.max(0, vehicle.unitCount - (combinedPeaks[vehicle.vehicleType] || 0))
+      : 0;
+    const downtime = downtimes.find(entry => entry.vehicleType === vehicle.vehicleType);
+    let reason = null;
+    if (!vehicle.enabled) reason = 'temporarily unavailable';
+    else if (vehicle.unitCount === 0) reason = 'not in the fleet';
+    else if (availableUnits === 0 && downUnits > 0) {
+      reason = `scheduled down for ${DOWNTIME_REASONS[downtime.reason] || 'maintenance'} at the requested time`;
+    } else if (availableUnits === 0) reason = 'fully booked for the requested time';
+    return {
+      vehicleType: vehicle.vehicleType,
+      label: vehicle.label,
+      enabled: vehicle.enabled,
+      unitCount: vehicle.unitCount,
+      bookedUnits,
+      downUnits,
+      availableUnits,
+      reason,
+    };
+  });
+}
+
+function getUnavailableVehicles(capacity) {
+  return new Map(capacity
+    .filter(vehicle => vehicle.availableUnits <= 0)
+    .map(vehicle => [vehicle.vehicleType, vehicle.reason]));
+}
+
+// The public view: whether each type can be booked, without fleet counts.
+function toPublicFleetAvailability(capacity) {
+  return capacity.map(vehicle => ({
+    vehicleType: vehicle.vehicleType,
+    label: vehicle.label,
+    enabled: vehicle.enabled,
+    available: vehicle.availableUnits > 0,
+    reason: vehicle.reason,
+  }));
+}
+
+module.exports = {
+  CAPACITY_HOLDING_STATUSES,
+  DOWNTIME_REASONS,
+  MAX_UNIT_COUNT,
+  countPeakBookings,
+  getUnavailableVehicles,
+  mapDowntime,
+  normalizeUnitCount,
+  parseDowntimeInput,
+  summarizeFleetCapacity,
+  toPublicFleetAvailability,
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countPeakBookings,
+  getUnavailableVehicles,
+  normalizeUnitCount,
+  parseDowntimeInput,
+  summarizeFleetCapacity,
+  toPublicFleetAvailability,
+} = require('./fleet-capacity');
+
+const INVENTORY = [
+  { vehicleType: 'car', label: 'Car', enabled: true, unitCount: 3 },
+  { vehicleType: 'cargo_van', label: 'Cargo Van', enabled: true, unitCount: 2 },
+  { vehicleType: 'box_truck', label: 'Box Truck', enabled: false, unitCount: 1 },
+  { vehicleType: 'suv', label: 'SUV', enabled: true, unitCount: 0 },
+];
+
+const booking = (vehicleType, start, end) => ({
+  vehicleType,
+  startsAt: `2026-08-20T${start}:00-04:00`,
+  endsAt: `2026-08-20T${end}:00-04:00`,
+});
+
+test('counts the peak of concurrent bookings rather than every overlap', () => {
+  const peaks = countPeakBookings([
+    booking('cargo_van', '13:00', '15:00'),
+    booking('cargo_van', '15:00', '17:00'),
+    booking('cargo_van', '14:00', '16:00'),
+    booking('car', '09:00', '08:00'),
+  ]);
+  assert.deepEqual(peaks, { cargo_van: 2 });
+});
+
+test('summarizes what each vehicle type can still take in a window', () => {
+  const capacity = summarizeFleetCapacity(INVENTORY, [
+    booking('cargo_van', '13:00', '17:00'),
+    booking('cargo_van', '12:00', '14:00'),
+    booking('car', '13:00', '14:00'),
+  ]);
+  const byType = Object.fromEntries(capacity.map(vehicle => [vehicle.vehicleType, vehicle]));
+  assert.equal(byType.car.availableUnits, 2);
+  assert.equal(byType.cargo_van.availableUnits, 0);
+  assert.equal(byType.cargo_van.reason, 'fully booked for the requested time');
+  assert.equal(byType.box_truck.reason, 'temporarily unavailable');
+  assert.equal(byType.suv.reason, 'not in the fleet');
+  assert.deepEqual([...getUnavailableVehicles(capacity).keys()], ['cargo_van', 'box_truck', 'suv']);
+  assert.deepEqual(toPublicFleetAvailability(capacity)[0], {
+    vehicleType: 'car', label: 'Car', enabled: true, available: true, reason: null,
+  });
+});
+
+test('accepts whole unit counts only', () => {
+  assert.equal(normalizeUnitCount('4'), 4);
+  assert.equal(normalizeUnitCount(0), 0);
+  assert.throws(() => normalizeUnitCount(1.5), /whole number/);
+  assert.throws(() => normalizeUnitCount(''), /whole number/);
+  assert.throws(() => normalizeUnitCount(501), /0 to 500/);
+});
+
+test('subtracts unit downtime and blocks a whole vehicle type that is down', () => {
+  const downtime = (vehicleType, start, end, units = null, reason = 'MAINTENANCE') => ({
+    ...booking(vehicleType, start, end), units, reason,
+  });
+  const capacity = summarizeFleetCapacity(INVENTORY, [booking('cargo_van', '13:00', '15:00')], [
+    downtime('cargo_van', '14:00', '18:00', 1, 'DRIVER_OFF'),
+    downtime('car', '06:00', '20:00'),
+  ]);
+  const byType = Object.fromEntries(capacity.map(vehicle => [vehicle.vehicleType, vehicle]));
+  assert.equal(byType.cargo_van.bookedUnits, 1);
+  assert.equal(byType.cargo_van.downUnits, 1);
+  assert.equal(byType.cargo_van.availableUnits, 0);
+  assert.equal(byType.cargo_van.reason, 'scheduled down for driver off at the requested time');
+  assert.equal(byType.car.availableUnits, 0);
+  assert.equal(byType.car.downUnits, 3);
+  assert.equal(byType.car.reason, 'scheduled down for maintenance at the requested time');
+});
+
+test('validates downtime windows for create and update', () => {
+  const input = {
+    vehicleType: 'cargo_van',
+    startsAt: '2026-08-20T08:00:00-04:00',
+    endsAt: '2026-08-20T17:00:00-04:00',
+    reason: 'maintenance',
+    notes: '  Brake job  ',
+  };
+  const created = parseDowntimeInput(input);
+  assert.equal(created.units, null);
+  assert.equal(created.reason, 'MAINTENANCE');
+  assert.equal(created.notes, 'Brake job');
+  assert.throws(() => parseDowntimeInput({ ...input, reason: 'vacation' }), /reason must be one of/);
+  assert.throws(() => parseDowntimeInput({ ...input, startsAt: '2026-08-20T08:00:00' }), /time zone offset/);
+  assert.throws(() => parseDowntimeInput({ ...input, units: 0 }), /at least 1/);
+  assert.deepEqual(parseDowntimeInput({ units: 2 }, { partial: true }), { units: 2 });
+  assert.throws(() => parseDowntimeInput({ endsAt: '2026-08-20T07:00:00-04:00' }, { partial: true, existing: created }),
+    /endsAt must be after startsAt/);
+  assert.throws(() => parseDowntimeInput({}, { partial: true }), /at least one downtime field/);
+});
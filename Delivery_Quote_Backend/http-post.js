@@ -0,0 +1,26 @@
+'use strict';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// POSTs to a notification endpoint and returns { response, text }, turning an
+// abort into a readable timeout error named after the service.
+async function postWithTimeout(url, init, { fetchImpl = globalThis.fetch, timeoutMs = DEFAULT_TIMEOUT_MS, label = 'The request' } = {}) {
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('This Node.js runtime does not provide fetch().');
+  }
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(url, { method: 'POST', ...init, signal: controller.signal });
+    return { response, text: await response.text() };
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw new Error(`${label} timed out.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = { postWithTimeout };
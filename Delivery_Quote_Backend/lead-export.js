@@ -0,0 +1,178 @@
+'use strict';
+
+const EXPORT_FORMATS = Object.freeze({
+  csv: Object.freeze({ contentType: 'text/csv; charset=utf-8', extension: 'csv' }),
+  ndjson: Object.freeze({ contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }),
+});
+
+const RESPONSIBILITY_LABELS = Object.freeze({
+  customer: 'Customer',
+  driver: 'Driver',
+  driver_assist: 'Driver Assist',
+});
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString() : null;
+}
+
+function payloadOf(row) {
+  const payload = row.lead_payload;
+  if (payload && typeof payload === 'object') return payload;
+  try {
+    return JSON.parse(payload || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function unpackStops(row) {
+  const stops = payloadOf(row).stopsData;
+  if (!Array.isArray(stops)) return [];
+  return stops.map((stop, index) => ({
+    stopNumber: index + 1,
+    address: String(stop?.address ?? ''),
+    loadUnload: stop?.loadUnload ?? null,
+    stairs: Boolean(stop?.stairs),
+    stairFlights: toNumber(stop?.stairFlights),
+  }));
+}
+
+function unpackPackages(row) {
+  const packages = payloadOf(row).packagesData;
+  if (!Array.isArray(packages)) return [];
+  return packages.map((item, index) => ({
+    packageNumber: index + 1,
+    quantity: toNumber(item?.qty),
+    description: String(item?.desc ?? ''),
+    weightPerItem: toNumber(item?.weight),
+    length: toNumber(item?.length),
+    width: toNumber(item?.width),
+    height: toNumber(item?.height),
+    unit: item?.unit ?? null,
+    palletized: Boolean(item?.palletized),
+  }));
+}
+
+function describeStops(stops) {
+  return stops.map(stop => {
+    const handling = RESPONSIBILITY_LABELS[stop.loadUnload] || 'N/A';
+    const stairs = stop.stairs ? `, stairs x${stop.stairFlights ?? '?'}` : '';
+    return `${stop.stopNumber}: ${stop.address} (${handling}${stairs})`;
+  }).join(' | ');
+}
+
+function describePackages(packages) {
+  return packages.map(item =>
+    `${item.quantity ?? '?'}x ${item.description || 'N/A'} @ ${item.weightPerItem ?? '?'} lbs, ${item.length ?? '?'}x${item.width ?? '?'}x${item.height ?? '?'} ${item.unit || ''}`.trim()
+  ).join(' | ');
+}
+
+// Each column reads one exported value from a leads row. Stops and packages
+// come out of lead_payload as arrays; CSV flattens them to readable text.
+const EXPORT_COLUMNS = Object.freeze({
+  id: { header: 'Lead ID', value: row => row.id },
+  timestamp: { header: 'Timestamp', value: row => toIsoString(row.timestamp) },
+  logType: { header: 'Log Type', value: row => row.log_type },
+  quoteId: { header: 'Quote ID', value: row => row.quote_id },
+  quoteVersion: { header: 'Quote Version', value: row => row.quote_version ?? null },
+  bookingStatus: { header: 'Booking Status', value: row => row.booking_status },
+  paymentStatus: { header: 'Payment Status', value: row => row.payment_status },
+  contactName: { header: 'Contact Name', value: row => row.contact_name },
+  contactEmail: { header: 'Contact Email', value: row => row.contact_email },
+  contactPhone: { header: 'Contact Phone', value: row => row.contact_phone },
+  contactCompany: { header: 'Contact Company', value: row => row.contact_company },
+  vehicleType: { header: 'Vehicle Type', value: row => row.vehicle_type },
+  pickupDate: { header: 'Pickup Date', value: row => row.pickup_date },
+  pickupTime: { header: 'Pickup Time', value: row => row.pickup_time },
+  deliveryDate: { header: 'Delivery Date', value: row => row.delivery_date },
+  deliveryTime: { header: 'Delivery Time', value: row => row.delivery_time },
+  timeZone: { header: 'Time Zone', value: row => row.time_zone ?? null },
+  pickupAt: { header: 'Pickup At', value: row => toIsoString(row.pickup_at) },
+  deliverByAt: { header: 'Deliver By At', value: row => toIsoString(row.deliver_by_at) },
+  urgency: { header: 'Urgency', value: row => row.urgency },
+  insideDelivery: { header: 'Inside Delivery', value: row => Boolean(row.inside_delivery) },
+  hazardous: { header: 'Hazardous', value: row => Boolean(row.hazardous) },
+  bioHazardous: { header: 'Bio-Hazardous', value: row => Boolean(row.bio_hazardous) },
+  extraLaborer: { header: 'Extra Laborer', value: row => Boolean(row.extra_laborer) },
+  specialNotes: { header: 'Special Notes', value: row => row.special_notes },
+  stopCount: { header: 'Stop Count', value: row => unpackStops(row).length },
+  pickupAddress: { header: 'Pickup Address', value: row => unpackStops(row)[0]?.address ?? null },
+  deliveryAddress: { header: 'Delivery Address', value: row => unpackStops(row).at(-1)?.address ?? null },
+  stops: { header: 'All Stops Details', value: unpackStops, text: describeStops },
+  packages: { header: 'Package Details', value: unpackPackages, text: describePackages },
+  totalMiles: { header: 'Total Miles', value: row => toNumber(row.total_miles) },
+  calculatedQuote: { header: 'Calculated Quote', value: row => toNumber(row.calculated_quote) },
+  stripeSessionId: { header: 'Stripe Session ID', value: row => row.stripe_session_id },
+  stripePaymentIntentId: { header: 'Stripe Payment Intent ID', value: row => row.stripe_payment_intent_id },
+  paidAt: { header: 'Paid At', value: row => toIsoString(row.paid_at) },
+  refundedAmount: { header: 'Refunded Amount', value: row => toNumber(row.refunded_amount) },
+  cancelledAt: { header: 'Cancelled At', value: row => toIsoString(row.cancelled_at) },
+});
+
+const DEFAULT_EXPORT_COLUMNS = Object.freeze([
+  'timestamp', 'quoteId', 'bookingStatus', 'paymentStatus', 'contactName', 'contactEmail', 'contactPhone',
+  'contactCompany', 'vehicleType', 'pickupDate', 'pickupTime', 'deliveryDate', 'deliveryTime', 'timeZone', 'urgency',
+  'stops', 'packages', 'totalMiles', 'calculatedQuote', 'stripePaymentIntentId', 'paidAt',
+]);
+
+function parseExportFormat(value) {
+  const format = String((Array.isArray(value) ? value[0] : value) ?? 'csv').trim().toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  return format;
+}
+
+function parseExportColumns(value) {
+  const text = String((Array.isArray(value) ? value[0] : value) ?? '').trim();
+  if (!text) return [...DEFAULT_EXPORT_COLUMNS];
+  const columns = [...new Set(text.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !Object.hasOwn(EXPORT_COLUMNS, column));
+  if (!columns.length || unknown.length) {
+    throw new Error(`Unknown export column(s): ${unknown.join(', ') || '(none)'}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}.`);
+  }
+  return columns;
+}
+
+// Spreadsheet apps execute cells that start with these characters as formulas.
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvHeader(columns) {
+  return `${columns.map(column => escapeCsvCell(EXPORT_COLUMNS[column].header)).join(',')}\r\n`;
+}
+
+function formatCsvRow(row, columns) {
+  return `${columns.map(column => {
+    const definition = EXPORT_COLUMNS[column];
+    const value = definition.value(row);
+    return escapeCsvCell(definition.text ? definition.text(value) : value);
+  }).join(',')}\r\n`;
+}
+
+function formatNdjsonRow(row, columns) {
+  return `${JSON.stringify(Object.fromEntries(columns.map(column => [column, EXPORT_COLUMNS[column].value(row)])))}\n`;
+}
+
+module.exports = {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  formatCsvHeader,
+  formatCsvRow,
+  formatNdjsonRow,
+  parseExportColumns,
+  parseExportFormat,
+};
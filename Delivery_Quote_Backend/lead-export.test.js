@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_EXPORT_COLUMNS,
+  formatCsvHeader,
+  formatCsvRow,
+  formatNdjsonRow,
+  parseExportColumns,
+  parseExportFormat,
+} = require('./lead-export');
+
+const SAMPLE_ROW = {
+  id: 42,
+  timestamp: new Date('2026-08-20T15:00:00.000Z'),
+  quote_id: 'XN-20260820-A1B2C3',
+  contact_name: 'Teena Marie',
+  contact_company: '=HYPERLINK("http://example.com")',
+  total_miles: '15.00',
+  calculated_quote: '95.00',
+  paid_at: null,
+  lead_payload: {
+    stopsData: [
+      { address: '7841 Carriage Pointe Dr, Gibsonton, FL', loadUnload: 'customer', stairs: false },
+      { address: '4217 Empire Place, Tampa, FL', loadUnload: 'driver_assist', stairs: true, stairFlights: '1' },
+    ],
+    packagesData: [{ qty: '2', desc: 'Pallets, shrink-wrapped', weight: '500', length: 48, width: 40, height: 50, unit: 'inches', palletized: true }],
+  },
+};
+
+test('writes CSV with readable headers and flattened stops and packages', () => {
+  const columns = ['quoteId', 'contactName', 'stops', 'packages', 'calculatedQuote', 'paidAt'];
+  assert.equal(formatCsvHeader(columns), 'Quote ID,Contact Name,All Stops Details,Package Details,Calculated Quote,Paid At\r\n');
+  assert.equal(
+    formatCsvRow(SAMPLE_ROW, columns),
+    'XN-20260820-A1B2C3,Teena Marie,' +
+    '"1: 7841 Carriage Pointe Dr, Gibsonton, FL (Customer) | 2: 4217 Empire Place, Tampa, FL (Driver Assist, stairs x1)",' +
+    '"2x Pallets, shrink-wrapped @ 500 lbs, 48x40x50 inches",95,\r\n'
+  );
+});
+
+test('neutralizes spreadsheet formulas in CSV text cells', () => {
+  assert.equal(formatCsvRow(SAMPLE_ROW, ['contactCompany']), `"'=HYPERLINK(""http://example.com"")"\r\n`);
+});
+
+test('writes NDJSON with stops and packages as structured arrays', () => {
+  const record = JSON.parse(formatNdjsonRow(SAMPLE_ROW, ['timestamp', 'totalMiles', 'stops', 'packages']));
+  assert.equal(record.timestamp, '2026-08-20T15:00:00.000Z');
+  assert.equal(record.totalMiles, 15);
+  assert.deepEqual(record.stops[1], {
+    stopNumber: 2,
+    address: '4217 Empire Place, Tampa, FL',
+    loadUnload: 'driver_assist',
+    stairs: true,
+    stairFlights: 1,
+  });
+  assert.equal(record.packages[0].quantity, 2);
+  assert.equal(record.packages[0].palletized, true);
+});
+
+test('tolerates rows without a stored payload', () => {
+  const record = JSON.parse(formatNdjsonRow({ id: 1, lead_payload: null }, ['stops', 'stopCount', 'pickupAddress']));
+  assert.deepEqual(record, { stops: [], stopCount: 0, pickupAddress: null });
+});
+
+test('validates the requested format and columns', () => {
+  assert.equal(parseExportFormat(undefined), 'csv');
+  assert.equal(parseExportFormat('NDJSON'), 'ndjson');
+  assert.throws(() => parseExportFormat('xlsx'), /format must be/);
+  assert.deepEqual(parseExportColumns(''), DEFAULT_EXPORT_COLUMNS);
+  assert.deepEqual(parseExportColumns('quoteId, paidAt,quoteId'), ['quoteId', 'paidAt']);
+  assert.throws(() => parseExportColumns('quoteId,lead_payload'), /Unknown export column\(s\): lead_payload/);
+});
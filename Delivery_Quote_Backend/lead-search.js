@@ -0,0 +1,189 @@
+'use strict';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const QUOTE_ID_PATTERN = /^XN-\d{8}-[A-F0-9]{6}$/;
+const STATUS_PATTERN = /^[A-Z_]{1,30}$/;
+const LOG_TYPES = Object.freeze(['CalculatedQuote', 'CheckoutAttempt']);
+const DATE_FIELDS = Object.freeze({ created: 'timestamp', paid: 'paid_at' });
+
+class LeadSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeadSearchError';
+  }
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function parseStatusList(value, label) {
+  const text = String(firstValue(value) ?? '').trim();
+  if (!text) return null;
+  const statuses = text.split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+  if (!statuses.length || statuses.some(status => !STATUS_PATTERN.test(status))) {
+    throw new LeadSearchError(`${label} must be a comma-separated list of statuses.`);
+  }
+  return statuses;
+}
+
+// Date-only bounds cover the whole UTC day; full timestamps are used as given.
+function parseDateBound(value, label, endOfDay = false) {
+  const text = String(firstValue(value) ?? '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T00:00:00.000Z`);
+    if (!Number.isFinite(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+      throw new LeadSearchError(`${label} is not a valid date.`);
+    }
+    if (endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+  }
+  const timestamp = Date.parse(text);
+  if (!Number.isFinite(timestamp)) {
+    throw new LeadSearchError(`${label} must be a date (YYYY-MM-DD) or an ISO 8601 timestamp.`);
+  }
+  return new Date(timestamp);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+function encodeLeadCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeLeadCursor(cursor) {
+  const text = String(firstValue(cursor) ?? '').trim();
+  if (!text) return null;
+  try {
+    const { id } = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    if (Number.isSafeInteger(id) && id > 0) return id;
+  } catch {
+    // Fall through to the shared error below.
+  }
+  throw new LeadSearchError('The pagination cursor is invalid.');
+}
+
+function parsePageSize(value, maxPageSize = MAX_PAGE_SIZE) {
+  const text = String(firstValue(value) ?? '').trim();
+  if (!text) return DEFAULT_PAGE_SIZE;
+  const limit = Number(text);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    throw new LeadSearchError(`limit must be a whole number between 1 and ${maxPageSize}.`);
+  }
+  return limit;
+}
+
+// Turns admin query-string filters into a parameterized WHERE clause over the
+// leads table. Results are ordered newest first and paged by lead ID.
+function buildLeadFilters(query = {}, { includeCursor = true } = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  const logType = String(firstValue(query.logType) ?? 'CalculatedQuote').trim();
+  if (logType !== 'all') {
+    if (!LOG_TYPES.includes(logType)) {
+      throw new LeadSearchError(`logType must be one of ${LOG_TYPES.join(', ')} or all.`);
+    }
+    add('log_type = ?', logType);
+  }
+
+  const bookingStatuses = parseStatusList(query.bookingStatus, 'bookingStatus');
+  if (bookingStatuses) add('booking_status = ANY(?::text[])', bookingStatuses);
+  const paymentStatuses = parseStatusList(query.paymentStatus, 'paymentStatus');
+  if (paymentStatuses) add('payment_status = ANY(?::text[])', paymentStatuses);
+
+  const dateField = String(firstValue(query.dateField) ?? 'created').trim();
+  const dateColumn = DATE_FIELDS[dateField];
+  if (!dateColumn) {
+    throw new LeadSearchError(`dateField must be one of ${Object.keys(DATE_FIELDS).join(', ')}.`);
+  }
+  const from = parseDateBound(query.from, 'from');
+  const to = parseDateBound(query.to, 'to', true);
+  if (from && to && from >= to) {
+    throw new LeadSearchError('from must be earlier than to.');
+  }
+  if (from) add(`${dateColumn} >= ?`, from);
+  if (to) add(`${dateColumn} < ?`, to);
+
+  const vehicleType = String(firstValue(query.vehicleType) ?? '').trim();
+  if (vehicleType) add('vehicle_type = ?', vehicleType);
+
+  const quoteId = String(firstValue(query.quoteId) ?? '').trim().toUpperCase();
+  if (quoteId) {
+    if (!QUOTE_ID_PATTERN.test(quoteId)) throw new LeadSearchError('quoteId must look like XN-YYYYMMDD-XXXXXX.');
+    add('quote_id = ?', quoteId);
+  }
+
+  const email = String(firstValue(query.email) ?? '').trim().toLowerCase();
+  if (email) add("contact_email ILIKE ? ESCAPE '\\'", `%${escapeLike(email)}%`);
+  const company = String(firstValue(query.company) ?? '').trim();
+  if (company) add("contact_company ILIKE ? ESCAPE '\\'", `%${escapeLike(company)}%`);
+
+  const search = String(firstValue(query.q) ?? '').trim().slice(0, 200);
+  if (search) {
+    params.push(`%${escapeLike(search)}%`);
+    const placeholder = `$${params.length}`;
+    conditions.push(`(${['contact_name', 'contact_email', 'contact_phone', 'contact_company', 'quote_id', 'all_stops_details']
+      .map(column => `${column} ILIKE ${placeholder} ESCAPE '\\'`).join(' OR ')})`);
+  }
+
+  if (includeCursor) {
+    const cursorId = decodeLeadCursor(query.cursor);
+    if (cursorId) add('id < ?', cursorId);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+function mapLeadSummary(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    logType: row.log_type,
+    createdAt: row.timestamp,
+    bookingStatus: row.booking_status,
+    paymentStatus: row.payment_status,
+    contact: {
+      name: row.contact_name,
+      email: row.contact_email,
+      phone: row.contact_phone,
+      company: row.contact_company,
+    },
+    vehicleType: row.vehicle_type,
+    timeZone: row.time_zone ?? null,
+    pickup: { date: row.pickup_date, time: row.pickup_time, at: row.pickup_at ?? null },
+    delivery: { date: row.delivery_date, time: row.delivery_time, at: row.deliver_by_at ?? null },
+    urgency: row.urgency,
+    totalMiles: row.total_miles === null ? null : Number(row.total_miles),
+    calculatedQuote: row.calculated_quote === null ? null : Number(row.calculated_quote),
+    quoteVersion: row.quote_version ?? null,
+    quoteExpiresAt: row.quote_expires_at ?? null,
+    stripeSessionId: row.stripe_session_id,
+    stripePaymentIntentId: row.stripe_payment_intent_id,
+    paidAt: row.paid_at,
+    refundedAmount: row.refunded_amount === null || row.refunded_amount === undefined ? null : Number(row.refunded_amount),
+    cancelledAt: row.cancelled_at ?? null,
+    fulfillmentStatus: row.fulfillment_status ?? null,
+    deliveredAt: row.delivered_at ?? null,
+  };
+}
+
+module.exports = {
+  LeadSearchError,
+  buildLeadFilters,
+  decodeLeadCursor,
+  encodeLeadCursor,
+  mapLeadSummary,
+  parsePageSize,
+};
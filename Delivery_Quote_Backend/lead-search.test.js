@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LeadSearchError,
+  buildLeadFilters,
+  decodeLeadCursor,
+  encodeLeadCursor,
+  mapLeadSummary,
+  parsePageSize,
+} = require('./lead-search');
+
+test('defaults to calculated quotes with no other filters', () => {
+  assert.deepEqual(buildLeadFilters({}), {
+    where: 'WHERE log_type = $1',
+    params: ['CalculatedQuote'],
+  });
+  assert.deepEqual(buildLeadFilters({ logType: 'all' }), { where: '', params: [] });
+});
+
+test('combines status, vehicle, contact and date filters in order', () => {
+  const { where, params } = buildLeadFilters({
+    bookingStatus: 'booked, checkout_started',
+    paymentStatus: 'PAID',
+    from: '2026-08-01',
+    to: '2026-08-31',
+    vehicleType: 'cargo_van',
+    email: 'OFFICE@',
+    company: '100%_Xpedite',
+  });
+  assert.equal(where, [
+    'WHERE log_type = $1',
+    'booking_status = ANY($2::text[])',
+    'payment_status = ANY($3::text[])',
+    'timestamp >= $4',
+    'timestamp < $5',
+    'vehicle_type = $6',
+    "contact_email ILIKE $7 ESCAPE '\\'",
+    "contact_company ILIKE $8 ESCAPE '\\'",
+  ].join(' AND '));
+  assert.deepEqual(params.slice(0, 3), ['CalculatedQuote', ['BOOKED', 'CHECKOUT_STARTED'], ['PAID']]);
+  assert.equal(params[3].toISOString(), '2026-08-01T00:00:00.000Z');
+  assert.equal(params[4].toISOString(), '2026-09-01T00:00:00.000Z');
+  assert.equal(params[6], '%office@%');
+  assert.equal(params[7], '%100\\%\\_Xpedite%');
+});
+
+test('filters the date range on paid_at for payout reconciliation', () => {
+  const { where } = buildLeadFilters({ dateField: 'paid', from: '2026-08-01' });
+  assert.equal(where, 'WHERE log_type = $1 AND paid_at >= $2');
+  assert.throws(() => buildLeadFilters({ dateField: 'updated' }), /dateField/);
+});
+
+test('searches free text across contact and route columns with one parameter', () => {
+  const { where, params } = buildLeadFilters({ q: 'Empire Place', logType: 'all' });
+  assert.match(where, /contact_name ILIKE \$1/);
+  assert.match(where, /all_stops_details ILIKE \$1/);
+  assert.deepEqual(params, ['%Empire Place%']);
+});
+
+test('pages backwards from an opaque lead ID cursor', () => {
+  const cursor = encodeLeadCursor(420);
+  assert.equal(decodeLeadCursor(cursor), 420);
+  const { where, params } = buildLeadFilters({ cursor, quoteId: 'xn-20260820-a1b2c3' });
+  assert.equal(where, 'WHERE log_type = $1 AND quote_id = $2 AND id < $3');
+  assert.deepEqual(params, ['CalculatedQuote', 'XN-20260820-A1B2C3', 420]);
+  assert.deepEqual(buildLeadFilters({ cursor }, { includeCursor: false }).params, ['CalculatedQuote']);
+});
+
+test('rejects malformed filters with a search error', () => {
+  assert.throws(() => buildLeadFilters({ cursor: 'not-a-cursor' }), LeadSearchError);
+  assert.throws(() => buildLeadFilters({ from: '2026-02-30' }), /not a valid date/);
+  assert.throws(() => buildLeadFilters({ from: '2026-08-02', to: '2026-08-01' }), /earlier than/);
+  assert.throws(() => buildLeadFilters({ quoteId: 'XN-1' }), /quoteId/);
+  assert.throws(() => buildLeadFilters({ bookingStatus: 'booked;drop' }), /bookingStatus/);
+  assert.throws(() => buildLeadFilters({ logType: 'Other' }), /logType/);
+  assert.throws(() => parsePageSize('500'), /between 1 and 100/);
+  assert.equal(parsePageSize(undefined), 25);
+});
+
+test('maps numeric database columns to numbers', () => {
+  const summary = mapLeadSummary({ id: 7, quote_id: 'XN-20260820-A1B2C3', total_miles: '15.00', calculated_quote: '95.00' });
+  assert.equal(summary.totalMiles, 15);
+  assert.equal(summary.calculatedQuote, 95);
+});
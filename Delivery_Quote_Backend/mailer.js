@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_TRANSPORTS = Object.freeze(['smtp', 'file', 'console']);
+
+function readSmtpConfig(env = process.env) {
+  const host = String(env.SMTP_HOST || '').trim();
+  if (!host) {
+    throw new Error('SMTP_HOST is required to send email.');
+  }
+  const port = Number(String(env.SMTP_PORT || '587').trim());
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('SMTP_PORT must be a valid TCP port.');
+  }
+  const secureSetting = String(env.SMTP_SECURE || '').trim().toLowerCase();
+  const user = String(env.SMTP_USER || '').trim();
+  return {
+    host,
+    port,
+    secure: secureSetting ? secureSetting === 'true' : port === 465,
+    auth: user ? { user, pass: String(env.SMTP_PASS || '') } : undefined,
+  };
+}
+
+// Returns a nodemailer transport; anything with sendMail(message) can stand in for it.
+function createSmtpTransport(env = process.env, { nodemailer = require('nodemailer') } = {}) {
+  return nodemailer.createTransport(readSmtpConfig(env));
+}
+
+// Development transports render the full message without sending it: `file`
+// writes one .eml per message to MAIL_FILE_DIR, `console` logs a summary.
+function createMailTransport(env = process.env, { nodemailer = require('nodemailer'), logger = console } = {}) {
+  const kind = String(env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).trim().toLowerCase();
+  if (!MAIL_TRANSPORTS.includes(kind)) {
+    throw new Error(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}.`);
+  }
+  if (kind === 'smtp') return createSmtpTransport(env, { nodemailer });
+
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const directory = path.resolve(String(env.MAIL_FILE_DIR || 'mail-outbox'));
+  return {
+    async sendMail(message) {
+      const info = await renderer.sendMail(message);
+      if (kind === 'file') {
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(info.messageId).replace(/[^A-Za-z0-9.-]/g, '')}.eml`;
+        await fs.writeFile(path.join(directory, fileName), info.message);
+        return { ...info, file: path.join(directory, fileName) };
+      }
+      logger.log(`[mail] To: ${[].concat(message.to).join(', ')} | Subject: ${message.subject}\n${message.text || ''}`);
+      return info;
+    },
+  };
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createMailTransport,
+  createSmtpTransport,
+  readSmtpConfig,
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailTransport, readSmtpConfig } = require('./mailer');
+
+const MESSAGE = Object.freeze({
+  from: 'quotes@xpeditenow.com',
+  to: 'office@xpeditenow.com',
+  subject: 'Test message',
+  text: 'Hello',
+});
+
+test('reads SMTP settings with implicit TLS on port 465', () => {
+  assert.deepEqual(readSmtpConfig({ SMTP_HOST: 'smtp.test', SMTP_PORT: '465', SMTP_USER: 'user', SMTP_PASS: 'pass' }), {
+    host: 'smtp.test',
+    port: 465,
+    secure: true,
+    auth: { user: 'user', pass: 'pass' },
+  });
+  assert.equal(readSmtpConfig({ SMTP_HOST: 'smtp.test' }).secure, false);
+  assert.throws(() => readSmtpConfig({}), /SMTP_HOST/);
+  assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'carrier-pigeon' }), /MAIL_TRANSPORT/);
+});
+
+test('writes rendered messages to disk with the file transport', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+  try {
+    const transport = createMailTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: directory });
+    const info = await transport.sendMail(MESSAGE);
+    assert.match(fs.readFileSync(info.file, 'utf8'), /Subject: Test message/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('logs messages with the console transport when SMTP is not configured', async () => {
+  const logged = [];
+  const transport = createMailTransport({}, { logger: { log: line => logged.push(line) } });
+  await transport.sendMail(MESSAGE);
+  assert.match(logged[0], /^\[mail\] To: office@xpeditenow\.com \| Subject: Test message\nHello/);
+});
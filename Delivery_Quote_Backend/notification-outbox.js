@@ -0,0 +1,241 @@
+'use strict';
+
+const NOTIFICATION_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  SKIPPED: 'SKIPPED',
+  DEAD: 'DEAD',
+});
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const DEFAULT_POLL_INTERVAL_SECONDS = 15;
+const DEFAULT_BATCH_SIZE = 20;
+// A claimed row is hidden from other workers for this long in case the
+// process dies mid-delivery.
+const CLAIM_TIMEOUT_SECONDS = 120;
+
+function readPositiveInteger(value, fallback, label, max) {
+  const text = String(value ?? '').trim();
+  if (!text) return fallback;
+  const number = Number(text);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`${label} must be a whole number between 1 and ${max}.`);
+  }
+  return number;
+}
+
+function getOutboxSettings(env = process.env) {
+  return {
+    maxAttempts: readPositiveInteger(env.NOTIFICATION_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS, 'NOTIFICATION_MAX_ATTEMPTS', 50),
+    retryBaseSeconds: readPositiveInteger(env.NOTIFICATION_RETRY_BASE_SECONDS, DEFAULT_RETRY_BASE_SECONDS, 'NOTIFICATION_RETRY_BASE_SECONDS', 3600),
+    pollIntervalSeconds: readPositiveInteger(env.NOTIFICATION_POLL_INTERVAL_SECONDS, DEFAULT_POLL_INTERVAL_SECONDS, 'NOTIFICATION_POLL_INTERVAL_SECONDS', 3600),
+  };
+}
+
+// Doubles the wait after each failed attempt: 30s, 1m, 2m, 4m ... capped at six hours.
+function computeRetryDelaySeconds(attempts, retryBaseSeconds = DEFAULT_RETRY_BASE_SECONDS) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(MAX_RETRY_DELAY_SECONDS, retryBaseSeconds * 2 ** Math.min(exponent, 30));
+}
+
+// Works out how a row changes after one delivery attempt.
+function planDeliveryOutcome(row, outcome, settings, now = new Date()) {
+  const attempts = Number(row.attempts || 0) + 1;
+  if (!outcome.error) {
+    return {
+      status: outcome.sent === false ? NOTIFICATION_STATUS.SKIPPED : NOTIFICATION_STATUS.SENT,
+      attempts,
+      nextAttemptAt: null,
+      lastError: outcome.sent === false ? `Not sent: ${outcome.reason || 'channel declined'}` : null,
+      sentAt: now,
+    };
+  }
+  const maxAttempts = Number(row.max_attempts) || settings.maxAttempts;
+  const lastError = String(outcome.error.message || outcome.error).slice(0, 1000);
+  if (attempts >= maxAttempts) {
+    return { status: NOTIFICATION_STATUS.DEAD, attempts, nextAttemptAt: null, lastError, sentAt: null };
+  }
+  const delaySeconds = computeRetryDelaySeconds(attempts, settings.retryBaseSeconds);
+  return {
+    status: NOTIFICATION_STATUS.PENDING,
+    attempts,
+    nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000),
+    lastError,
+    sentAt: null,
+  };
+}
+
+function mapNotification(row) {
+  return {
+    id: row.id,
+    dedupeKey: row.dedupe_key,
+    channel: row.channel,
+    kind: row.kind,
+    quoteId: row.quote_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Alerts are written to the notifications table, usually inside the same
+// transaction as the change they announce, and delivered by a worker that
+// polls for due rows. Each channel is { isEnabled(env), accepts(kind)?, send(kind, payload) }.
+function createNotificationOutbox({ pool, channels, env = process.env, logger = console } = {}) {
+  if (!pool) throw new Error('A database pool is required for the notification outbox.');
+  const settings = getOutboxSettings(env);
+  let timer = null;
+  let running = null;
+  let rerun = false;
+
+  function enabledChannels(kind) {
+    return Object.entries(channels || {})
+      .filter(([, channel]) => channel.isEnabled(env) && (!channel.accepts || channel.accepts(kind)))
+      .map(([name]) => name);
+  }
+
+  async function enqueue(db, { dedupeKey, kind, quoteId = null, payload }) {
+    const names = enabledChannels(kind);
+    if (!names.length) return [];
+    const result = await (db || pool).query(
+      `INSERT INTO notifications (dedupe_key, channel, kind, quote_id, payload, max_attempts)
+       SELECT $1 || ':' || channel, channel, $2, $3, $4, $5
+       FROM unnest($6::text[]) AS channel
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING id`,
+      [dedupeKey, kind, quoteId, JSON.stringify(payload), settings.maxAttempts, names]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  async function claimDue(limit) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $2), updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM notifications
+         WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+           AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, CLAIM_TIMEOUT_SECONDS]
+    );
+    return result.rows;
+  }
+
+  async function deliver(row) {
+    const channel = channels?.[row.channel];
+    let outcome;
+    try {
+      if (!channel) throw new Error(`Notification channel ${row.channel} is not configured.`);
+      const result = await channel.send(row.kind, row.payload);
+      outcome = { sent: result?.sent !== false, reason: result?.reason };
+    } catch (error) {
+      outcome = { error };
+    }
+    const plan = planDeliveryOutcome(row, outcome, settings);
+    await pool.query(
+      `UPDATE notifications
+       SET status = $1, attempts = $2, next_attempt_at = COALESCE($3, next_attempt_at), last_error = $4,
+           sent_at = $5, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6`,
+      [plan.status, plan.attempts, plan.nextAttemptAt, plan.lastError, plan.sentAt, row.id]
+    );
+    if (plan.status === NOTIFICATION_STATUS.DEAD) {
+      logger.error(`Notification ${row.id} (${row.channel} ${row.kind}) failed ${plan.attempts} times and was moved to the dead-letter state: ${plan.lastError}`);
+    } else if (outcome.error) {
+      logger.warn(`Notification ${row.id} (${row.channel} ${row.kind}) failed; retrying at ${plan.nextAttemptAt.toISOString()}: ${plan.lastError}`);
+    }
+    return plan;
+  }
+
+  async function processDue({ limit = DEFAULT_BATCH_SIZE } = {}) {
+    const rows = await claimDue(limit);
+    for (const row of rows) {
+      await deliver(row);
+    }
+    return rows.length;
+  }
+
+  // Runs one pass at a time; a kick during a pass schedules another.
+  function kick() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        rerun = false;
+        try {
+          const processed = await processDue();
+          if (processed === DEFAULT_BATCH_SIZE) rerun = true;
+        } catch (error) {
+          logger.error('Notification outbox pass failed:', error.message);
+        }
+      } while (rerun);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(kick, settings.pollIntervalSeconds * 1000);
+    timer.unref?.();
+    kick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return running || Promise.resolve();
+  }
+
+  async function list({ statuses = [NOTIFICATION_STATUS.PENDING, NOTIFICATION_STATUS.DEAD], quoteId = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM notifications
+       WHERE status = ANY($1::text[]) AND ($2::text IS NULL OR quote_id = $2)
+       ORDER BY id DESC
+       LIMIT $3`,
+      [statuses, quoteId, limit]
+    );
+    return result.rows.map(mapNotification);
+  }
+
+  // Puts a dead or stuck notification back in the queue with a fresh attempt budget.
+  async function resend(id) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET status = 'PENDING', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+           locked_until = NULL, sent_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    if (!result.rows[0]) return null;
+    kick();
+    return mapNotification(result.rows[0]);
+  }
+
+  return { enqueue, kick, list, processDue, resend, start, stop };
+}
+
+module.exports = {
+  NOTIFICATION_STATUS,
+  computeRetryDelaySeconds,
+  createNotificationOutbox,
+  getOutboxSettings,
+  mapNotification,
+  planDeliveryOutcome,
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeRetryDelaySeconds,
+  createNotificationOutbox,
+  getOutboxSettings,
+  planDeliveryOutcome,
+} = require('./notification-outbox');
+
+const SETTINGS = Object.freeze({ maxAttempts: 3, retryBaseSeconds: 30, pollIntervalSeconds: 15 });
+const NOW = new Date('2026-08-20T15:00:00.000Z');
+
+test('backs off exponentially and caps the retry delay', () => {
+  assert.equal(computeRetryDelaySeconds(1), 30);
+  assert.equal(computeRetryDelaySeconds(2), 60);
+  assert.equal(computeRetryDelaySeconds(4), 240);
+  assert.equal(computeRetryDelaySeconds(40), 6 * 60 * 60);
+});
+
+test('marks a delivered alert sent and a declined alert skipped', () => {
+  assert.deepEqual(planDeliveryOutcome({ attempts: 0 }, { sent: true }, SETTINGS, NOW), {
+    status: 'SENT',
+    attempts: 1,
+    nextAttemptAt: null,
+    lastError: null,
+    sentAt: NOW,
+  });
+  const skipped = planDeliveryOutcome({ attempts: 0 }, { sent: false, reason: 'disabled' }, SETTINGS, NOW);
+  assert.equal(skipped.status, 'SKIPPED');
+  assert.equal(skipped.lastError, 'Not sent: disabled');
+});
+
+test('schedules a retry after a failure and dead-letters the last attempt', () => {
+  const retry = planDeliveryOutcome({ attempts: 1, max_attempts: 3 }, { error: new Error('Pushover notification timed out.') }, SETTINGS, NOW);
+  assert.equal(retry.status, 'PENDING');
+  assert.equal(retry.attempts, 2);
+  assert.equal(retry.nextAttemptAt.toISOString(), '2026-08-20T15:01:00.000Z');
+  assert.equal(retry.lastError, 'Pushover notification timed out.');
+
+  const dead = planDeliveryOutcome({ attempts: 2, max_attempts: 3 }, { error: new Error('HTTP 500') }, SETTINGS, NOW);
+  assert.equal(dead.status, 'DEAD');
+  assert.equal(dead.nextAttemptAt, null);
+});
+
+test('validates outbox settings from the environment', () => {
+  assert.deepEqual(getOutboxSettings({}), { maxAttempts: 8, retryBaseSeconds: 30, pollIntervalSeconds: 15 });
+  assert.equal(getOutboxSettings({ NOTIFICATION_MAX_ATTEMPTS: '3' }).maxAttempts, 3);
+  assert.throws(() => getOutboxSettings({ NOTIFICATION_MAX_ATTEMPTS: '0' }), /NOTIFICATION_MAX_ATTEMPTS/);
+});
+
+test('queues one row per enabled channel and nothing when every channel is off', async () => {
+  const queries = [];
+  const pool = {
+    query: async (sql, params) => {
+      queries.push(params);
+      return { rows: params[5].map((channel, index) => ({ id: index + 1 })) };
+    },
+  };
+  const channels = {
+    pushover: { isEnabled: env => env.PUSHOVER_NOTIFICATIONS_ENABLED === 'true', send: async () => ({ sent: true }) },
+    slack: { isEnabled: () => false, send: async () => ({ sent: true }) },
+    sms: { isEnabled: () => true, accepts: kind => kind === 'booking', send: async () => ({ sent: true }) },
+  };
+  const outbox = createNotificationOutbox({ pool, channels, env: { PUSHOVER_NOTIFICATIONS_ENABLED: 'true' } });
+  assert.deepEqual(await outbox.enqueue(null, { dedupeKey: 'quote:42', kind: 'quote', payload: {} }), [1]);
+  assert.deepEqual(queries[0][5], ['pushover']);
+
+  const disabled = createNotificationOutbox({ pool, channels, env: {} });
+  assert.deepEqual(await disabled.enqueue(null, { dedupeKey: 'quote:43', kind: 'quote', payload: {} }), []);
+  await disabled.enqueue(null, { dedupeKey: 'stripe:evt_1', kind: 'booking', payload: {} });
+  assert.deepEqual(queries[1][5], ['sms']);
+  assert.equal(queries.length, 2);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const { createCustomerEmailChannel } = require('./customer-email');
+const { createEmailNotifier } = require('./email-notifier');
+const { parseAlertKinds } = require('./alert-content');
+const { isPushoverEnabled, sendPushoverAlert } = require('./pushover');
+const { createSlackNotifier } = require('./slack-notifier');
+const { createSmsNotifier } = require('./sms-notifier');
+
+// Every outbox channel, keyed by the name stored on outbox rows. Dispatch
+// channels are switched on by their own *_NOTIFICATIONS_ENABLED setting;
+// customer email by CUSTOMER_EMAILS_ENABLED.
+function createNotifierChannels({ env = process.env, fetchImpl = globalThis.fetch, mailTransport = null } = {}) {
+  const pushoverKinds = parseAlertKinds(env.PUSHOVER_ALERT_KINDS, undefined, 'PUSHOVER_ALERT_KINDS');
+  return {
+    pushover: {
+      isEnabled: isPushoverEnabled,
+      accepts: kind => pushoverKinds.includes(kind),
+      send: (kind, payload) => sendPushoverAlert(kind, payload, { env, fetchImpl }),
+    },
+    email: createEmailNotifier({ env, transport: mailTransport }),
+    slack: createSlackNotifier({ env, fetchImpl }),
+    sms: createSmsNotifier({ env, fetchImpl }),
+    customer_email: createCustomerEmailChannel({ env, transport: mailTransport }),
+  };
+}
+
+module.exports = { createNotifierChannels };
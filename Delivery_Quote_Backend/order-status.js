@@ -0,0 +1,114 @@
+'use strict';
+
+const { BOOKING_STATUS } = require('./booking-status');
+const { cleanText, formatDateTime } = require('./alert-content');
+
+const STOP_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  ARRIVED: 'ARRIVED',
+  LOADED: 'LOADED',
+  DELIVERED: 'DELIVERED',
+});
+
+// What the customer sees for each booking status. Internal wording such as
+// "dispute" stays on the admin side.
+const ORDER_STATUS_LABELS = Object.freeze({
+  [BOOKING_STATUS.QUOTED]: { label: 'Quote saved', description: 'This quote has not been booked yet.' },
+  [BOOKING_STATUS.CHECKOUT_STARTED]: { label: 'Confirming payment', description: 'We are waiting for the payment to be confirmed. This usually takes a few seconds.' },
+  [BOOKING_STATUS.CHECKOUT_EXPIRED]: { label: 'Checkout expired', description: 'Checkout closed before payment was completed. The load is not booked.' },
+  [BOOKING_STATUS.PAYMENT_FAILED]: { label: 'Payment failed', description: 'The payment did not go through. The load is not booked.' },
+  [BOOKING_STATUS.BOOKED]: { label: 'Booked', description: 'Your delivery is booked and scheduled for pickup.' },
+  [BOOKING_STATUS.CANCELLED]: { label: 'Cancelled', description: 'This booking was cancelled.' },
+  [BOOKING_STATUS.REFUNDED]: { label: 'Refunded', description: 'This booking was refunded.' },
+  [BOOKING_STATUS.DISPUTED]: { label: 'Under review', description: 'This booking is under review. Please call us with any questions.' },
+});
+
+const PROGRESS_LABELS = Object.freeze({
+  IN_PROGRESS: { label: 'In progress', description: 'Your driver is working through the stops.' },
+  DELIVERED: { label: 'Delivered', description: 'Every stop has been completed.' },
+});
+
+const STOP_STATUS_ORDER = Object.freeze([STOP_STATUS.PENDING, STOP_STATUS.ARRIVED, STOP_STATUS.LOADED, STOP_STATUS.DELIVERED]);
+
+// The first stop is the pickup and is done once loaded; every other stop is
+// done once delivered.
+function isStopComplete(stopIndex, status) {
+  return status === STOP_STATUS.DELIVERED || (stopIndex === 0 && status === STOP_STATUS.LOADED);
+}
+
+// `stopUpdates` are { stop_index, status, recorded_at } rows; the most advanced
+// update for each stop wins so a late-arriving "arrived" never rolls it back.
+function summarizeStops(stops, stopUpdates) {
+  const latest = new Map();
+  stopUpdates.forEach(update => {
+    const index = Number(update.stop_index);
+    const rank = STOP_STATUS_ORDER.indexOf(update.status);
+    if (rank < 0) return;
+    const current = latest.get(index);
+    if (!current || rank > STOP_STATUS_ORDER.indexOf(current.status)) latest.set(index, update);
+  });
+  return stops.map((stop, index) => {
+    const update = latest.get(index);
+    return {
+      stopNumber: index + 1,
+      label: index === 0 ? 'Pickup' : index === stops.length - 1 ? 'Delivery' : `Stop ${index + 1}`,
+      address: cleanText(stop?.address, 160) || 'Unavailable',
+      status: update ? update.status : STOP_STATUS.PENDING,
+      completed: update ? isStopComplete(index, update.status) : false,
+      updatedAt: update ? update.recorded_at : null,
+    };
+  });
+}
+
+function describeWindow(date, time, timeZone, fallback) {
+  const dateText = cleanText(date, 10);
+  const timeText = cleanText(time, 5);
+  return {
+    date: dateText || null,
+    time: timeText || null,
+    timeZone: timeZone || null,
+    display: dateText ? formatDateTime(dateText, timeText, timeZone) : fallback,
+  };
+}
+
+// Builds the customer-facing view of a booking from its CalculatedQuote row.
+// Contact and payment references are left out; the tracking link may be forwarded.
+function buildOrderStatus(row, stopUpdates = []) {
+  const payload = row.lead_payload && typeof row.lead_payload === 'object' ? row.lead_payload : {};
+  const services = payload.serviceDetails || {};
+  const stops = summarizeStops(Array.isArray(payload.stopsData) ? payload.stopsData : [], stopUpdates);
+  const bookingStatus = row.booking_status || BOOKING_STATUS.QUOTED;
+
+  let phase = bookingStatus;
+  if (bookingStatus === BOOKING_STATUS.BOOKED && stops.length) {
+    if (stops.every(stop => stop.completed)) phase = 'DELIVERED';
+    else if (stops.some(stop => stop.status !== STOP_STATUS.PENDING)) phase = 'IN_PROGRESS';
+  }
+  const { label, description } = PROGRESS_LABELS[phase] || ORDER_STATUS_LABELS[bookingStatus] ||
+    { label: 'Status unavailable', description: 'Please call us for an update.' };
+
+  return {
+    quoteId: row.quote_id,
+    bookingStatus,
+    paymentStatus: row.payment_status || null,
+    phase,
+    label,
+    description,
+    pickupWindow: describeWindow(services.pickupDate, services.pickupTime, services.timeZone, 'To be scheduled'),
+    deliveryWindow: {
+      ...describeWindow(services.deliveryDate, services.deliveryTime, services.timeZone, 'To be scheduled'),
+      serviceLevel: cleanText(services.urgencyLabel || services.urgency, 60) || null,
+    },
+    stops,
+    paidAt: row.paid_at || null,
+    cancelledAt: row.cancelled_at || null,
+  };
+}
+
+module.exports = {
+  ORDER_STATUS_LABELS,
+  STOP_STATUS,
+  STOP_STATUS_ORDER,
+  buildOrderStatus,
+  isStopComplete,
+};
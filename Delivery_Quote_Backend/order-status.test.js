@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrderStatus } = require('./order-status');
+
+const BOOKED_ROW = Object.freeze({
+  quote_id: 'XN-20260820-A1B2C3',
+  contact_email: 'office@xpeditenow.com',
+  booking_status: 'BOOKED',
+  payment_status: 'PAID',
+  paid_at: new Date('2026-08-20T16:30:00.000Z'),
+  lead_payload: {
+    contactDetails: { name: 'Teena Marie', email: 'office@xpeditenow.com', phone: '8135550100' },
+    stopsData: [
+      { address: '7841 Carriage Pointe Dr, Gibsonton, FL' },
+      { address: '100 Main St, Brandon, FL' },
+      { address: '4217 Empire Place, Tampa, FL' },
+    ],
+    serviceDetails: {
+      urgencyLabel: 'Expedited (4 Hours)',
+      pickupDate: '2026-08-21',
+      pickupTime: '09:00',
+      deliveryDate: '2026-08-21',
+      deliveryTime: '13:00',
+    },
+  },
+});
+
+test('shows a booked order with its windows and pending stops', () => {
+  const order = buildOrderStatus(BOOKED_ROW);
+  assert.equal(order.phase, 'BOOKED');
+  assert.equal(order.label, 'Booked');
+  assert.deepEqual(order.pickupWindow, { date: '2026-08-21', time: '09:00', timeZone: null, display: 'Fri, Aug. 21, 2026 @ 9:00am' });
+  const zoned = buildOrderStatus({
+    ...BOOKED_ROW,
+    lead_payload: {
+      ...BOOKED_ROW.lead_payload,
+      serviceDetails: { ...BOOKED_ROW.lead_payload.serviceDetails, timeZone: 'America/New_York' },
+    },
+  });
+  assert.equal(zoned.pickupWindow.display, 'Fri, Aug. 21, 2026 @ 9:00am EDT');
+  assert.equal(order.deliveryWindow.serviceLevel, 'Expedited (4 Hours)');
+  assert.deepEqual(order.stops.map(stop => [stop.label, stop.status]), [
+    ['Pickup', 'PENDING'],
+    ['Stop 2', 'PENDING'],
+    ['Delivery', 'PENDING'],
+  ]);
+  assert.equal(JSON.stringify(order).includes('office@xpeditenow.com'), false);
+});
+
+test('keeps the most advanced update for each stop', () => {
+  const order = buildOrderStatus(BOOKED_ROW, [
+    { stop_index: 0, status: 'DELIVERED', recorded_at: '2026-08-21T13:20:00.000Z' },
+    { stop_index: 0, status: 'ARRIVED', recorded_at: '2026-08-21T13:25:00.000Z' },
+    { stop_index: 1, status: 'ARRIVED', recorded_at: '2026-08-21T14:00:00.000Z' },
+  ]);
+  assert.equal(order.phase, 'IN_PROGRESS');
+  assert.deepEqual(order.stops.map(stop => stop.status), ['DELIVERED', 'ARRIVED', 'PENDING']);
+  assert.equal(order.stops[0].updatedAt, '2026-08-21T13:20:00.000Z');
+});
+
+test('reports delivery once every stop is done and hides dispute wording', () => {
+  const updates = [0, 1, 2].map(index => ({ stop_index: index, status: 'DELIVERED', recorded_at: '2026-08-21T15:00:00.000Z' }));
+  assert.equal(buildOrderStatus(BOOKED_ROW, updates).label, 'Delivered');
+  const disputed = buildOrderStatus({ ...BOOKED_ROW, booking_status: 'DISPUTED' }, updates);
+  assert.equal(disputed.phase, 'DISPUTED');
+  assert.equal(disputed.label, 'Under review');
+});
+
+test('tolerates rows without a saved payload', () => {
+  const order = buildOrderStatus({ quote_id: 'XN-20260820-A1B2C3', booking_status: null, lead_payload: null });
+  assert.equal(order.bookingStatus, 'QUOTED');
+  assert.equal(order.pickupWindow.display, 'To be scheduled');
+  assert.deepEqual(order.stops, []);
+});
@@ -0,0 +1,419 @@
+'use strict';
+
+const { VEHICLE_TYPES } = require('./rate-cards');
+const { normalizeEmail } = require('./email-validation');
+const { cleanText } = require('./alert-content');
+
+const API_VERSION = 'v1';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 600;
+const DEFAULT_DAILY_QUOTA = 1000;
+const MAX_DAILY_QUOTA = 100000;
+const MAX_STOPS = 20;
+const MAX_PACKAGES = 50;
+const HANDLING_OPTIONS = Object.freeze(['customer', 'driver', 'driver_assist']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class PartnerApiError extends Error {
+  constructor(message, statusCode = 422, code = 'INVALID_REQUEST') {
+    super(message);
+    this.name = 'PartnerApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function parsePartnerId(value, label = 'Partner') {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id < 1) throw new PartnerApiError(`${label} was not found.`, 404, 'NOT_FOUND');
+  return id;
+}
+
+function parseWholeNumber(value, field, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new PartnerApiError(`${field} must be a whole number from 1 to ${max}.`);
+  }
+  return number;
+}
+
+function parsePartnerInput(body = {}, { partial = false } = {}) {
+  const partner = {};
+  if (!partial || body.name !== undefined) {
+    partner.name = cleanText(body.name, 150);
+    if (!partner.name) throw new PartnerApiError('name is required.');
+  }
+  if (!partial || body.contactEmail !== undefined) {
+    partner.contactEmail = normalizeEmail(body.contactEmail);
+    if (!partner.contactEmail) throw new PartnerApiError('contactEmail must be a valid email address.');
+  }
+  if (!partial || body.accountId !== undefined) {
+    partner.accountId = body.accountId === null || body.accountId === undefined || body.accountId === ''
+      ? null
+      : parsePartnerId(body.accountId, 'Account');
+  }
+  if (!partial || body.active !== undefined) {
+    if (body.active !== undefined && typeof body.active !== 'boolean') throw new PartnerApiError('active must be true or false.');
+    partner.active = body.active ?? true;
+  }
+  if (partial && !Object.keys(partner).length) {
+    throw new PartnerApiError('Send at least one partner field to update.');
+  }
+  return partner;
+}
+
+function parsePartnerKeyInput(body = {}, { partial = false } = {}) {
+  const limits = {};
+  if (!partial || body.label !== undefined) limits.label = cleanText(body.label, 100) || null;
+  if (!partial || body.rateLimitPerMinute !== undefined) {
+    limits.rateLimitPerMinute = parseWholeNumber(
+      body.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+      'rateLimitPerMinute',
+      MAX_RATE_LIMIT_PER_MINUTE
+    );
+  }
+  if (!partial || body.dailyQuota !== undefined) {
+    limits.dailyQuota = parseWholeNumber(body.dailyQuota ?? DEFAULT_DAILY_QUOTA, 'dailyQuota', MAX_DAILY_QUOTA);
+  }
+  if (partial && !Object.keys(limits).length) {
+    throw new PartnerApiError('Send at least one API key field to update.');
+  }
+  return limits;
+}
+
+function mapPartner(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contactEmail: row.contact_email,
+    accountId: row.account_id,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapPartnerKey(row) {
+  return {
+    id: row.id,
+    partnerId: row.partner_id,
+    label: row.label,
+    keyPrefix: row.key_prefix,
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    dailyQuota: row.daily_quota,
+    usedToday: row.used_today === undefined ? undefined : Number(row.used_today || 0),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+const PARTNER_SCHEMAS = Object.freeze({
+  quoteRequest: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'quote-request',
+    title: 'Quote request',
+    description: 'Body of POST /api/v1/quotes. Dates and times are local to the service area.',
+    type: 'object',
+    required: ['contact', 'stops', 'packages', 'service'],
+    additionalProperties: false,
+    properties: {
+      reference: { type: 'string', maxLength: 100, description: 'Your own order number, returned with the quote.' },
+      promoCode: { type: 'string', maxLength: 40 },
+      contact: {
+        type: 'object',
+        description: 'The person we contact about the delivery.',
+        required: ['name', 'email'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 150 },
+          email: { type: 'string', format: 'email' },
+          phone: { type: 'string', maxLength: 40 },
+          company: { type: 'string', maxLength: 150 },
+        },
+      },
+      stops: {
+        type: 'array',
+        description: 'Pickup first, then each drop-off in order.',
+        minItems: 2,
+        maxItems: MAX_STOPS,
+        items: {
+          type: 'object',
+          required: ['address', 'handling'],
+          additionalProperties: false,
+          properties: {
+            address: { type: 'string', minLength: 1, maxLength: 300 },
+            handling: {
+              enum: HANDLING_OPTIONS,
+              description: 'Who loads or unloads: customer, driver, or driver_assist.',
+            },
+            stairFlights: { type: 'integer', minimum: 0, maximum: 20, default: 0 },
+          },
+        },
+      },
+      packages: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_PACKAGES,
+        items: {
+          type: 'object',
+          required: ['quantity', 'weightLbs', 'lengthIn', 'widthIn', 'heightIn'],
+          additionalProperties: false,
+          properties: {
+            quantity: { type: 'integer', minimum: 1, maximum: 999 },
+            description: { type: 'string', maxLength: 200 },
+            weightLbs: { type: 'number', minimum: 0, description: 'Weight of one item.' },
+            lengthIn: { type: 'number', exclusiveMinimum: 0 },
+            widthIn: { type: 'number', exclusiveMinimum: 0 },
+            heightIn: { type: 'number', exclusiveMinimum: 0 },
+            palletized: { type: 'boolean', default: false },
+          },
+        },
+      },
+      service: {
+        type: 'object',
+        required: ['vehicleType', 'pickupDate', 'pickupTime', 'deliveryDate', 'deliveryTime'],
+        additionalProperties: false,
+        properties: {
+          vehicleType: { enum: VEHICLE_TYPES },
+          pickupDate: { type: 'string', pattern: DATE_PATTERN.source },
+          pickupTime: { type: 'string', pattern: TIME_PATTERN.source },
+          deliveryDate: { type: 'string', pattern: DATE_PATTERN.source },
+          deliveryTime: { type: 'string', pattern: TIME_PATTERN.source },
+          insideDelivery: { type: 'boolean', default: false },
+          fragileHandling: { type: 'boolean', default: false },
+          extraLaborer: { type: 'boolean', default: false },
+          hazardous: { type: 'boolean', default: false, description: 'Requires notes describing the material.' },
+          notes: { type: 'string', maxLength: 1000 },
+        },
+      },
+    },
+  },
+  quote: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'quote',
+    title: 'Quote',
+    description: 'Returned by POST /api/v1/quotes and, with the order\'s progress, by GET /api/v1/quotes/{quoteId}. ' +
+      'Book it before expiresAt.',
+    type: 'object',
+    required: ['quoteId', 'total', 'currency', 'expiresAt'],
+    properties: {
+      quoteId: { type: 'string', pattern: '^XN-\\d{8}-[A-F0-9]{6}$' },
+      reference: { type: ['string', 'null'] },
+      total: { type: 'number', description: 'Amount to be charged, in dollars.' },
+      currency: { const: 'USD' },
+      quoteVersion: { type: 'string', description: 'Rate card the quote was priced under.' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      vehicleType: { enum: VEHICLE_TYPES },
+      serviceLevel: { type: 'string' },
+      pickupAt: { type: 'string', format: 'date-time' },
+      deliverByAt: { type: 'string', format: 'date-time' },
+      totalMiles: { type: 'number' },
+      breakdown: { type: 'object', description: 'Line items that add up to total.' },
+      promotion: { type: ['object', 'null'] },
+      bookingStatus: { type: 'string' },
+      paymentStatus: { type: ['string', 'null'] },
+    },
+  },
+  booking: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'booking',
+    title: 'Booking',
+    description: 'Returned by POST /api/v1/quotes/{quoteId}/booking. Partners with invoice billing are booked at once; others get a paymentUrl for the customer.',
+    type: 'object',
+    required: ['quoteId', 'bookingStatus', 'paymentStatus'],
+    properties: {
+      quoteId: { type: 'string' },
+      reference: { type: ['string', 'null'] },
+      bookingStatus: { enum: ['BOOKED', 'CHECKOUT_STARTED'] },
+      paymentStatus: { enum: ['INVOICED', 'UNPAID'] },
+      paymentTerms: { type: 'string' },
+      paymentUrl: { type: 'string', format: 'uri' },
+      trackingUrl: { type: ['string', 'null'], format: 'uri' },
+    },
+  },
+  error: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'error',
+    title: 'Error',
+    description: 'Every 4xx and 5xx response. 429 responses carry Retry-After.',
+    type: 'object',
+    required: ['status', 'message'],
+    properties: {
+      status: { const: 'error' },
+      message: { type: 'string' },
+      code: {
+        type: 'string',
+        description: 'API_KEY_INVALID, RATE_LIMITED, QUOTA_EXCEEDED, INVALID_REQUEST, INVALID_EMAIL, ' +
+          'EMAIL_DOMAIN_UNDELIVERABLE, EMAIL_CHECK_UNAVAILABLE, QUOTE_REJECTED, NOT_FOUND, QUOTE_EXPIRED, ' +
+          'QUOTE_CHANGED, QUOTE_NOT_BOOKABLE or SERVICE_UNAVAILABLE. Promo code and service area refusals ' +
+          'use their own PROMO_ and OUTSIDE_SERVICE_AREA codes.',
+      },
+    },
+  },
+});
+
+function requireObject(value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new PartnerApiError(`${path} must be an object.`);
+  }
+  return value;
+}
+
+function rejectUnknownFields(value, schema, path) {
+  const unknown = Object.keys(value).filter(key => !(key in schema.properties));
+  if (unknown.length) throw new PartnerApiError(`${path} has unknown field ${unknown[0]}.`);
+}
+
+function requireText(value, path, maxLength, { required = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) throw new PartnerApiError(`${path} is required.`);
+    return '';
+  }
+  if (typeof value !== 'string') throw new PartnerApiError(`${path} must be a string.`);
+  const text = value.trim();
+  if (required && !text) throw new PartnerApiError(`${path} is required.`);
+  if (text.length > maxLength) throw new PartnerApiError(`${path} must be at most ${maxLength} characters.`);
+  return text;
+}
+
+function requireFlag(value, path) {
+  if (value === undefined) return false;
+  if (typeof value !== 'boolean') throw new PartnerApiError(`${path} must be true or false.`);
+  return value;
+}
+
+function requireNumber(value, path) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new PartnerApiError(`${path} must be a number.`);
+  return value;
+}
+
+function requireMatch(value, path, pattern, format) {
+  const text = requireText(value, path, 10);
+  if (!pattern.test(text)) throw new PartnerApiError(`${path} must be in ${format} format.`);
+  return text;
+}
+
+// Checks a v1 quote request against PARTNER_SCHEMAS.quoteRequest and maps it
+// onto the lead shape the quote form sends. Prices, vehicle fit and timing
+// are left to the quote engine.
+function parsePartnerQuoteRequest(body) {
+  const schema = PARTNER_SCHEMAS.quoteRequest;
+  requireObject(body, 'The request body');
+  rejectUnknownFields(body, schema, 'The request body');
+
+  const contact = requireObject(body.contact, 'contact');
+  rejectUnknownFields(contact, schema.properties.contact, 'contact');
+  const contactDetails = {
+    name: requireText(contact.name, 'contact.name', 150),
+    email: requireText(contact.email, 'contact.email', 255),
+    phone: requireText(contact.phone, 'contact.phone', 40, { required: false }),
+    company: requireText(contact.company, 'contact.company', 150, { required: false }),
+  };
+
+  if (!Array.isArray(body.stops) || body.stops.length < 2 || body.stops.length > MAX_STOPS) {
+    throw new PartnerApiError(`stops must list 2 to ${MAX_STOPS} stops.`);
+  }
+  const stopsData = body.stops.map((stop, index) => {
+    const path = `stops[${index}]`;
+    requireObject(stop, path);
+    rejectUnknownFields(stop, schema.properties.stops.items, path);
+    if (!HANDLING_OPTIONS.includes(stop.handling)) {
+      throw new PartnerApiError(`${path}.handling must be one of ${HANDLING_OPTIONS.join(', ')}.`);
+    }
+    const stairFlights = stop.stairFlights ?? 0;
+    if (!Number.isInteger(stairFlights) || stairFlights < 0 || stairFlights > 20) {
+      throw new PartnerApiError(`${path}.stairFlights must be a whole number from 0 to 20.`);
+    }
+    return {
+      address: requireText(stop.address, `${path}.address`, 300),
+      loadUnload: stop.handling,
+      stairs: stairFlights > 0,
+      stairFlights: stairFlights || '',
+    };
+  });
+
+  if (!Array.isArray(body.packages) || body.packages.length < 1 || body.packages.length > MAX_PACKAGES) {
+    throw new PartnerApiError(`packages must list 1 to ${MAX_PACKAGES} packages.`);
+  }
+  const packagesData = body.packages.map((item, index) => {
+    const path = `packages[${index}]`;
+    requireObject(item, path);
+    rejectUnknownFields(item, schema.properties.packages.items, path);
+    return {
+      qty: requireNumber(item.quantity, `${path}.quantity`),
+      desc: requireText(item.description, `${path}.description`, 200, { required: false }),
+      weight: requireNumber(item.weightLbs, `${path}.weightLbs`),
+      length: requireNumber(item.lengthIn, `${path}.lengthIn`),
+      width: requireNumber(item.widthIn, `${path}.widthIn`),
+      height: requireNumber(item.heightIn, `${path}.heightIn`),
+      unit: 'inches',
+      palletized: requireFlag(item.palletized, `${path}.palletized`),
+    };
+  });
+
+  const service = requireObject(body.service, 'service');
+  rejectUnknownFields(service, schema.properties.service, 'service');
+  if (!VEHICLE_TYPES.includes(service.vehicleType)) {
+    throw new PartnerApiError(`service.vehicleType must be one of ${VEHICLE_TYPES.join(', ')}.`);
+  }
+  const serviceDetails = {
+    vehicleType: service.vehicleType,
+    pickupDate: requireMatch(service.pickupDate, 'service.pickupDate', DATE_PATTERN, 'YYYY-MM-DD'),
+    pickupTime: requireMatch(service.pickupTime, 'service.pickupTime', TIME_PATTERN, 'HH:MM'),
+    deliveryDate: requireMatch(service.deliveryDate, 'service.deliveryDate', DATE_PATTERN, 'YYYY-MM-DD'),
+    deliveryTime: requireMatch(service.deliveryTime, 'service.deliveryTime', TIME_PATTERN, 'HH:MM'),
+    insideDelivery: requireFlag(service.insideDelivery, 'service.insideDelivery'),
+    fragileHandling: requireFlag(service.fragileHandling, 'service.fragileHandling'),
+    extraLaborer: requireFlag(service.extraLaborer, 'service.extraLaborer'),
+    hazardousBio: requireFlag(service.hazardous, 'service.hazardous'),
+    specialNotes: requireText(service.notes, 'service.notes', 1000, { required: false }),
+  };
+
+  return {
+    reference: requireText(body.reference, 'reference', 100, { required: false }) || null,
+    leadData: {
+      contactDetails,
+      stopsData,
+      packagesData,
+      serviceDetails,
+      promoCode: requireText(body.promoCode, 'promoCode', 40, { required: false }),
+    },
+  };
+}
+
+// The public shape of a saved quote; internal routing and account details
+// stay out of partner responses.
+function toPartnerQuote(lead, { bookingStatus, paymentStatus } = {}) {
+  return {
+    quoteId: lead.quoteId,
+    reference: lead.partnerReference || null,
+    total: lead.calculatedQuote,
+    currency: 'USD',
+    quoteVersion: lead.quoteVersion,
+    expiresAt: lead.quoteExpiresAt,
+    vehicleType: lead.serviceDetails?.vehicleType,
+    serviceLevel: lead.serviceDetails?.urgency,
+    pickupAt: lead.serviceDetails?.pickupAt,
+    deliverByAt: lead.serviceDetails?.deliverByAt,
+    totalMiles: lead.totalMiles,
+    breakdown: lead.breakdown,
+    promotion: lead.promotion || null,
+    bookingStatus: bookingStatus || 'QUOTED',
+    paymentStatus: paymentStatus || 'UNPAID',
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  PARTNER_SCHEMAS,
+  PartnerApiError,
+  mapPartner,
+  mapPartnerKey,
+  parsePartnerId,
+  parsePartnerInput,
+  parsePartnerKeyInput,
+  parsePartnerQuoteRequest,
+  toPartnerQuote,
+};
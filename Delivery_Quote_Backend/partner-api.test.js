@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PartnerApiError,
+  parsePartnerInput,
+  parsePartnerKeyInput,
+  parsePartnerQuoteRequest,
+  toPartnerQuote,
+} = require('./partner-api');
+
+function quoteRequest(overrides = {}) {
+  return {
+    reference: 'SO-1182',
+    contact: { name: 'Dana Ruiz', email: 'dana@example.com' },
+    stops: [
+      { address: '7841 Carriage Pointe Dr, Gibsonton, FL 33534', handling: 'customer' },
+      { address: '4217 Empire Place, Tampa, FL 33610', handling: 'driver_assist', stairFlights: 2 },
+    ],
+    packages: [{ quantity: 1, description: 'Sofa', weightLbs: 180, lengthIn: 84, widthIn: 38, heightIn: 34 }],
+    service: {
+      vehicleType: 'cargo_van',
+      pickupDate: '2026-11-02',
+      pickupTime: '09:00',
+      deliveryDate: '2026-11-02',
+      deliveryTime: '17:00',
+      insideDelivery: true,
+    },
+    ...overrides,
+  };
+}
+
+test('validates partners and key limits', () => {
+  const partner = parsePartnerInput({ name: ' Casa Furniture ', contactEmail: 'IT@Casa.example.com', accountId: '4' });
+  assert.deepEqual(partner, { name: 'Casa Furniture', contactEmail: 'it@casa.example.com', accountId: 4, active: true });
+  assert.equal(parsePartnerInput({ ...partner, accountId: null }).accountId, null);
+  assert.throws(() => parsePartnerInput({ name: 'Casa' }), /contactEmail must be a valid email/);
+  assert.deepEqual(parsePartnerKeyInput({}), { label: null, rateLimitPerMinute: 60, dailyQuota: 1000 });
+  assert.deepEqual(parsePartnerKeyInput({ dailyQuota: 50 }, { partial: true }), { dailyQuota: 50 });
+  assert.throws(() => parsePartnerKeyInput({ rateLimitPerMinute: 601 }), /from 1 to 600/);
+  assert.throws(() => parsePartnerKeyInput({}, { partial: true }), PartnerApiError);
+});
+
+test('maps a v1 quote request onto the quote form lead', () => {
+  const { reference, leadData } = parsePartnerQuoteRequest(quoteRequest());
+  assert.equal(reference, 'SO-1182');
+  assert.deepEqual(leadData.stopsData[1], {
+    address: '4217 Empire Place, Tampa, FL 33610',
+    loadUnload: 'driver_assist',
+    stairs: true,
+    stairFlights: 2,
+  });
+  assert.equal(leadData.stopsData[0].stairs, false);
+  assert.deepEqual(leadData.packagesData[0], {
+    qty: 1, desc: 'Sofa', weight: 180, length: 84, width: 38, height: 34, unit: 'inches', palletized: false,
+  });
+  assert.equal(leadData.serviceDetails.insideDelivery, true);
+  assert.equal(leadData.serviceDetails.hazardousBio, false);
+
+  const rejects = (overrides, pattern) => assert.throws(
+    () => parsePartnerQuoteRequest(quoteRequest(overrides)),
+    error => error instanceof PartnerApiError && error.code === 'INVALID_REQUEST' && pattern.test(error.message)
+  );
+  rejects({ stops: quoteRequest().stops.slice(0, 1) }, /stops must list 2 to 20/);
+  rejects({ price: 10 }, /unknown field price/);
+  rejects({ packages: [{ ...quoteRequest().packages[0], weightLbs: '180' }] }, /packages\[0\]\.weightLbs must be a number/);
+  rejects({ service: { ...quoteRequest().service, pickupTime: '9am' } }, /service\.pickupTime must be in HH:MM/);
+  rejects({ service: { ...quoteRequest().service, vehicleType: 'jet' } }, /service\.vehicleType must be one of/);
+});
+
+test('shows partners the quote without internal fields', () => {
+  const quote = toPartnerQuote({
+    quoteId: 'XN-20261019-A1B2C3',
+    partnerReference: 'SO-1182',
+    calculatedQuote: 142.5,
+    quoteVersion: '2026-08',
+    quoteExpiresAt: '2026-10-20T12:00:00.000Z',
+    serviceDetails: { vehicleType: 'cargo_van', urgency: 'standard_9pm' },
+    accountId: 4,
+    routeLegs: [],
+  });
+  assert.equal(quote.reference, 'SO-1182');
+  assert.equal(quote.total, 142.5);
+  assert.equal(quote.bookingStatus, 'QUOTED');
+  assert.equal('accountId' in quote, false);
+  assert.equal('routeLegs' in quote, false);
+});
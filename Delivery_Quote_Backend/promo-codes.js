@@ -0,0 +1,196 @@
+'use strict';
+
+const { VEHICLE_TYPES } = require('./rate-cards');
+const { cleanText } = require('./alert-content');
+
+const DISCOUNT_TYPES = Object.freeze(['PERCENT', 'FIXED']);
+const PROMO_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,39}$/;
+const MAX_FIXED_DISCOUNT = 10000;
+
+class PromoCodeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.code = code;
+  }
+}
+
+function normalizePromoCode(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function parseOptionalLimit(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`${field} must be a whole number of at least 1, or empty for no limit.`);
+  return limit;
+}
+
+function parseOptionalTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !Number.isFinite(Date.parse(text))) {
+    throw new Error(`${field} must be an ISO 8601 timestamp with a time zone offset.`);
+  }
+  return new Date(text);
+}
+
+// Validates a promo code create (code, discountType and amount required) or
+// an update of only the fields sent. The code itself cannot be renamed.
+function parsePromoCodeInput(body = {}, { partial = false, existing = null } = {}) {
+  const promo = {};
+  if (!partial) {
+    promo.code = normalizePromoCode(body.code);
+    if (!PROMO_CODE_PATTERN.test(promo.code)) {
+      throw new Error('code must be 3 to 40 letters, digits, dashes or underscores.');
+    }
+  }
+  if (!partial || body.description !== undefined) promo.description = cleanText(body.description, 200) || null;
+  if (!partial || body.discountType !== undefined) {
+    promo.discountType = String(body.discountType ?? '').trim().toUpperCase();
+    if (!DISCOUNT_TYPES.includes(promo.discountType)) {
+      throw new Error(`discountType must be one of ${DISCOUNT_TYPES.join(', ')}.`);
+    }
+  }
+  if (!partial || body.amount !== undefined) {
+    promo.amount = Number(body.amount);
+    if (!Number.isFinite(promo.amount) || promo.amount <= 0) throw new Error('amount must be greater than 0.');
+    promo.amount = Number(promo.amount.toFixed(2));
+  }
+  if (!partial || body.startsAt !== undefined) promo.startsAt = parseOptionalTimestamp(body.startsAt, 'startsAt');
+  if (!partial || body.expiresAt !== undefined) promo.expiresAt = parseOptionalTimestamp(body.expiresAt, 'expiresAt');
+  if (!partial || body.maxRedemptions !== undefined) {
+    promo.maxRedemptions = parseOptionalLimit(body.maxRedemptions, 'maxRedemptions');
+  }
+  if (!partial || body.maxRedemptionsPerEmail !== undefined) {
+    promo.maxRedemptionsPerEmail = parseOptionalLimit(body.maxRedemptionsPerEmail, 'maxRedemptionsPerEmail');
+  }
+  if (!partial || body.vehicleTypes !== undefined) {
+    const vehicleTypes = body.vehicleTypes ?? [];
+    if (!Array.isArray(vehicleTypes) || vehicleTypes.some(type => !VEHICLE_TYPES.includes(type))) {
+      throw new Error(`vehicleTypes must list only ${VEHICLE_TYPES.join(', ')}.`);
+    }
+    promo.vehicleTypes = [...new Set(vehicleTypes)];
+  }
+  if (!partial || body.minimumOrder !== undefined) {
+    promo.minimumOrder = Number(body.minimumOrder ?? 0);
+    if (!Number.isFinite(promo.minimumOrder) || promo.minimumOrder < 0) {
+      throw new Error('minimumOrder must be an amount of 0 or more.');
+    }
+    promo.minimumOrder = Number(promo.minimumOrder.toFixed(2));
+  }
+  if (!partial || body.active !== undefined) {
+    if (body.active !== undefined && typeof body.active !== 'boolean') throw new Error('active must be true or false.');
+    promo.active = body.active ?? true;
+  }
+  if (partial && !Object.keys(promo).length) {
+    throw new Error('Send at least one promo code field to update.');
+  }
+
+  const merged = { ...existing, ...promo };
+  if (merged.discountType === 'PERCENT' && merged.amount > 100) {
+    throw new Error('A percentage discount cannot be more than 100.');
+  }
+  if (merged.discountType === 'FIXED' && merged.amount > MAX_FIXED_DISCOUNT) {
+    throw new Error(`A fixed discount cannot be more than ${MAX_FIXED_DISCOUNT}.`);
+  }
+  if (merged.startsAt && merged.expiresAt && new Date(merged.expiresAt) <= new Date(merged.startsAt)) {
+    throw new Error('expiresAt must be after startsAt.');
+  }
+  return promo;
+}
+
+function mapPromoCode(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    discountType: row.discount_type,
+    amount: Number(row.amount),
+    startsAt: row.starts_at,
+    expiresAt: row.expires_at,
+    maxRedemptions: row.max_redemptions,
+    maxRedemptionsPerEmail: row.max_redemptions_per_email,
+    vehicleTypes: row.vehicle_types || [],
+    minimumOrder: Number(row.minimum_order),
+    active: row.active,
+    redemptionCount: row.redemption_count === undefined ? undefined : Number(row.redemption_count),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Checks the code against its window and redemption limits. `usage` counts
+// paid redemptions; the per-email limit is only checked once an email is known.
+function checkPromoCodeUsable(promo, { email = null, usage = { total: 0, byEmail: 0 }, now = Date.now() } = {}) {
+  if (!promo || !promo.active) {
+    throw new PromoCodeError('This promo code is not valid.', 'PROMO_INVALID');
+  }
+  if (promo.startsAt && now < new Date(promo.startsAt).getTime()) {
+    throw new PromoCodeError(`Promo code ${promo.code} is not active yet.`, 'PROMO_NOT_STARTED');
+  }
+  if (promo.expiresAt && now >= new Date(promo.expiresAt).getTime()) {
+    throw new PromoCodeError(`Promo code ${promo.code} has expired.`, 'PROMO_EXPIRED');
+  }
+  if (promo.maxRedemptions !== null && usage.total >= promo.maxRedemptions) {
+    throw new PromoCodeError(`Promo code ${promo.code} has reached its usage limit.`, 'PROMO_EXHAUSTED');
+  }
+  if (email && promo.maxRedemptionsPerEmail !== null && usage.byEmail >= promo.maxRedemptionsPerEmail) {
+    throw new PromoCodeError(`Promo code ${promo.code} has already been used with this email address.`, 'PROMO_EXHAUSTED');
+  }
+}
+
+// The discount for an order, never taking the total below the vehicle
+// minimum. `orderTotal` is the price before the discount.
+function calculatePromoDiscount(promo, { vehicleType, orderTotal, vehicleMinimum, vehicleLabel = vehicleType }) {
+  if (promo.vehicleTypes.length && !promo.vehicleTypes.includes(vehicleType)) {
+    throw new PromoCodeError(`Promo code ${promo.code} does not apply to ${vehicleLabel} deliveries.`, 'PROMO_NOT_ELIGIBLE');
+  }
+  if (orderTotal < promo.minimumOrder) {
+    throw new PromoCodeError(
+      `Promo code ${promo.code} requires an order of at least $${promo.minimumOrder.toFixed(2)}.`,
+      'PROMO_NOT_ELIGIBLE'
+    );
+  }
+  const requested = promo.discountType === 'PERCENT' ? orderTotal * promo.amount / 100 : promo.amount;
+  const discount = Math.min(requested, Math.max(0, orderTotal - vehicleMinimum));
+  return Number(discount.toFixed(2));
+}
+
+// Redeems a quote's promotion inside its booking transaction. Pricing only
+// checks the limits against past bookings, so they are checked again here:
+// the promo row is locked so concurrent bookings count one at a time, and the
+// insert only happens while both limits still have room. Returns false when
+// the code is used up; a quote that already redeemed it counts as redeemed.
+async function redeemPromoCode(db, { code, quoteId, email = null, discount }) {
+  const existing = await db.query('SELECT id FROM promo_redemptions WHERE quote_id = $1', [quoteId]);
+  if (existing.rows.length) return true;
+  const promoResult = await db.query('SELECT id FROM promo_codes WHERE code = $1 FOR UPDATE', [code]);
+  const promo = promoResult.rows[0];
+  if (!promo) return false;
+  const result = await db.query(
+    `INSERT INTO promo_redemptions (promo_code_id, quote_id, contact_email, discount)
+     SELECT promo_codes.id, $2, $3, $4 FROM promo_codes
+     WHERE promo_codes.id = $1
+       AND (promo_codes.max_redemptions IS NULL
+         OR (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = $1) < promo_codes.max_redemptions)
+       AND (promo_codes.max_redemptions_per_email IS NULL OR $3::text IS NULL
+         OR (SELECT COUNT(*) FROM promo_redemptions
+             WHERE promo_code_id = $1 AND LOWER(contact_email) = LOWER($3::text)) < promo_codes.max_redemptions_per_email)
+     ON CONFLICT (quote_id) DO NOTHING
+     RETURNING id`,
+    [promo.id, quoteId, email, discount]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PromoCodeError,
+  calculatePromoDiscount,
+  checkPromoCodeUsable,
+  mapPromoCode,
+  normalizePromoCode,
+  parsePromoCodeInput,
+  redeemPromoCode,
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PromoCodeError,
+  calculatePromoDiscount,
+  checkPromoCodeUsable,
+  parsePromoCodeInput,
+  redeemPromoCode,
+} = require('./promo-codes');
+
+const NOW = Date.parse('2026-08-20T12:00:00Z');
+
+function promo(overrides = {}) {
+  return {
+    code: 'FIRST10',
+    description: 'First delivery',
+    discountType: 'PERCENT',
+    amount: 10,
+    startsAt: null,
+    expiresAt: null,
+    maxRedemptions: null,
+    maxRedemptionsPerEmail: null,
+    vehicleTypes: [],
+    minimumOrder: 0,
+    active: true,
+    ...overrides,
+  };
+}
+
+test('applies percentage and fixed discounts without going below the vehicle minimum', () => {
+  const order = { vehicleType: 'cargo_van', orderTotal: 200, vehicleMinimum: 95 };
+  assert.equal(calculatePromoDiscount(promo(), order), 20);
+  assert.equal(calculatePromoDiscount(promo({ discountType: 'FIXED', amount: 25 }), order), 25);
+  assert.equal(calculatePromoDiscount(promo({ discountType: 'FIXED', amount: 150 }), order), 105);
+  assert.equal(calculatePromoDiscount(promo(), { ...order, orderTotal: 95 }), 0);
+});
+
+test('limits codes by vehicle type and minimum order', () => {
+  const order = { vehicleType: 'car', orderTotal: 80, vehicleMinimum: 45, vehicleLabel: 'Car' };
+  assert.throws(
+    () => calculatePromoDiscount(promo({ vehicleTypes: ['cargo_van'] }), order),
+    error => error instanceof PromoCodeError && error.code === 'PROMO_NOT_ELIGIBLE' && /Car deliveries/.test(error.message)
+  );
+  assert.throws(() => calculatePromoDiscount(promo({ minimumOrder: 100 }), order), /at least \$100\.00/);
+});
+
+test('rejects inactive, expired and used-up codes', () => {
+  const usable = (code, options) => () => checkPromoCodeUsable(code, { now: NOW, ...options });
+  assert.doesNotThrow(usable(promo({ expiresAt: '2026-09-01T00:00:00Z' })));
+  assert.throws(usable(promo({ active: false })), { code: 'PROMO_INVALID' });
+  assert.throws(usable(promo({ startsAt: '2026-09-01T00:00:00Z' })), { code: 'PROMO_NOT_STARTED' });
+  assert.throws(usable(promo({ expiresAt: '2026-08-20T12:00:00Z' })), { code: 'PROMO_EXPIRED' });
+  assert.throws(usable(promo({ maxRedemptions: 5 }), { usage: { total: 5, byEmail: 0 } }), { code: 'PROMO_EXHAUSTED' });
+  const perEmail = promo({ maxRedemptionsPerEmail: 1 });
+  assert.doesNotThrow(usable(perEmail, { usage: { total: 3, byEmail: 1 } }));
+  assert.throws(usable(perEmail, { email: 'a@example.com', usage: { total: 3, byEmail: 1 } }), /already been used with this email/);
+});
+
+test('validates promo code input', () => {
+  const created = parsePromoCodeInput({ code: ' first-10 ', discountType: 'percent', amount: '10', vehicleTypes: ['car', 'car'] });
+  assert.equal(created.code, 'FIRST-10');
+  assert.equal(created.discountType, 'PERCENT');
+  assert.deepEqual(created.vehicleTypes, ['car']);
+  assert.equal(created.maxRedemptions, null);
+  assert.equal(created.active, true);
+  assert.throws(() => parsePromoCodeInput({ code: 'X', discountType: 'FIXED', amount: 5 }), /3 to 40 letters/);
+  assert.throws(() => parsePromoCodeInput({ code: 'BIG', discountType: 'PERCENT', amount: 120 }), /more than 100/);
+  assert.throws(() => parsePromoCodeInput({ code: 'VAN', discountType: 'FIXED', amount: 5, vehicleTypes: ['jet'] }), /vehicleTypes/);
+  assert.throws(() => parsePromoCodeInput({ maxRedemptions: 0 }, { partial: true, existing: created }), /at least 1/);
+  assert.throws(
+    () => parsePromoCodeInput({ startsAt: '2026-09-01T00:00:00Z', expiresAt: '2026-08-01T00:00:00Z' }, { partial: true, existing: created }),
+    /expiresAt must be after startsAt/
+  );
+  assert.deepEqual(parsePromoCodeInput({ active: false }, { partial: true, existing: created }), { active: false });
+});
+
+// Stands in for Postgres: the promo row lock is held until COMMIT, and the
+// conditional insert sees every redemption committed before it.
+function createRedemptionDatabase({ maxRedemptions = null, maxRedemptionsPerEmail = null } = {}) {
+  const redemptions = [];
+  let lock = Promise.resolve();
+  function connect() {
+    let unlock = () => {};
+    return {
+      async query(sql, params = []) {
+        if (sql.startsWith('SELECT id FROM promo_redemptions')) {
+          return { rows: redemptions.filter(row => row.quote_id === params[0]) };
+        }
+        if (sql.startsWith('SELECT id FROM promo_codes')) {
+          const held = lock;
+          lock = new Promise(resolve => { unlock = resolve; });
+          await held;
+          return { rows: params[0] === 'SPRING' ? [{ id: 1 }] : [] };
+        }
+        if (sql.startsWith('INSERT INTO promo_redemptions')) {
+          const [, quoteId, email] = params;
+          const byEmail = redemptions.filter(row => email && row.contact_email === email.toLowerCase()).length;
+          if (maxRedemptions !== null && redemptions.length >= maxRedemptions) return { rows: [] };
+          if (email && maxRedemptionsPerEmail !== null && byEmail >= maxRedemptionsPerEmail) return { rows: [] };
+          redemptions.push({ quote_id: quoteId, contact_email: email.toLowerCase() });
+          return { rows: [{ id: redemptions.length }] };
+        }
+        if (sql === 'COMMIT') unlock();
+        return { rows: [] };
+      },
+    };
+  }
+  return { connect, redemptions };
+}
+
+async function redeemAndCommit(db, redemption) {
+  const client = db.connect();
+  const redeemed = await redeemPromoCode(client, { code: 'SPRING', discount: 10, ...redemption });
+  await client.query('COMMIT');
+  return redeemed;
+}
+
+test('lets only one of two racing bookings take the last redemption', async () => {
+  const db = createRedemptionDatabase({ maxRedemptions: 1 });
+  const results = await Promise.all([
+    redeemAndCommit(db, { quoteId: 'XN-20261019-AAAAAA', email: 'a@example.com' }),
+    redeemAndCommit(db, { quoteId: 'XN-20261019-BBBBBB', email: 'b@example.com' }),
+  ]);
+  assert.deepEqual(results, [true, false]);
+  assert.deepEqual(db.redemptions.map(row => row.quote_id), ['XN-20261019-AAAAAA']);
+  assert.equal(await redeemAndCommit(db, { quoteId: 'XN-20261019-AAAAAA', email: 'a@example.com' }), true);
+});
+
+test('rechecks the per-email limit when a booking redeems its code', async () => {
+  const db = createRedemptionDatabase({ maxRedemptionsPerEmail: 1 });
+  const results = await Promise.all([
+    redeemAndCommit(db, { quoteId: 'XN-20261019-AAAAAA', email: 'a@example.com' }),
+    redeemAndCommit(db, { quoteId: 'XN-20261019-BBBBBB', email: 'A@Example.com' }),
+    redeemAndCommit(db, { quoteId: 'XN-20261019-CCCCCC', email: 'c@example.com' }),
+  ]);
+  assert.deepEqual(results, [true, false, true]);
+  assert.equal(await redeemAndCommit(db, { code: 'GONE', quoteId: 'XN-20261019-DDDDDD', email: 'd@example.com' }), false);
+});
@@ -4,8 +4,10 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const {
   buildBookingNotification,
+  buildBookingStatusNotification,
   buildQuoteNotification,
   sendBookingNotification,
+  sendPushoverAlert,
   sendQuoteNotification,
 } = require('./pushover');
 
@@ -77,6 +79,24 @@ test('formats paid bookings as a distinct high-priority alert', () => {
   assert.match(result.message, /Delivery Date: Thu, Aug\. 13, 2026 @ 11:51am/);
 });
 
+test('formats cancellations and disputes as high-priority status alerts', () => {
+  const cancelled = buildBookingStatusNotification(SAMPLE_LEAD, {
+    leadId: 42,
+    status: 'CANCELLED',
+    paymentStatus: 'PARTIALLY_REFUNDED',
+    refundedAmount: 40,
+    reason: 'Customer rescheduled',
+  });
+  assert.equal(cancelled.title, 'BOOKING CANCELLED | $95.00 | Cargo Van (High Roof)');
+  assert.equal(cancelled.priority, '1');
+  assert.match(cancelled.message, /^<b>Status: CANCELLED \| Payment PARTIALLY_REFUNDED\nRefunded: \$40\.00\nReason: Customer rescheduled<\/b>/);
+  assert.match(cancelled.message, /Lead #42/);
+
+  const disputed = buildBookingStatusNotification(SAMPLE_LEAD, { status: 'DISPUTED', reason: 'fraudulent' });
+  assert.equal(disputed.title, 'PAYMENT DISPUTED | $95.00 | Cargo Van (High Roof)');
+  assert.doesNotMatch(disputed.message, /Refunded:/);
+});
+
 test('does not call Pushover when notifications are disabled', async () => {
   let called = false;
   const result = await sendQuoteNotification(SAMPLE_LEAD, 42, {
@@ -168,3 +188,16 @@ test('sends booking alerts with high priority', async () => {
   assert.equal(request.options.body.get('sound'), 'siren');
   assert.match(request.options.body.get('title'), /LOAD PAID & BOOKED/);
 });
+
+test('routes queued outbox alerts to the matching Pushover message', async () => {
+  let request;
+  await sendPushoverAlert('booking_status', { leadData: SAMPLE_LEAD, details: { status: 'DISPUTED', paymentStatus: 'DISPUTED' } }, {
+    env: { PUSHOVER_NOTIFICATIONS_ENABLED: 'true', PUSHOVER_APP_TOKEN: 'app-token', PUSHOVER_USER_KEY: 'user-key' },
+    fetchImpl: async (url, options) => {
+      request = options;
+      return { ok: true, status: 200, text: async () => JSON.stringify({ status: 1 }) };
+    },
+  });
+  assert.match(request.body.get('title'), /^PAYMENT DISPUTED/);
+  await assert.rejects(sendPushoverAlert('unknown', {}), /Unknown Pushover alert kind/);
+});
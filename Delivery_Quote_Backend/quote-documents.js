@@ -0,0 +1,229 @@
+'use strict';
+
+const {
+  PRICE_BREAKDOWN_LINES,
+  VEHICLE_LABELS,
+  cleanText,
+  formatDateTime,
+  formatQuoteAmount,
+  formatTimestamp,
+} = require('./alert-content');
+
+const BUSINESS = Object.freeze({
+  name: 'Xpedite Now LLC',
+  phone: '(813) 575-0387',
+  website: 'xpeditenow.com',
+});
+const BRAND_BLUE = '#0b5cab';
+const MUTED_TEXT = '#5b6676';
+const PAID_STATUSES = Object.freeze(['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED', 'DISPUTED']);
+
+const HANDLING_LABELS = Object.freeze({
+  customer: 'Customer loads/unloads',
+  driver: 'Driver loads/unloads',
+  driver_assist: 'Driver assists',
+});
+
+class QuoteDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteDocumentError';
+  }
+}
+
+function payloadOf(row) {
+  const payload = row.lead_payload;
+  return payload && typeof payload === 'object' ? payload : {};
+}
+
+function isInvoiceable(row) {
+  return Boolean(row.paid_at) && PAID_STATUSES.includes(row.payment_status);
+}
+
+function describePackage(item) {
+  const dimensions = [item?.length, item?.width, item?.height].every(value => Number(value) > 0)
+    ? `${item.length} x ${item.width} x ${item.height} ${item.unit || 'inches'}`
+    : 'Dimensions unavailable';
+  return {
+    quantity: Number(item?.qty) || 0,
+    description: cleanText(item?.desc, 80) || 'Freight',
+    weight: Number(item?.weight) > 0 ? `${Number(item.weight)} lb each` : 'Weight unavailable',
+    dimensions,
+    palletized: Boolean(item?.palletized),
+  };
+}
+
+// Builds everything a quote or invoice shows from the saved CalculatedQuote
+// row. Amounts come from the stored server-verified quote, never the browser.
+function buildQuoteDocument(row, type = 'quote') {
+  if (!['quote', 'invoice'].includes(type)) {
+    throw new QuoteDocumentError(`Unknown document type: ${type}`);
+  }
+  if (type === 'invoice' && !isInvoiceable(row)) {
+    throw new QuoteDocumentError('An invoice is only available once the booking has been paid.');
+  }
+  const payload = payloadOf(row);
+  const contact = payload.contactDetails || {};
+  const services = payload.serviceDetails || {};
+  const stops = Array.isArray(payload.stopsData) ? payload.stopsData : [];
+  const packages = Array.isArray(payload.packagesData) ? payload.packagesData : [];
+  const total = Number(row.calculated_quote);
+  const breakdown = payload.breakdown || null;
+  const timeZone = row.time_zone || services.timeZone || undefined;
+
+  const charges = breakdown
+    ? PRICE_BREAKDOWN_LINES
+      .filter(([, field, alwaysShow]) => alwaysShow || Number(breakdown[field] || 0) !== 0)
+      .map(([label, field]) => ({ label, amount: formatQuoteAmount(breakdown[field]) }))
+    : [{ label: 'Delivery service', amount: formatQuoteAmount(total) }];
+
+  const document = {
+    type,
+    title: type === 'invoice' ? 'INVOICE' : 'DELIVERY QUOTE',
+    number: type === 'invoice' ? `INV-${row.quote_id.replace(/^XN-/, '')}` : row.quote_id,
+    quoteId: row.quote_id,
+    issuedAt: formatTimestamp(type === 'invoice' ? row.paid_at : row.timestamp, timeZone),
+    validUntil: type === 'quote' && row.quote_expires_at ? formatTimestamp(row.quote_expires_at, timeZone) : null,
+    pricingVersion: row.quote_version || payload.quoteVersion || null,
+    customer: [
+      cleanText(contact.name, 80),
+      cleanText(contact.company, 80),
+      cleanText(contact.email, 120),
+      cleanText(contact.phone, 40),
+    ].filter(Boolean),
+    service: [
+      ['Vehicle', VEHICLE_LABELS[services.vehicleType] || cleanText(services.vehicleType) || 'Unavailable'],
+      ['Service level', cleanText(services.urgencyLabel || services.urgency, 60) || 'Unavailable'],
+      ['Pickup', formatDateTime(services.pickupDate, services.pickupTime, services.timeZone)],
+      ['Delivery', formatDateTime(services.deliveryDate, services.deliveryTime, services.timeZone)],
+      ['Route', Number.isFinite(Number(row.total_miles)) ? `${Number(row.total_miles).toFixed(1)} miles` : 'Unavailable'],
+    ],
+    stops: stops.map((stop, index) => ({
+      label: index === 0 ? 'Pickup' : index === stops.length - 1 ? 'Delivery' : `Stop ${index + 1}`,
+      address: cleanText(stop?.address, 160) || 'Unavailable',
+      handling: [HANDLING_LABELS[stop?.loadUnload], stop?.stairs ? `${Number(stop.stairFlights) || '?'} stair flight(s)` : null]
+        .filter(Boolean).join(', '),
+    })),
+    packages: packages.map(describePackage),
+    notes: cleanText(services.specialNotes, 400) || null,
+    charges,
+    total: formatQuoteAmount(total),
+    payment: null,
+  };
+
+  if (type === 'invoice') {
+    const refunded = Number(row.refunded_amount) || 0;
+    document.payment = [
+      ['Amount paid', formatQuoteAmount(total)],
+      ['Paid on', formatTimestamp(row.paid_at, timeZone)],
+      ['Payment reference', cleanText(row.stripe_payment_intent_id, 80) || 'Unavailable'],
+      ...(refunded > 0 ? [['Refunded', formatQuoteAmount(refunded)]] : []),
+      ['Balance due', formatQuoteAmount(0)],
+    ];
+  }
+  return document;
+}
+
+function drawLabelValueRows(doc, rows, x, width) {
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_TEXT).text(label, x, doc.y, { width, continued: false });
+    doc.font('Helvetica').fontSize(10).fillColor('black').text(value, x, doc.y, { width });
+    doc.moveDown(0.35);
+  });
+}
+
+function drawSectionHeading(doc, text) {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_BLUE).text(text.toUpperCase(), 50);
+  doc.moveTo(50, doc.y + 2).lineTo(562, doc.y + 2).strokeColor('#c9d6ea').lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+  doc.fillColor('black');
+}
+
+// Writes the document to `output` (an HTTP response or any writable stream).
+function writeQuoteDocumentPdf(document, output, { PDFDocument = require('pdfkit') } = {}) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: { Title: `${BUSINESS.name} ${document.title.toLowerCase()} ${document.number}`, Author: BUSINESS.name },
+  });
+  doc.pipe(output);
+
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND_BLUE);
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('white').text(BUSINESS.name.toUpperCase(), 50, 28);
+  doc.font('Helvetica').fontSize(9).text(`${BUSINESS.phone}  |  ${BUSINESS.website}`, 50, 54);
+  doc.font('Helvetica-Bold').fontSize(16).text(document.title, 300, 30, { width: 262, align: 'right' });
+
+  doc.fillColor('black').font('Helvetica').fontSize(10);
+  doc.y = 100;
+  const meta = [
+    [document.type === 'invoice' ? 'Invoice number' : 'Quote number', document.number],
+    ...(document.type === 'invoice' ? [['Quote', document.quoteId]] : []),
+    ['Issued', document.issuedAt],
+    ...(document.validUntil ? [['Price held until', document.validUntil]] : []),
+    ...(document.pricingVersion ? [['Pricing version', document.pricingVersion]] : []),
+  ];
+  const top = doc.y;
+  drawLabelValueRows(doc, meta, 320, 242);
+  const metaBottom = doc.y;
+  doc.y = top;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_TEXT).text(document.type === 'invoice' ? 'BILL TO' : 'PREPARED FOR', 50);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  (document.customer.length ? document.customer : ['Customer details unavailable']).forEach(line => doc.text(line, 50, doc.y, { width: 250 }));
+  doc.y = Math.max(doc.y, metaBottom);
+
+  drawSectionHeading(doc, 'Service');
+  drawLabelValueRows(doc, document.service, 50, 512);
+
+  drawSectionHeading(doc, 'Stops');
+  document.stops.forEach(stop => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${stop.label}: `, 50, doc.y, { continued: true })
+      .font('Helvetica').text(stop.address);
+    if (stop.handling) doc.fontSize(9).fillColor(MUTED_TEXT).text(stop.handling, 62).fillColor('black');
+    doc.moveDown(0.3);
+  });
+
+  drawSectionHeading(doc, 'Freight');
+  document.packages.forEach(item => {
+    doc.font('Helvetica').fontSize(10)
+      .text(`${item.quantity} x ${item.description}${item.palletized ? ' (palletized)' : ''} - ${item.weight}, ${item.dimensions}`, 50, doc.y, { width: 512 });
+    doc.moveDown(0.2);
+  });
+  if (document.notes) {
+    doc.moveDown(0.3).fontSize(9).fillColor(MUTED_TEXT).text(`Notes: ${document.notes}`, 50, doc.y, { width: 512 }).fillColor('black');
+  }
+
+  drawSectionHeading(doc, 'Charges');
+  document.charges.forEach(charge => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).text(charge.label, 50, y, { width: 380 });
+    doc.text(charge.amount, 430, y, { width: 132, align: 'right' });
+    doc.moveDown(0.25);
+  });
+  const totalY = doc.y + 4;
+  doc.moveTo(330, totalY).lineTo(562, totalY).strokeColor('black').lineWidth(0.75).stroke();
+  doc.font('Helvetica-Bold').fontSize(12).text('Total', 330, totalY + 6, { width: 100 });
+  doc.text(document.total, 430, totalY + 6, { width: 132, align: 'right' });
+  doc.y = totalY + 26;
+
+  if (document.payment) {
+    drawSectionHeading(doc, 'Payment');
+    drawLabelValueRows(doc, document.payment, 50, 512);
+  }
+
+  doc.moveDown(1.5).font('Helvetica').fontSize(8).fillColor(MUTED_TEXT).text(
+    document.type === 'invoice'
+      ? `Paid in full by card through Stripe. Questions about this invoice? Call ${BUSINESS.phone}.`
+      : `Prices are verified by ${BUSINESS.name} and held until the date shown. Call ${BUSINESS.phone} with any questions.`,
+    50, doc.y, { width: 512, align: 'center' }
+  );
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  QuoteDocumentError,
+  buildQuoteDocument,
+  isInvoiceable,
+  writeQuoteDocumentPdf,
+};
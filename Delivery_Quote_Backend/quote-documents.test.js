@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { QuoteDocumentError, buildQuoteDocument, writeQuoteDocumentPdf } = require('./quote-documents');
+
+const QUOTE_ROW = Object.freeze({
+  quote_id: 'XN-20260820-A1B2C3',
+  timestamp: new Date('2026-08-20T15:00:00.000Z'),
+  quote_expires_at: new Date('2026-08-21T15:00:00.000Z'),
+  quote_version: '2026-08-20-v2',
+  total_miles: '15.00',
+  calculated_quote: '95.00',
+  payment_status: 'UNPAID',
+  paid_at: null,
+  lead_payload: {
+    contactDetails: { name: 'Teena Marie', company: 'Xpedite Now', email: 'office@xpeditenow.com' },
+    stopsData: [
+      { address: '7841 Carriage Pointe Dr, Gibsonton, FL', loadUnload: 'customer' },
+      { address: '4217 Empire Place, Tampa, FL', loadUnload: 'driver_assist', stairs: true, stairFlights: 1 },
+    ],
+    packagesData: [{ qty: '2', desc: 'Pallets', weight: '500', length: 48, width: 40, height: 50, unit: 'inches', palletized: true }],
+    serviceDetails: { vehicleType: 'cargo_van', urgencyLabel: 'Standard', pickupDate: '2026-08-21', pickupTime: '09:00' },
+    breakdown: { mileageCost: 30, weightCost: 5, stairCost: 0, minimumAdjustment: 60 },
+  },
+});
+
+test('builds a quote from the saved server-verified breakdown', () => {
+  const document = buildQuoteDocument(QUOTE_ROW, 'quote');
+  assert.equal(document.number, 'XN-20260820-A1B2C3');
+  assert.equal(document.validUntil, 'Aug 21, 2026, 11:00 AM EDT');
+  assert.deepEqual(document.charges.map(charge => charge.label), ['Mileage', 'Weight', 'Minimum-charge adjustment']);
+  assert.equal(document.total, '$95.00');
+  assert.equal(document.stops[1].handling, 'Driver assists, 1 stair flight(s)');
+  assert.equal(document.packages[0].dimensions, '48 x 40 x 50 inches');
+  assert.equal(document.payment, null);
+});
+
+test('falls back to a single charge line for quotes saved before breakdowns were stored', () => {
+  const document = buildQuoteDocument({ ...QUOTE_ROW, lead_payload: { ...QUOTE_ROW.lead_payload, breakdown: undefined } });
+  assert.deepEqual(document.charges, [{ label: 'Delivery service', amount: '$95.00' }]);
+});
+
+test('issues invoices only for paid bookings and shows the payment', () => {
+  assert.throws(() => buildQuoteDocument(QUOTE_ROW, 'invoice'), QuoteDocumentError);
+  const invoice = buildQuoteDocument({
+    ...QUOTE_ROW,
+    payment_status: 'PAID',
+    paid_at: new Date('2026-08-20T16:30:00.000Z'),
+    stripe_payment_intent_id: 'pi_123',
+  }, 'invoice');
+  assert.equal(invoice.number, 'INV-20260820-A1B2C3');
+  assert.deepEqual(invoice.payment, [
+    ['Amount paid', '$95.00'],
+    ['Paid on', 'Aug 20, 2026, 12:30 PM EDT'],
+    ['Payment reference', 'pi_123'],
+    ['Balance due', '$0.00'],
+  ]);
+});
+
+test('renders a PDF to the output stream', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => output.on('end', resolve));
+  writeQuoteDocumentPdf(buildQuoteDocument(QUOTE_ROW), output);
+  await finished;
+  const pdf = Buffer.concat(chunks);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const DEFAULT_QUOTE_VALIDITY_MINUTES = 24 * 60;
+// Stripe only accepts Checkout expirations between 30 minutes and 24 hours out.
+const STRIPE_MIN_EXPIRY_MS = 30 * 60 * 1000;
+const STRIPE_MAX_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+function getQuoteValidityMinutes(env = process.env) {
+  const configured = String(env.QUOTE_VALIDITY_MINUTES ?? '').trim();
+  if (!configured) return DEFAULT_QUOTE_VALIDITY_MINUTES;
+  const minutes = Number(configured);
+  if (!Number.isInteger(minutes) || minutes < 30 || minutes > 24 * 60) {
+    throw new Error('QUOTE_VALIDITY_MINUTES must be a whole number between 30 and 1440.');
+  }
+  return minutes;
+}
+
+function computeQuoteExpiry(issuedAt = new Date(), env = process.env) {
+  return new Date(new Date(issuedAt).getTime() + getQuoteValidityMinutes(env) * 60000);
+}
+
+// Rows saved before expiry tracking fall back to their timestamp plus the current window.
+function resolveQuoteExpiry(quoteRow, env = process.env) {
+  if (quoteRow?.quote_expires_at) return new Date(quoteRow.quote_expires_at);
+  return computeQuoteExpiry(quoteRow?.timestamp || 0, env);
+}
+
+function isQuoteExpired(expiresAt, now = Date.now()) {
+  const expiry = new Date(expiresAt).getTime();
+  return !Number.isFinite(expiry) || expiry <= new Date(now).getTime();
+}
+
+// Checkout closes with the quote's price lock. A quote inside its final
+// 30 minutes gets Stripe's minimum instead, which the webhook still honours
+// because the customer started paying while the quote was valid.
+function getCheckoutExpiresAt(quoteExpiresAt, now = Date.now()) {
+  const nowMs = new Date(now).getTime();
+  const lockMs = new Date(quoteExpiresAt).getTime();
+  const expiresMs = Math.min(Math.max(lockMs, nowMs + STRIPE_MIN_EXPIRY_MS), nowMs + STRIPE_MAX_EXPIRY_MS);
+  return Math.floor(expiresMs / 1000);
+}
+
+module.exports = {
+  computeQuoteExpiry,
+  getCheckoutExpiresAt,
+  getQuoteValidityMinutes,
+  isQuoteExpired,
+  resolveQuoteExpiry,
+};
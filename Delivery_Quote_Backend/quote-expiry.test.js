@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeQuoteExpiry,
+  getCheckoutExpiresAt,
+  getQuoteValidityMinutes,
+  isQuoteExpired,
+  resolveQuoteExpiry,
+} = require('./quote-expiry');
+
+const ISSUED_AT = new Date('2026-08-20T15:00:00.000Z');
+
+test('locks a quote for the configured number of minutes', () => {
+  assert.equal(getQuoteValidityMinutes({}), 1440);
+  assert.equal(
+    computeQuoteExpiry(ISSUED_AT, { QUOTE_VALIDITY_MINUTES: '120' }).toISOString(),
+    '2026-08-20T17:00:00.000Z'
+  );
+});
+
+test('rejects a validity window Stripe Checkout cannot honour', () => {
+  assert.throws(() => getQuoteValidityMinutes({ QUOTE_VALIDITY_MINUTES: '10' }), /between 30 and 1440/);
+  assert.throws(() => getQuoteValidityMinutes({ QUOTE_VALIDITY_MINUTES: '2880' }), /between 30 and 1440/);
+});
+
+test('falls back to the row timestamp for quotes saved before expiry tracking', () => {
+  const env = { QUOTE_VALIDITY_MINUTES: '60' };
+  assert.equal(resolveQuoteExpiry({ timestamp: ISSUED_AT }, env).toISOString(), '2026-08-20T16:00:00.000Z');
+  assert.equal(
+    resolveQuoteExpiry({ timestamp: ISSUED_AT, quote_expires_at: '2026-08-21T00:00:00.000Z' }, env).toISOString(),
+    '2026-08-21T00:00:00.000Z'
+  );
+});
+
+test('treats a quote as expired at its expiry instant', () => {
+  const expiresAt = '2026-08-20T16:00:00.000Z';
+  assert.equal(isQuoteExpired(expiresAt, new Date('2026-08-20T15:59:59.000Z')), false);
+  assert.equal(isQuoteExpired(expiresAt, new Date(expiresAt)), true);
+  assert.equal(isQuoteExpired(null, ISSUED_AT), true);
+});
+
+test('aligns the Checkout expiry with the price lock inside Stripe limits', () => {
+  const now = ISSUED_AT.getTime();
+  const seconds = iso => Date.parse(iso) / 1000;
+  assert.equal(getCheckoutExpiresAt('2026-08-20T18:00:00.000Z', now), seconds('2026-08-20T18:00:00.000Z'));
+  assert.equal(getCheckoutExpiresAt('2026-08-20T15:10:00.000Z', now), seconds('2026-08-20T15:30:00.000Z'));
+  assert.equal(getCheckoutExpiresAt('2026-08-23T15:00:00.000Z', now), seconds('2026-08-21T15:00:00.000Z'));
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const QUOTE_ID_PATTERN = /^XN-\d{8}-[A-F0-9]{6}$/;
+
+function getQuoteLinkSecret(env = process.env) {
+  const secret = String(env.QUOTE_LINK_SECRET || '').trim();
+  if (secret.length < 32) {
+    throw new Error('QUOTE_LINK_SECRET must be set to at least 32 characters to sign customer links.');
+  }
+  return secret;
+}
+
+// Customer links are optional: without a secret they are switched off, but
+// a secret that is set must be strong enough to sign with.
+function isQuoteLinkSigningEnabled(env = process.env) {
+  if (!String(env.QUOTE_LINK_SECRET || '').trim()) return false;
+  getQuoteLinkSecret(env);
+  return true;
+}
+
+// Tokens are bound to a purpose so a resume link cannot be replayed against
+// another customer-facing endpoint for the same quote.
+function signQuoteToken(quoteId, purpose, env = process.env) {
+  return crypto.createHmac('sha256', getQuoteLinkSecret(env))
+    .update(`${purpose}:${quoteId}`)
+    .digest('base64url');
+}
+
+function verifyQuoteToken(quoteId, token, purpose, env = process.env) {
+  if (!QUOTE_ID_PATTERN.test(String(quoteId || '')) || typeof token !== 'string' || !token) return false;
+  const expected = Buffer.from(signQuoteToken(quoteId, purpose, env));
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function buildCustomerLink(path, params, env = process.env) {
+  const base = String(env.YOUR_WEBSITE_URL || '').trim();
+  if (!base) {
+    throw new Error('YOUR_WEBSITE_URL is required to build customer links.');
+  }
+  const url = new URL(path, base.endsWith('/') ? base : `${base}/`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+function buildResumeUrl(quoteId, env = process.env) {
+  return buildCustomerLink('', { resumeQuote: quoteId, token: signQuoteToken(quoteId, 'resume', env) }, env);
+}
+
+function buildTrackingUrl(quoteId, env = process.env) {
+  return buildCustomerLink('order-status.html', { quote: quoteId, token: signQuoteToken(quoteId, 'order', env) }, env);
+}
+
+module.exports = {
+  buildCustomerLink,
+  buildResumeUrl,
+  buildTrackingUrl,
+  isQuoteLinkSigningEnabled,
+  signQuoteToken,
+  verifyQuoteToken,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildResumeUrl,
+  buildTrackingUrl,
+  isQuoteLinkSigningEnabled,
+  signQuoteToken,
+  verifyQuoteToken,
+} = require('./quote-links');
+
+const ENV = Object.freeze({
+  QUOTE_LINK_SECRET: 'test-secret-that-is-at-least-32-characters',
+  YOUR_WEBSITE_URL: 'https://xpeditenow.com/quote',
+});
+
+test('verifies tokens only for the quote and purpose they were signed for', () => {
+  const token = signQuoteToken('XN-20260820-A1B2C3', 'resume', ENV);
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C3', token, 'resume', ENV), true);
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C4', token, 'resume', ENV), false);
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C3', token, 'order', ENV), false);
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C3', `${token}x`, 'resume', ENV), false);
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C3', undefined, 'resume', ENV), false);
+});
+
+test('builds resume links under the website path', () => {
+  const url = new URL(buildResumeUrl('XN-20260820-A1B2C3', ENV));
+  assert.equal(url.origin + url.pathname, 'https://xpeditenow.com/quote/');
+  assert.equal(url.searchParams.get('resumeQuote'), 'XN-20260820-A1B2C3');
+  assert.equal(url.searchParams.get('token'), signQuoteToken('XN-20260820-A1B2C3', 'resume', ENV));
+});
+
+test('builds order tracking links to the status page', () => {
+  const url = new URL(buildTrackingUrl('XN-20260820-A1B2C3', ENV));
+  assert.equal(url.origin + url.pathname, 'https://xpeditenow.com/quote/order-status.html');
+  assert.equal(url.searchParams.get('quote'), 'XN-20260820-A1B2C3');
+  assert.equal(verifyQuoteToken('XN-20260820-A1B2C3', url.searchParams.get('token'), 'order', ENV), true);
+});
+
+test('refuses to sign without a strong secret', () => {
+  assert.throws(() => signQuoteToken('XN-20260820-A1B2C3', 'resume', { QUOTE_LINK_SECRET: 'short' }), /QUOTE_LINK_SECRET/);
+  assert.equal(isQuoteLinkSigningEnabled({}), false);
+  assert.equal(isQuoteLinkSigningEnabled(ENV), true);
+  assert.throws(() => isQuoteLinkSigningEnabled({ QUOTE_LINK_SECRET: 'short' }), /at least 32 characters/);
+});
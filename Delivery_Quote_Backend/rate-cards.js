@@ -0,0 +1,178 @@
+'use strict';
+
+// Seed card: used when the database has no published rate card yet.
+const QUOTE_VERSION = '2026-08-20-v2';
+
+const QUOTE_RULES = deepFreeze({
+  vehicleRates: {
+    car: 1.50,
+    suv: 1.75,
+    pickup_truck: 2.00,
+    cargo_van: 2.25,
+    cargo_van_high_roof: 2.75,
+    box_truck: 3.50,
+  },
+  vehicleMinimums: {
+    car: 30,
+    suv: 40,
+    pickup_truck: 50,
+    cargo_van: 75,
+    cargo_van_high_roof: 95,
+    box_truck: 150,
+  },
+  vehicleCapacityOrder: [
+    'car',
+    'suv',
+    'pickup_truck',
+    'cargo_van',
+    'cargo_van_high_roof',
+    'box_truck',
+  ],
+  vehicleCapacities: {
+    car: { label: 'Car', maxWeight: 100, maxVolumeCubicFeet: 20, maxItemDimensionsInches: [24, 36, 48] },
+    suv: { label: 'SUV', maxWeight: 300, maxVolumeCubicFeet: 60, maxItemDimensionsInches: [36, 48, 72] },
+    pickup_truck: { label: 'Pickup Truck', maxWeight: 1000, maxVolumeCubicFeet: 120, maxItemDimensionsInches: [48, 60, 96] },
+    cargo_van: { label: 'Cargo Van', maxWeight: 2500, maxVolumeCubicFeet: 300, maxItemDimensionsInches: [55, 65, 120] },
+    cargo_van_high_roof: { label: 'Cargo Van (High Roof)', maxWeight: 3500, maxVolumeCubicFeet: 500, maxItemDimensionsInches: [70, 72, 144] },
+    box_truck: { label: 'Box Truck', maxWeight: 4000, maxVolumeCubicFeet: 900, maxItemDimensionsInches: [84, 88, 192] },
+  },
+  weightRate: 0.05,
+  maxTotalWeight: 4000,
+  urgencyFees: {
+    standard_9pm: 0,
+    asap_2hr: 85,
+    expedited_4hr: 50,
+  },
+  lateNightFee: 75,
+  additionalStopFee: 3.50,
+  extraLaborerFee: 35,
+  stairFeePerFlight: 5,
+  handlingRules: {
+    soloDriverMaxItemWeight: 100,
+    assistedHandlingMaxItemWeight: 150,
+    stairTeamWeightThreshold: 50,
+    stairTeamLengthThreshold: 72,
+    stairCustomReviewWeight: 150,
+    stairCustomReviewLength: 96,
+    hazardousNotesMinLength: 10,
+  },
+});
+
+const VEHICLE_TYPES = QUOTE_RULES.vehicleCapacityOrder;
+const SCALAR_FEES = Object.freeze(['weightRate', 'maxTotalWeight', 'lateNightFee', 'additionalStopFee', 'extraLaborerFee', 'stairFeePerFlight']);
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/;
+
+// The rate card or other pricing data could not be read, so no price can be
+// given right now. Retryable, like a routing outage.
+class PricingDataError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'PricingDataError';
+    this.cause = cause;
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireAmount(value, path) {
+  const amount = Number(value);
+  if (value === null || value === '' || typeof value === 'boolean' || !Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${path} must be a number of zero or more.`);
+  }
+  return amount;
+}
+
+function requireAmountMap(value, keys, path) {
+  if (!isPlainObject(value)) throw new Error(`${path} must be an object.`);
+  return Object.fromEntries(keys.map(key => [key, requireAmount(value[key], `${path}.${key}`)]));
+}
+
+// Returns a frozen copy of the rules with every field checked, so a bad
+// draft is rejected when it is saved rather than when a customer is quoted.
+function normalizeRateCardRules(rules) {
+  if (!isPlainObject(rules)) throw new Error('Rate card rules must be an object.');
+
+  const order = rules.vehicleCapacityOrder;
+  if (!Array.isArray(order) || order.length !== VEHICLE_TYPES.length ||
+      !VEHICLE_TYPES.every(vehicleType => order.includes(vehicleType))) {
+    throw new Error(`vehicleCapacityOrder must list each vehicle type once: ${VEHICLE_TYPES.join(', ')}.`);
+  }
+  if (!isPlainObject(rules.vehicleCapacities)) throw new Error('vehicleCapacities must be an object.');
+
+  const vehicleCapacities = {};
+  for (const vehicleType of VEHICLE_TYPES) {
+    const capacity = rules.vehicleCapacities[vehicleType];
+    const path = `vehicleCapacities.${vehicleType}`;
+    if (!isPlainObject(capacity)) throw new Error(`${path} must be an object.`);
+    const label = String(capacity.label ?? '').trim();
+    if (!label || label.length > 150) throw new Error(`${path}.label must be 1 to 150 characters.`);
+    const dimensions = capacity.maxItemDimensionsInches;
+    if (!Array.isArray(dimensions) || dimensions.length !== 3) {
+      throw new Error(`${path}.maxItemDimensionsInches must list three dimensions.`);
+    }
+    vehicleCapacities[vehicleType] = {
+      label,
+      maxWeight: requireAmount(capacity.maxWeight, `${path}.maxWeight`),
+      maxVolumeCubicFeet: requireAmount(capacity.maxVolumeCubicFeet, `${path}.maxVolumeCubicFeet`),
+      maxItemDimensionsInches: dimensions
+        .map((dimension, index) => requireAmount(dimension, `${path}.maxItemDimensionsInches[${index}]`))
+        .sort((a, b) => a - b),
+    };
+  }
+
+  const normalized = {
+    vehicleRates: requireAmountMap(rules.vehicleRates, VEHICLE_TYPES, 'vehicleRates'),
+    vehicleMinimums: requireAmountMap(rules.vehicleMinimums, VEHICLE_TYPES, 'vehicleMinimums'),
+    vehicleCapacityOrder: [...order],
+    vehicleCapacities,
+    urgencyFees: requireAmountMap(rules.urgencyFees, Object.keys(QUOTE_RULES.urgencyFees), 'urgencyFees'),
+    handlingRules: requireAmountMap(rules.handlingRules, Object.keys(QUOTE_RULES.handlingRules), 'handlingRules'),
+  };
+  for (const field of SCALAR_FEES) {
+    normalized[field] = requireAmount(rules[field], field);
+  }
+  if (VEHICLE_TYPES.some(vehicleType => normalized.vehicleRates[vehicleType] <= 0)) {
+    throw new Error('Every vehicle rate must be greater than zero.');
+  }
+  return deepFreeze(normalized);
+}
+
+// Applies a partial draft on top of an existing card; arrays are replaced whole.
+function mergeRateCardRules(base, overrides = {}) {
+  if (!isPlainObject(overrides)) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key])
+      ? mergeRateCardRules(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function normalizeRateCardVersion(value) {
+  const version = String(value ?? '').trim();
+  if (!VERSION_PATTERN.test(version)) {
+    throw new Error('Rate card version must be 1 to 40 letters, numbers, dots, dashes or underscores.');
+  }
+  return version;
+}
+
+module.exports = {
+  PricingDataError,
+  QUOTE_RULES,
+  QUOTE_VERSION,
+  VEHICLE_TYPES,
+  mergeRateCardRules,
+  normalizeRateCardRules,
+  normalizeRateCardVersion,
+};
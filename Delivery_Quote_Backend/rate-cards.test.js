@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  QUOTE_RULES,
+  mergeRateCardRules,
+  normalizeRateCardRules,
+  normalizeRateCardVersion,
+} = require('./rate-cards');
+
+test('accepts the seed rate card unchanged', () => {
+  const rules = normalizeRateCardRules(JSON.parse(JSON.stringify(QUOTE_RULES)));
+  assert.deepEqual(rules, QUOTE_RULES);
+  assert.ok(Object.isFrozen(rules.vehicleCapacities.car.maxItemDimensionsInches));
+});
+
+test('merges a partial draft over the current card', () => {
+  const merged = normalizeRateCardRules(mergeRateCardRules(QUOTE_RULES, {
+    vehicleRates: { cargo_van: '2.40' },
+    urgencyFees: { asap_2hr: 95 },
+    lateNightFee: 80,
+  }));
+  assert.equal(merged.vehicleRates.cargo_van, 2.4);
+  assert.equal(merged.vehicleRates.car, QUOTE_RULES.vehicleRates.car);
+  assert.equal(merged.urgencyFees.asap_2hr, 95);
+  assert.equal(merged.urgencyFees.expedited_4hr, 50);
+  assert.equal(merged.lateNightFee, 80);
+});
+
+test('rejects cards with missing or negative amounts', () => {
+  assert.throws(
+    () => normalizeRateCardRules(mergeRateCardRules(QUOTE_RULES, { vehicleMinimums: { box_truck: -1 } })),
+    /vehicleMinimums\.box_truck must be a number/
+  );
+  assert.throws(
+    () => normalizeRateCardRules({ ...QUOTE_RULES, stairFeePerFlight: undefined }),
+    /stairFeePerFlight must be a number/
+  );
+  assert.throws(
+    () => normalizeRateCardRules(mergeRateCardRules(QUOTE_RULES, { vehicleRates: { car: 0 } })),
+    /greater than zero/
+  );
+});
+
+test('requires every vehicle type in the capacity order', () => {
+  assert.throws(
+    () => normalizeRateCardRules({ ...QUOTE_RULES, vehicleCapacityOrder: ['car', 'suv'] }),
+    /must list each vehicle type once/
+  );
+});
+
+test('validates rate card version labels', () => {
+  assert.equal(normalizeRateCardVersion(' 2026-09-01-v1 '), '2026-09-01-v1');
+  assert.throws(() => normalizeRateCardVersion('fall rates!'), /Rate card version/);
+});
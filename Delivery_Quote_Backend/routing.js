@@ -0,0 +1,238 @@
+'use strict';
+
+const fs = require('node:fs');
+
+const GEOCODE_ENDPOINT = 'https://maps.googleapis.com/maps/api/geocode/json';
+const DISTANCE_MATRIX_ENDPOINT = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+const DEFAULT_TIMEOUT_MS = 8000;
+const METERS_PER_MILE = 1609.344;
+const EARTH_RADIUS_METERS = 6371008.8;
+const DEFAULT_ROAD_FACTOR = 1.25;
+const COORDINATE_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+const POSTAL_CODE_PATTERNS = [/\b(\d{5})(?:-\d{4})?\b/g, /\b([A-Z]\d[A-Z]) ?(\d[A-Z]\d)\b/gi];
+
+class RouteLookupError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'RouteLookupError';
+    this.cause = cause;
+  }
+}
+
+function normalizeAddressKey(address) {
+  return String(address ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function parseCoordinates(value) {
+  const match = COORDINATE_PATTERN.exec(String(value ?? ''));
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lng = Number(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+// US ZIP or Canadian postal code from address text, taking the last match so
+// a street number is not mistaken for a ZIP.
+function extractPostalCode(address) {
+  const text = String(address ?? '');
+  for (const pattern of POSTAL_CODE_PATTERNS) {
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length) return matches[matches.length - 1].slice(1).join('').toUpperCase();
+  }
+  return null;
+}
+
+function greatCircleMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLat = toRadians(to.lat - from.lat);
+  const deltaLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+async function fetchJson(fetchImpl, url, label) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT_MS);
+  try {
+    const response = await fetchImpl(url, { signal: controller.signal });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+      throw new RouteLookupError(`${label} failed with HTTP ${response.status}.`);
+    }
+    return body;
+  } catch (error) {
+    if (error instanceof RouteLookupError) throw error;
+    if (error?.name === 'AbortError') {
+      throw new RouteLookupError(`${label} timed out.`, error);
+    }
+    throw new RouteLookupError(`${label} could not be reached.`, error);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function createGoogleRoutingProvider(options = {}) {
+  const apiKey = String(options.apiKey || '').trim();
+  if (!apiKey) {
+    throw new Error('GOOGLE_MAPS_API_KEY is required for the Google routing provider.');
+  }
+  const fetchImpl = options.fetchImpl || globalThis.fetch;
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('This Node.js runtime does not provide fetch().');
+  }
+
+  return {
+    name: 'google',
+
+    async geocode(address) {
+      const url = new URL(options.geocodeEndpoint || GEOCODE_ENDPOINT);
+      url.searchParams.set('address', address);
+      url.searchParams.set('key', apiKey);
+      const body = await fetchJson(fetchImpl, url, 'Address lookup');
+      if (body.status === 'ZERO_RESULTS') return null;
+      const location = body.results?.[0]?.geometry?.location;
+      if (body.status !== 'OK' || !Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) {
+        throw new RouteLookupError(`Address lookup returned ${body.status || 'an invalid response'}.`);
+      }
+      const postalCode = body.results[0].address_components
+        ?.find(component => component.types?.includes('postal_code'))?.short_name;
+      return {
+        lat: location.lat,
+        lng: location.lng,
+        formattedAddress: body.results[0].formatted_address || address,
+        postalCode: postalCode || null,
+      };
+    },
+
+    async drivingDistanceMeters(from, to) {
+      const url = new URL(options.distanceEndpoint || DISTANCE_MATRIX_ENDPOINT);
+      url.searchParams.set('origins', `${from.lat},${from.lng}`);
+      url.searchParams.set('destinations', `${to.lat},${to.lng}`);
+      url.searchParams.set('mode', 'driving');
+      url.searchParams.set('units', 'imperial');
+      url.searchParams.set('key', apiKey);
+      const body = await fetchJson(fetchImpl, url, 'Route lookup');
+      const element = body.rows?.[0]?.elements?.[0];
+      if (body.status === 'OK' && ['ZERO_RESULTS', 'NOT_FOUND'].includes(element?.status)) return null;
+      if (body.status !== 'OK' || element?.status !== 'OK' || !Number.isFinite(element?.distance?.value)) {
+        throw new RouteLookupError(`Route lookup returned ${element?.status || body.status || 'an invalid response'}.`);
+      }
+      return element.distance.value;
+    },
+  };
+}
+
+// Offline stand-in for tests and local development: addresses resolve from a
+// fixed place list (or literal "lat,lng" text) and legs use great-circle
+// distance stretched by a road factor.
+function createLocalRoutingProvider(options = {}) {
+  const places = new Map();
+  for (const [address, location] of Object.entries(options.places || {})) {
+    places.set(normalizeAddressKey(address), location);
+  }
+  const roadFactor = Number(options.roadFactor ?? DEFAULT_ROAD_FACTOR);
+  if (!Number.isFinite(roadFactor) || roadFactor < 1) {
+    throw new Error('The local routing road factor must be a number of at least 1.');
+  }
+
+  return {
+    name: 'local',
+
+    async geocode(address) {
+      const location = places.get(normalizeAddressKey(address)) || parseCoordinates(address);
+      if (!location) return null;
+      return {
+        lat: Number(location.lat),
+        lng: Number(location.lng),
+        formattedAddress: address,
+        postalCode: location.postalCode || null,
+      };
+    },
+
+    async drivingDistanceMeters(from, to) {
+      return greatCircleMeters(from, to) * roadFactor;
+    },
+  };
+}
+
+// Stands in when GOOGLE_MAPS_API_KEY is missing so the server still starts;
+// quotes fail as a retryable route lookup error until the key is set.
+function createUnconfiguredRoutingProvider(name) {
+  const fail = async () => {
+    throw new RouteLookupError('Route lookup is not configured. Set GOOGLE_MAPS_API_KEY.');
+  };
+  return { name, geocode: fail, drivingDistanceMeters: fail };
+}
+
+function createRoutingProvider(env = process.env, options = {}) {
+  const providerName = String(env.ROUTING_PROVIDER || 'google').trim().toLowerCase();
+  if (providerName === 'local') {
+    let places = options.places;
+    if (!places && env.ROUTING_LOCAL_PLACES_FILE) {
+      places = JSON.parse(fs.readFileSync(env.ROUTING_LOCAL_PLACES_FILE, 'utf8'));
+    }
+    return createLocalRoutingProvider({ places, roadFactor: env.ROUTING_ROAD_FACTOR || undefined });
+  }
+  if (providerName === 'google') {
+    if (!String(env.GOOGLE_MAPS_API_KEY || '').trim()) return createUnconfiguredRoutingProvider('google');
+    return createGoogleRoutingProvider({ apiKey: env.GOOGLE_MAPS_API_KEY, fetchImpl: options.fetchImpl });
+  }
+  throw new Error(`Unknown routing provider "${providerName}".`);
+}
+
+async function measureRoute(stopsData, provider) {
+  if (!Array.isArray(stopsData) || stopsData.length < 2) {
+    throw new Error('At least two stops are required.');
+  }
+
+  const geocodes = new Map();
+  const locations = [];
+  for (const [index, stop] of stopsData.entries()) {
+    const address = String(stop?.address ?? '').trim();
+    if (!address) {
+      throw new Error(`Stop ${index + 1} address is required.`);
+    }
+    const key = normalizeAddressKey(address);
+    if (!geocodes.has(key)) {
+      geocodes.set(key, await provider.geocode(address));
+    }
+    const location = geocodes.get(key);
+    if (!location) {
+      throw new Error(`Stop ${index + 1} address could not be found. Check the address and try again.`);
+    }
+    locations.push({ ...location, postalCode: location.postalCode || extractPostalCode(address) });
+  }
+
+  const legs = [];
+  let totalMeters = 0;
+  for (let index = 0; index < locations.length - 1; index++) {
+    const meters = await provider.drivingDistanceMeters(locations[index], locations[index + 1]);
+    if (meters === null) {
+      throw new Error(`No driving route was found between stop ${index + 1} and stop ${index + 2}.`);
+    }
+    totalMeters += meters;
+    legs.push({
+      from: locations[index].formattedAddress,
+      to: locations[index + 1].formattedAddress,
+      miles: Number((meters / METERS_PER_MILE).toFixed(2)),
+    });
+  }
+
+  return {
+    provider: provider.name,
+    legs,
+    stops: locations.map(({ lat, lng, postalCode }) => ({ lat, lng, postalCode })),
+    totalMiles: Number((totalMeters / METERS_PER_MILE).toFixed(2)),
+  };
+}
+
+module.exports = {
+  RouteLookupError,
+  createGoogleRoutingProvider,
+  createLocalRoutingProvider,
+  createRoutingProvider,
+  extractPostalCode,
+  measureRoute,
+};
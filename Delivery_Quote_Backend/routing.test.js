@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RouteLookupError,
+  createGoogleRoutingProvider,
+  createLocalRoutingProvider,
+  createRoutingProvider,
+  extractPostalCode,
+  measureRoute,
+} = require('./routing');
+
+const PLACES = {
+  '7841 Carriage Pointe Dr, Gibsonton, FL': { lat: 27.8364, lng: -82.3645 },
+  '4217 Empire Place, Tampa, FL': { lat: 27.9936, lng: -82.4318 },
+};
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+test('measures each leg with the local provider and a road factor', async () => {
+  const provider = createLocalRoutingProvider({ places: PLACES, roadFactor: 1.3 });
+  const route = await measureRoute([
+    { address: '7841 Carriage Pointe Dr, Gibsonton, FL' },
+    { address: '4217  empire place, tampa, fl' },
+    { address: '7841 Carriage Pointe Dr, Gibsonton, FL' },
+  ], provider);
+  assert.equal(route.provider, 'local');
+  assert.equal(route.legs.length, 2);
+  assert.ok(route.legs[0].miles > 14 && route.legs[0].miles < 16, `unexpected leg: ${route.legs[0].miles}`);
+  assert.ok(Math.abs(route.totalMiles - route.legs[0].miles * 2) <= 0.01);
+  assert.deepEqual(route.stops[1], { lat: 27.9936, lng: -82.4318, postalCode: null });
+});
+
+test('reads postal codes from the geocoder or the address text', async () => {
+  const provider = createLocalRoutingProvider({ places: { 'Depot': { lat: 27.9, lng: -82.4, postalCode: '33619' } } });
+  const route = await measureRoute([{ address: 'Depot' }, { address: '27.8364,-82.3645' }], provider);
+  assert.deepEqual(route.stops.map(stop => stop.postalCode), ['33619', null]);
+  assert.equal(extractPostalCode('12345 Main St, Tampa, FL 33602-1234'), '33602');
+  assert.equal(extractPostalCode('100 Queen St W, Toronto, ON m5h 2n2'), 'M5H2N2');
+  assert.equal(extractPostalCode('Main St, Tampa'), null);
+});
+
+test('accepts literal coordinates with the local provider', async () => {
+  const route = await measureRoute([{ address: '27.8364,-82.3645' }, { address: '27.8364, -82.3645' }], createLocalRoutingProvider());
+  assert.equal(route.totalMiles, 0);
+});
+
+test('rejects an address the provider cannot find', async () => {
+  await assert.rejects(
+    measureRoute([{ address: '7841 Carriage Pointe Dr, Gibsonton, FL' }, { address: 'Nowhere' }], createLocalRoutingProvider({ places: PLACES })),
+    /Stop 2 address could not be found/
+  );
+});
+
+test('geocodes with Google and measures the driving leg between coordinates', async () => {
+  const requests = [];
+  const provider = createGoogleRoutingProvider({
+    apiKey: 'maps-key',
+    fetchImpl: async url => {
+      requests.push(url);
+      if (url.pathname.endsWith('/geocode/json')) {
+        const address = url.searchParams.get('address');
+        return jsonResponse({ status: 'OK', results: [{
+          formatted_address: `${address}, USA`,
+          geometry: { location: PLACES[address] },
+          address_components: [{ short_name: '33602', types: ['postal_code'] }],
+        }] });
+      }
+      return jsonResponse({ status: 'OK', rows: [{ elements: [{ status: 'OK', distance: { value: 24140 } }] }] });
+    },
+  });
+  const route = await measureRoute(Object.keys(PLACES).map(address => ({ address })), provider);
+  assert.equal(route.provider, 'google');
+  assert.equal(route.totalMiles, 15);
+  assert.equal(route.legs[0].to, '4217 Empire Place, Tampa, FL, USA');
+  assert.equal(route.stops[0].postalCode, '33602');
+  assert.equal(requests.length, 3);
+  assert.equal(requests[2].searchParams.get('origins'), '27.8364,-82.3645');
+  assert.equal(requests[2].searchParams.get('key'), 'maps-key');
+});
+
+test('reports Google quota or network failures as retryable lookup errors', async () => {
+  const provider = createGoogleRoutingProvider({
+    apiKey: 'maps-key',
+    fetchImpl: async () => jsonResponse({ status: 'OVER_QUERY_LIMIT', results: [] }),
+  });
+  await assert.rejects(measureRoute(Object.keys(PLACES).map(address => ({ address })), provider), RouteLookupError);
+});
+
+test('treats a Google route with no driving path as a customer error', async () => {
+  const provider = createGoogleRoutingProvider({
+    apiKey: 'maps-key',
+    fetchImpl: async url => url.pathname.endsWith('/geocode/json')
+      ? jsonResponse({ status: 'OK', results: [{ geometry: { location: { lat: 1, lng: 1 } } }] })
+      : jsonResponse({ status: 'OK', rows: [{ elements: [{ status: 'ZERO_RESULTS' }] }] }),
+  });
+  await assert.rejects(
+    measureRoute([{ address: 'A' }, { address: 'B' }], provider),
+    error => !(error instanceof RouteLookupError) && /No driving route/.test(error.message)
+  );
+});
+
+test('selects the provider from environment settings', async () => {
+  assert.equal(createRoutingProvider({ ROUTING_PROVIDER: 'local' }).name, 'local');
+  assert.equal(createRoutingProvider({ GOOGLE_MAPS_API_KEY: 'key' }, { fetchImpl: async () => {} }).name, 'google');
+  const unconfigured = createRoutingProvider({});
+  assert.equal(unconfigured.name, 'google');
+  await assert.rejects(
+    measureRoute([{ address: 'A' }, { address: 'B' }], unconfigured),
+    error => error instanceof RouteLookupError && /GOOGLE_MAPS_API_KEY/.test(error.message)
+  );
+  assert.throws(() => createRoutingProvider({ ROUTING_PROVIDER: 'osrm' }), /Unknown routing provider/);
+});
@@ -6,17 +6,132 @@ const SERVICE_LABELS = Object.freeze({
   standard_9pm: 'Standard',
 });
 
-function parseLocalDateTime(date, time, label) {
+const SERVICE_LEVELS = Object.freeze(Object.keys(SERVICE_LABELS));
+const DEFAULT_PICKUP_NOTICE_MINUTES = Object.freeze({
+  asap_2hr: 30,
+  expedited_4hr: 30,
+  standard_9pm: 60,
+});
+const DEFAULT_BOOKING_HORIZON_DAYS = 90;
+
+const WEEKDAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+const WEEKDAY_NAMES = Object.freeze({
+  sun: 'Sundays', mon: 'Mondays', tue: 'Tuesdays', wed: 'Wednesdays',
+  thu: 'Thursdays', fri: 'Fridays', sat: 'Saturdays',
+});
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_CALENDAR_DAYS = 366;
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const zoneFormatters = new Map();
+
+// Seed calendar: open around the clock with no closures, which is how
+// pickups were accepted before the calendar was configurable.
+const DEFAULT_OPERATING_CALENDAR = freezeCalendar({
+  weeklyHours: Object.fromEntries(WEEKDAYS.map(day => [day, { open: '00:00', close: '24:00' }])),
+  holidays: [],
+  blackoutDates: [],
+  holidaySurcharge: 0,
+});
+
+class PickupTimingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PickupTimingError';
+    this.code = code;
+  }
+}
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+function normalizeTimeZone(value) {
+  const text = String(value ?? '').trim();
+  if (text) {
+    try {
+      return getZoneFormatter(text).resolvedOptions().timeZone;
+    } catch (error) {
+      // Fall through to the validation error below.
+    }
+  }
+  throw new Error('Time zone must be an IANA time zone such as America/New_York.');
+}
+
+// The zone pickup and delivery times are entered in when a quote does not name one.
+function getServiceTimeZone(env = process.env) {
+  const configured = String(env.SERVICE_TIME_ZONE ?? '').trim();
+  if (!configured) return DEFAULT_TIME_ZONE;
+  try {
+    return normalizeTimeZone(configured);
+  } catch (error) {
+    throw new Error('SERVICE_TIME_ZONE must be an IANA time zone such as America/New_York.');
+  }
+}
+
+function resolveQuoteTimeZone(serviceDetails = {}, fallback = getServiceTimeZone()) {
+  const supplied = serviceDetails.timeZone;
+  return supplied === undefined || supplied === null || supplied === ''
+    ? fallback
+    : normalizeTimeZone(supplied);
+}
+
+// Wall-clock fields of an instant as seen in the zone.
+function getZonedParts(instant, timeZone) {
+  const parts = Object.fromEntries(getZoneFormatter(timeZone)
+    .formatToParts(new Date(instant))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    utcEquivalent: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+      Number(parts.hour), Number(parts.minute), Number(parts.second)),
+  };
+}
+
+function getZonedDate(instant, timeZone) {
+  return getZonedParts(instant, timeZone).date;
+}
+
+// Converts a wall-clock date and time in the zone to an instant. Times in
+// the autumn repeated hour resolve to the first occurrence; times skipped
+// by the spring-forward gap are rejected.
+function parseLocalDateTime(date, time, label, timeZone = DEFAULT_TIME_ZONE) {
   const dateText = String(date || '').trim();
   const timeText = String(time || '').trim();
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateText) || !/^\d{2}:\d{2}$/.test(timeText)) {
+  if (!DATE_PATTERN.test(dateText) || !/^\d{2}:\d{2}$/.test(timeText)) {
     throw new Error(`${label} date and time are required.`);
   }
 
-  const timestamp = Date.parse(`${dateText}T${timeText}:00`);
-  if (!Number.isFinite(timestamp)) {
+  const wallClock = Date.parse(`${dateText}T${timeText}:00Z`);
+  if (!Number.isFinite(wallClock) || new Date(wallClock).toISOString().slice(0, 16) !== `${dateText}T${timeText}`) {
     throw new Error(`${label} date and time are invalid.`);
   }
+  // Sampling the offset around the first guess covers both sides of a changeover.
+  const offsetAt = instant => getZonedParts(instant, timeZone).utcEquivalent - instant;
+  const firstGuess = wallClock - offsetAt(wallClock);
+  const timestamp = [firstGuess, wallClock - offsetAt(firstGuess), wallClock - offsetAt(firstGuess - 3 * 3600000)]
+    .sort((a, b) => a - b)
+    .find(candidate => {
+      const resolved = getZonedParts(candidate, timeZone);
+      return resolved.date === dateText && resolved.time === timeText;
+    });
+  if (timestamp === undefined) {
+    throw new Error(`${label} time ${timeText} on ${dateText} does not exist in ${timeZone} because the clocks change.`);
+  }
   return timestamp;
 }
 
@@ -25,21 +140,243 @@ function minutesSinceMidnight(time) {
   return hours * 60 + minutes;
 }
 
+// PICKUP_NOTICE_MINUTES lists level=minutes pairs, e.g. asap_2hr=45,standard_9pm=120;
+// levels it leaves out keep their defaults.
+function getBookingWindowRules(env = process.env) {
+  const noticeMinutes = { ...DEFAULT_PICKUP_NOTICE_MINUTES };
+  const configuredNotice = String(env.PICKUP_NOTICE_MINUTES ?? '').trim();
+  for (const entry of configuredNotice ? configuredNotice.split(',') : []) {
+    const [level, value] = entry.split('=').map(part => part.trim());
+    const minutes = Number(value);
+    if (!SERVICE_LEVELS.includes(level) || !value || !Number.isInteger(minutes) || minutes < 0 || minutes > 7 * 24 * 60) {
+      throw new Error(`PICKUP_NOTICE_MINUTES entries must look like asap_2hr=30, using ${SERVICE_LEVELS.join(', ')} and 0 to 10080 minutes.`);
+    }
+    noticeMinutes[level] = minutes;
+  }
+
+  const configuredHorizon = String(env.BOOKING_HORIZON_DAYS ?? '').trim();
+  const horizonDays = configuredHorizon ? Number(configuredHorizon) : DEFAULT_BOOKING_HORIZON_DAYS;
+  if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_CALENDAR_DAYS) {
+    throw new Error(`BOOKING_HORIZON_DAYS must be a whole number between 1 and ${MAX_CALENDAR_DAYS}.`);
+  }
+  return Object.freeze({ noticeMinutes: Object.freeze(noticeMinutes), horizonDays });
+}
+
+function describeZonedInstant(instant, timeZone) {
+  const { date, time } = getZonedParts(instant, timeZone);
+  return `${date} ${time}`;
+}
+
+// Pickups must be in the future, give the service level's minimum notice and
+// fall inside the booking horizon.
+function checkPickupTiming(pickupAt, serviceLevel, timeZone, { now, rules }) {
+  const current = new Date(now).getTime();
+  if (pickupAt <= current) {
+    throw new PickupTimingError('The pickup time has already passed. Choose a pickup time later than now.', 'PICKUP_IN_PAST');
+  }
+  const noticeMinutes = rules.noticeMinutes[serviceLevel];
+  const earliest = current + noticeMinutes * 60000;
+  if (pickupAt < earliest) {
+    throw new PickupTimingError(
+      `${SERVICE_LABELS[serviceLevel]} pickups need at least ${noticeMinutes} minutes' notice. ` +
+        `Choose a pickup at or after ${describeZonedInstant(earliest, timeZone)} (${timeZone}).`,
+      'PICKUP_TOO_SOON'
+    );
+  }
+  const latest = current + rules.horizonDays * 24 * 60 * 60000;
+  if (pickupAt > latest) {
+    throw new PickupTimingError(
+      `Pickups can be booked up to ${rules.horizonDays} days ahead. Choose a pickup on or before ${getZonedDate(latest, timeZone)}.`,
+      'PICKUP_BEYOND_HORIZON'
+    );
+  }
+}
+
 function isLateNightTime(time) {
   const minutes = minutesSinceMidnight(time);
   return minutes >= 22 * 60 || minutes <= 4 * 60 + 30;
 }
 
-function deriveSchedule(serviceDetails = {}) {
+function freezeCalendar(calendar) {
+  Object.values(calendar.weeklyHours).forEach(hours => hours && Object.freeze(hours));
+  Object.freeze(calendar.weeklyHours);
+  calendar.holidays.forEach(Object.freeze);
+  Object.freeze(calendar.holidays);
+  calendar.blackoutDates.forEach(Object.freeze);
+  Object.freeze(calendar.blackoutDates);
+  return Object.freeze(calendar);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireCalendarDate(value, path) {
+  const text = String(value ?? '').trim();
+  const parsed = new Date(`${text}T00:00:00Z`);
+  if (!DATE_PATTERN.test(text) || !Number.isFinite(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== text) {
+    throw new Error(`${path} must be a YYYY-MM-DD date.`);
+  }
+  return text;
+}
+
+function requireSurcharge(value, path) {
+  const amount = Number(value);
+  if (value === null || value === '' || typeof value === 'boolean' || !Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${path} must be a number of zero or more.`);
+  }
+  return amount;
+}
+
+function cleanLabel(value, path, { required = false } = {}) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if ((required && !text) || text.length > 120) {
+    throw new Error(`${path} must be ${required ? '1' : '0'} to 120 characters.`);
+  }
+  return text || null;
+}
+
+function normalizeOpeningHours(hours, path) {
+  if (hours === null || hours === false) return null;
+  if (!isPlainObject(hours)) throw new Error(`${path} must be an object with open and close times, or null when closed.`);
+  const open = String(hours.open ?? '').trim();
+  const close = String(hours.close ?? '').trim();
+  if (!TIME_PATTERN.test(open)) throw new Error(`${path}.open must be an HH:MM time.`);
+  if (close !== '24:00' && !TIME_PATTERN.test(close)) throw new Error(`${path}.close must be an HH:MM time or 24:00.`);
+  if (minutesSinceMidnight(close) <= minutesSinceMidnight(open)) {
+    throw new Error(`${path}.close must be after ${path}.open.`);
+  }
+  return { open, close };
+}
+
+// Returns a frozen, date-sorted copy with every field checked, so a bad
+// calendar is rejected when it is saved rather than when a customer is quoted.
+function normalizeOperatingCalendar(calendar) {
+  if (!isPlainObject(calendar)) throw new Error('The operating calendar must be an object.');
+  if (!isPlainObject(calendar.weeklyHours)) throw new Error('weeklyHours must be an object.');
+  if (!Array.isArray(calendar.holidays)) throw new Error('holidays must be a list.');
+  if (!Array.isArray(calendar.blackoutDates)) throw new Error('blackoutDates must be a list.');
+
+  const weeklyHours = Object.fromEntries(WEEKDAYS.map(day => {
+    if (!(day in calendar.weeklyHours)) throw new Error(`weeklyHours.${day} is required.`);
+    return [day, normalizeOpeningHours(calendar.weeklyHours[day], `weeklyHours.${day}`)];
+  }));
+
+  const seenDates = new Set();
+  const claimDate = (date, path) => {
+    if (seenDates.has(date)) throw new Error(`${path} repeats ${date}; list each date once.`);
+    seenDates.add(date);
+  };
+
+  const holidays = calendar.holidays.map((holiday, index) => {
+    const path = `holidays[${index}]`;
+    if (!isPlainObject(holiday)) throw new Error(`${path} must be an object.`);
+    const date = requireCalendarDate(holiday.date, `${path}.date`);
+    claimDate(date, path);
+    return {
+      date,
+      name: cleanLabel(holiday.name, `${path}.name`, { required: true }),
+      closed: holiday.closed === true,
+      surcharge: holiday.surcharge === undefined || holiday.surcharge === null
+        ? null
+        : requireSurcharge(holiday.surcharge, `${path}.surcharge`),
+    };
+  });
+
+  const blackoutDates = calendar.blackoutDates.map((blackout, index) => {
+    const path = `blackoutDates[${index}]`;
+    const entry = isPlainObject(blackout) ? blackout : { date: blackout };
+    const date = requireCalendarDate(entry.date, `${path}.date`);
+    claimDate(date, path);
+    return { date, reason: cleanLabel(entry.reason, `${path}.reason`) };
+  });
+
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return freezeCalendar({
+    weeklyHours,
+    holidays: holidays.sort(byDate),
+    blackoutDates: blackoutDates.sort(byDate),
+    holidaySurcharge: requireSurcharge(calendar.holidaySurcharge ?? 0, 'holidaySurcharge'),
+  });
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Classifies one calendar day: CLOSED (blackout, closed holiday or no
+// weekly hours), HOLIDAY (open with a surcharge) or OPEN.
+function describeCalendarDay(calendar, date) {
+  const blackout = calendar.blackoutDates.find(entry => entry.date === date);
+  if (blackout) {
+    return { date, status: 'CLOSED', hours: null, reason: blackout.reason || 'Unavailable for pickups' };
+  }
+  const holiday = calendar.holidays.find(entry => entry.date === date);
+  if (holiday?.closed) {
+    return { date, status: 'CLOSED', hours: null, reason: holiday.name };
+  }
+  const hours = calendar.weeklyHours[weekdayOf(date)];
+  if (!hours) {
+    return { date, status: 'CLOSED', hours: null, reason: `Closed on ${WEEKDAY_NAMES[weekdayOf(date)]}` };
+  }
+  if (holiday) {
+    return {
+      date,
+      status: 'HOLIDAY',
+      hours,
+      reason: holiday.name,
+      surcharge: holiday.surcharge ?? calendar.holidaySurcharge,
+    };
+  }
+  return { date, status: 'OPEN', hours, reason: null };
+}
+
+function listCalendarDays(calendar, fromDate, days) {
+  const start = requireCalendarDate(fromDate, 'from');
+  const count = Number(days);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CALENDAR_DAYS) {
+    throw new Error(`days must be a whole number from 1 to ${MAX_CALENDAR_DAYS}.`);
+  }
+  const cursor = new Date(`${start}T00:00:00Z`);
+  return Array.from({ length: count }, () => {
+    const date = cursor.toISOString().slice(0, 10);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    return describeCalendarDay(calendar, date);
+  });
+}
+
+// Rejects pickups the calendar does not allow and returns the holiday, if
+// any, whose surcharge applies.
+function checkPickupAgainstCalendar(calendar, pickupDate, pickupTime) {
+  const day = describeCalendarDay(calendar, pickupDate);
+  if (day.status === 'CLOSED') {
+    throw new Error(`Pickups are not available on ${pickupDate} (${day.reason}). Choose another date.`);
+  }
+  const minutes = minutesSinceMidnight(pickupTime);
+  if (minutes < minutesSinceMidnight(day.hours.open) || minutes >= minutesSinceMidnight(day.hours.close)) {
+    throw new Error(`Pickups on ${pickupDate} are available from ${day.hours.open} to ${day.hours.close}.`);
+  }
+  return day.status === 'HOLIDAY' ? { name: day.reason, surcharge: day.surcharge } : null;
+}
+
+function deriveSchedule(serviceDetails = {}, {
+  calendar = DEFAULT_OPERATING_CALENDAR,
+  timeZone = getServiceTimeZone(),
+  now = Date.now(),
+  bookingRules = getBookingWindowRules(),
+} = {}) {
+  const quoteTimeZone = resolveQuoteTimeZone(serviceDetails, timeZone);
   const pickupAt = parseLocalDateTime(
     serviceDetails.pickupDate,
     serviceDetails.pickupTime,
-    'Pickup'
+    'Pickup',
+    quoteTimeZone
   );
   const deliveryAt = parseLocalDateTime(
     serviceDetails.deliveryDate,
     serviceDetails.deliveryTime,
-    'Delivery deadline'
+    'Delivery deadline',
+    quoteTimeZone
   );
   const windowMinutes = Math.round((deliveryAt - pickupAt) / 60000);
 
@@ -50,22 +387,69 @@ function deriveSchedule(serviceDetails = {}) {
   let serviceLevel = 'standard_9pm';
   if (windowMinutes <= 120) serviceLevel = 'asap_2hr';
   else if (windowMinutes <= 240) serviceLevel = 'expedited_4hr';
+  checkPickupTiming(pickupAt, serviceLevel, quoteTimeZone, { now, rules: bookingRules });
 
   const afterHoursApplied =
     isLateNightTime(serviceDetails.pickupTime) ||
     isLateNightTime(serviceDetails.deliveryTime);
+  const holiday = checkPickupAgainstCalendar(
+    calendar,
+    String(serviceDetails.pickupDate).trim(),
+    String(serviceDetails.pickupTime).trim()
+  );
 
   return {
     serviceLevel,
     serviceLabel: SERVICE_LABELS[serviceLevel],
     windowMinutes,
     windowHours: Number((windowMinutes / 60).toFixed(2)),
+    timeZone: quoteTimeZone,
+    pickupAt: new Date(pickupAt).toISOString(),
+    deliverByAt: new Date(deliveryAt).toISOString(),
     afterHoursApplied,
+    holidayApplied: Boolean(holiday),
+    holidayName: holiday?.name || null,
+    holidaySurcharge: holiday?.surcharge || 0,
   };
 }
 
+// The booked pickup-to-deadline span, used to spot overlapping driver jobs.
+function resolveServiceWindow(serviceDetails = {}, fallbackTimeZone = getServiceTimeZone()) {
+  const timeZone = resolveQuoteTimeZone(serviceDetails, fallbackTimeZone);
+  const startsAt = parseLocalDateTime(serviceDetails.pickupDate, serviceDetails.pickupTime, 'Pickup', timeZone);
+  const endsAt = parseLocalDateTime(serviceDetails.deliveryDate, serviceDetails.deliveryTime, 'Delivery deadline', timeZone);
+  if (endsAt <= startsAt) {
+    throw new Error('The delivery deadline must be after the pickup time.');
+  }
+  return { startsAt: new Date(startsAt), endsAt: new Date(endsAt) };
+}
+
+// A local calendar day in the zone; 23 or 25 hours long on DST changeover days.
+function resolveDayRange(date, timeZone = getServiceTimeZone()) {
+  const startsAt = parseLocalDateTime(date, '00:00', 'Schedule', timeZone);
+  const nextDay = new Date(`${String(date).trim()}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  const endsAt = parseLocalDateTime(nextDay.toISOString().slice(0, 10), '00:00', 'Schedule', timeZone);
+  return { startsAt: new Date(startsAt), endsAt: new Date(endsAt) };
+}
+
 module.exports = {
+  DEFAULT_OPERATING_CALENDAR,
+  DEFAULT_TIME_ZONE,
+  MAX_CALENDAR_DAYS,
+  PickupTimingError,
   SERVICE_LABELS,
   deriveSchedule,
+  describeCalendarDay,
+  getBookingWindowRules,
+  getServiceTimeZone,
+  getZonedDate,
   isLateNightTime,
+  listCalendarDays,
+  normalizeOperatingCalendar,
+  normalizeTimeZone,
+  parseLocalDateTime,
+  resolveDayRange,
+  resolveQuoteTimeZone,
+  resolveServiceWindow,
 };
@@ -2,7 +2,44 @@
 
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { deriveSchedule, isLateNightTime } = require('./scheduling');
+const {
+  DEFAULT_OPERATING_CALENDAR,
+  deriveSchedule: deriveScheduleAt,
+  getBookingWindowRules,
+  getServiceTimeZone,
+  getZonedDate,
+  isLateNightTime,
+  listCalendarDays,
+  normalizeOperatingCalendar,
+  parseLocalDateTime,
+  resolveDayRange,
+  resolveServiceWindow,
+} = require('./scheduling');
+
+// Pins the clock and widens the horizon so the fixtures below stay bookable.
+const NOW = Date.parse('2026-08-01T12:00:00Z');
+const YEAR_AHEAD = getBookingWindowRules({ BOOKING_HORIZON_DAYS: '366' });
+const deriveSchedule = (serviceDetails, options = {}) =>
+  deriveScheduleAt(serviceDetails, { now: NOW, bookingRules: YEAR_AHEAD, ...options });
+
+const calendar = normalizeOperatingCalendar({
+  weeklyHours: {
+    ...DEFAULT_OPERATING_CALENDAR.weeklyHours,
+    sun: null,
+    sat: { open: '08:00', close: '14:00' },
+  },
+  holidays: [
+    { date: '2026-12-25', name: 'Christmas Day', closed: true },
+    { date: '2026-11-27', name: 'Day after Thanksgiving', surcharge: 40 },
+    { date: '2026-12-24', name: 'Christmas Eve' },
+  ],
+  blackoutDates: [{ date: '2026-09-01', reason: 'Fleet maintenance' }],
+  holidaySurcharge: 25,
+});
+
+const pickupOn = (pickupDate, pickupTime = '09:00') => ({
+  pickupDate, pickupTime, deliveryDate: pickupDate, deliveryTime: '13:30',
+});
 
 test('assigns ASAP to a window of two hours or less', () => {
   const result = deriveSchedule({
@@ -48,3 +85,112 @@ test('rejects a deadline that is not after pickup', () => {
     deliveryDate: '2026-08-20', deliveryTime: '11:00',
   }), /must be after/);
 });
+
+test('resolves the booked service window and calendar day', () => {
+  const window = resolveServiceWindow({
+    pickupDate: '2026-08-20', pickupTime: '09:00',
+    deliveryDate: '2026-08-20', deliveryTime: '13:00',
+  });
+  assert.equal(window.endsAt - window.startsAt, 4 * 60 * 60 * 1000);
+  const day = resolveDayRange('2026-08-20');
+  assert.ok(day.startsAt <= window.startsAt && window.endsAt < day.endsAt);
+  assert.throws(() => resolveDayRange('2026-8-20'), /Schedule date and time are required/);
+});
+
+test('rejects pickups on blackout dates, closed holidays, closed weekdays and outside hours', () => {
+  assert.throws(() => deriveSchedule(pickupOn('2026-09-01'), { calendar }), /not available on 2026-09-01 \(Fleet maintenance\)/);
+  assert.throws(() => deriveSchedule(pickupOn('2026-12-25'), { calendar }), /Christmas Day/);
+  assert.throws(() => deriveSchedule(pickupOn('2026-08-23'), { calendar }), /Closed on Sundays/);
+  assert.throws(() => deriveSchedule(pickupOn('2026-08-22', '07:30'), { calendar }), /available from 08:00 to 14:00/);
+  assert.equal(deriveSchedule(pickupOn('2026-08-22', '08:00'), { calendar }).holidayApplied, false);
+});
+
+test('open holidays carry their own or the default holiday surcharge', () => {
+  const custom = deriveSchedule(pickupOn('2026-11-27'), { calendar });
+  assert.equal(custom.holidayApplied, true);
+  assert.equal(custom.holidayName, 'Day after Thanksgiving');
+  assert.equal(custom.holidaySurcharge, 40);
+  assert.equal(deriveSchedule(pickupOn('2026-12-24'), { calendar }).holidaySurcharge, 25);
+  assert.equal(deriveSchedule(pickupOn('2026-12-24')).holidayApplied, false);
+});
+
+test('lists calendar days for the date pickers', () => {
+  const days = listCalendarDays(calendar, '2026-12-23', 3);
+  assert.deepEqual(days.map(day => day.status), ['OPEN', 'HOLIDAY', 'CLOSED']);
+  assert.equal(days[2].reason, 'Christmas Day');
+  assert.throws(() => listCalendarDays(calendar, '2026-12-23', 400), /days must be/);
+});
+
+test('validates operating calendars before they are saved', () => {
+  const base = { weeklyHours: DEFAULT_OPERATING_CALENDAR.weeklyHours, holidays: [], blackoutDates: [] };
+  assert.throws(() => normalizeOperatingCalendar({ ...base, weeklyHours: { mon: null } }), /weeklyHours.sun is required/);
+  assert.throws(() => normalizeOperatingCalendar({
+    ...base, weeklyHours: { ...base.weeklyHours, mon: { open: '18:00', close: '09:00' } },
+  }), /close must be after/);
+  assert.throws(() => normalizeOperatingCalendar({ ...base, blackoutDates: ['2026-02-30'] }), /YYYY-MM-DD/);
+  assert.throws(() => normalizeOperatingCalendar({
+    ...base,
+    holidays: [{ date: '2026-07-04', name: 'Independence Day' }],
+    blackoutDates: ['2026-07-04'],
+  }), /repeats 2026-07-04/);
+  assert.equal(normalizeOperatingCalendar(base).holidaySurcharge, 0);
+});
+
+test('schedules in the quote time zone regardless of the server zone', () => {
+  const eastern = deriveSchedule(pickupOn('2026-08-20'));
+  assert.equal(eastern.timeZone, 'America/New_York');
+  assert.equal(eastern.pickupAt, '2026-08-20T13:00:00.000Z');
+  const pacific = deriveSchedule({ ...pickupOn('2026-08-20'), timeZone: 'America/Los_Angeles' });
+  assert.equal(pacific.pickupAt, '2026-08-20T16:00:00.000Z');
+  assert.equal(deriveSchedule(pickupOn('2026-08-20'), { timeZone: 'Europe/London' }).deliverByAt, '2026-08-20T12:30:00.000Z');
+  assert.throws(() => deriveSchedule({ ...pickupOn('2026-08-20'), timeZone: 'Eastern' }), /IANA time zone/);
+});
+
+test('measures windows across DST changes and rejects skipped wall-clock times', () => {
+  const fallBack = deriveSchedule({
+    pickupDate: '2026-11-01', pickupTime: '00:30',
+    deliveryDate: '2026-11-01', deliveryTime: '02:30',
+  });
+  assert.equal(fallBack.windowMinutes, 180);
+  assert.equal(fallBack.serviceLevel, 'expedited_4hr');
+  assert.equal(parseLocalDateTime('2026-11-01', '01:30', 'Pickup', 'America/New_York'), Date.parse('2026-11-01T05:30:00Z'));
+  assert.throws(() => parseLocalDateTime('2026-03-08', '02:30', 'Pickup', 'America/New_York'), /does not exist in America\/New_York/);
+  const springDay = resolveDayRange('2026-03-08', 'America/New_York');
+  assert.equal(springDay.endsAt - springDay.startsAt, 23 * 60 * 60 * 1000);
+  assert.equal(getZonedDate(Date.parse('2026-08-21T02:00:00Z'), 'America/New_York'), '2026-08-20');
+});
+
+test('reads the service-area time zone from the environment', () => {
+  assert.equal(getServiceTimeZone({}), 'America/New_York');
+  assert.equal(getServiceTimeZone({ SERVICE_TIME_ZONE: 'America/Chicago' }), 'America/Chicago');
+  assert.throws(() => getServiceTimeZone({ SERVICE_TIME_ZONE: 'Mars/Olympus' }), /SERVICE_TIME_ZONE/);
+});
+
+test('rejects past pickups, short notice and pickups beyond the booking horizon', () => {
+  const now = Date.parse('2026-08-20T13:00:00Z'); // 09:00 in New York
+  const at = (pickupTime, deliveryTime, pickupDate = '2026-08-20') => ({
+    pickupDate, pickupTime, deliveryDate: pickupDate, deliveryTime,
+  });
+  assert.throws(() => deriveScheduleAt(at('08:30', '10:00'), { now }), { code: 'PICKUP_IN_PAST' });
+  assert.throws(() => deriveScheduleAt(at('09:20', '11:00'), { now }), error =>
+    error.code === 'PICKUP_TOO_SOON' && /at least 30 minutes' notice.*2026-08-20 09:30 \(America\/New_York\)/.test(error.message));
+  assert.equal(deriveScheduleAt(at('09:30', '11:00'), { now }).serviceLevel, 'asap_2hr');
+  assert.throws(() => deriveScheduleAt(at('09:45', '18:00'), { now }), /Standard pickups need at least 60 minutes/);
+  assert.throws(() => deriveScheduleAt(at('09:00', '13:00', '2026-11-19'), { now }), {
+    code: 'PICKUP_BEYOND_HORIZON',
+    message: 'Pickups can be booked up to 90 days ahead. Choose a pickup on or before 2026-11-18.',
+  });
+  const rules = getBookingWindowRules({ PICKUP_NOTICE_MINUTES: 'asap_2hr=0', BOOKING_HORIZON_DAYS: '120' });
+  assert.equal(deriveScheduleAt(at('09:01', '10:00'), { now, bookingRules: rules }).serviceLevel, 'asap_2hr');
+  assert.equal(deriveScheduleAt(at('09:00', '13:00', '2026-11-19'), { now, bookingRules: rules }).serviceLevel, 'expedited_4hr');
+});
+
+test('reads minimum notice and booking horizon settings from the environment', () => {
+  assert.deepEqual(getBookingWindowRules({}), {
+    noticeMinutes: { asap_2hr: 30, expedited_4hr: 30, standard_9pm: 60 },
+    horizonDays: 90,
+  });
+  assert.equal(getBookingWindowRules({ PICKUP_NOTICE_MINUTES: ' standard_9pm = 120 ' }).noticeMinutes.standard_9pm, 120);
+  assert.throws(() => getBookingWindowRules({ PICKUP_NOTICE_MINUTES: 'rush=10' }), /PICKUP_NOTICE_MINUTES/);
+  assert.throws(() => getBookingWindowRules({ BOOKING_HORIZON_DAYS: '0' }), /BOOKING_HORIZON_DAYS/);
+});
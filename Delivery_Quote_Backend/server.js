@@ -5,70 +5,178 @@ const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const cors = require('cors');
 const crypto = require('crypto');
+const { once } = require('events');
 const { Pool } = require('pg'); // PostgreSQL client for Node.js
-const { sendBookingNotification, sendQuoteNotification } = require('./pushover');
-const { deriveSchedule } = require('./scheduling');
+const { createNotifierChannels } = require('./notifiers');
+const { isCustomerEmailEnabled } = require('./customer-email');
+const {
+  buildResumeUrl,
+  buildTrackingUrl,
+  isQuoteLinkSigningEnabled,
+  signQuoteToken,
+  verifyQuoteToken,
+} = require('./quote-links');
+const { buildOrderStatus } = require('./order-status');
+const {
+  ASSIGNMENT_STATUS,
+  DispatchError,
+  RELEASING_BOOKING_STATUSES,
+  buildDriverSchedule,
+  mapAssignment,
+  mapDriver,
+  parseDriverId,
+  parseDriverInput,
+  parseScheduleDate,
+  planAssignment,
+  resolveAssignmentWindow,
+} = require('./dispatch');
+const {
+  DriverJobError,
+  PROOF_KINDS,
+  buildDriverJob,
+  buildProofKey,
+  detectProofContentType,
+  mapProof,
+  mapStopUpdate,
+  parseRecordedAt,
+  parseStopNumber,
+  planStopUpdate,
+} = require('./driver-jobs');
+const { createBlobStore } = require('./blob-store');
+const { TOKEN_PREFIXES, generateAccessToken, hashAccessToken, readBearerToken } = require('./access-tokens');
+const {
+  CAPACITY_HOLDING_STATUSES,
+  getUnavailableVehicles,
+  mapDowntime,
+  normalizeUnitCount,
+  parseDowntimeInput,
+  summarizeFleetCapacity,
+  toPublicFleetAvailability,
+} = require('./fleet-capacity');
+const { QuoteDocumentError, buildQuoteDocument, writeQuoteDocumentPdf } = require('./quote-documents');
+const { NOTIFICATION_STATUS, createNotificationOutbox } = require('./notification-outbox');
+const {
+  DEFAULT_OPERATING_CALENDAR,
+  MAX_CALENDAR_DAYS,
+  deriveSchedule,
+  getBookingWindowRules,
+  getServiceTimeZone,
+  getZonedDate,
+  listCalendarDays,
+  normalizeOperatingCalendar,
+  resolveDayRange,
+  resolveServiceWindow,
+} = require('./scheduling');
 const { normalizeEmail } = require('./email-validation');
 const { emailDomainAcceptsMail } = require('./email-domain');
+const { RouteLookupError, createRoutingProvider, measureRoute } = require('./routing');
+const { mapServiceArea, matchServiceAreas, parseServiceAreaInput } = require('./service-areas');
+const {
+  PromoCodeError,
+  calculatePromoDiscount,
+  checkPromoCodeUsable,
+  mapPromoCode,
+  normalizePromoCode,
+  parsePromoCodeInput,
+  redeemPromoCode,
+} = require('./promo-codes');
+const {
+  PricingDataError,
+  QUOTE_RULES,
+  QUOTE_VERSION,
+  mergeRateCardRules,
+  normalizeRateCardRules,
+  normalizeRateCardVersion,
+} = require('./rate-cards');
+const {
+  LeadSearchError,
+  buildLeadFilters,
+  encodeLeadCursor,
+  mapLeadSummary,
+  parsePageSize,
+} = require('./lead-search');
+const {
+  EXPORT_FORMATS,
+  formatCsvHeader,
+  formatCsvRow,
+  formatNdjsonRow,
+  parseExportColumns,
+  parseExportFormat,
+} = require('./lead-export');
+const {
+  BOOKING_STATUS,
+  BookingTransitionError,
+  CLOSED_SESSION_STATUSES,
+  canStartCheckout,
+  isTransition,
+  parseRefundRequest,
+  planCancellation,
+  planChargeRefund,
+  planCheckoutPaid,
+  planCheckoutSessionClosed,
+  planDispute,
+  planInvoiceBooking,
+  planUnmatchedPaymentDispute,
+  planUnmatchedPaymentRefund,
+  PAYMENT_STATUS,
+  UNMATCHED_PAYMENT_STATUS,
+  toCents,
+} = require('./booking-status');
+const {
+  AccountError,
+  STATEMENT_STATUS,
+  applyAccountRates,
+  computeStatementDueDate,
+  mapAccount,
+  mapAccountUser,
+  mapStatement,
+  parseAccountId,
+  parseAccountInput,
+  parseAccountUserInput,
+  resolveStatementPeriod,
+} = require('./customer-accounts');
+const {
+  API_VERSION,
+  PARTNER_SCHEMAS,
+  PartnerApiError,
+  mapPartner,
+  mapPartnerKey,
+  parsePartnerId,
+  parsePartnerInput,
+  parsePartnerKeyInput,
+  parsePartnerQuoteRequest,
+  toPartnerQuote,
+} = require('./partner-api');
+const { computeQuoteExpiry, getCheckoutExpiresAt, isQuoteExpired, resolveQuoteExpiry } = require('./quote-expiry');
+const {
+  createAbuseChallenge,
+  createAbuseGuard,
+  createMemoryRateLimitStore,
+  createRateLimitStore,
+  getRateLimits,
+  getTrustProxy,
+} = require('./abuse-guard');
+const {
+  ADMIN_ROLES,
+  AdminUserError,
+  getAdminSessionHours,
+  hashPassword,
+  mapAdminUser,
+  parseAdminUserId,
+  parseAdminUserInput,
+  removesLastOwner,
+  roleAllows,
+  validatePassword,
+  verifyPassword,
+} = require('./admin-users');
 
 const app = express();
-
-const QUOTE_VERSION = '2026-08-20-v2';
-
-const QUOTE_RULES = Object.freeze({
-  vehicleRates: Object.freeze({
-    car: 1.50,
-    suv: 1.75,
-    pickup_truck: 2.00,
-    cargo_van: 2.25,
-    cargo_van_high_roof: 2.75,
-    box_truck: 3.50,
-  }),
-  vehicleMinimums: Object.freeze({
-    car: 30,
-    suv: 40,
-    pickup_truck: 50,
-    cargo_van: 75,
-    cargo_van_high_roof: 95,
-    box_truck: 150,
-  }),
-  vehicleCapacityOrder: Object.freeze([
-    'car',
-    'suv',
-    'pickup_truck',
-    'cargo_van',
-    'cargo_van_high_roof',
-    'box_truck',
-  ]),
-  vehicleCapacities: Object.freeze({
-    car: Object.freeze({ label: 'Car', maxWeight: 100, maxVolumeCubicFeet: 20, maxItemDimensionsInches: Object.freeze([24, 36, 48]) }),
-    suv: Object.freeze({ label: 'SUV', maxWeight: 300, maxVolumeCubicFeet: 60, maxItemDimensionsInches: Object.freeze([36, 48, 72]) }),
-    pickup_truck: Object.freeze({ label: 'Pickup Truck', maxWeight: 1000, maxVolumeCubicFeet: 120, maxItemDimensionsInches: Object.freeze([48, 60, 96]) }),
-    cargo_van: Object.freeze({ label: 'Cargo Van', maxWeight: 2500, maxVolumeCubicFeet: 300, maxItemDimensionsInches: Object.freeze([55, 65, 120]) }),
-    cargo_van_high_roof: Object.freeze({ label: 'Cargo Van (High Roof)', maxWeight: 3500, maxVolumeCubicFeet: 500, maxItemDimensionsInches: Object.freeze([70, 72, 144]) }),
-    box_truck: Object.freeze({ label: 'Box Truck', maxWeight: 4000, maxVolumeCubicFeet: 900, maxItemDimensionsInches: Object.freeze([84, 88, 192]) }),
-  }),
-  weightRate: 0.05,
-  maxTotalWeight: 4000,
-  urgencyFees: Object.freeze({
-    standard_9pm: 0,
-    asap_2hr: 85,
-    expedited_4hr: 50,
-  }),
-  lateNightFee: 75,
-  additionalStopFee: 3.50,
-  extraLaborerFee: 35,
-  stairFeePerFlight: 5,
-  handlingRules: Object.freeze({
-    soloDriverMaxItemWeight: 100,
-    assistedHandlingMaxItemWeight: 150,
-    stairTeamWeightThreshold: 50,
-    stairTeamLengthThreshold: 72,
-    stairCustomReviewWeight: 150,
-    stairCustomReviewLength: 96,
-    hazardousNotesMinLength: 10,
-  }),
-});
+app.set('trust proxy', getTrustProxy());
+const routingProvider = createRoutingProvider();
+const serviceTimeZone = getServiceTimeZone();
+const quoteLinksEnabled = isQuoteLinkSigningEnabled();
+const adminSessionHours = getAdminSessionHours();
+const bookingWindowRules = getBookingWindowRules();
 
 function parseFiniteNumber(value, fieldName) {
   if (value === undefined || value === null || value === '') {
@@ -85,32 +193,85 @@ function isSelected(value) {
   return value === true || value === 1 || value === '1' || value === 'true' || value === 'on';
 }
 
+// The rate card that priced a quote is recorded beside its ID, in the lead's
+// quote_version and rate_card_id columns and as quoteVersion in every quote
+// response, rather than in the ID itself. Versions run to 40 characters, and
+// order lookups, signed links, Stripe metadata and the partner API schema all
+// validate this one fixed ID format.
 function generateQuoteId(now = new Date()) {
   const datePart = now.toISOString().slice(0, 10).replace(/-/g, '');
   const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase();
   return `XN-${datePart}-${randomPart}`;
 }
 
+// The account always comes from the verified quote, never from the request body.
+function buildVerifiedLeadData(leadData, authoritativeQuote, quoteId, { accountUserId = null } = {}) {
+  return {
+    ...leadData,
+    quoteId,
+    accountId: authoritativeQuote.account?.id ?? null,
+    accountUserId: authoritativeQuote.account ? accountUserId : null,
+    serviceDetails: {
+      ...(leadData.serviceDetails || {}),
+      urgency: authoritativeQuote.serviceLevel,
+      urgencyLabel: authoritativeQuote.serviceLabel,
+      afterHoursApplied: authoritativeQuote.afterHoursApplied,
+      holidayApplied: authoritativeQuote.holidayApplied,
+      holidayName: authoritativeQuote.holidayName,
+      timeZone: authoritativeQuote.timeZone,
+      pickupAt: authoritativeQuote.pickupAt,
+      deliverByAt: authoritativeQuote.deliverByAt,
+      serviceWindowHours: authoritativeQuote.serviceWindowHours,
+    },
+    totalMiles: authoritativeQuote.totalMiles,
+    routeLegs: authoritativeQuote.routeLegs,
+    calculatedQuote: authoritativeQuote.total,
+    breakdown: authoritativeQuote.breakdown,
+    promotion: authoritativeQuote.promotion,
+    quoteVersion: authoritativeQuote.quoteVersion,
+    rateCardId: authoritativeQuote.rateCardId,
+  };
+}
+
+// Lets the customer download their quote and invoice PDFs without an account.
+function signDocumentToken(quoteId) {
+  return quoteLinksEnabled ? signQuoteToken(quoteId, 'document') : null;
+}
+
+function buildOrderTrackingUrl(quoteId) {
+  return quoteLinksEnabled && process.env.YOUR_WEBSITE_URL ? buildTrackingUrl(quoteId) : null;
+}
+
+// Answers with the error itself and returns null when the email is unusable.
+// The codes let partner API clients tell a bad address from a lookup outage.
 async function validateContactEmail(contactDetails, res) {
   const normalizedEmail = normalizeEmail(contactDetails?.email);
   if (!normalizedEmail) {
-    res.status(422).json({ status: 'error', message: 'Please enter a valid email address.' });
+    res.status(422).json({ status: 'error', message: 'Please enter a valid email address.', code: 'INVALID_EMAIL' });
     return null;
   }
   try {
     if (!await emailDomainAcceptsMail(normalizedEmail)) {
-      res.status(422).json({ status: 'error', message: 'That email domain does not appear to have a working mail service.' });
+      res.status(422).json({
+        status: 'error',
+        message: 'That email domain does not appear to have a working mail service.',
+        code: 'EMAIL_DOMAIN_UNDELIVERABLE',
+      });
       return null;
     }
   } catch (error) {
     console.error('Email domain lookup failed:', error.message);
-    res.status(503).json({ status: 'error', message: 'Email domain verification is temporarily unavailable. Please try again.' });
+    res.status(503).json({
+      status: 'error',
+      message: 'Email domain verification is temporarily unavailable. Please try again.',
+      code: 'EMAIL_CHECK_UNAVAILABLE',
+    });
     return null;
   }
   return { ...(contactDetails || {}), email: normalizedEmail };
 }
 
-function buildShipmentProfile(packagesData) {
+function buildShipmentProfile(packagesData, rules = QUOTE_RULES) {
   if (!Array.isArray(packagesData) || packagesData.length < 1) {
     throw new Error('At least one package is required.');
   }
@@ -132,7 +293,7 @@ function buildShipmentProfile(packagesData) {
     if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) {
       throw new Error(`Package ${packageNumber} quantity must be a whole number between 1 and 999.`);
     }
-    if (weightPerItem < 0 || weightPerItem > QUOTE_RULES.maxTotalWeight) {
+    if (weightPerItem < 0 || weightPerItem > rules.maxTotalWeight) {
       throw new Error(`Package ${packageNumber} weight is outside the permitted range.`);
     }
     if (![length, width, height].every(dimension => dimension > 0)) {
@@ -154,8 +315,8 @@ function buildShipmentProfile(packagesData) {
     items.push({ packageNumber, dimensionsInches, weightPerItem });
   });
 
-  if (totalWeight > QUOTE_RULES.maxTotalWeight) {
-    throw new Error('Total weight exceeds the maximum limit of 4000 lbs.');
+  if (totalWeight > rules.maxTotalWeight) {
+    throw new Error(`Total weight exceeds the maximum limit of ${rules.maxTotalWeight} lbs.`);
   }
 
   return {
@@ -168,8 +329,8 @@ function buildShipmentProfile(packagesData) {
   };
 }
 
-function evaluateVehicleFit(vehicleType, shipmentProfile) {
-  const capacity = QUOTE_RULES.vehicleCapacities[vehicleType];
+function evaluateVehicleFit(vehicleType, shipmentProfile, rules = QUOTE_RULES) {
+  const capacity = rules.vehicleCapacities[vehicleType];
   if (!capacity) {
     return { fits: false, reasons: ['A valid vehicle type is required.'] };
   }
@@ -191,14 +352,14 @@ function evaluateVehicleFit(vehicleType, shipmentProfile) {
   return { fits: reasons.length === 0, reasons };
 }
 
-function getVehicleRecommendation(shipmentProfile, disabledVehicles = new Set()) {
-  return QUOTE_RULES.vehicleCapacityOrder.find(vehicleType =>
-    !disabledVehicles.has(vehicleType) && evaluateVehicleFit(vehicleType, shipmentProfile).fits
+function getVehicleRecommendation(shipmentProfile, unavailableVehicles = new Map(), rules = QUOTE_RULES) {
+  return rules.vehicleCapacityOrder.find(vehicleType =>
+    !unavailableVehicles.has(vehicleType) && evaluateVehicleFit(vehicleType, shipmentProfile, rules).fits
   ) || null;
 }
 
-function validateOperationalConsistency(stopsData, serviceDetails, shipmentProfile) {
-  const rules = QUOTE_RULES.handlingRules;
+function validateOperationalConsistency(stopsData, serviceDetails, shipmentProfile, quoteRules = QUOTE_RULES) {
+  const rules = quoteRules.handlingRules;
   const extraLaborer = isSelected(serviceDetails.extraLaborer);
   const insideDelivery = isSelected(serviceDetails.insideDelivery);
 
@@ -260,12 +421,21 @@ function getDriverHandlingFee(totalWeight) {
   return 60;
 }
 
-function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
+// Mileage always comes from the server-measured route; any client-sent
+// totalMiles is ignored.
+function calculateAuthoritativeQuote(leadData, {
+  unavailableVehicles = new Map(),
+  route,
+  rateCard = { id: null, version: QUOTE_VERSION, rules: QUOTE_RULES },
+  calendar = DEFAULT_OPERATING_CALENDAR,
+  serviceAreas = [],
+  promotion = null,
+} = {}) {
   if (!leadData || typeof leadData !== 'object') {
     throw new Error('Quote details are required.');
   }
 
-  const totalMiles = parseFiniteNumber(leadData.totalMiles, 'Total miles');
+  const totalMiles = parseFiniteNumber(route?.totalMiles, 'Route mileage');
   if (totalMiles < 0 || totalMiles > 2500) {
     throw new Error('Total miles must be between 0 and 2500.');
   }
@@ -275,31 +445,36 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
     throw new Error('At least two stops are required.');
   }
 
+  const serviceAreaMatch = matchServiceAreas(route.stops || [], serviceAreas);
+
+  const rules = rateCard.rules;
   const packagesData = leadData.packagesData;
-  const shipmentProfile = buildShipmentProfile(packagesData);
+  const shipmentProfile = buildShipmentProfile(packagesData, rules);
   const totalWeight = shipmentProfile.totalWeight;
 
   const serviceDetails = leadData.serviceDetails || {};
   const vehicleType = serviceDetails.vehicleType;
-  const mileageRate = QUOTE_RULES.vehicleRates[vehicleType];
+  const mileageRate = rules.vehicleRates[vehicleType];
   if (!mileageRate) {
     throw new Error('A valid vehicle type is required.');
   }
-  if (disabledVehicles.has(vehicleType)) {
-    throw new Error(`${QUOTE_RULES.vehicleCapacities[vehicleType].label} is temporarily unavailable. Select another enabled vehicle or contact dispatch.`);
+  if (unavailableVehicles.has(vehicleType)) {
+    const reason = unavailableVehicles.get(vehicleType) || 'temporarily unavailable';
+    throw new Error(`${rules.vehicleCapacities[vehicleType].label} is ${reason}. Select another available vehicle or contact dispatch.`);
   }
 
-  const vehicleFit = evaluateVehicleFit(vehicleType, shipmentProfile);
-  const recommendedVehicle = getVehicleRecommendation(shipmentProfile, disabledVehicles);
+
+  const vehicleFit = evaluateVehicleFit(vehicleType, shipmentProfile, rules);
+  const recommendedVehicle = getVehicleRecommendation(shipmentProfile, unavailableVehicles, rules);
   if (!vehicleFit.fits) {
-    const selectedLabel = QUOTE_RULES.vehicleCapacities[vehicleType].label;
+    const selectedLabel = rules.vehicleCapacities[vehicleType].label;
     const recommendationText = recommendedVehicle
-      ? ` Select ${QUOTE_RULES.vehicleCapacities[recommendedVehicle].label} or a larger compatible vehicle.`
+      ? ` Select ${rules.vehicleCapacities[recommendedVehicle].label} or a larger compatible vehicle.`
       : ' Contact dispatch for a custom equipment review.';
     throw new Error(`${selectedLabel} is not compatible with this shipment: ${vehicleFit.reasons.join('; ')}.${recommendationText}`);
   }
 
-  validateOperationalConsistency(stopsData, serviceDetails, shipmentProfile);
+  validateOperationalConsistency(stopsData, serviceDetails, shipmentProfile, rules);
 
   let totalLoadUnloadFee = 0;
   let totalStairCost = 0;
@@ -325,23 +500,23 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
         if (!Number.isInteger(stairFlights) || stairFlights < 1) {
           throw new Error('Stair flights must be a positive whole number when stairs are selected.');
         }
-        totalStairCost += stairFlights * QUOTE_RULES.stairFeePerFlight;
+        totalStairCost += stairFlights * rules.stairFeePerFlight;
       } else {
         // Legacy clients submit a destination floor; floor 2 equals one stair flight.
         const legacyFloor = parseFiniteNumber(stop?.floor, 'Floor number');
         if (!Number.isInteger(legacyFloor) || legacyFloor < 1) {
           throw new Error('Floor number must be a positive whole number when stairs are selected.');
         }
-        totalStairCost += Math.max(0, legacyFloor - 1) * QUOTE_RULES.stairFeePerFlight;
+        totalStairCost += Math.max(0, legacyFloor - 1) * rules.stairFeePerFlight;
       }
     }
   }
 
-  const schedule = deriveSchedule(serviceDetails);
+  const schedule = deriveSchedule(serviceDetails, { calendar, timeZone: serviceTimeZone, bookingRules: bookingWindowRules });
   const urgency = schedule.serviceLevel;
 
   const mileageCost = totalMiles * mileageRate;
-  const weightCost = totalWeight * QUOTE_RULES.weightRate;
+  const weightCost = totalWeight * rules.weightRate;
 
   let servicesMultiplier = 1;
   if (isSelected(serviceDetails.insideDelivery)) servicesMultiplier += 0.05;
@@ -351,11 +526,13 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
   if (isSelected(serviceDetails.fragileHandling)) servicesMultiplier += 0.05;
 
   const flatServiceFees = isSelected(serviceDetails.extraLaborer)
-    ? QUOTE_RULES.extraLaborerFee
+    ? rules.extraLaborerFee
     : 0;
-  const urgencyPremium = QUOTE_RULES.urgencyFees[urgency];
-  const afterHoursFee = schedule.afterHoursApplied ? QUOTE_RULES.lateNightFee : 0;
-  const additionalStopFee = Math.max(0, stopsData.length - 2) * QUOTE_RULES.additionalStopFee;
+  const urgencyPremium = rules.urgencyFees[urgency];
+  const afterHoursFee = schedule.afterHoursApplied ? rules.lateNightFee : 0;
+  const holidayFee = schedule.holidaySurcharge;
+  const outOfAreaFee = serviceAreaMatch.outOfAreaFee;
+  const additionalStopFee = Math.max(0, stopsData.length - 2) * rules.additionalStopFee;
   const baseCost = mileageCost + weightCost;
   const costAfterMultiplier = baseCost * servicesMultiplier;
   const subtotalBeforeMinimum =
@@ -365,13 +542,25 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
     flatServiceFees +
     urgencyPremium +
     afterHoursFee +
+    holidayFee +
+    outOfAreaFee +
     additionalStopFee;
-  const vehicleMinimum = QUOTE_RULES.vehicleMinimums[vehicleType];
+  const vehicleMinimum = rules.vehicleMinimums[vehicleType];
   const minimumAdjustment = Math.max(0, vehicleMinimum - subtotalBeforeMinimum);
-  const totalCost = subtotalBeforeMinimum + minimumAdjustment;
+  const orderTotal = subtotalBeforeMinimum + minimumAdjustment;
+  const promoDiscount = promotion
+    ? calculatePromoDiscount(promotion, {
+      vehicleType,
+      orderTotal,
+      vehicleMinimum,
+      vehicleLabel: rules.vehicleCapacities[vehicleType].label,
+    })
+    : 0;
+  const totalCost = orderTotal - promoDiscount;
 
   return {
-    quoteVersion: QUOTE_VERSION,
+    quoteVersion: rateCard.version,
+    rateCardId: rateCard.id,
     total: Number(Math.max(0, totalCost).toFixed(2)),
     totalMiles: Number(totalMiles.toFixed(2)),
     totalWeight: Number(totalWeight.toFixed(2)),
@@ -380,7 +569,17 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
     serviceLevel: schedule.serviceLevel,
     serviceLabel: schedule.serviceLabel,
     serviceWindowHours: schedule.windowHours,
+    timeZone: schedule.timeZone,
+    pickupAt: schedule.pickupAt,
+    deliverByAt: schedule.deliverByAt,
     afterHoursApplied: schedule.afterHoursApplied,
+    holidayApplied: schedule.holidayApplied,
+    holidayName: schedule.holidayName,
+    promotion: promotion
+      ? { code: promotion.code, description: promotion.description, discount: promoDiscount }
+      : null,
+    routeProvider: route.provider,
+    routeLegs: route.legs,
     breakdown: {
       mileageCost: Number(mileageCost.toFixed(2)),
       weightCost: Number(weightCost.toFixed(2)),
@@ -391,13 +590,76 @@ function calculateAuthoritativeQuote(leadData, disabledVehicles = new Set()) {
       flatServiceFees: Number(flatServiceFees.toFixed(2)),
       urgencyPremium: Number(urgencyPremium.toFixed(2)),
       afterHoursFee: Number(afterHoursFee.toFixed(2)),
+      holidayFee: Number(holidayFee.toFixed(2)),
+      outOfAreaFee: Number(outOfAreaFee.toFixed(2)),
       additionalStopFee: Number(additionalStopFee.toFixed(2)),
       vehicleMinimum: Number(vehicleMinimum.toFixed(2)),
       minimumAdjustment: Number(minimumAdjustment.toFixed(2)),
+      promoDiscount: Number((-promoDiscount).toFixed(2)),
+      stopZones: serviceAreaMatch.stopZones,
     },
   };
 }
 
+// An unusable schedule is reported by deriveSchedule with the rest of the quote errors.
+function tryResolveServiceWindow(serviceDetails) {
+  try {
+    return resolveServiceWindow(serviceDetails || {}, serviceTimeZone);
+  } catch (error) {
+    return null;
+  }
+}
+
+// A database failure while loading pricing data is an outage, not a problem
+// with the quote; promo code rejections pass through unchanged.
+function loadPricingData(lookup) {
+  return lookup.catch(error => {
+    if (error instanceof PromoCodeError) throw error;
+    console.error('Pricing data could not be loaded:', error);
+    throw new PricingDataError('Pricing is temporarily unavailable. Please try again.', error);
+  });
+}
+
+// Prices against the card in force now, or against a saved quote's card
+// version so a locked quote keeps the rates it was issued under.
+async function priceQuote(leadData, { rateCardVersion = null, rateCard = null, account = null } = {}) {
+  if (!leadData || typeof leadData !== 'object') {
+    throw new Error('Quote details are required.');
+  }
+  const promoCode = normalizePromoCode(leadData.promoCode);
+  const [capacity, route, selectedCard, calendar, serviceAreas, promotion] = await Promise.all([
+    loadPricingData(getFleetCapacity(tryResolveServiceWindow(leadData.serviceDetails))),
+    measureRoute(leadData.stopsData, routingProvider),
+    rateCard || loadPricingData(rateCardVersion ? getRateCardByVersion(rateCardVersion) : getRateCardInForce()),
+    loadPricingData(getOperatingCalendar()),
+    loadPricingData(getServiceAreas()),
+    promoCode ? loadPricingData(getUsablePromoCode(promoCode, leadData.contactDetails?.email)) : null,
+  ]);
+  if (!selectedCard || (!rateCard && selectedCard.status !== 'PUBLISHED')) {
+    const version = selectedCard?.version || rateCardVersion;
+    throw new Error(version ? `Rate card ${version} is not available for pricing.` : 'No published rate card is in force for pricing.');
+  }
+  const unavailableVehicles = getUnavailableVehicles(capacity);
+  const quote = calculateAuthoritativeQuote(leadData, {
+    unavailableVehicles,
+    route,
+    rateCard: applyAccountRates(selectedCard, account),
+    calendar,
+    serviceAreas,
+    promotion,
+  });
+  return { ...quote, account: account ? { id: account.id, name: account.name } : null };
+}
+
+// Routing and pricing data outages are retryable; everything else is a
+// problem with the request.
+function isRetryableQuoteError(error) {
+  return error instanceof RouteLookupError || error instanceof PricingDataError;
+}
+
+function quoteErrorStatus(error) {
+  return isRetryableQuoteError(error) ? 503 : 422;
+}
 
 // --- Middleware ---
 function normalizeOrigin(value) {
@@ -425,8 +687,9 @@ app.use(cors({
     console.warn('Blocked CORS origin:', origin);
     return callback(new Error('Origin is not allowed by CORS.'));
   },
-  methods: 'GET,HEAD,POST,PUT,OPTIONS',
-  allowedHeaders: 'Content-Type, Authorization, X-Requested-With',
+  methods: 'GET,HEAD,POST,PUT,DELETE,OPTIONS',
+  allowedHeaders: 'Content-Type, Authorization, X-Requested-With, X-Challenge-Token',
+  exposedHeaders: 'Retry-After',
   optionsSuccessStatus: 204,
 }));
 console.log('Applied CORS middleware. Allowed origins:', Array.from(allowedOrigins));
@@ -447,10 +710,99 @@ app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (re
     return res.status(400).send('Invalid Stripe webhook signature.');
   }
 
-  if (!['checkout.session.completed', 'checkout.session.async_payment_succeeded'].includes(event.type)) {
-    return res.status(200).json({ received: true, ignored: true });
+  if (CHECKOUT_PAID_EVENTS.includes(event.type)) return handleCheckoutPaid(event, res);
+  if (Object.hasOwn(CLOSED_SESSION_STATUSES, event.type)) return handleCheckoutClosed(event, res);
+  if (event.type === 'charge.refunded') {
+    const charge = event.data.object;
+    return handleChargeStatusEvent(event, res, charge.payment_intent, lead => planChargeRefund(lead, charge), {
+      planUnmatched: payment => planUnmatchedPaymentRefund(payment, charge),
+    });
   }
+  if (event.type === 'charge.dispute.created') {
+    const dispute = event.data.object;
+    return handleChargeStatusEvent(event, res, dispute.payment_intent, planDispute, {
+      planUnmatched: planUnmatchedPaymentDispute,
+      alertRequired: true,
+      reason: `Stripe dispute ${dispute.id}: ${dispute.reason || 'no reason given'}`,
+    });
+  }
+  return res.status(200).json({ received: true, ignored: true });
+});
+
+const CHECKOUT_PAID_EVENTS = Object.freeze(['checkout.session.completed', 'checkout.session.async_payment_succeeded']);
+
+function toNotificationLead(leadRow) {
+  return {
+    ...(leadRow.lead_payload || {}),
+    quoteId: leadRow.quote_id,
+    calculatedQuote: Number(leadRow.calculated_quote),
+    totalMiles: Number(leadRow.total_miles),
+  };
+}
+
+// The customer's copy of a new quote, with a signed link back to Checkout.
+async function queueCustomerQuoteEmail(db, verifiedLeadData, authoritativeQuote) {
+  if (!isCustomerEmailEnabled()) return;
+  await notificationOutbox.enqueue(db, {
+    dedupeKey: `customer-quote:${verifiedLeadData.quoteId}`,
+    kind: 'customer_quote',
+    quoteId: verifiedLeadData.quoteId,
+    payload: {
+      to: verifiedLeadData.contactDetails?.email,
+      leadData: verifiedLeadData,
+      details: {
+        breakdown: authoritativeQuote.breakdown,
+        quoteExpiresAt: verifiedLeadData.quoteExpiresAt,
+        resumeUrl: quoteLinksEnabled && process.env.YOUR_WEBSITE_URL ? buildResumeUrl(verifiedLeadData.quoteId) : null,
+      },
+    },
+  });
+}
+
+// Runs inside the booking transaction, so a code is only used up by a booking
+// that sticks. Returns false when the code reached a limit after pricing.
+async function redeemPromotion(db, lead) {
+  const promotion = lead.lead_payload?.promotion;
+  if (!promotion?.code) return true;
+  return redeemPromoCode(db, {
+    code: promotion.code,
+    quoteId: lead.quote_id,
+    email: lead.contact_email || null,
+    discount: promotion.discount,
+  });
+}
 
+async function recordBookingTransition(db, previous, next, details = {}) {
+  const result = await db.query(
+    `INSERT INTO booking_status_history (
+       quote_id, from_booking_status, to_booking_status, from_payment_status, to_payment_status,
+       source, actor, reason, stripe_event_id, stripe_refund_id, amount
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id`,
+    [
+      previous.quote_id, previous.booking_status || null, next.bookingStatus,
+      previous.payment_status || null, next.paymentStatus,
+      details.source, details.actor || null, details.reason || null,
+      details.stripeEventId || null, details.stripeRefundId || null,
+      details.amount ?? null,
+    ]
+  );
+  return result.rows[0].id;
+}
+
+// Frees the driver when a booking is cancelled or refunded.
+async function releaseAssignments(db, quoteId, bookingStatus) {
+  if (!RELEASING_BOOKING_STATUSES.includes(bookingStatus)) return 0;
+  const result = await db.query(
+    `UPDATE assignments
+     SET status = 'RELEASED', ended_at = CURRENT_TIMESTAMP
+     WHERE quote_id = $1 AND status = 'ACTIVE'`,
+    [quoteId]
+  );
+  return result.rowCount;
+}
+
+async function handleCheckoutPaid(event, res) {
   const session = event.data.object;
   if (session.payment_status !== 'paid') {
     return res.status(200).json({ received: true, awaitingPayment: true });
@@ -463,37 +815,19 @@ app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (re
   }
 
   const client = await pool.connect();
-  let bookingLead;
   let duplicate = false;
-  let notificationAlreadySent = false;
   const paidAt = new Date((session.created || Math.floor(Date.now() / 1000)) * 1000).toISOString();
   try {
     await client.query('BEGIN');
     const eventInsert = await client.query(
-      `INSERT INTO stripe_webhook_events (event_id, event_type)
-       VALUES ($1, $2)
+      `INSERT INTO stripe_webhook_events (event_id, event_type, quote_id, stripe_session_id)
+       VALUES ($1, $2, $3, $4)
        ON CONFLICT (event_id) DO NOTHING
        RETURNING event_id`,
-      [event.id, event.type]
+      [event.id, event.type, quoteId, session.id]
     );
-    if (eventInsert.rowCount === 0) {
-      duplicate = true;
-      const eventState = await client.query(
-        'SELECT notification_sent_at FROM stripe_webhook_events WHERE event_id = $1',
-        [event.id]
-      );
-      notificationAlreadySent = Boolean(eventState.rows[0]?.notification_sent_at);
-      if (!notificationAlreadySent) {
-        const leadResult = await client.query(
-          `SELECT * FROM leads
-           WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
-           ORDER BY id DESC LIMIT 1`,
-          [quoteId]
-        );
-        bookingLead = leadResult.rows[0];
-      }
-      await client.query('COMMIT');
-    } else {
+    duplicate = eventInsert.rowCount === 0;
+    if (!duplicate) {
       const leadResult = await client.query(
         `SELECT * FROM leads
          WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
@@ -501,20 +835,107 @@ app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (re
          FOR UPDATE`,
         [quoteId]
       );
-      bookingLead = leadResult.rows[0];
+      const bookingLead = leadResult.rows[0];
       if (!bookingLead) {
         throw new Error(`No calculated quote was found for ${quoteId}.`);
       }
 
+      const plan = planCheckoutPaid(bookingLead);
+      const amountPaid = session.amount_total ? session.amount_total / 100 : Number(bookingLead.calculated_quote);
+      if (!plan) {
+        // Paid after the quote was booked, cancelled or closed: keep the
+        // booking and file the payment where the refund and dispute paths can
+        // find it by payment intent.
+        const reason = `Stripe session ${session.id} (payment ${session.payment_intent || 'unknown'}) was paid while the quote was ${bookingLead.booking_status}/${bookingLead.payment_status}. Refund or reconcile it.`;
+        console.warn(`Unmatched payment for ${quoteId}: ${reason}`);
+        if (session.payment_intent) {
+          await client.query(
+            `INSERT INTO unmatched_payments (quote_id, stripe_session_id, stripe_payment_intent_id, stripe_event_id, amount)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (stripe_payment_intent_id) DO NOTHING`,
+            [quoteId, session.id, session.payment_intent, event.id, amountPaid]
+          );
+        }
+        const historyId = await recordBookingTransition(client, bookingLead, {
+          bookingStatus: bookingLead.booking_status,
+          paymentStatus: bookingLead.payment_status,
+        }, {
+          source: 'stripe_webhook',
+          reason,
+          stripeEventId: event.id,
+          amount: amountPaid,
+        });
+        await notificationOutbox.enqueue(client, {
+          dedupeKey: `booking-status:${historyId}`,
+          kind: 'booking_status',
+          quoteId,
+          payload: {
+            leadData: toNotificationLead(bookingLead),
+            details: {
+              leadId: bookingLead.id,
+              status: bookingLead.booking_status,
+              paymentStatus: bookingLead.payment_status,
+              unmatchedPayment: true,
+              reason,
+            },
+          },
+        });
+        await client.query('COMMIT');
+        notificationOutbox.kick();
+        return res.status(200).json({ received: true, unmatched: true });
+      }
+
       await client.query(
         `UPDATE leads
-         SET booking_status = 'BOOKED', payment_status = 'PAID',
-             stripe_session_id = $1, stripe_payment_intent_id = $2, paid_at = $3
-         WHERE quote_id = $4`,
-        [session.id, session.payment_intent || null, paidAt, quoteId]
+         SET booking_status = $1, payment_status = $2,
+             stripe_session_id = $3, stripe_payment_intent_id = $4, paid_at = $5
+         WHERE quote_id = $6`,
+        [plan.bookingStatus, plan.paymentStatus, session.id, session.payment_intent || null, paidAt, quoteId]
       );
-      await client.query('COMMIT');
+      // The customer has already paid the discounted price, so a code that
+      // ran out in the meantime is honoured and noted for review.
+      const promotionRedeemed = await redeemPromotion(client, bookingLead);
+      if (!promotionRedeemed) {
+        console.warn(`Promo code on ${quoteId} was over its limit when paid; the discount was honoured.`);
+      }
+      await recordBookingTransition(client, bookingLead, plan, {
+        source: 'stripe_webhook',
+        reason: promotionRedeemed ? null : `Promo code ${bookingLead.lead_payload.promotion.code} was over its limit when paid; the discount was honoured.`,
+        stripeEventId: event.id,
+        amount: Number(bookingLead.calculated_quote),
+      });
+      await notificationOutbox.enqueue(client, {
+        dedupeKey: `stripe:${event.id}`,
+        kind: 'booking',
+        quoteId,
+        payload: {
+          leadData: toNotificationLead(bookingLead),
+          details: {
+            leadId: bookingLead.id,
+            stripeSessionId: session.id,
+            paymentIntentId: session.payment_intent || null,
+            paidAt,
+          },
+        },
+      });
+      await notificationOutbox.enqueue(client, {
+        dedupeKey: `customer-receipt:${quoteId}`,
+        kind: 'customer_receipt',
+        quoteId,
+        payload: {
+          to: bookingLead.contact_email,
+          leadData: toNotificationLead(bookingLead),
+          details: {
+            amountPaid,
+            paidAt,
+            paymentIntentId: session.payment_intent || null,
+            invoiceUrl: buildInvoiceUrl(quoteId),
+            trackingUrl: buildOrderTrackingUrl(quoteId),
+          },
+        },
+      });
     }
+    await client.query('COMMIT');
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Stripe webhook booking update failed:', error);
@@ -523,49 +944,194 @@ app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (re
     client.release();
   }
 
-  if (notificationAlreadySent) {
-    return res.status(200).json({ received: true, duplicate: true });
+  if (!duplicate) notificationOutbox.kick();
+  return res.status(200).json({ received: true, duplicate });
+}
+
+// Expired or failed sessions release the quote so the customer can open a
+// fresh Checkout for the same quote ID.
+async function handleCheckoutClosed(event, res) {
+  const session = event.data.object;
+  const quoteId = String(session.client_reference_id || session.metadata?.quote_id || '').trim().toUpperCase();
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
+    console.warn(`Stripe ${event.type} for session ${session.id} did not contain a valid quote ID.`);
+    return res.status(200).json({ received: true, ignored: true });
   }
 
-  if (!bookingLead) {
-    return res.status(500).send('Booking saved, but alert details could not be loaded.');
+  const client = await pool.connect();
+  let duplicate = false;
+  let plan = null;
+  try {
+    await client.query('BEGIN');
+    const eventInsert = await client.query(
+      `INSERT INTO stripe_webhook_events (event_id, event_type, quote_id, stripe_session_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id) DO NOTHING
+       RETURNING event_id`,
+      [event.id, event.type, quoteId, session.id]
+    );
+    duplicate = eventInsert.rowCount === 0;
+    if (!duplicate) {
+      const closedStatus = CLOSED_SESSION_STATUSES[event.type];
+      await client.query(
+        `UPDATE leads
+         SET booking_status = $1, payment_status = $2
+         WHERE stripe_session_id = $3 AND log_type = 'CheckoutAttempt' AND booking_status = 'CHECKOUT_STARTED'`,
+        [closedStatus.bookingStatus, closedStatus.paymentStatus, session.id]
+      );
+      const leadResult = await client.query(
+        `SELECT * FROM leads
+         WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+         ORDER BY id DESC LIMIT 1
+         FOR UPDATE`,
+        [quoteId]
+      );
+      const lead = leadResult.rows[0];
+      plan = planCheckoutSessionClosed(lead, session, event.type);
+      if (plan) {
+        await client.query(
+          `UPDATE leads
+           SET booking_status = $1, payment_status = $2
+           WHERE id = $3`,
+          [plan.bookingStatus, plan.paymentStatus, lead.id]
+        );
+        await recordBookingTransition(client, lead, plan, {
+          source: 'stripe_webhook',
+          stripeEventId: event.id,
+        });
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Stripe ${event.type} update failed:`, error);
+    return res.status(500).send('Booking update failed.');
+  } finally {
+    client.release();
   }
 
-  if (bookingLead) {
-    const notificationLead = {
-      ...(bookingLead.lead_payload || {}),
-      quoteId,
-      calculatedQuote: Number(bookingLead.calculated_quote),
-      totalMiles: Number(bookingLead.total_miles),
-    };
-    try {
-      await sendBookingNotification(notificationLead, {
-        leadId: bookingLead.id,
-        stripeSessionId: session.id,
-        paymentIntentId: session.payment_intent || null,
-        paidAt,
-      });
-      await pool.query(
-        `UPDATE stripe_webhook_events
-         SET notification_sent_at = CURRENT_TIMESTAMP,
-             notification_attempts = notification_attempts + 1
-         WHERE event_id = $1`,
-        [event.id]
+  return res.status(200).json({ received: true, duplicate, bookingStatus: plan?.bookingStatus || null });
+}
+
+// Refunds and disputes arrive keyed by payment intent rather than quote ID.
+// A payment intent that never booked its quote is looked up among the
+// unmatched payments instead.
+async function handleChargeStatusEvent(event, res, paymentIntentId, planTransition, { planUnmatched, alertRequired = false, reason = null } = {}) {
+  if (!paymentIntentId) {
+    return res.status(200).json({ received: true, ignored: true });
+  }
+
+  const client = await pool.connect();
+  let lead;
+  let unmatchedPayment;
+  let duplicate = false;
+  try {
+    await client.query('BEGIN');
+    const leadResult = await client.query(
+      `SELECT * FROM leads
+       WHERE stripe_payment_intent_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [paymentIntentId]
+    );
+    lead = leadResult.rows[0];
+    if (!lead) {
+      const unmatchedResult = await client.query(
+        'SELECT * FROM unmatched_payments WHERE stripe_payment_intent_id = $1 FOR UPDATE',
+        [paymentIntentId]
       );
-    } catch (notificationError) {
-      console.error(`Pushover booking notification failed for ${quoteId}:`, notificationError.message);
-      await pool.query(
-        `UPDATE stripe_webhook_events
-         SET notification_attempts = notification_attempts + 1
-         WHERE event_id = $1`,
-        [event.id]
-      ).catch(updateError => console.error('Unable to record notification retry:', updateError.message));
-      return res.status(500).send('Booking saved; notification delivery will be retried.');
+      unmatchedPayment = unmatchedResult.rows[0];
+    }
+    const eventInsert = await client.query(
+      `INSERT INTO stripe_webhook_events (event_id, event_type, quote_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (event_id) DO NOTHING
+       RETURNING event_id`,
+      [event.id, event.type, lead?.quote_id || unmatchedPayment?.quote_id || null]
+    );
+    duplicate = eventInsert.rowCount === 0;
+    if (!duplicate && unmatchedPayment) {
+      await updateUnmatchedPayment(client, unmatchedPayment, planUnmatched(unmatchedPayment), { alertRequired, reason });
+    }
+    if (!duplicate && lead) {
+      const plan = planTransition(lead);
+      if (isTransition(lead, plan)) {
+        await client.query(
+          `UPDATE leads
+           SET booking_status = $1, payment_status = $2, refunded_amount = COALESCE($3, refunded_amount)
+           WHERE quote_id = $4`,
+          [plan.bookingStatus, plan.paymentStatus, plan.refundedAmount ?? null, lead.quote_id]
+        );
+        await recordBookingTransition(client, lead, plan, {
+          source: 'stripe_webhook',
+          reason,
+          stripeEventId: event.id,
+          amount: plan.refundedAmount,
+        });
+        await releaseAssignments(client, lead.quote_id, plan.bookingStatus);
+      }
+      if (alertRequired) {
+        await notificationOutbox.enqueue(client, {
+          dedupeKey: `stripe:${event.id}`,
+          kind: 'booking_status',
+          quoteId: lead.quote_id,
+          payload: {
+            leadData: toNotificationLead(lead),
+            details: { leadId: lead.id, status: plan.bookingStatus, paymentStatus: plan.paymentStatus, reason },
+          },
+        });
+      }
     }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Stripe ${event.type} update failed:`, error);
+    return res.status(500).send('Booking update failed.');
+  } finally {
+    client.release();
   }
 
-  return res.status(200).json({ received: true, duplicate });
-});
+  if (!lead && !unmatchedPayment) {
+    console.warn(`Stripe ${event.type} for payment intent ${paymentIntentId} did not match a booked quote.`);
+    return res.status(200).json({ received: true, unmatched: true });
+  }
+  if (alertRequired && !duplicate) notificationOutbox.kick();
+  return res.status(200).json({ received: true, duplicate, unmatchedPaymentId: unmatchedPayment?.id });
+}
+
+async function updateUnmatchedPayment(db, payment, plan, { alertRequired = false, reason = null } = {}) {
+  await db.query(
+    `UPDATE unmatched_payments
+     SET status = $1, refunded_amount = $2,
+         resolved_at = CASE WHEN $1 = 'OPEN' THEN NULL ELSE COALESCE(resolved_at, CURRENT_TIMESTAMP) END
+     WHERE id = $3`,
+    [plan.status, plan.refundedAmount, payment.id]
+  );
+  if (!alertRequired) return;
+  const leadResult = await db.query(
+    `SELECT * FROM leads
+     WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+     ORDER BY id DESC LIMIT 1`,
+    [payment.quote_id]
+  );
+  const lead = leadResult.rows[0];
+  if (!lead) return;
+  await notificationOutbox.enqueue(db, {
+    dedupeKey: `unmatched-payment:${payment.id}:${plan.status}`,
+    kind: 'booking_status',
+    quoteId: payment.quote_id,
+    payload: {
+      leadData: toNotificationLead(lead),
+      details: {
+        leadId: lead.id,
+        status: lead.booking_status,
+        paymentStatus: lead.payment_status,
+        unmatchedPayment: true,
+        reason: `${reason} (payment ${payment.stripe_payment_intent_id} was never applied to this booking)`,
+      },
+    },
+  });
+}
 
 app.use(express.json()); // To parse JSON request bodies
 
@@ -581,6 +1147,16 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
+const notificationOutbox = createNotificationOutbox({
+  pool,
+  channels: createNotifierChannels(),
+});
+// Proof-of-delivery photos and signatures.
+const blobStore = createBlobStore();
+// Per-IP and per-email limits on the public quote and checkout endpoints.
+const abuseGuard = createAbuseGuard({ limits: getRateLimits(), store: createRateLimitStore(pool) });
+const abuseChallenge = createAbuseChallenge();
+
 // Test the database connection on startup
 pool.query('SELECT NOW()', (err, res) => {
   if (err) {
@@ -628,6 +1204,17 @@ async function ensureLeadsTableExists() {
       stripe_session_id VARCHAR(255),
       stripe_payment_intent_id VARCHAR(255),
       paid_at TIMESTAMPTZ,
+      quote_expires_at TIMESTAMPTZ,
+      quote_version VARCHAR(40),
+      rate_card_id INTEGER,
+      refunded_amount NUMERIC(10, 2),
+      cancelled_at TIMESTAMPTZ,
+      fulfillment_status VARCHAR(30),
+      last_stop_update_at TIMESTAMPTZ,
+      delivered_at TIMESTAMPTZ,
+      time_zone VARCHAR(64),
+      pickup_at TIMESTAMPTZ,
+      deliver_by_at TIMESTAMPTZ,
       lead_payload JSONB
     );
   `;
@@ -643,7 +1230,31 @@ async function ensureLeadsTableExists() {
     await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS stripe_payment_intent_id VARCHAR(255);');
     await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;');
     await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS lead_payload JSONB;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS quote_version VARCHAR(40);');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS rate_card_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10, 2);');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS fulfillment_status VARCHAR(30);');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS last_stop_update_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS pickup_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS deliver_by_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS account_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS account_user_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS payment_terms VARCHAR(20);');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS invoiced_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS statement_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS partner_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS partner_key_id INTEGER;');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS partner_reference VARCHAR(100);');
+    await pool.query("CREATE INDEX IF NOT EXISTS leads_account_invoiced_idx ON leads (account_id, invoiced_at) WHERE log_type = 'CalculatedQuote' AND account_id IS NOT NULL;");
+    await pool.query("CREATE INDEX IF NOT EXISTS leads_booked_window_idx ON leads (pickup_at, deliver_by_at) WHERE log_type = 'CalculatedQuote' AND booking_status = 'BOOKED';");
+    await backfillBookedServiceWindows();
+    await pool.query('CREATE INDEX IF NOT EXISTS leads_stripe_payment_intent_id_idx ON leads (stripe_payment_intent_id) WHERE stripe_payment_intent_id IS NOT NULL;');
     await pool.query('CREATE INDEX IF NOT EXISTS leads_quote_id_idx ON leads (quote_id);');
+    await pool.query('CREATE INDEX IF NOT EXISTS leads_log_type_id_idx ON leads (log_type, id DESC);');
     await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS leads_calculated_quote_id_unique ON leads (quote_id) WHERE log_type = 'CalculatedQuote' AND quote_id IS NOT NULL;");
     await pool.query('DROP INDEX IF EXISTS leads_stripe_session_id_idx;');
     await pool.query('CREATE INDEX IF NOT EXISTS leads_stripe_session_id_idx ON leads (stripe_session_id) WHERE stripe_session_id IS NOT NULL;');
@@ -651,21 +1262,340 @@ async function ensureLeadsTableExists() {
       CREATE TABLE IF NOT EXISTS stripe_webhook_events (
         event_id VARCHAR(255) PRIMARY KEY,
         event_type VARCHAR(100) NOT NULL,
-        processed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-        notification_sent_at TIMESTAMPTZ,
-        notification_attempts INTEGER NOT NULL DEFAULT 0
+        processed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS quote_id VARCHAR(40);');
+    await pool.query('ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS stripe_session_id VARCHAR(255);');
+    await pool.query('CREATE INDEX IF NOT EXISTS stripe_webhook_events_quote_id_idx ON stripe_webhook_events (quote_id) WHERE quote_id IS NOT NULL;');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        dedupe_key VARCHAR(255) NOT NULL UNIQUE,
+        channel VARCHAR(30) NOT NULL,
+        kind VARCHAR(40) NOT NULL,
+        quote_id VARCHAR(40),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'SKIPPED', 'DEAD')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMPTZ,
+        last_error TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query("CREATE INDEX IF NOT EXISTS notifications_due_idx ON notifications (next_attempt_at) WHERE status = 'PENDING';");
+    await pool.query('CREATE INDEX IF NOT EXISTS notifications_quote_id_idx ON notifications (quote_id) WHERE quote_id IS NOT NULL;');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS booking_status_history (
+        id SERIAL PRIMARY KEY,
+        quote_id VARCHAR(40) NOT NULL,
+        from_booking_status VARCHAR(30),
+        to_booking_status VARCHAR(30),
+        from_payment_status VARCHAR(30),
+        to_payment_status VARCHAR(30),
+        source VARCHAR(30) NOT NULL,
+        actor VARCHAR(255),
+        reason TEXT,
+        stripe_event_id VARCHAR(255),
+        stripe_refund_id VARCHAR(255),
+        amount NUMERIC(10, 2),
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS booking_status_history_quote_id_idx ON booking_status_history (quote_id, id);');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS unmatched_payments (
+        id SERIAL PRIMARY KEY,
+        quote_id VARCHAR(40) NOT NULL,
+        stripe_session_id VARCHAR(255),
+        stripe_payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+        stripe_event_id VARCHAR(255),
+        amount NUMERIC(10, 2) NOT NULL,
+        refunded_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'REFUNDED', 'DISPUTED')),
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query("CREATE INDEX IF NOT EXISTS unmatched_payments_open_idx ON unmatched_payments (created_at) WHERE status = 'OPEN';");
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS drivers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(120) NOT NULL,
+        phone VARCHAR(40) NOT NULL,
+        email VARCHAR(255),
+        vehicle_types TEXT[] NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS assignments (
+        id SERIAL PRIMARY KEY,
+        quote_id VARCHAR(40) NOT NULL,
+        driver_id INTEGER NOT NULL REFERENCES drivers (id),
+        vehicle_type VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'REPLACED', 'RELEASED')),
+        scheduled_start TIMESTAMPTZ NOT NULL,
+        scheduled_end TIMESTAMPTZ NOT NULL,
+        assigned_by VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS assignments_active_quote_unique ON assignments (quote_id) WHERE status = 'ACTIVE';");
+    await pool.query("CREATE INDEX IF NOT EXISTS assignments_driver_schedule_idx ON assignments (driver_id, scheduled_start) WHERE status = 'ACTIVE';");
+    await pool.query('ALTER TABLE drivers ADD COLUMN IF NOT EXISTS access_token_hash VARCHAR(64);');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS drivers_access_token_hash_unique ON drivers (access_token_hash) WHERE access_token_hash IS NOT NULL;');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stop_updates (
+        id SERIAL PRIMARY KEY,
+        quote_id VARCHAR(40) NOT NULL,
+        stop_index INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('ARRIVED', 'LOADED', 'DELIVERED')),
+        driver_id INTEGER REFERENCES drivers (id),
+        assignment_id INTEGER REFERENCES assignments (id),
+        note TEXT,
+        recorded_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (quote_id, stop_index, status)
       );
     `);
-    await pool.query('ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS notification_sent_at TIMESTAMPTZ;');
-    await pool.query('ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS notification_attempts INTEGER NOT NULL DEFAULT 0;');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS proof_of_delivery (
+        id SERIAL PRIMARY KEY,
+        quote_id VARCHAR(40) NOT NULL,
+        stop_index INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('photo', 'signature')),
+        storage_key VARCHAR(255) NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        byte_size INTEGER NOT NULL,
+        sha256 VARCHAR(64) NOT NULL,
+        driver_id INTEGER REFERENCES drivers (id),
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS proof_of_delivery_quote_id_idx ON proof_of_delivery (quote_id, stop_index);');
     await pool.query(`
       CREATE TABLE IF NOT EXISTS vehicle_availability (
         vehicle_type VARCHAR(100) PRIMARY KEY,
         vehicle_label VARCHAR(150) NOT NULL,
         enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        unit_count INTEGER NOT NULL DEFAULT 1,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('ALTER TABLE vehicle_availability ADD COLUMN IF NOT EXISTS unit_count INTEGER NOT NULL DEFAULT 1;');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS vehicle_downtime (
+        id SERIAL PRIMARY KEY,
+        vehicle_type VARCHAR(100) NOT NULL,
+        units INTEGER CHECK (units IS NULL OR units > 0),
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ NOT NULL CHECK (ends_at > starts_at),
+        reason VARCHAR(30) NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS vehicle_downtime_window_idx ON vehicle_downtime (starts_at, ends_at);');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_cards (
+        id SERIAL PRIMARY KEY,
+        version VARCHAR(40) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+        rules JSONB NOT NULL,
+        effective_from TIMESTAMPTZ,
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        published_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS operating_calendar (
+        id SMALLINT PRIMARY KEY CHECK (id = 1),
+        calendar JSONB NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(
+      'INSERT INTO operating_calendar (id, calendar) VALUES (1, $1) ON CONFLICT (id) DO NOTHING',
+      [JSON.stringify(DEFAULT_OPERATING_CALENDAR)]
+    );
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS service_areas (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        polygon JSONB,
+        postal_codes TEXT[] NOT NULL DEFAULT '{}',
+        surcharge NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_accounts (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        billing_email VARCHAR(255) NOT NULL,
+        payment_terms VARCHAR(20) NOT NULL DEFAULT 'NET_30',
+        invoice_billing BOOLEAN NOT NULL DEFAULT FALSE,
+        rate_overrides JSONB NOT NULL DEFAULT '{}',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_users (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES customer_accounts(id),
+        name VARCHAR(150) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        access_token_hash VARCHAR(64) UNIQUE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_statements (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES customer_accounts(id),
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        booking_count INTEGER NOT NULL,
+        total NUMERIC(10, 2) NOT NULL,
+        payment_terms VARCHAR(20) NOT NULL,
+        due_date DATE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'OPEN',
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) UNIQUE NOT NULL,
+        description VARCHAR(200),
+        discount_type VARCHAR(10) NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        starts_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ,
+        max_redemptions INTEGER,
+        max_redemptions_per_email INTEGER,
+        vehicle_types TEXT[] NOT NULL DEFAULT '{}',
+        minimum_order NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id SERIAL PRIMARY KEY,
+        promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id),
+        quote_id VARCHAR(40) UNIQUE NOT NULL,
+        contact_email VARCHAR(255),
+        discount NUMERIC(10, 2) NOT NULL,
+        redeemed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('ALTER TABLE promo_redemptions ALTER COLUMN quote_id TYPE VARCHAR(40);');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS partners (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        contact_email VARCHAR(255) NOT NULL,
+        account_id INTEGER REFERENCES customer_accounts(id),
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
       );
     `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS partner_api_keys (
+        id SERIAL PRIMARY KEY,
+        partner_id INTEGER NOT NULL REFERENCES partners(id),
+        label VARCHAR(100),
+        key_prefix VARCHAR(12) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        rate_limit_per_minute INTEGER NOT NULL,
+        daily_quota INTEGER NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS partner_api_usage (
+        key_id INTEGER NOT NULL REFERENCES partner_api_keys(id),
+        usage_date DATE NOT NULL,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, usage_date)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        bucket_key VARCHAR(64) PRIMARY KEY,
+        hit_count INTEGER NOT NULL,
+        reset_at TIMESTAMPTZ NOT NULL
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        email VARCHAR(254) UNIQUE NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        password_hash TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        admin_user_id INTEGER NOT NULL REFERENCES admin_users(id),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_seen_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        admin_user_id INTEGER NOT NULL REFERENCES admin_users(id),
+        method VARCHAR(10) NOT NULL,
+        path TEXT NOT NULL,
+        status_code INTEGER NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log (created_at DESC);');
+    await bootstrapOwnerAdmin();
+    await pool.query('CREATE INDEX IF NOT EXISTS promo_redemptions_code_email_idx ON promo_redemptions (promo_code_id, LOWER(contact_email));');
+    await pool.query("CREATE INDEX IF NOT EXISTS rate_cards_published_effective_idx ON rate_cards (effective_from) WHERE status = 'PUBLISHED';");
+    await pool.query(
+      `INSERT INTO rate_cards (version, status, rules, effective_from, notes, published_at)
+       VALUES ($1, 'PUBLISHED', $2, 'epoch', 'Seeded from the built-in pricing rules.', CURRENT_TIMESTAMP)
+       ON CONFLICT (version) DO NOTHING`,
+      [QUOTE_VERSION, JSON.stringify(QUOTE_RULES)]
+    );
     for (const vehicleType of QUOTE_RULES.vehicleCapacityOrder) {
       await pool.query(
         `INSERT INTO vehicle_availability (vehicle_type, vehicle_label)
@@ -681,9 +1611,51 @@ async function ensureLeadsTableExists() {
   }
 }
 
+// The first owner comes from ADMIN_OWNER_EMAIL and ADMIN_OWNER_PASSWORD and
+// is created only while there are no admin users; later users are added by
+// an owner through /admin/users.
+async function bootstrapOwnerAdmin() {
+  const email = normalizeEmail(process.env.ADMIN_OWNER_EMAIL);
+  const password = process.env.ADMIN_OWNER_PASSWORD;
+  const existing = await pool.query('SELECT 1 FROM admin_users LIMIT 1');
+  if (existing.rows.length) return;
+  if (!email || !password) {
+    console.warn('No admin users exist; set ADMIN_OWNER_EMAIL and ADMIN_OWNER_PASSWORD to create the first owner.');
+    return;
+  }
+  const passwordHash = await hashPassword(validatePassword(password, 'ADMIN_OWNER_PASSWORD'));
+  await pool.query(
+    `INSERT INTO admin_users (name, email, role, password_hash)
+     VALUES ('Owner', $1, 'OWNER', $2)
+     ON CONFLICT (email) DO NOTHING`,
+    [email, passwordHash]
+  );
+  console.log(`Created the first admin owner ${email}.`);
+}
+
+// Bookings saved before quotes carried a time zone get their window in the
+// service zone, so fleet capacity can count them.
+async function backfillBookedServiceWindows() {
+  try {
+    const result = await pool.query(
+      `UPDATE leads
+       SET time_zone = $1::text,
+           pickup_at = (pickup_date || ' ' || pickup_time)::timestamp AT TIME ZONE $1::text,
+           deliver_by_at = (delivery_date || ' ' || delivery_time)::timestamp AT TIME ZONE $1::text
+       WHERE pickup_at IS NULL AND log_type = 'CalculatedQuote' AND booking_status = 'BOOKED'
+         AND pickup_date ~ '^\\d{4}-\\d{2}-\\d{2}$' AND pickup_time ~ '^\\d{2}:\\d{2}$'
+         AND delivery_date ~ '^\\d{4}-\\d{2}-\\d{2}$' AND delivery_time ~ '^\\d{2}:\\d{2}$'`,
+      [serviceTimeZone]
+    );
+    if (result.rowCount) console.log(`Backfilled service windows for ${result.rowCount} booking(s).`);
+  } catch (error) {
+    console.warn('Could not backfill booking service windows; older bookings are left out of fleet capacity:', error.message);
+  }
+}
+
 async function getVehicleAvailability() {
   const result = await pool.query(
-    `SELECT vehicle_type, vehicle_label, enabled, updated_at
+    `SELECT vehicle_type, vehicle_label, enabled, unit_count, updated_at
      FROM vehicle_availability
      ORDER BY array_position($1::text[], vehicle_type)`,
     [QUOTE_RULES.vehicleCapacityOrder]
@@ -692,34 +1664,360 @@ async function getVehicleAvailability() {
     vehicleType: row.vehicle_type,
     label: row.vehicle_label,
     enabled: row.enabled,
+    unitCount: row.unit_count,
     updatedAt: row.updated_at,
   }));
 }
 
-async function getDisabledVehicles() {
-  const availability = await getVehicleAvailability();
-  return new Set(availability.filter(vehicle => !vehicle.enabled).map(vehicle => vehicle.vehicleType));
+// Without a window only the enabled switches and fleet sizes apply.
+async function getFleetCapacity(window) {
+  const [inventory, bookings, downtimes] = await Promise.all([
+    getVehicleAvailability(),
+    window
+      ? pool.query(
+        `SELECT COALESCE(assignments.vehicle_type, leads.vehicle_type) AS vehicle_type,
+                leads.pickup_at, leads.deliver_by_at
+         FROM leads
+         LEFT JOIN assignments ON assignments.quote_id = leads.quote_id AND assignments.status = 'ACTIVE'
+         WHERE leads.log_type = 'CalculatedQuote' AND leads.booking_status = ANY($3)
+           AND leads.delivered_at IS NULL
+           AND leads.pickup_at < $2 AND leads.deliver_by_at > $1`,
+        [window.startsAt, window.endsAt, CAPACITY_HOLDING_STATUSES]
+      )
+      : { rows: [] },
+    window
+      ? pool.query('SELECT * FROM vehicle_downtime WHERE starts_at < $2 AND ends_at > $1', [window.startsAt, window.endsAt])
+      : { rows: [] },
+  ]);
+  // Only the part of each booking or downtime inside the window competes for a unit.
+  const clip = (startsAt, endsAt) => ({
+    startsAt: Math.max(new Date(startsAt).getTime(), window.startsAt.getTime()),
+    endsAt: Math.min(new Date(endsAt).getTime(), window.endsAt.getTime()),
+  });
+  return summarizeFleetCapacity(
+    inventory,
+    bookings.rows.map(row => ({ vehicleType: row.vehicle_type, ...clip(row.pickup_at, row.deliver_by_at) })),
+    downtimes.rows.map(row => ({ ...mapDowntime(row), ...clip(row.starts_at, row.ends_at) }))
+  );
 }
 
-function adminTokenMatches(req) {
-  const configuredToken = String(process.env.VEHICLE_ADMIN_TOKEN || '').trim();
-  const suppliedToken = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
-  if (!configuredToken || !suppliedToken) return false;
-  const configured = Buffer.from(configuredToken);
-  const supplied = Buffer.from(suppliedToken);
-  return configured.length === supplied.length && crypto.timingSafeEqual(configured, supplied);
+async function getOperatingCalendar() {
+  const result = await pool.query('SELECT calendar FROM operating_calendar WHERE id = 1');
+  return result.rows[0] ? normalizeOperatingCalendar(result.rows[0].calendar) : DEFAULT_OPERATING_CALENDAR;
 }
 
-function requireVehicleAdmin(req, res, next) {
-  if (!process.env.VEHICLE_ADMIN_TOKEN) {
-    return res.status(503).json({ status: 'error', message: 'Vehicle administration is not configured.' });
+// Usage counts only paid redemptions, so abandoned checkouts never use up a code.
+async function getUsablePromoCode(code, email) {
+  const result = await pool.query(
+    `SELECT promo_codes.*,
+            COUNT(promo_redemptions.id) AS redemption_count,
+            COUNT(promo_redemptions.id) FILTER (WHERE LOWER(promo_redemptions.contact_email) = LOWER($2)) AS email_redemption_count
+     FROM promo_codes
+     LEFT JOIN promo_redemptions ON promo_redemptions.promo_code_id = promo_codes.id
+     WHERE promo_codes.code = $1
+     GROUP BY promo_codes.id`,
+    [code, email || '']
+  );
+  const row = result.rows[0];
+  if (!row) throw new PromoCodeError('This promo code is not valid.', 'PROMO_INVALID');
+  const promo = mapPromoCode(row);
+  checkPromoCodeUsable(promo, {
+    email: email || null,
+    usage: { total: promo.redemptionCount, byEmail: Number(row.email_redemption_count) },
+  });
+  return promo;
+}
+
+async function getServiceAreas() {
+  const result = await pool.query('SELECT * FROM service_areas ORDER BY id ASC');
+  return result.rows.map(mapServiceArea);
+}
+
+function mapRateCard(row) {
+  return {
+    id: row.id,
+    version: row.version,
+    status: row.status,
+    rules: normalizeRateCardRules(row.rules),
+    effectiveFrom: row.effective_from,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    publishedAt: row.published_at,
+  };
+}
+
+async function getRateCardInForce(at = new Date()) {
+  const result = await pool.query(
+    `SELECT * FROM rate_cards
+     WHERE status = 'PUBLISHED' AND effective_from <= $1
+     ORDER BY effective_from DESC, id DESC LIMIT 1`,
+    [at]
+  );
+  if (!result.rows[0]) {
+    throw new Error('No published rate card is in force.');
+  }
+  return mapRateCard(result.rows[0]);
+}
+
+async function getRateCardByVersion(version) {
+  const result = await pool.query('SELECT * FROM rate_cards WHERE version = $1', [version]);
+  return result.rows[0] ? mapRateCard(result.rows[0]) : null;
+}
+
+function parseEffectiveFrom(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !Number.isFinite(Date.parse(text))) {
+    throw new Error('effectiveFrom must be an ISO 8601 timestamp with a time zone offset.');
+  }
+  return new Date(text);
+}
+
+// Returns the signed-in admin user for a session token, or null when the
+// session is unknown, expired, revoked or belongs to a deactivated user.
+async function findAdminSession(suppliedToken) {
+  if (!suppliedToken) return null;
+  const result = await pool.query(
+    `UPDATE admin_sessions SET last_seen_at = CURRENT_TIMESTAMP
+     FROM admin_users
+     WHERE admin_sessions.token_hash = $1 AND admin_sessions.revoked_at IS NULL
+       AND admin_sessions.expires_at > CURRENT_TIMESTAMP
+       AND admin_users.id = admin_sessions.admin_user_id AND admin_users.active
+     RETURNING admin_users.*, admin_sessions.id AS session_id`,
+    [hashAccessToken(suppliedToken)]
+  );
+  return result.rows[0] || null;
+}
+
+// Guards /admin routes by role: READ_ONLY may view, DISPATCHER may also run
+// the day's deliveries, and OWNER may also change billing, pricing and
+// admin users. Every change an admin makes is written to admin_audit_log.
+function requireAdmin(requiredRole) {
+  if (!ADMIN_ROLES.includes(requiredRole)) throw new Error(`Unknown admin role "${requiredRole}".`);
+  return async (req, res, next) => {
+    const suppliedToken = readBearerToken(req);
+    let adminUser;
+    try {
+      adminUser = await findAdminSession(suppliedToken);
+    } catch (error) {
+      console.error('Unable to check an admin session:', error);
+      return res.status(503).json({ status: 'error', message: 'Admin sign-in is temporarily unavailable.' });
+    }
+    if (!adminUser) {
+      return res.status(401).json({ status: 'error', message: 'Please sign in again.', code: 'ADMIN_SESSION_INVALID' });
+    }
+    if (!roleAllows(adminUser.role, requiredRole)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Your admin role does not allow this action.',
+        code: 'ADMIN_ROLE_FORBIDDEN',
+      });
+    }
+    req.adminUser = adminUser;
+    if (req.method !== 'GET') {
+      res.on('finish', () => {
+        pool.query(
+          'INSERT INTO admin_audit_log (admin_user_id, method, path, status_code) VALUES ($1, $2, $3, $4)',
+          [adminUser.id, req.method, req.originalUrl.split('?')[0], res.statusCode]
+        ).catch(error => console.error(`Unable to audit ${req.method} ${req.originalUrl} by ${adminUser.email}:`, error.message));
+      });
+    }
+    return next();
+  };
+}
+
+// Turns away callers over a public endpoint's limits before any lookup,
+// alert or Stripe call is made. A caller who passes the challenge is let
+// through; if the limit store fails, requests are allowed rather than lost.
+function limitPublicRequests(rule, {
+  errorField = 'message',
+  emailOf = req => req.body?.contactDetails?.email,
+  quoteOf = () => null,
+  message = 'Too many requests. Please wait a few minutes and try again, or call us to book.',
+} = {}) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await abuseGuard.check(rule, {
+        ip: req.ip,
+        email: normalizeEmail(emailOf(req)),
+        quote: String(quoteOf(req) || '').trim().toUpperCase() || null,
+      });
+    } catch (error) {
+      console.error(`Rate limiting for ${rule} is unavailable; allowing the request:`, error.message);
+      return next();
+    }
+    if (result.allowed) return next();
+
+    const challengeToken = String(req.headers['x-challenge-token'] || '').trim();
+    if (abuseChallenge && challengeToken) {
+      try {
+        if (await abuseChallenge.verify(challengeToken, req.ip)) return next();
+      } catch (error) {
+        console.warn(`Challenge verification for ${rule} failed:`, error.message);
+      }
+    }
+    console.warn(`Rate limited ${rule} by ${result.scope} for ${result.retryAfterSeconds}s.`);
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      ...(errorField === 'message' ? { status: 'error' } : {}),
+      [errorField]: message,
+      code: 'RATE_LIMITED',
+      retryAfterSeconds: result.retryAfterSeconds,
+      challenge: abuseChallenge?.name || null,
+    });
+  };
+}
+
+async function requireQuoteDocumentAccess(req, res, next) {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (quoteLinksEnabled && verifyQuoteToken(quoteId, String(req.query.token || ''), 'document')) {
+    return next();
+  }
+  const suppliedToken = readBearerToken(req);
+  try {
+    if (await findAdminSession(suppliedToken)) return next();
+  } catch (error) {
+    console.error(`Unable to check admin access to quote ${quoteId} documents:`, error);
+  }
+  return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+}
+
+// Business account users send their account key as a bearer token. Quotes
+// without one are priced for the public; a key that does not check out is
+// refused rather than silently dropped to public prices.
+async function identifyAccountUser(req, res, next) {
+  const suppliedToken = readBearerToken(req);
+  if (!suppliedToken) return next();
+  let user;
+  let account;
+  try {
+    const result = await pool.query('SELECT * FROM account_users WHERE access_token_hash = $1', [hashAccessToken(suppliedToken)]);
+    user = result.rows[0];
+    account = user ? await getAccount(user.account_id) : null;
+  } catch (error) {
+    console.error('Unable to check an account key:', error);
+    return res.status(503).json({ status: 'error', message: 'Account sign-in is temporarily unavailable.' });
+  }
+  if (!user || !user.active || !account?.active) {
+    return res.status(401).json({ status: 'error', message: 'Invalid account key.', code: 'ACCOUNT_KEY_INVALID' });
+  }
+  req.accountUser = mapAccountUser(user);
+  req.account = account;
+  return next();
+}
+
+function requireAccountUser(req, res, next) {
+  if (!req.accountUser) {
+    return res.status(401).json({ status: 'error', message: 'An account key is required.', code: 'ACCOUNT_KEY_INVALID' });
+  }
+  return next();
+}
+
+async function getAccount(accountId) {
+  const result = await pool.query('SELECT * FROM customer_accounts WHERE id = $1', [accountId]);
+  return result.rows[0] ? mapAccount(result.rows[0]) : null;
+}
+
+// A saved quote keeps the account it was priced for; a deactivated account
+// falls back to public prices, which then fail the saved-total check.
+async function getQuoteAccount(savedQuote) {
+  if (!savedQuote.account_id) return null;
+  const account = await getAccount(savedQuote.account_id);
+  return account?.active ? account : null;
+}
+
+function sendAccountError(res, error) {
+  if (!(error instanceof AccountError)) throw error;
+  return res.status(error.statusCode).json({ status: 'error', message: error.message });
+}
+
+// Per-minute windows for partner keys are held in this process; the daily
+// quota is counted in the database.
+const partnerRateLimits = createMemoryRateLimitStore();
+
+// Partners send their API key as a bearer token. Each key has its own
+// per-minute rate limit and a daily quota that resets at midnight UTC.
+async function requirePartnerKey(req, res, next) {
+  res.set('Cache-Control', 'no-store');
+  const suppliedKey = readBearerToken(req);
+  if (!suppliedKey) {
+    return res.status(401).json({ status: 'error', message: 'An API key is required.', code: 'API_KEY_INVALID' });
+  }
+  let key;
+  try {
+    const result = await pool.query(
+      `SELECT k.*, p.name AS partner_name, p.account_id, p.active AS partner_active
+       FROM partner_api_keys k
+       JOIN partners p ON p.id = k.partner_id
+       WHERE k.key_hash = $1`,
+      [hashAccessToken(suppliedKey)]
+    );
+    key = result.rows[0];
+  } catch (error) {
+    console.error('Unable to check a partner API key:', error);
+    return res.status(503).json({ status: 'error', message: 'The API is temporarily unavailable.' });
+  }
+  if (!key || key.revoked_at || !key.partner_active) {
+    return res.status(401).json({ status: 'error', message: 'Invalid API key.', code: 'API_KEY_INVALID' });
+  }
+
+  const limit = key.rate_limit_per_minute;
+  const { count, resetAt } = await partnerRateLimits.hit(`partner-key:${key.id}`, 60000);
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(0, limit - count)),
+    'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000)),
+  });
+  if (count > limit) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+    return res.status(429).json({
+      status: 'error',
+      message: `This API key is limited to ${limit} requests per minute.`,
+      code: 'RATE_LIMITED',
+    });
+  }
+
+  let usedToday;
+  try {
+    const usage = await pool.query(
+      `INSERT INTO partner_api_usage (key_id, usage_date, request_count)
+       VALUES ($1, (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date, 1)
+       ON CONFLICT (key_id, usage_date) DO UPDATE SET request_count = partner_api_usage.request_count + 1
+       RETURNING request_count`,
+      [key.id]
+    );
+    usedToday = usage.rows[0].request_count;
+    await pool.query('UPDATE partner_api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [key.id]);
+  } catch (error) {
+    console.error(`Unable to count usage for partner API key ${key.id}:`, error);
+    return res.status(503).json({ status: 'error', message: 'The API is temporarily unavailable.' });
   }
-  if (!adminTokenMatches(req)) {
-    return res.status(401).json({ status: 'error', message: 'Invalid admin key.' });
+  res.set({
+    'X-Quota-Limit': String(key.daily_quota),
+    'X-Quota-Remaining': String(Math.max(0, key.daily_quota - usedToday)),
+  });
+  if (usedToday > key.daily_quota) {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    res.set('Retry-After', String(Math.ceil((midnight - Date.now()) / 1000)));
+    return res.status(429).json({
+      status: 'error',
+      message: `This API key has used its daily quota of ${key.daily_quota} requests. It resets at midnight UTC.`,
+      code: 'QUOTA_EXCEEDED',
+    });
   }
+
+  req.partner = { id: key.partner_id, name: key.partner_name, accountId: key.account_id, keyId: key.id };
   return next();
 }
 
+function sendPartnerError(res, error) {
+  if (!(error instanceof PartnerApiError)) throw error;
+  return res.status(error.statusCode).json({ status: 'error', message: error.message, code: error.code });
+}
+
 // --- Helper function to log data to PostgreSQL ---
 async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
   console.log(`Attempting to log lead data to PostgreSQL DB (Type: ${logType})...`);
@@ -763,6 +2061,9 @@ async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
   const pickupTime = leadData.serviceDetails?.pickupTime || null;
   const deliveryDate = leadData.serviceDetails?.deliveryDate || null;
   const deliveryTime = leadData.serviceDetails?.deliveryTime || null;
+  const timeZone = leadData.serviceDetails?.timeZone || null;
+  const pickupAt = leadData.serviceDetails?.pickupAt || null;
+  const deliverByAt = leadData.serviceDetails?.deliverByAt || null;
   const urgency = leadData.serviceDetails?.urgency || null;
   const specialNotes = leadData.serviceDetails?.specialNotes || null;
   const insideDelivery = leadData.serviceDetails?.insideDelivery || false;
@@ -779,6 +2080,14 @@ async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
   const stripeSessionId = leadData.stripeSessionId || null;
   const stripePaymentIntentId = leadData.stripePaymentIntentId || null;
   const paidAt = leadData.paidAt || null;
+  const quoteExpiresAt = leadData.quoteExpiresAt || null;
+  const quoteVersion = leadData.quoteVersion || null;
+  const rateCardId = leadData.rateCardId || null;
+  const accountId = leadData.accountId || null;
+  const accountUserId = leadData.accountUserId || null;
+  const partnerId = leadData.partnerId || null;
+  const partnerKeyId = leadData.partnerKeyId || null;
+  const partnerReference = leadData.partnerReference || null;
   const leadPayload = JSON.stringify(leadData);
 
   const insertQuery = `
@@ -787,10 +2096,13 @@ async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
       all_stops_details, package_details, vehicle_type, pickup_date, pickup_time, delivery_date, delivery_time,
       urgency, special_notes, inside_delivery, hazardous, bio_hazardous, extra_laborer,
       total_miles, calculated_quote, quote_id, booking_status, payment_status,
-      stripe_session_id, stripe_payment_intent_id, paid_at, lead_payload
+      stripe_session_id, stripe_payment_intent_id, paid_at, quote_expires_at, quote_version, rate_card_id,
+      time_zone, pickup_at, deliver_by_at, account_id, account_user_id,
+      partner_id, partner_key_id, partner_reference, lead_payload
     ) VALUES (
       $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
-      $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27
+      $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29,
+      $30, $31, $32, $33, $34, $35, $36, $37, $38
     )
     RETURNING id, quote_id;
   `;
@@ -799,7 +2111,9 @@ async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
     allStopsString, packagesStr, vehicleType, pickupDate, pickupTime, deliveryDate, deliveryTime,
     urgency, specialNotes, insideDelivery, hazardous, bioHazardous, extraLaborer,
     totalMiles, calculatedQuoteValue, quoteId, bookingStatus, paymentStatus,
-    stripeSessionId, stripePaymentIntentId, paidAt, leadPayload
+    stripeSessionId, stripePaymentIntentId, paidAt, quoteExpiresAt, quoteVersion, rateCardId,
+    timeZone, pickupAt, deliverByAt, accountId, accountUserId,
+    partnerId, partnerKeyId, partnerReference, leadPayload
   ];
 
   try {
@@ -812,6 +2126,208 @@ async function logLeadDataToDB(leadData, logType = "CalculatedQuote") {
   }
 }
 
+// --- Admin sign-in, admin users and the audit log ---
+function sendAdminUserError(res, error) {
+  if (!(error instanceof AdminUserError)) throw error;
+  return res.status(error.statusCode).json({ status: 'error', message: error.message });
+}
+
+app.post('/admin/login', limitPublicRequests('adminLogin', {
+  emailOf: req => req.body?.email,
+  message: 'Too many sign-in attempts. Please wait a few minutes and try again.',
+}), async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const password = String(req.body?.password ?? '');
+  try {
+    const result = email ? await pool.query('SELECT * FROM admin_users WHERE email = $1', [email]) : { rows: [] };
+    const adminUser = result.rows[0];
+    const passwordMatches = await verifyPassword(password, adminUser?.password_hash);
+    if (!adminUser || !adminUser.active || !passwordMatches) {
+      return res.status(401).json({ status: 'error', message: 'Email or password is incorrect.', code: 'ADMIN_LOGIN_FAILED' });
+    }
+    const { token, hash } = generateAccessToken(TOKEN_PREFIXES.ADMIN_SESSION, { bytes: 32 });
+    const session = await pool.query(
+      `INSERT INTO admin_sessions (admin_user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))
+       RETURNING expires_at`,
+      [adminUser.id, hash, adminSessionHours]
+    );
+    await pool.query('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [adminUser.id]);
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({
+      status: 'success',
+      token,
+      expiresAt: session.rows[0].expires_at,
+      user: mapAdminUser(adminUser),
+    });
+  } catch (error) {
+    console.error('Unable to sign in an admin user:', error);
+    return res.status(500).json({ status: 'error', message: 'Sign-in failed. Please try again.' });
+  }
+});
+
+app.post('/admin/logout', requireAdmin('READ_ONLY'), async (req, res) => {
+  try {
+    await pool.query('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [req.adminUser.session_id]);
+    return res.status(200).json({ status: 'success' });
+  } catch (error) {
+    console.error(`Unable to sign out admin user ${req.adminUser.email}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Sign-out failed. Please try again.' });
+  }
+});
+
+app.get('/admin/me', requireAdmin('READ_ONLY'), (req, res) => {
+  return res.status(200).json({ status: 'success', user: mapAdminUser(req.adminUser) });
+});
+
+// Changing your own password signs out your other sessions.
+app.put('/admin/me/password', requireAdmin('READ_ONLY'), async (req, res) => {
+  let newPassword;
+  try {
+    newPassword = validatePassword(req.body?.newPassword, 'newPassword');
+  } catch (error) {
+    return sendAdminUserError(res, error);
+  }
+  try {
+    if (!(await verifyPassword(String(req.body?.currentPassword ?? ''), req.adminUser.password_hash))) {
+      return res.status(422).json({ status: 'error', message: 'Current password is incorrect.' });
+    }
+    await pool.query(
+      'UPDATE admin_users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [await hashPassword(newPassword), req.adminUser.id]
+    );
+    await pool.query(
+      'UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE admin_user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+      [req.adminUser.id, req.adminUser.session_id]
+    );
+    return res.status(200).json({ status: 'success' });
+  } catch (error) {
+    console.error(`Unable to change the password of admin user ${req.adminUser.email}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The password could not be changed.' });
+  }
+});
+
+app.get('/admin/users', requireAdmin('OWNER'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM admin_users ORDER BY active DESC, name ASC');
+    return res.status(200).json({ status: 'success', users: result.rows.map(mapAdminUser) });
+  } catch (error) {
+    console.error('Unable to list admin users:', error);
+    return res.status(500).json({ status: 'error', message: 'Admin users could not be loaded.' });
+  }
+});
+
+app.post('/admin/users', requireAdmin('OWNER'), async (req, res) => {
+  let adminUser;
+  try {
+    adminUser = parseAdminUserInput(req.body);
+  } catch (error) {
+    return sendAdminUserError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO admin_users (name, email, role, password_hash, active)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [adminUser.name, adminUser.email, adminUser.role, await hashPassword(adminUser.password), adminUser.active]
+    );
+    return res.status(201).json({ status: 'success', user: mapAdminUser(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'An admin user with that email already exists.' });
+    }
+    console.error('Unable to add an admin user:', error);
+    return res.status(500).json({ status: 'error', message: 'The admin user could not be saved.' });
+  }
+});
+
+// Deactivating a user or resetting their password signs them out. The last
+// active owner cannot be demoted or deactivated.
+app.put('/admin/users/:id', requireAdmin('OWNER'), async (req, res) => {
+  let adminUserId;
+  let changes;
+  try {
+    adminUserId = parseAdminUserId(req.params.id);
+    changes = parseAdminUserInput(req.body, { partial: true });
+  } catch (error) {
+    return sendAdminUserError(res, error);
+  }
+  const columns = {
+    name: 'name',
+    email: 'email',
+    role: 'role',
+    password: 'password_hash',
+    active: 'active',
+  };
+  const client = await pool.connect();
+  try {
+    if (changes.password) changes.password = await hashPassword(changes.password);
+    await client.query('BEGIN');
+    const owners = await client.query("SELECT id FROM admin_users WHERE role = 'OWNER' AND active FOR UPDATE");
+    const existing = await client.query('SELECT * FROM admin_users WHERE id = $1 FOR UPDATE', [adminUserId]);
+    if (!existing.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Admin user was not found.' });
+    }
+    if (removesLastOwner(existing.rows[0], changes, owners.rows.length)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ status: 'error', message: 'At least one active owner is required.' });
+    }
+    const fields = Object.keys(changes);
+    const result = await client.query(
+      `UPDATE admin_users
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), adminUserId]
+    );
+    if (changes.password || changes.active === false) {
+      await client.query(
+        'UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE admin_user_id = $1 AND revoked_at IS NULL',
+        [adminUserId]
+      );
+    }
+    await client.query('COMMIT');
+    return res.status(200).json({ status: 'success', user: mapAdminUser(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'An admin user with that email already exists.' });
+    }
+    console.error(`Unable to update admin user ${adminUserId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The admin user could not be updated.' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/admin/audit-log', requireAdmin('OWNER'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT admin_audit_log.*, admin_users.email
+       FROM admin_audit_log
+       JOIN admin_users ON admin_users.id = admin_audit_log.admin_user_id
+       ORDER BY admin_audit_log.created_at DESC
+       LIMIT 200`
+    );
+    return res.status(200).json({
+      status: 'success',
+      entries: result.rows.map(row => ({
+        id: row.id,
+        adminUserId: row.admin_user_id,
+        email: row.email,
+        method: row.method,
+        path: row.path,
+        statusCode: row.status_code,
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Unable to load the admin audit log:', error);
+    return res.status(500).json({ status: 'error', message: 'The audit log could not be loaded.' });
+  }
+});
+
 // --- Public and protected vehicle-availability endpoints ---
 app.get('/vehicle-availability', async (req, res) => {
   res.set('Cache-Control', 'no-store');
@@ -823,7 +2339,7 @@ app.get('/vehicle-availability', async (req, res) => {
   }
 });
 
-app.get('/admin/vehicle-availability', requireVehicleAdmin, async (req, res) => {
+app.get('/admin/vehicle-availability', requireAdmin('READ_ONLY'), async (req, res) => {
   res.set('Cache-Control', 'no-store');
   try {
     return res.status(200).json({ status: 'success', vehicles: await getVehicleAvailability() });
@@ -833,26 +2349,42 @@ app.get('/admin/vehicle-availability', requireVehicleAdmin, async (req, res) =>
   }
 });
 
-app.put('/admin/vehicle-availability/:vehicleType', requireVehicleAdmin, async (req, res) => {
+app.put('/admin/vehicle-availability/:vehicleType', requireAdmin('DISPATCHER'), async (req, res) => {
   const vehicleType = String(req.params.vehicleType || '').trim();
   if (!QUOTE_RULES.vehicleCapacityOrder.includes(vehicleType)) {
     return res.status(404).json({ status: 'error', message: 'Vehicle type was not found.' });
   }
-  if (typeof req.body?.enabled !== 'boolean') {
+  const { enabled, unitCount: submittedUnitCount } = req.body || {};
+  if (enabled === undefined && submittedUnitCount === undefined) {
+    return res.status(422).json({ status: 'error', message: 'Send enabled, unitCount or both.' });
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
     return res.status(422).json({ status: 'error', message: 'Enabled must be true or false.' });
   }
+  let unitCount = null;
+  try {
+    if (submittedUnitCount !== undefined) unitCount = normalizeUnitCount(submittedUnitCount);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
   try {
     const result = await pool.query(
       `UPDATE vehicle_availability
-       SET enabled = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE vehicle_type = $2
-       RETURNING vehicle_type, vehicle_label, enabled, updated_at`,
-      [req.body.enabled, vehicleType]
+       SET enabled = COALESCE($1, enabled), unit_count = COALESCE($2, unit_count), updated_at = CURRENT_TIMESTAMP
+       WHERE vehicle_type = $3
+       RETURNING vehicle_type, vehicle_label, enabled, unit_count, updated_at`,
+      [enabled ?? null, unitCount, vehicleType]
     );
     const row = result.rows[0];
     return res.status(200).json({
       status: 'success',
-      vehicle: { vehicleType: row.vehicle_type, label: row.vehicle_label, enabled: row.enabled, updatedAt: row.updated_at },
+      vehicle: {
+        vehicleType: row.vehicle_type,
+        label: row.vehicle_label,
+        enabled: row.enabled,
+        unitCount: row.unit_count,
+        updatedAt: row.updated_at,
+      },
     });
   } catch (error) {
     console.error(`Unable to update ${vehicleType} availability:`, error);
@@ -860,166 +2392,2477 @@ app.put('/admin/vehicle-availability/:vehicleType', requireVehicleAdmin, async (
   }
 });
 
-// --- Authoritative quote endpoint (no logging or payment side effects) ---
-app.post('/calculate-quote', async (req, res) => {
+// --- Business accounts ---
+app.get('/admin/accounts', requireAdmin('READ_ONLY'), async (req, res) => {
   res.set('Cache-Control', 'no-store');
   try {
-    const quote = calculateAuthoritativeQuote(req.body, await getDisabledVehicles());
+    const [accounts, users] = await Promise.all([
+      pool.query('SELECT * FROM customer_accounts ORDER BY name ASC, id ASC'),
+      pool.query('SELECT * FROM account_users ORDER BY name ASC, id ASC'),
+    ]);
     return res.status(200).json({
       status: 'success',
-      quote,
+      accounts: accounts.rows.map(row => ({
+        ...mapAccount(row),
+        users: users.rows.filter(user => user.account_id === row.id).map(mapAccountUser),
+      })),
     });
   } catch (error) {
-    console.warn('Invalid quote details received for calculation:', error.message);
-    return res.status(422).json({
-      status: 'error',
-      message: error.message,
-      quoteVersion: QUOTE_VERSION,
-    });
+    console.error('Unable to load accounts:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load accounts.' });
   }
 });
 
-// --- API Endpoint for Logging Calculated Quotes ---
-app.post('/log-calculated-quote', async (req, res) => {
-  console.log(`POST /log-calculated-quote received at ${new Date().toISOString()}`);
-  const leadData = req.body;
-
-  if (!leadData || !leadData.contactDetails) {
-    return res.status(400).json({ status: 'error', message: 'Incomplete lead data received.' });
+app.post('/admin/accounts', requireAdmin('OWNER'), async (req, res) => {
+  let account;
+  try {
+    account = parseAccountInput(req.body);
+  } catch (error) {
+    return sendAccountError(res, error);
   }
-  const normalizedContact = await validateContactEmail(leadData.contactDetails, res);
-  if (!normalizedContact) return;
-  leadData.contactDetails = normalizedContact;
-
-  let authoritativeQuote;
   try {
-    authoritativeQuote = calculateAuthoritativeQuote(leadData, await getDisabledVehicles());
+    const result = await pool.query(
+      `INSERT INTO customer_accounts (name, billing_email, payment_terms, invoice_billing, rate_overrides, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [account.name, account.billingEmail, account.paymentTerms, account.invoiceBilling, JSON.stringify(account.rateOverrides), account.active]
+    );
+    return res.status(201).json({ status: 'success', account: mapAccount(result.rows[0]) });
   } catch (error) {
-    console.warn('Invalid quote details received for logging:', error.message);
-    return res.status(422).json({ status: 'error', message: error.message });
+    console.error('Unable to create account:', error);
+    return res.status(500).json({ status: 'error', message: 'The account could not be saved.' });
   }
+});
 
-  const submittedQuote = Number(leadData.calculatedQuote);
-  if (Number.isFinite(submittedQuote) && Math.abs(submittedQuote - authoritativeQuote.total) > 0.01) {
-    console.warn('Browser quote did not match the server quote.', {
-      submittedQuote,
-      authoritativeQuote: authoritativeQuote.total,
-    });
+app.put('/admin/accounts/:id', requireAdmin('OWNER'), async (req, res) => {
+  let accountId;
+  let changes;
+  try {
+    accountId = parseAccountId(req.params.id);
+    changes = parseAccountInput(req.body, { partial: true });
+  } catch (error) {
+    return sendAccountError(res, error);
   }
-
-  const verifiedLeadData = {
-    ...leadData,
-    quoteId: generateQuoteId(),
-    serviceDetails: {
-      ...(leadData.serviceDetails || {}),
-      urgency: authoritativeQuote.serviceLevel,
-      urgencyLabel: authoritativeQuote.serviceLabel,
-      afterHoursApplied: authoritativeQuote.afterHoursApplied,
-      serviceWindowHours: authoritativeQuote.serviceWindowHours,
-    },
-    totalMiles: authoritativeQuote.totalMiles,
-    calculatedQuote: authoritativeQuote.total,
+  const columns = {
+    name: 'name',
+    billingEmail: 'billing_email',
+    paymentTerms: 'payment_terms',
+    invoiceBilling: 'invoice_billing',
+    rateOverrides: 'rate_overrides',
+    active: 'active',
   };
-
+  const fields = Object.keys(changes);
+  const values = fields.map(field => (field === 'rateOverrides' ? JSON.stringify(changes[field]) : changes[field]));
   try {
-    const savedLead = await logLeadDataToDB(verifiedLeadData, 'CalculatedQuote');
-
-    sendQuoteNotification(verifiedLeadData, savedLead?.id)
-      .then(result => {
-        if (result.sent) {
-          console.log(`Pushover quote notification queued for lead ID: ${savedLead?.id}`);
-        }
-      })
-      .catch(notificationError => {
-        console.error(`Pushover quote notification failed for lead ID: ${savedLead?.id}`, notificationError.message);
-      });
-
-    return res.status(200).json({
-      status: 'success',
-      message: 'Quote data verified and logged.',
-      calculatedQuote: authoritativeQuote.total,
-      quoteVersion: authoritativeQuote.quoteVersion,
-      quoteId: verifiedLeadData.quoteId,
-    });
+    const result = await pool.query(
+      `UPDATE customer_accounts
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...values, accountId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Account was not found.' });
+    }
+    return res.status(200).json({ status: 'success', account: mapAccount(result.rows[0]) });
   } catch (error) {
-    return res.status(500).json({
-      status: 'error',
-      message: 'Failed to log quote data to DB on server.',
-    });
+    console.error(`Unable to update account ${accountId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The account could not be updated.' });
   }
 });
 
-// --- API Endpoint for Creating Stripe Checkout Session AND Logging Lead ---
-app.post('/create-checkout-session', async (req, res) => {
-  console.log(`POST /create-checkout-session received at ${new Date().toISOString()}`);
-  const leadData = req.body;
-
-  if (
-    !leadData ||
-    !leadData.contactDetails ||
-    !leadData.contactDetails.email ||
-    !leadData.contactDetails.name
-  ) {
-    return res.status(400).json({ error: 'Incomplete or invalid contact details received.' });
+// Adds a person who may quote and book for the account. Their key is
+// returned once; only its hash is stored.
+app.post('/admin/accounts/:id/users', requireAdmin('OWNER'), async (req, res) => {
+  let accountId;
+  let user;
+  try {
+    accountId = parseAccountId(req.params.id);
+    user = parseAccountUserInput(req.body);
+  } catch (error) {
+    return sendAccountError(res, error);
   }
-  const normalizedContact = await validateContactEmail(leadData.contactDetails, res);
-  if (!normalizedContact) return;
+  const { token, hash } = generateAccessToken(TOKEN_PREFIXES.ACCOUNT);
+  try {
+    const result = await pool.query(
+      `INSERT INTO account_users (account_id, name, email, access_token_hash)
+       SELECT id, $2, $3, $4 FROM customer_accounts WHERE id = $1
+       RETURNING *`,
+      [accountId, user.name, user.email, hash]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Account was not found.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.status(201).json({ status: 'success', user: mapAccountUser(result.rows[0]), accessToken: token });
+  } catch (error) {
+    console.error(`Unable to add a user to account ${accountId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The account user could not be saved.' });
+  }
+});
+
+app.post('/admin/account-users/:id/access-token', requireAdmin('OWNER'), async (req, res) => {
+  let userId;
+  try {
+    userId = parseAccountId(req.params.id);
+  } catch (error) {
+    return sendAccountError(res, error);
+  }
+  const { token, hash } = generateAccessToken(TOKEN_PREFIXES.ACCOUNT);
+  try {
+    const result = await pool.query(
+      'UPDATE account_users SET access_token_hash = $1, active = TRUE WHERE id = $2 RETURNING *',
+      [hash, userId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Account user was not found.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.status(201).json({ status: 'success', user: mapAccountUser(result.rows[0]), accessToken: token });
+  } catch (error) {
+    console.error(`Unable to issue a key for account user ${userId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The account key could not be issued.' });
+  }
+});
+
+app.delete('/admin/account-users/:id/access-token', requireAdmin('OWNER'), async (req, res) => {
+  let userId;
+  try {
+    userId = parseAccountId(req.params.id);
+  } catch (error) {
+    return sendAccountError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      'UPDATE account_users SET access_token_hash = NULL, active = FALSE WHERE id = $1 RETURNING *',
+      [userId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Account user was not found.' });
+    }
+    return res.status(200).json({ status: 'success', user: mapAccountUser(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to revoke the key for account user ${userId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The account key could not be revoked.' });
+  }
+});
+
+async function loadStatement(statementId, accountId = null) {
+  const statementResult = await pool.query(
+    'SELECT * FROM account_statements WHERE id = $1 AND ($2::integer IS NULL OR account_id = $2)',
+    [statementId, accountId]
+  );
+  if (!statementResult.rows[0]) return null;
+  const bookings = await pool.query(
+    `SELECT quote_id, contact_name, pickup_date, vehicle_type, calculated_quote, invoiced_at, payment_status
+     FROM leads
+     WHERE statement_id = $1 AND log_type = 'CalculatedQuote'
+     ORDER BY invoiced_at ASC, id ASC`,
+    [statementId]
+  );
+  return {
+    ...mapStatement(statementResult.rows[0]),
+    bookings: bookings.rows.map(row => ({
+      quoteId: row.quote_id,
+      contactName: row.contact_name,
+      pickupDate: row.pickup_date,
+      vehicleType: row.vehicle_type,
+      amount: Number(row.calculated_quote),
+      bookedAt: row.invoiced_at,
+      paymentStatus: row.payment_status,
+    })),
+  };
+}
+
+app.get('/admin/accounts/:id/statements', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let accountId;
+  try {
+    accountId = parseAccountId(req.params.id);
+  } catch (error) {
+    return sendAccountError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      'SELECT * FROM account_statements WHERE account_id = $1 ORDER BY period_end DESC, id DESC',
+      [accountId]
+    );
+    return res.status(200).json({ status: 'success', statements: result.rows.map(mapStatement) });
+  } catch (error) {
+    console.error(`Unable to load statements for account ${accountId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load statements.' });
+  }
+});
+
+// Collects every invoiced booking in the period that is not on a statement
+// yet. Without from/to the period is last calendar month.
+app.post('/admin/accounts/:id/statements', requireAdmin('OWNER'), async (req, res) => {
+  let accountId;
+  let period;
+  try {
+    accountId = parseAccountId(req.params.id);
+    const from = req.body?.from ? parseScheduleDate(req.body.from) : null;
+    const to = req.body?.to ? parseScheduleDate(req.body.to) : null;
+    period = resolveStatementPeriod({ from, to }, getZonedDate(new Date(), serviceTimeZone));
+  } catch (error) {
+    if (error instanceof DispatchError) return res.status(422).json({ status: 'error', message: error.message });
+    return sendAccountError(res, error);
+  }
+
+  const client = await pool.connect();
+  let statementId = null;
+  try {
+    await client.query('BEGIN');
+    const accountResult = await client.query('SELECT * FROM customer_accounts WHERE id = $1 FOR UPDATE', [accountId]);
+    const account = accountResult.rows[0];
+    if (!account) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Account was not found.' });
+    }
+    const bookings = await client.query(
+      `SELECT id, calculated_quote FROM leads
+       WHERE account_id = $1 AND log_type = 'CalculatedQuote' AND statement_id IS NULL
+         AND booking_status = 'BOOKED' AND payment_status = $2
+         AND invoiced_at >= $3 AND invoiced_at < $4
+       FOR UPDATE`,
+      [
+        accountId,
+        PAYMENT_STATUS.INVOICED,
+        resolveDayRange(period.periodStart, serviceTimeZone).startsAt,
+        resolveDayRange(period.periodEnd, serviceTimeZone).endsAt,
+      ]
+    );
+    if (!bookings.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({ status: 'error', message: 'There are no invoiced bookings to bill in this period.' });
+    }
+    const total = bookings.rows.reduce((sum, row) => sum + toCents(row.calculated_quote), 0) / 100;
+    const statementResult = await client.query(
+      `INSERT INTO account_statements (account_id, period_start, period_end, booking_count, total, payment_terms, due_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [
+        accountId, period.periodStart, period.periodEnd, bookings.rows.length, total,
+        account.payment_terms, computeStatementDueDate(period.periodEnd, account.payment_terms),
+      ]
+    );
+    statementId = statementResult.rows[0].id;
+    await client.query('UPDATE leads SET statement_id = $1 WHERE id = ANY($2::int[])', [statementId, bookings.rows.map(row => row.id)]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Unable to create a statement for account ${accountId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The statement could not be created.' });
+  } finally {
+    client.release();
+  }
+
+  try {
+    return res.status(201).json({ status: 'success', statement: await loadStatement(statementId) });
+  } catch (error) {
+    console.error(`Statement ${statementId} was created but could not be loaded:`, error);
+    return res.status(201).json({ status: 'success', statement: { id: statementId } });
+  }
+});
+
+app.get('/admin/statements/:id', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const statement = await loadStatement(parseAccountId(req.params.id));
+    if (!statement) return res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+    return res.status(200).json({ status: 'success', statement });
+  } catch (error) {
+    if (error instanceof AccountError) return res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+    console.error('Unable to load statement:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the statement.' });
+  }
+});
+
+// Settles the statement and marks each booking on it paid.
+app.post('/admin/statements/:id/paid', requireAdmin('OWNER'), async (req, res) => {
+  let statementId;
+  try {
+    statementId = parseAccountId(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const statementResult = await client.query(
+      `UPDATE account_statements SET status = $1, paid_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = $3
+       RETURNING *`,
+      [STATEMENT_STATUS.PAID, statementId, STATEMENT_STATUS.OPEN]
+    );
+    if (!statementResult.rows[0]) {
+      await client.query('ROLLBACK');
+      const exists = await pool.query('SELECT 1 FROM account_statements WHERE id = $1', [statementId]);
+      return exists.rows[0]
+        ? res.status(409).json({ status: 'error', message: 'This statement has already been paid.' })
+        : res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+    }
+    const leads = await client.query(
+      `SELECT * FROM leads
+       WHERE statement_id = $1 AND log_type = 'CalculatedQuote' AND payment_status = $2
+       FOR UPDATE`,
+      [statementId, PAYMENT_STATUS.INVOICED]
+    );
+    for (const lead of leads.rows) {
+      await client.query(
+        'UPDATE leads SET payment_status = $1, paid_at = CURRENT_TIMESTAMP WHERE quote_id = $2',
+        [PAYMENT_STATUS.PAID, lead.quote_id]
+      );
+      await recordBookingTransition(client, lead, { bookingStatus: lead.booking_status, paymentStatus: PAYMENT_STATUS.PAID }, {
+        source: 'statement',
+        actor: req.adminUser.email,
+        reason: `Statement ${statementId} paid`,
+        amount: Number(lead.calculated_quote),
+      });
+    }
+    await client.query('COMMIT');
+    return res.status(200).json({ status: 'success', statement: mapStatement(statementResult.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Unable to mark statement ${statementId} paid:`, error);
+    return res.status(500).json({ status: 'error', message: 'The statement could not be updated.' });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Partner API keys ---
+app.get('/admin/partners', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const [partners, keys] = await Promise.all([
+      pool.query('SELECT * FROM partners ORDER BY name ASC, id ASC'),
+      pool.query(
+        `SELECT k.*, u.request_count AS used_today
+         FROM partner_api_keys k
+         LEFT JOIN partner_api_usage u ON u.key_id = k.id AND u.usage_date = (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date
+         ORDER BY k.created_at ASC, k.id ASC`
+      ),
+    ]);
+    return res.status(200).json({
+      status: 'success',
+      partners: partners.rows.map(row => ({
+        ...mapPartner(row),
+        keys: keys.rows.filter(key => key.partner_id === row.id).map(mapPartnerKey),
+      })),
+    });
+  } catch (error) {
+    console.error('Unable to load partners:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load partners.' });
+  }
+});
+
+app.post('/admin/partners', requireAdmin('OWNER'), async (req, res) => {
+  let partner;
+  try {
+    partner = parsePartnerInput(req.body);
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO partners (name, contact_email, account_id, active)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [partner.name, partner.contactEmail, partner.accountId, partner.active]
+    );
+    return res.status(201).json({ status: 'success', partner: mapPartner(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(422).json({ status: 'error', message: 'Account was not found.' });
+    }
+    console.error('Unable to create partner:', error);
+    return res.status(500).json({ status: 'error', message: 'The partner could not be saved.' });
+  }
+});
+
+app.put('/admin/partners/:id', requireAdmin('OWNER'), async (req, res) => {
+  let partnerId;
+  let changes;
+  try {
+    partnerId = parsePartnerId(req.params.id);
+    changes = parsePartnerInput(req.body, { partial: true });
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  const columns = {
+    name: 'name',
+    contactEmail: 'contact_email',
+    accountId: 'account_id',
+    active: 'active',
+  };
+  const fields = Object.keys(changes);
+  try {
+    const result = await pool.query(
+      `UPDATE partners
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), partnerId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Partner was not found.' });
+    }
+    return res.status(200).json({ status: 'success', partner: mapPartner(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(422).json({ status: 'error', message: 'Account was not found.' });
+    }
+    console.error(`Unable to update partner ${partnerId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The partner could not be updated.' });
+  }
+});
+
+// Issues another key for the partner, so keys can be rotated without
+// downtime. The key is returned once; only its hash is stored.
+app.post('/admin/partners/:id/keys', requireAdmin('OWNER'), async (req, res) => {
+  let partnerId;
+  let limits;
+  try {
+    partnerId = parsePartnerId(req.params.id);
+    limits = parsePartnerKeyInput(req.body);
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  const { token: key, hash, prefix } = generateAccessToken(TOKEN_PREFIXES.PARTNER);
+  try {
+    const result = await pool.query(
+      `INSERT INTO partner_api_keys (partner_id, label, key_prefix, key_hash, rate_limit_per_minute, daily_quota)
+       SELECT id, $2, $3, $4, $5, $6 FROM partners WHERE id = $1
+       RETURNING *`,
+      [partnerId, limits.label, prefix, hash, limits.rateLimitPerMinute, limits.dailyQuota]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Partner was not found.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.status(201).json({ status: 'success', key: mapPartnerKey(result.rows[0]), apiKey: key });
+  } catch (error) {
+    console.error(`Unable to issue an API key for partner ${partnerId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The API key could not be issued.' });
+  }
+});
+
+app.put('/admin/partner-keys/:id', requireAdmin('OWNER'), async (req, res) => {
+  let keyId;
+  let changes;
+  try {
+    keyId = parsePartnerId(req.params.id, 'API key');
+    changes = parsePartnerKeyInput(req.body, { partial: true });
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  const columns = {
+    label: 'label',
+    rateLimitPerMinute: 'rate_limit_per_minute',
+    dailyQuota: 'daily_quota',
+  };
+  const fields = Object.keys(changes);
+  try {
+    const result = await pool.query(
+      `UPDATE partner_api_keys
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}
+       WHERE id = $${fields.length + 1} AND revoked_at IS NULL
+       RETURNING *`,
+      [...fields.map(field => changes[field]), keyId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'API key was not found.' });
+    }
+    return res.status(200).json({ status: 'success', key: mapPartnerKey(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update partner API key ${keyId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The API key could not be updated.' });
+  }
+});
+
+// Revoked keys are kept so stored leads still point at the key that made them.
+app.delete('/admin/partner-keys/:id', requireAdmin('OWNER'), async (req, res) => {
+  let keyId;
+  try {
+    keyId = parsePartnerId(req.params.id, 'API key');
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      `UPDATE partner_api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+      [keyId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'API key was not found.' });
+    }
+    return res.status(200).json({ status: 'success', key: mapPartnerKey(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to revoke partner API key ${keyId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The API key could not be revoked.' });
+  }
+});
+
+// --- Promo codes ---
+app.get('/admin/promo-codes', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const result = await pool.query(
+      `SELECT promo_codes.*, COUNT(promo_redemptions.id) AS redemption_count
+       FROM promo_codes
+       LEFT JOIN promo_redemptions ON promo_redemptions.promo_code_id = promo_codes.id
+       GROUP BY promo_codes.id
+       ORDER BY promo_codes.created_at DESC, promo_codes.id DESC`
+    );
+    return res.status(200).json({ status: 'success', promoCodes: result.rows.map(mapPromoCode) });
+  } catch (error) {
+    console.error('Unable to load promo codes:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load promo codes.' });
+  }
+});
+
+app.post('/admin/promo-codes', requireAdmin('OWNER'), async (req, res) => {
+  let promo;
+  try {
+    promo = parsePromoCodeInput(req.body);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO promo_codes (code, description, discount_type, amount, starts_at, expires_at,
+         max_redemptions, max_redemptions_per_email, vehicle_types, minimum_order, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING *`,
+      [
+        promo.code, promo.description, promo.discountType, promo.amount, promo.startsAt, promo.expiresAt,
+        promo.maxRedemptions, promo.maxRedemptionsPerEmail, promo.vehicleTypes, promo.minimumOrder, promo.active,
+      ]
+    );
+    if (!result.rows[0]) {
+      return res.status(409).json({ status: 'error', message: `Promo code ${promo.code} already exists.` });
+    }
+    return res.status(201).json({ status: 'success', promoCode: mapPromoCode({ ...result.rows[0], redemption_count: 0 }) });
+  } catch (error) {
+    console.error('Unable to create promo code:', error);
+    return res.status(500).json({ status: 'error', message: 'The promo code could not be saved.' });
+  }
+});
+
+app.put('/admin/promo-codes/:code', requireAdmin('OWNER'), async (req, res) => {
+  const code = normalizePromoCode(req.params.code);
+  let existing;
+  try {
+    existing = (await pool.query('SELECT * FROM promo_codes WHERE code = $1', [code])).rows[0];
+  } catch (error) {
+    console.error(`Unable to load promo code ${code}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The promo code could not be updated.' });
+  }
+  if (!existing) {
+    return res.status(404).json({ status: 'error', message: 'Promo code was not found.' });
+  }
+  let changes;
+  try {
+    changes = parsePromoCodeInput(req.body, { partial: true, existing: mapPromoCode(existing) });
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  const columns = {
+    description: 'description',
+    discountType: 'discount_type',
+    amount: 'amount',
+    startsAt: 'starts_at',
+    expiresAt: 'expires_at',
+    maxRedemptions: 'max_redemptions',
+    maxRedemptionsPerEmail: 'max_redemptions_per_email',
+    vehicleTypes: 'vehicle_types',
+    minimumOrder: 'minimum_order',
+    active: 'active',
+  };
+  const fields = Object.keys(changes);
+  try {
+    const result = await pool.query(
+      `UPDATE promo_codes
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE code = $${fields.length + 1}
+       RETURNING *, (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = promo_codes.id) AS redemption_count`,
+      [...fields.map(field => changes[field]), code]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Promo code was not found.' });
+    }
+    return res.status(200).json({ status: 'success', promoCode: mapPromoCode(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update promo code ${code}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The promo code could not be updated.' });
+  }
+});
+
+// --- Service areas ---
+// With no active areas every address within the mileage limit is quoted.
+app.get('/admin/service-areas', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    return res.status(200).json({ status: 'success', serviceAreas: await getServiceAreas() });
+  } catch (error) {
+    console.error('Unable to load service areas:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load service areas.' });
+  }
+});
+
+app.post('/admin/service-areas', requireAdmin('OWNER'), async (req, res) => {
+  let zone;
+  try {
+    zone = parseServiceAreaInput(req.body);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO service_areas (name, kind, polygon, postal_codes, surcharge, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [zone.name, zone.kind, zone.polygon ? JSON.stringify(zone.polygon) : null, zone.postalCodes || [], zone.surcharge, zone.active]
+    );
+    return res.status(201).json({ status: 'success', serviceArea: mapServiceArea(result.rows[0]) });
+  } catch (error) {
+    console.error('Unable to create service area:', error);
+    return res.status(500).json({ status: 'error', message: 'The service area could not be saved.' });
+  }
+});
+
+app.put('/admin/service-areas/:id', requireAdmin('OWNER'), async (req, res) => {
+  const zoneId = Number(req.params.id);
+  if (!Number.isSafeInteger(zoneId) || zoneId < 1) {
+    return res.status(404).json({ status: 'error', message: 'Service area was not found.' });
+  }
+  let existing;
+  try {
+    existing = (await pool.query('SELECT * FROM service_areas WHERE id = $1', [zoneId])).rows[0];
+  } catch (error) {
+    console.error(`Unable to load service area ${zoneId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The service area could not be updated.' });
+  }
+  if (!existing) {
+    return res.status(404).json({ status: 'error', message: 'Service area was not found.' });
+  }
+  let changes;
+  try {
+    changes = parseServiceAreaInput(req.body, { partial: true, existing: mapServiceArea(existing) });
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  const columns = { name: 'name', kind: 'kind', polygon: 'polygon', postalCodes: 'postal_codes', surcharge: 'surcharge', active: 'active' };
+  const fields = Object.keys(changes);
+  const values = fields.map(field => (field === 'polygon' && changes.polygon ? JSON.stringify(changes.polygon) : changes[field]));
+  try {
+    const result = await pool.query(
+      `UPDATE service_areas
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...values, zoneId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Service area was not found.' });
+    }
+    return res.status(200).json({ status: 'success', serviceArea: mapServiceArea(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update service area ${zoneId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The service area could not be updated.' });
+  }
+});
+
+app.delete('/admin/service-areas/:id', requireAdmin('OWNER'), async (req, res) => {
+  const zoneId = Number(req.params.id);
+  if (!Number.isSafeInteger(zoneId) || zoneId < 1) {
+    return res.status(404).json({ status: 'error', message: 'Service area was not found.' });
+  }
+  try {
+    const result = await pool.query('DELETE FROM service_areas WHERE id = $1 RETURNING *', [zoneId]);
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Service area was not found.' });
+    }
+    return res.status(200).json({ status: 'success', serviceArea: mapServiceArea(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to delete service area ${zoneId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The service area could not be deleted.' });
+  }
+});
+
+// --- Scheduled vehicle downtime ---
+app.get('/admin/vehicle-downtime', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let from;
+  let to;
+  try {
+    from = req.query.from ? resolveDayRange(parseScheduleDate(req.query.from), serviceTimeZone).startsAt : null;
+    to = req.query.to ? resolveDayRange(parseScheduleDate(req.query.to), serviceTimeZone).endsAt : null;
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT * FROM vehicle_downtime
+       WHERE ($1::timestamptz IS NULL OR ends_at > $1) AND ($2::timestamptz IS NULL OR starts_at < $2)
+       ORDER BY starts_at ASC, id ASC`,
+      [from, to]
+    );
+    return res.status(200).json({ status: 'success', timeZone: serviceTimeZone, downtime: result.rows.map(mapDowntime) });
+  } catch (error) {
+    console.error('Unable to load vehicle downtime:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load vehicle downtime.' });
+  }
+});
+
+app.post('/admin/vehicle-downtime', requireAdmin('DISPATCHER'), async (req, res) => {
+  let downtime;
+  try {
+    downtime = parseDowntimeInput(req.body);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO vehicle_downtime (vehicle_type, units, starts_at, ends_at, reason, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [downtime.vehicleType, downtime.units, downtime.startsAt, downtime.endsAt, downtime.reason, downtime.notes ?? null]
+    );
+    return res.status(201).json({ status: 'success', downtime: mapDowntime(result.rows[0]) });
+  } catch (error) {
+    console.error('Unable to create vehicle downtime:', error);
+    return res.status(500).json({ status: 'error', message: 'The downtime could not be saved.' });
+  }
+});
+
+app.put('/admin/vehicle-downtime/:id', requireAdmin('DISPATCHER'), async (req, res) => {
+  const downtimeId = Number(req.params.id);
+  if (!Number.isSafeInteger(downtimeId) || downtimeId < 1) {
+    return res.status(404).json({ status: 'error', message: 'Downtime was not found.' });
+  }
+  let existing;
+  try {
+    existing = (await pool.query('SELECT * FROM vehicle_downtime WHERE id = $1', [downtimeId])).rows[0];
+  } catch (error) {
+    console.error(`Unable to load vehicle downtime ${downtimeId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The downtime could not be updated.' });
+  }
+  if (!existing) {
+    return res.status(404).json({ status: 'error', message: 'Downtime was not found.' });
+  }
+  let changes;
+  try {
+    changes = parseDowntimeInput(req.body, { partial: true, existing: mapDowntime(existing) });
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  const columns = { vehicleType: 'vehicle_type', units: 'units', startsAt: 'starts_at', endsAt: 'ends_at', reason: 'reason', notes: 'notes' };
+  const fields = Object.keys(changes);
+  try {
+    const result = await pool.query(
+      `UPDATE vehicle_downtime
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), downtimeId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Downtime was not found.' });
+    }
+    return res.status(200).json({ status: 'success', downtime: mapDowntime(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update vehicle downtime ${downtimeId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The downtime could not be updated.' });
+  }
+});
+
+app.delete('/admin/vehicle-downtime/:id', requireAdmin('DISPATCHER'), async (req, res) => {
+  const downtimeId = Number(req.params.id);
+  if (!Number.isSafeInteger(downtimeId) || downtimeId < 1) {
+    return res.status(404).json({ status: 'error', message: 'Downtime was not found.' });
+  }
+  try {
+    const result = await pool.query('DELETE FROM vehicle_downtime WHERE id = $1 RETURNING *', [downtimeId]);
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Downtime was not found.' });
+    }
+    return res.status(200).json({ status: 'success', downtime: mapDowntime(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to delete vehicle downtime ${downtimeId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The downtime could not be deleted.' });
+  }
+});
+
+// --- Fleet capacity for a pickup-to-delivery window ---
+function parseAvailabilityWindow(query) {
+  return resolveServiceWindow({
+    pickupDate: query.pickupDate,
+    pickupTime: query.pickupTime,
+    deliveryDate: query.deliveryDate,
+    deliveryTime: query.deliveryTime,
+    timeZone: query.timeZone,
+  }, serviceTimeZone);
+}
+
+app.get('/fleet-availability', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let window;
+  try {
+    window = parseAvailabilityWindow(req.query);
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  try {
+    const capacity = await getFleetCapacity(window);
+    return res.status(200).json({ status: 'success', window, vehicles: toPublicFleetAvailability(capacity) });
+  } catch (error) {
+    console.error('Unable to load fleet availability:', error);
+    return res.status(503).json({ status: 'error', message: 'Vehicle availability is temporarily unavailable.' });
+  }
+});
+
+app.get('/admin/fleet-availability', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let window;
+  try {
+    window = parseAvailabilityWindow(req.query);
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  try {
+    return res.status(200).json({ status: 'success', window, vehicles: await getFleetCapacity(window) });
+  } catch (error) {
+    console.error('Unable to load admin fleet availability:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load fleet availability.' });
+  }
+});
+
+// --- Public and protected operating-calendar endpoints ---
+app.get('/operating-calendar', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const from = String(req.query.from || getZonedDate(new Date(), serviceTimeZone)).trim();
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  let calendar;
+  try {
+    calendar = await getOperatingCalendar();
+  } catch (error) {
+    console.error('Unable to load the operating calendar:', error);
+    return res.status(503).json({ status: 'error', message: 'The operating calendar is temporarily unavailable.' });
+  }
+  try {
+    return res.status(200).json({
+      status: 'success',
+      timeZone: serviceTimeZone,
+      weeklyHours: calendar.weeklyHours,
+      holidaySurcharge: calendar.holidaySurcharge,
+      days: listCalendarDays(calendar, from, days),
+    });
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message, maxDays: MAX_CALENDAR_DAYS });
+  }
+});
+
+app.get('/admin/operating-calendar', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    return res.status(200).json({ status: 'success', calendar: await getOperatingCalendar() });
+  } catch (error) {
+    console.error('Unable to load the admin operating calendar:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the operating calendar.' });
+  }
+});
+
+// Top-level fields are replaced whole, so an update can send only the
+// holidays or only the weekly hours.
+app.put('/admin/operating-calendar', requireAdmin('OWNER'), async (req, res) => {
+  let current;
+  try {
+    current = await getOperatingCalendar();
+  } catch (error) {
+    console.error('Unable to load the operating calendar for update:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the operating calendar.' });
+  }
+  let calendar;
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw new Error('The operating calendar must be an object.');
+    }
+    calendar = normalizeOperatingCalendar({ ...current, ...req.body });
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO operating_calendar (id, calendar, updated_at)
+       VALUES (1, $1, CURRENT_TIMESTAMP)
+       ON CONFLICT (id) DO UPDATE SET calendar = EXCLUDED.calendar, updated_at = EXCLUDED.updated_at
+       RETURNING updated_at`,
+      [JSON.stringify(calendar)]
+    );
+    return res.status(200).json({ status: 'success', calendar, updatedAt: result.rows[0].updated_at });
+  } catch (error) {
+    console.error('Unable to save the operating calendar:', error);
+    return res.status(500).json({ status: 'error', message: 'The operating calendar could not be updated.' });
+  }
+});
+
+// --- Admin lead and booking search ---
+app.get('/admin/leads', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let filters;
+  let limit;
+  try {
+    filters = buildLeadFilters(req.query);
+    limit = parsePageSize(req.query.limit);
+  } catch (error) {
+    if (!(error instanceof LeadSearchError)) throw error;
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT * FROM leads ${filters.where} ORDER BY id DESC LIMIT $${filters.params.length + 1}`,
+      [...filters.params, limit + 1]
+    );
+    const rows = result.rows.slice(0, limit);
+    return res.status(200).json({
+      status: 'success',
+      leads: rows.map(mapLeadSummary),
+      nextCursor: result.rows.length > limit ? encodeLeadCursor(rows[rows.length - 1].id) : null,
+    });
+  } catch (error) {
+    console.error('Unable to search leads:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load leads.' });
+  }
+});
+
+// Streams in keyset batches so large date ranges never sit in memory at once.
+const LEAD_EXPORT_BATCH_SIZE = 500;
+app.get('/admin/leads/export', requireAdmin('READ_ONLY'), async (req, res) => {
+  let filters;
+  let format;
+  let columns;
+  try {
+    filters = buildLeadFilters(req.query, { includeCursor: false });
+    format = parseExportFormat(req.query.format);
+    columns = parseExportColumns(req.query.columns);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+
+  const formatRow = format === 'csv' ? formatCsvRow : formatNdjsonRow;
+  const afterIdParam = `$${filters.params.length + 1}`;
+  const batchQuery = `SELECT * FROM leads
+    ${filters.where ? `${filters.where} AND` : 'WHERE'} id > ${afterIdParam}
+    ORDER BY id ASC LIMIT ${LEAD_EXPORT_BATCH_SIZE}`;
+  const write = async chunk => {
+    if (!res.write(chunk)) await once(res, 'drain');
+  };
+
+  let lastId = 0;
+  let exported = 0;
+  try {
+    let batch = await pool.query(batchQuery, [...filters.params, lastId]);
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.status(200);
+    res.set({
+      'Cache-Control': 'no-store',
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="xn-leads-${stamp}.${EXPORT_FORMATS[format].extension}"`,
+    });
+    if (format === 'csv') await write(formatCsvHeader(columns));
+    while (batch.rows.length && !res.destroyed) {
+      await write(batch.rows.map(row => formatRow(row, columns)).join(''));
+      exported += batch.rows.length;
+      lastId = batch.rows[batch.rows.length - 1].id;
+      batch = batch.rows.length < LEAD_EXPORT_BATCH_SIZE
+        ? { rows: [] }
+        : await pool.query(batchQuery, [...filters.params, lastId]);
+    }
+    console.log(`Exported ${exported} lead row(s) as ${format}.`);
+    return res.end();
+  } catch (error) {
+    console.error(`Lead export failed after ${exported} row(s):`, error);
+    if (!res.headersSent) {
+      return res.status(500).json({ status: 'error', message: 'Leads could not be exported.' });
+    }
+    // A partial file must not look complete, so drop the connection.
+    return res.destroy(error);
+  }
+});
+
+app.get('/admin/leads/:quoteId', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  try {
+    const [leadRows, webhookEvents, statusHistory, notifications, assignments, stopUpdates, proofs] = await Promise.all([
+      pool.query('SELECT * FROM leads WHERE quote_id = $1 ORDER BY id ASC', [quoteId]),
+      pool.query(
+        `SELECT event_id, event_type, stripe_session_id, processed_at
+         FROM stripe_webhook_events
+         WHERE quote_id = $1
+         ORDER BY processed_at ASC`,
+        [quoteId]
+      ),
+      pool.query('SELECT * FROM booking_status_history WHERE quote_id = $1 ORDER BY id ASC', [quoteId]),
+      notificationOutbox.list({ statuses: Object.values(NOTIFICATION_STATUS), quoteId, limit: 100 }),
+      pool.query(
+        `SELECT assignments.*, drivers.name AS driver_name
+         FROM assignments JOIN drivers ON drivers.id = assignments.driver_id
+         WHERE assignments.quote_id = $1
+         ORDER BY assignments.id ASC`,
+        [quoteId]
+      ),
+      pool.query('SELECT * FROM stop_updates WHERE quote_id = $1 ORDER BY recorded_at ASC, id ASC', [quoteId]),
+      pool.query('SELECT * FROM proof_of_delivery WHERE quote_id = $1 ORDER BY id ASC', [quoteId]),
+    ]);
+    const quoteRow = leadRows.rows.find(row => row.log_type === 'CalculatedQuote');
+    if (!quoteRow) {
+      return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+    }
+    return res.status(200).json({
+      status: 'success',
+      quote: { ...mapLeadSummary(quoteRow), leadPayload: quoteRow.lead_payload },
+      checkoutAttempts: leadRows.rows
+        .filter(row => row.log_type === 'CheckoutAttempt')
+        .map(row => ({ ...mapLeadSummary(row), leadPayload: row.lead_payload })),
+      webhookEvents: webhookEvents.rows.map(row => ({
+        eventId: row.event_id,
+        eventType: row.event_type,
+        stripeSessionId: row.stripe_session_id,
+        processedAt: row.processed_at,
+      })),
+      notifications,
+      assignments: assignments.rows.map(mapAssignment),
+      stopUpdates: stopUpdates.rows.map(mapStopUpdate),
+      proofOfDelivery: proofs.rows.map(mapProof),
+      statusHistory: statusHistory.rows.map(row => ({
+        from: { bookingStatus: row.from_booking_status, paymentStatus: row.from_payment_status },
+        to: { bookingStatus: row.to_booking_status, paymentStatus: row.to_payment_status },
+        source: row.source,
+        actor: row.actor,
+        reason: row.reason,
+        stripeEventId: row.stripe_event_id,
+        stripeRefundId: row.stripe_refund_id,
+        amount: row.amount === null ? null : Number(row.amount),
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error(`Unable to load history for ${quoteId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the quote history.' });
+  }
+});
+
+function queueCancellationAlert(db, lead, plan, historyId, reason) {
+  return notificationOutbox.enqueue(db, {
+    dedupeKey: `booking-status:${historyId}`,
+    kind: 'booking_status',
+    quoteId: lead.quote_id,
+    payload: {
+      leadData: toNotificationLead(lead),
+      details: {
+        leadId: lead.id,
+        status: plan.bookingStatus,
+        paymentStatus: plan.paymentStatus,
+        refundedAmount: plan.refundedAmount,
+        reason,
+      },
+    },
+  });
+}
+
+async function lockCalculatedQuote(db, quoteId) {
+  const result = await db.query(
+    `SELECT * FROM leads
+     WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+     ORDER BY id DESC LIMIT 1
+     FOR UPDATE`,
+    [quoteId]
+  );
+  return result.rows[0];
+}
+
+// Cancels a paid booking and optionally refunds it through Stripe, in three
+// steps so no lock is held while Stripe is called: the cancellation commits
+// first, the refund is issued with an idempotency key, and a second short
+// transaction stores Stripe's refund total. A failed refund leaves the load
+// cancelled; cancelling it again retries the refund.
+app.post('/admin/leads/:quoteId/cancel', requireAdmin('DISPATCHER'), async (req, res) => {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  const reason = String(req.body?.reason || '').trim().slice(0, 500) || null;
+
+  let client = await pool.connect();
+  let lead;
+  let refundCents;
+  let plan;
+  try {
+    await client.query('BEGIN');
+    lead = await lockCalculatedQuote(client, quoteId);
+    if (!lead) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+    }
+
+    try {
+      const alreadyRefundedCents = toCents(lead.refunded_amount || 0);
+      const refundableCents = lead.payment_status === PAYMENT_STATUS.INVOICED
+        ? 0
+        : Math.max(0, toCents(lead.calculated_quote) - alreadyRefundedCents);
+      refundCents = parseRefundRequest(req.body?.refund, refundableCents);
+      planCancellation(lead, refundCents);
+      if (refundCents > 0 && !lead.stripe_payment_intent_id) {
+        throw new BookingTransitionError('This booking has no Stripe payment to refund.');
+      }
+    } catch (error) {
+      if (!(error instanceof BookingTransitionError)) throw error;
+      await client.query('ROLLBACK');
+      const statusCode = ['BOOKED', 'REFUNDED', 'CANCELLED'].includes(lead.booking_status) ? 422 : 409;
+      return res.status(statusCode).json({ status: 'error', message: error.message });
+    }
+
+    // The refund, if any, is applied in the second transaction.
+    plan = {
+      bookingStatus: BOOKING_STATUS.CANCELLED,
+      paymentStatus: lead.payment_status,
+      refundedAmount: Number(lead.refunded_amount || 0),
+    };
+    if (isTransition(lead, plan)) {
+      await client.query(
+        `UPDATE leads
+         SET booking_status = $1, cancelled_at = CURRENT_TIMESTAMP
+         WHERE quote_id = $2`,
+        [plan.bookingStatus, quoteId]
+      );
+      const historyId = await recordBookingTransition(client, lead, plan, {
+        source: 'admin',
+        actor: req.adminUser.email,
+        reason,
+      });
+      await releaseAssignments(client, quoteId, plan.bookingStatus);
+      if (refundCents === 0) await queueCancellationAlert(client, lead, plan, historyId, reason);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Cancellation of ${quoteId} failed:`, error);
+    return res.status(500).json({ status: 'error', message: 'The booking status could not be updated.' });
+  } finally {
+    client.release();
+  }
+
+  let refund = null;
+  if (refundCents > 0) {
+    try {
+      refund = await stripe.refunds.create({
+        payment_intent: lead.stripe_payment_intent_id,
+        amount: refundCents,
+        reason: 'requested_by_customer',
+        metadata: { quote_id: quoteId },
+        expand: ['charge'],
+      }, {
+        idempotencyKey: `cancel-${quoteId}-${toCents(lead.refunded_amount || 0)}-${refundCents}`,
+      });
+    } catch (stripeError) {
+      console.error(`Stripe refund failed for cancelled booking ${quoteId}:`, stripeError);
+      return res.status(502).json({
+        status: 'error',
+        message: `The booking was cancelled but Stripe refused the refund: ${stripeError.message}`,
+        bookingStatus: plan.bookingStatus,
+        paymentStatus: plan.paymentStatus,
+      });
+    }
+
+    // The charge.refunded webhook applies the same running total, so if this
+    // step fails the refund is still recorded once Stripe reports it.
+    client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const refundedLead = await lockCalculatedQuote(client, quoteId);
+      const charge = refund.charge?.amount_refunded === undefined
+        ? { amount_refunded: toCents(lead.refunded_amount || 0) + refundCents, amount: toCents(lead.calculated_quote) }
+        : refund.charge;
+      plan = planChargeRefund(refundedLead, charge);
+      await client.query(
+        `UPDATE leads
+         SET payment_status = $1, refunded_amount = $2
+         WHERE quote_id = $3`,
+        [plan.paymentStatus, plan.refundedAmount, quoteId]
+      );
+      const historyId = await recordBookingTransition(client, refundedLead, plan, {
+        source: 'admin',
+        actor: req.adminUser.email,
+        reason,
+        stripeRefundId: refund.id,
+        amount: refundCents / 100,
+      });
+      await queueCancellationAlert(client, refundedLead, plan, historyId, reason);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Refund ${refund.id} for ${quoteId} could not be recorded:`, error);
+      return res.status(500).json({ status: 'error', message: 'The refund was issued but could not be recorded yet.', refundId: refund.id });
+    } finally {
+      client.release();
+    }
+  }
+
+  notificationOutbox.kick();
+  return res.status(200).json({
+    status: 'success',
+    bookingStatus: plan.bookingStatus,
+    paymentStatus: plan.paymentStatus,
+    refundedAmount: plan.refundedAmount,
+    refundId: refund?.id || null,
+  });
+});
+
+function mapUnmatchedPayment(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    stripeSessionId: row.stripe_session_id,
+    paymentIntentId: row.stripe_payment_intent_id,
+    amount: Number(row.amount),
+    refundedAmount: Number(row.refunded_amount),
+    status: row.status,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+  };
+}
+
+// Card payments that arrived after their quote was booked, cancelled or
+// closed. Dispatch refunds them here or reconciles them by hand.
+app.get('/admin/unmatched-payments', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const status = String(req.query.status || UNMATCHED_PAYMENT_STATUS.OPEN).trim().toUpperCase();
+  if (!Object.hasOwn(UNMATCHED_PAYMENT_STATUS, status)) {
+    return res.status(400).json({ status: 'error', message: `status must be one of ${Object.keys(UNMATCHED_PAYMENT_STATUS).join(', ')}.` });
+  }
+  try {
+    const result = await pool.query('SELECT * FROM unmatched_payments WHERE status = $1 ORDER BY created_at DESC, id DESC', [status]);
+    return res.status(200).json({ status: 'success', unmatchedPayments: result.rows.map(mapUnmatchedPayment) });
+  } catch (error) {
+    console.error('Unable to load unmatched payments:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load unmatched payments.' });
+  }
+});
+
+// Refunds whatever is left of an unmatched payment. Stripe is called outside
+// any transaction; the charge.refunded webhook applies the same totals.
+app.post('/admin/unmatched-payments/:id/refund', requireAdmin('DISPATCHER'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isSafeInteger(id) || id < 1) {
+    return res.status(404).json({ status: 'error', message: 'Unmatched payment was not found.' });
+  }
+  let payment;
+  try {
+    const result = await pool.query('SELECT * FROM unmatched_payments WHERE id = $1', [id]);
+    payment = result.rows[0];
+  } catch (error) {
+    console.error(`Unable to load unmatched payment ${id}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the unmatched payment.' });
+  }
+  if (!payment) {
+    return res.status(404).json({ status: 'error', message: 'Unmatched payment was not found.' });
+  }
+  const refundCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+  if (payment.status !== UNMATCHED_PAYMENT_STATUS.OPEN || refundCents <= 0) {
+    return res.status(409).json({ status: 'error', message: `This payment is ${payment.status.toLowerCase()} and cannot be refunded here.` });
+  }
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create({
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: refundCents,
+      reason: 'duplicate',
+      metadata: { quote_id: payment.quote_id, unmatched_payment_id: String(payment.id) },
+      expand: ['charge'],
+    }, {
+      idempotencyKey: `unmatched-refund-${payment.id}-${toCents(payment.refunded_amount)}`,
+    });
+  } catch (stripeError) {
+    console.error(`Stripe refund failed for unmatched payment ${payment.id}:`, stripeError);
+    return res.status(502).json({ status: 'error', message: `Stripe refused the refund: ${stripeError.message}` });
+  }
+
+  try {
+    const plan = planUnmatchedPaymentRefund(payment, refund.charge || { amount_refunded: toCents(payment.amount) });
+    await updateUnmatchedPayment(pool, payment, plan);
+    return res.status(200).json({
+      status: 'success',
+      unmatchedPayment: mapUnmatchedPayment({ ...payment, status: plan.status, refunded_amount: plan.refundedAmount }),
+      refundId: refund.id,
+    });
+  } catch (error) {
+    console.error(`Unmatched payment ${payment.id} was refunded as ${refund.id} but could not be updated:`, error);
+    return res.status(500).json({ status: 'error', message: 'The refund was issued but the payment could not be updated.', refundId: refund.id });
+  }
+});
+
+// --- Driver roster and dispatch assignments ---
+function sendDispatchError(res, error) {
+  if (!(error instanceof DispatchError)) throw error;
+  return res.status(error.statusCode).json({ status: 'error', message: error.message });
+}
+
+app.get('/admin/drivers', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const result = await pool.query('SELECT * FROM drivers ORDER BY active DESC, name ASC, id ASC');
+    return res.status(200).json({ status: 'success', drivers: result.rows.map(mapDriver) });
+  } catch (error) {
+    console.error('Unable to load drivers:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load drivers.' });
+  }
+});
+
+app.post('/admin/drivers', requireAdmin('DISPATCHER'), async (req, res) => {
+  let driver;
+  try {
+    driver = parseDriverInput(req.body);
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO drivers (name, phone, email, vehicle_types, active, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [driver.name, driver.phone, driver.email ?? null, driver.vehicleTypes, driver.active ?? true, driver.notes ?? null]
+    );
+    return res.status(201).json({ status: 'success', driver: mapDriver(result.rows[0]) });
+  } catch (error) {
+    console.error('Unable to create driver:', error);
+    return res.status(500).json({ status: 'error', message: 'The driver could not be saved.' });
+  }
+});
+
+app.put('/admin/drivers/:id', requireAdmin('DISPATCHER'), async (req, res) => {
+  let driverId;
+  let changes;
+  try {
+    driverId = parseDriverId(req.params.id);
+    changes = parseDriverInput(req.body, { partial: true });
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  const columns = { name: 'name', phone: 'phone', email: 'email', vehicleTypes: 'vehicle_types', active: 'active', notes: 'notes' };
+  const fields = Object.keys(changes);
+  try {
+    const result = await pool.query(
+      `UPDATE drivers
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), driverId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Driver was not found.' });
+    }
+    return res.status(200).json({ status: 'success', driver: mapDriver(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update driver ${driverId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The driver could not be updated.' });
+  }
+});
+
+// Assigns a paid booking to a driver and vehicle, replacing any current
+// assignment. The driver row is locked so two dispatchers cannot double-book it.
+app.put('/admin/leads/:quoteId/assignment', requireAdmin('DISPATCHER'), async (req, res) => {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  let driverId;
+  try {
+    driverId = parseDriverId(req.body?.driverId);
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  const notes = String(req.body?.notes || '').trim().slice(0, 500) || null;
+
+  const client = await pool.connect();
+  let assignment;
+  let plan;
+  try {
+    await client.query('BEGIN');
+    const leadResult = await client.query(
+      `SELECT * FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [quoteId]
+    );
+    const lead = leadResult.rows[0];
+    const driverResult = await client.query('SELECT * FROM drivers WHERE id = $1 FOR UPDATE', [driverId]);
+    const driver = driverResult.rows[0];
+    if (!lead || !driver) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: lead ? 'Driver was not found.' : 'Quote was not found.' });
+    }
+
+    const window = resolveAssignmentWindow(lead);
+    const currentResult = await client.query("SELECT * FROM assignments WHERE quote_id = $1 AND status = 'ACTIVE'", [quoteId]);
+    const conflictResult = await client.query(
+      `SELECT quote_id FROM assignments
+       WHERE driver_id = $1 AND status = 'ACTIVE' AND quote_id <> $2
+         AND scheduled_start < $4 AND scheduled_end > $3
+       ORDER BY scheduled_start`,
+      [driverId, quoteId, window.startsAt, window.endsAt]
+    );
+    plan = planAssignment({
+      lead,
+      driver,
+      vehicleType: req.body?.vehicleType,
+      current: currentResult.rows[0] || null,
+      conflicts: conflictResult.rows,
+    });
+    if (plan.replacesAssignmentId) {
+      await client.query(
+        "UPDATE assignments SET status = 'REPLACED', ended_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [plan.replacesAssignmentId]
+      );
+    }
+    const inserted = await client.query(
+      `INSERT INTO assignments (quote_id, driver_id, vehicle_type, status, scheduled_start, scheduled_end, assigned_by, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [quoteId, driver.id, plan.vehicleType, ASSIGNMENT_STATUS.ACTIVE, window.startsAt, window.endsAt, req.adminUser.email, notes]
+    );
+    assignment = { ...inserted.rows[0], driver_name: driver.name };
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof DispatchError) return sendDispatchError(res, error);
+    console.error(`Unable to assign ${quoteId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The assignment could not be saved.' });
+  } finally {
+    client.release();
+  }
+
+  return res.status(plan.replacesAssignmentId ? 200 : 201).json({
+    status: 'success',
+    reassigned: Boolean(plan.replacesAssignmentId),
+    assignment: mapAssignment(assignment),
+  });
+});
+
+// Each driver's active jobs that start on the given day in the service time zone.
+app.get('/admin/dispatch/schedule', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let date;
+  let driverId = null;
+  try {
+    date = parseScheduleDate(req.query.date, getZonedDate(new Date(), serviceTimeZone));
+    if (req.query.driverId !== undefined) driverId = parseDriverId(req.query.driverId);
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  const day = resolveDayRange(date, serviceTimeZone);
+  try {
+    const [drivers, assignments] = await Promise.all([
+      pool.query('SELECT * FROM drivers WHERE ($1::integer IS NULL OR id = $1) ORDER BY name ASC, id ASC', [driverId]),
+      pool.query(
+        `SELECT assignments.*, leads.booking_status, leads.contact_name, leads.contact_phone,
+                leads.contact_company, leads.lead_payload
+         FROM assignments
+         JOIN leads ON leads.quote_id = assignments.quote_id AND leads.log_type = 'CalculatedQuote'
+         WHERE assignments.status = 'ACTIVE'
+           AND assignments.scheduled_start >= $1 AND assignments.scheduled_start < $2
+           AND ($3::integer IS NULL OR assignments.driver_id = $3)`,
+        [day.startsAt, day.endsAt, driverId]
+      ),
+    ]);
+    if (driverId && !drivers.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Driver was not found.' });
+    }
+    return res.status(200).json({
+      status: 'success',
+      date,
+      schedule: buildDriverSchedule(drivers.rows, assignments.rows),
+    });
+  } catch (error) {
+    console.error(`Unable to load the dispatch schedule for ${date}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the dispatch schedule.' });
+  }
+});
+
+// Issues a new driver app key, replacing any earlier one. Only its hash is kept.
+app.post('/admin/drivers/:id/access-token', requireAdmin('DISPATCHER'), async (req, res) => {
+  let driverId;
+  try {
+    driverId = parseDriverId(req.params.id);
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  const { token, hash } = generateAccessToken(TOKEN_PREFIXES.DRIVER);
+  try {
+    const result = await pool.query(
+      'UPDATE drivers SET access_token_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [hash, driverId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Driver was not found.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.status(201).json({ status: 'success', driver: mapDriver(result.rows[0]), accessToken: token });
+  } catch (error) {
+    console.error(`Unable to issue a key for driver ${driverId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The driver key could not be issued.' });
+  }
+});
+
+app.delete('/admin/drivers/:id/access-token', requireAdmin('DISPATCHER'), async (req, res) => {
+  let driverId;
+  try {
+    driverId = parseDriverId(req.params.id);
+  } catch (error) {
+    return sendDispatchError(res, error);
+  }
+  try {
+    const result = await pool.query(
+      'UPDATE drivers SET access_token_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [driverId]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ status: 'error', message: 'Driver was not found.' });
+    }
+    return res.status(200).json({ status: 'success', driver: mapDriver(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to revoke the key for driver ${driverId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The driver key could not be revoked.' });
+  }
+});
+
+app.get('/admin/proof-of-delivery/:id', requireAdmin('READ_ONLY'), async (req, res) => {
+  const proofId = Number(req.params.id);
+  if (!Number.isSafeInteger(proofId) || proofId < 1) {
+    return res.status(404).json({ status: 'error', message: 'Proof of delivery was not found.' });
+  }
+  try {
+    const result = await pool.query('SELECT * FROM proof_of_delivery WHERE id = $1', [proofId]);
+    const proof = result.rows[0];
+    if (!proof) {
+      return res.status(404).json({ status: 'error', message: 'Proof of delivery was not found.' });
+    }
+    const body = await blobStore.get(proof.storage_key);
+    res.set({ 'Cache-Control': 'private, no-store', 'Content-Type': proof.content_type });
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error(`Unable to load proof of delivery ${proofId}:`, error);
+    return res.status(500).json({ status: 'error', message: 'The proof of delivery could not be loaded.' });
+  }
+});
+
+// --- Driver app: assigned jobs, stop progress and proof of delivery ---
+async function requireDriver(req, res, next) {
+  const suppliedToken = readBearerToken(req);
+  if (!suppliedToken) {
+    return res.status(401).json({ status: 'error', message: 'A driver key is required.' });
+  }
+  let driver;
+  try {
+    const result = await pool.query('SELECT * FROM drivers WHERE access_token_hash = $1', [hashAccessToken(suppliedToken)]);
+    driver = result.rows[0];
+  } catch (error) {
+    console.error('Unable to check a driver key:', error);
+    return res.status(503).json({ status: 'error', message: 'Driver sign-in is temporarily unavailable.' });
+  }
+  if (!driver || !driver.active) {
+    return res.status(401).json({ status: 'error', message: 'Invalid driver key.' });
+  }
+  req.driver = driver;
+  return next();
+}
+
+function sendDriverJobError(res, error) {
+  if (!(error instanceof DriverJobError) && !(error instanceof DispatchError)) throw error;
+  return res.status(error.statusCode).json({ status: 'error', message: error.message });
+}
+
+const DRIVER_JOB_COLUMNS = `assignments.*, leads.booking_status, leads.contact_name, leads.contact_phone,
+  leads.contact_company, leads.lead_payload`;
+
+async function loadDriverJobs(driverId, where, params) {
+  const assignments = await pool.query(
+    `SELECT ${DRIVER_JOB_COLUMNS}
+     FROM assignments
+     JOIN leads ON leads.quote_id = assignments.quote_id AND leads.log_type = 'CalculatedQuote'
+     WHERE assignments.driver_id = $1 AND assignments.status = 'ACTIVE' AND ${where}
+     ORDER BY assignments.scheduled_start ASC`,
+    [driverId, ...params]
+  );
+  const quoteIds = assignments.rows.map(row => row.quote_id);
+  if (!quoteIds.length) return [];
+  const [stopUpdates, proofs] = await Promise.all([
+    pool.query('SELECT quote_id, stop_index, status, recorded_at FROM stop_updates WHERE quote_id = ANY($1::text[])', [quoteIds]),
+    pool.query('SELECT * FROM proof_of_delivery WHERE quote_id = ANY($1::text[]) ORDER BY id ASC', [quoteIds]),
+  ]);
+  return assignments.rows.map(row => buildDriverJob(
+    row,
+    buildOrderStatus(row, stopUpdates.rows.filter(update => update.quote_id === row.quote_id)),
+    proofs.rows.filter(proof => proof.quote_id === row.quote_id)
+  ));
+}
+
+// Without a date, lists every open job from the start of today onward.
+app.get('/driver/jobs', requireDriver, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  let range;
+  try {
+    range = req.query.date === undefined
+      ? { startsAt: resolveDayRange(getZonedDate(new Date(), serviceTimeZone), serviceTimeZone).startsAt, endsAt: null }
+      : resolveDayRange(parseScheduleDate(req.query.date), serviceTimeZone);
+  } catch (error) {
+    return sendDriverJobError(res, error);
+  }
+  try {
+    const jobs = await loadDriverJobs(
+      req.driver.id,
+      'assignments.scheduled_end >= $2 AND ($3::timestamptz IS NULL OR assignments.scheduled_start < $3)',
+      [range.startsAt, range.endsAt]
+    );
+    return res.status(200).json({ status: 'success', driver: mapDriver(req.driver), jobs });
+  } catch (error) {
+    console.error(`Unable to load jobs for driver ${req.driver.id}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load your jobs.' });
+  }
+});
+
+app.get('/driver/jobs/:quoteId', requireDriver, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  try {
+    const [job] = await loadDriverJobs(req.driver.id, 'assignments.quote_id = $2', [quoteId]);
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'This job is not assigned to you.' });
+    }
+    return res.status(200).json({ status: 'success', job });
+  } catch (error) {
+    console.error(`Unable to load ${quoteId} for driver ${req.driver.id}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load this job.' });
+  }
+});
+
+// Records arrived/loaded/delivered for one stop, rolls the result up onto the
+// lead and alerts dispatch, all in one transaction.
+app.post('/driver/jobs/:quoteId/stops/:stopNumber/status', requireDriver, async (req, res) => {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+  let recordedAt;
+  try {
+    recordedAt = parseRecordedAt(req.body?.recordedAt);
+  } catch (error) {
+    return sendDriverJobError(res, error);
+  }
+
+  const client = await pool.connect();
+  let stopUpdate;
+  let order;
+  try {
+    await client.query('BEGIN');
+    const leadResult = await client.query(
+      `SELECT * FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [quoteId]
+    );
+    const lead = leadResult.rows[0];
+    const assignmentResult = await client.query(
+      "SELECT * FROM assignments WHERE quote_id = $1 AND driver_id = $2 AND status = 'ACTIVE'",
+      [quoteId, req.driver.id]
+    );
+    const assignment = assignmentResult.rows[0];
+    if (!lead || !assignment) {
+      throw new DriverJobError('This job is not assigned to you.', 404);
+    }
+    if (lead.booking_status !== 'BOOKED') {
+      throw new DriverJobError(`This load is ${lead.booking_status}; stop updates are closed.`, 409);
+    }
+    const stops = Array.isArray(lead.lead_payload?.stopsData) ? lead.lead_payload.stopsData : [];
+    const stopIndex = parseStopNumber(req.params.stopNumber, stops.length) - 1;
+    const previousUpdates = await client.query('SELECT stop_index, status, recorded_at FROM stop_updates WHERE quote_id = $1', [quoteId]);
+    const plan = planStopUpdate({
+      stopIndex,
+      stopCount: stops.length,
+      currentStatus: buildOrderStatus(lead, previousUpdates.rows).stops[stopIndex].status,
+      status: req.body?.status,
+    });
+    const inserted = await client.query(
+      `INSERT INTO stop_updates (quote_id, stop_index, status, driver_id, assignment_id, note, recorded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [quoteId, stopIndex, plan.status, req.driver.id, assignment.id, note, recordedAt]
+    );
+    stopUpdate = inserted.rows[0];
+    order = buildOrderStatus(lead, [...previousUpdates.rows, stopUpdate]);
+    await client.query(
+      `UPDATE leads
+       SET fulfillment_status = $1, last_stop_update_at = $2,
+           delivered_at = CASE WHEN $1 = 'DELIVERED' THEN $2 ELSE delivered_at END
+       WHERE quote_id = $3 AND log_type = 'CalculatedQuote'`,
+      [order.phase, recordedAt, quoteId]
+    );
+    await notificationOutbox.enqueue(client, {
+      dedupeKey: `stop-update:${stopUpdate.id}`,
+      kind: 'stop_update',
+      quoteId,
+      payload: {
+        leadData: toNotificationLead(lead),
+        details: {
+          leadId: lead.id,
+          status: plan.status,
+          stopNumber: stopIndex + 1,
+          stopCount: stops.length,
+          address: stops[stopIndex]?.address,
+          driverName: req.driver.name,
+          recordedAt: recordedAt.toISOString(),
+          note,
+          orderDelivered: order.phase === 'DELIVERED',
+        },
+      },
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof DriverJobError) return sendDriverJobError(res, error);
+    console.error(`Stop update for ${quoteId} by driver ${req.driver.id} failed:`, error);
+    return res.status(500).json({ status: 'error', message: 'The stop update could not be saved.' });
+  } finally {
+    client.release();
+  }
+
+  notificationOutbox.kick();
+  return res.status(201).json({ status: 'success', stopUpdate: mapStopUpdate(stopUpdate), order });
+});
+
+const POD_UPLOAD_LIMIT = process.env.POD_MAX_UPLOAD_BYTES || '8mb';
+app.put(
+  '/driver/jobs/:quoteId/stops/:stopNumber/proof/:kind',
+  requireDriver,
+  express.raw({ type: () => true, limit: POD_UPLOAD_LIMIT }),
+  async (req, res) => {
+    const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+    const kind = String(req.params.kind || '').trim().toLowerCase();
+    if (!PROOF_KINDS.includes(kind)) {
+      return res.status(404).json({ status: 'error', message: `Proof must be one of ${PROOF_KINDS.join(', ')}.` });
+    }
+    let job;
+    let stopNumber;
+    let upload;
+    try {
+      [job] = await loadDriverJobs(req.driver.id, 'assignments.quote_id = $2', [quoteId]);
+      if (!job) throw new DriverJobError('This job is not assigned to you.', 404);
+      stopNumber = parseStopNumber(req.params.stopNumber, job.stops.length);
+      upload = detectProofContentType(req.headers['content-type'], req.body);
+    } catch (error) {
+      return sendDriverJobError(res, error);
+    }
+
+    const key = buildProofKey(quoteId, stopNumber, kind, upload.extension);
+    try {
+      await blobStore.put(key, req.body, { contentType: upload.contentType });
+      const inserted = await pool.query(
+        `INSERT INTO proof_of_delivery (quote_id, stop_index, kind, storage_key, content_type, byte_size, sha256, driver_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [quoteId, stopNumber - 1, kind, key, upload.contentType, req.body.length,
+          crypto.createHash('sha256').update(req.body).digest('hex'), req.driver.id]
+      );
+      return res.status(201).json({ status: 'success', proof: mapProof(inserted.rows[0]) });
+    } catch (error) {
+      console.error(`Proof-of-delivery upload for ${quoteId} stop ${stopNumber} failed:`, error);
+      return res.status(500).json({ status: 'error', message: 'The upload could not be saved. Please try again.' });
+    }
+  }
+);
+
+// --- Notification outbox: stuck alerts can be inspected and re-sent ---
+app.get('/admin/notifications', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const statuses = String(req.query.status || 'PENDING,DEAD').split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+  if (!statuses.length || statuses.some(status => !Object.hasOwn(NOTIFICATION_STATUS, status))) {
+    return res.status(400).json({ status: 'error', message: `status must be a comma-separated list of ${Object.keys(NOTIFICATION_STATUS).join(', ')}.` });
+  }
+  const quoteId = String(req.query.quoteId || '').trim().toUpperCase() || null;
+  let limit;
+  try {
+    limit = parsePageSize(req.query.limit);
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  try {
+    return res.status(200).json({ status: 'success', notifications: await notificationOutbox.list({ statuses, quoteId, limit }) });
+  } catch (error) {
+    console.error('Unable to list notifications:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load notifications.' });
+  }
+});
+
+app.post('/admin/notifications/:id/resend', requireAdmin('DISPATCHER'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isSafeInteger(id) || id < 1) {
+    return res.status(404).json({ status: 'error', message: 'Notification was not found.' });
+  }
+  try {
+    const notification = await notificationOutbox.resend(id);
+    if (!notification) {
+      return res.status(404).json({ status: 'error', message: 'Notification was not found.' });
+    }
+    return res.status(200).json({ status: 'success', notification });
+  } catch (error) {
+    console.error(`Unable to re-send notification ${id}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not re-send the notification.' });
+  }
+});
+
+// --- Rate card administration: drafts are editable, published cards are not ---
+app.get('/admin/rate-cards', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const [cards, inForce] = await Promise.all([
+      pool.query('SELECT * FROM rate_cards ORDER BY COALESCE(effective_from, created_at) DESC, id DESC'),
+      getRateCardInForce(),
+    ]);
+    return res.status(200).json({
+      status: 'success',
+      inForceVersion: inForce.version,
+      rateCards: cards.rows.map(mapRateCard),
+    });
+  } catch (error) {
+    console.error('Unable to load rate cards:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load rate cards.' });
+  }
+});
+
+app.get('/admin/rate-cards/:version', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const rateCard = await getRateCardByVersion(String(req.params.version || '').trim());
+    if (!rateCard) {
+      return res.status(404).json({ status: 'error', message: 'Rate card was not found.' });
+    }
+    return res.status(200).json({ status: 'success', rateCard });
+  } catch (error) {
+    console.error('Unable to load rate card:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the rate card.' });
+  }
+});
+
+app.post('/admin/rate-cards', requireAdmin('OWNER'), async (req, res) => {
+  let version;
+  let rules;
+  let effectiveFrom;
+  try {
+    version = normalizeRateCardVersion(req.body?.version);
+    const baseCard = req.body?.baseVersion
+      ? await getRateCardByVersion(String(req.body.baseVersion).trim())
+      : await getRateCardInForce();
+    if (!baseCard) {
+      return res.status(404).json({ status: 'error', message: 'Base rate card was not found.' });
+    }
+    rules = normalizeRateCardRules(mergeRateCardRules(baseCard.rules, req.body?.rules));
+    effectiveFrom = parseEffectiveFrom(req.body?.effectiveFrom);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO rate_cards (version, status, rules, effective_from, notes)
+       VALUES ($1, 'DRAFT', $2, $3, $4)
+       ON CONFLICT (version) DO NOTHING
+       RETURNING *`,
+      [version, JSON.stringify(rules), effectiveFrom, req.body?.notes ? String(req.body.notes).slice(0, 2000) : null]
+    );
+    if (!result.rows[0]) {
+      return res.status(409).json({ status: 'error', message: `Rate card ${version} already exists.` });
+    }
+    return res.status(201).json({ status: 'success', rateCard: mapRateCard(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to create rate card ${version}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Rate card could not be created.' });
+  }
+});
+
+app.put('/admin/rate-cards/:version', requireAdmin('OWNER'), async (req, res) => {
+  const version = String(req.params.version || '').trim();
+  try {
+    const draft = await getRateCardByVersion(version);
+    if (!draft) {
+      return res.status(404).json({ status: 'error', message: 'Rate card was not found.' });
+    }
+    if (draft.status !== 'DRAFT') {
+      return res.status(409).json({ status: 'error', message: 'Published rate cards cannot be edited. Create a new draft instead.' });
+    }
+    let rules;
+    let effectiveFrom;
+    try {
+      rules = normalizeRateCardRules(mergeRateCardRules(draft.rules, req.body?.rules));
+      effectiveFrom = req.body?.effectiveFrom === undefined ? draft.effectiveFrom : parseEffectiveFrom(req.body.effectiveFrom);
+    } catch (error) {
+      return res.status(422).json({ status: 'error', message: error.message });
+    }
+    const notes = req.body?.notes === undefined ? draft.notes : String(req.body.notes || '').slice(0, 2000) || null;
+    const result = await pool.query(
+      `UPDATE rate_cards
+       SET rules = $1, effective_from = $2, notes = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE version = $4 AND status = 'DRAFT'
+       RETURNING *`,
+      [JSON.stringify(rules), effectiveFrom, notes, version]
+    );
+    if (!result.rows[0]) {
+      return res.status(409).json({ status: 'error', message: 'The rate card was published while you were editing it.' });
+    }
+    return res.status(200).json({ status: 'success', rateCard: mapRateCard(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to update rate card ${version}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Rate card could not be updated.' });
+  }
+});
+
+// Prices a sample request against both the draft and the card in force.
+app.post('/admin/rate-cards/:version/preview', requireAdmin('READ_ONLY'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const version = String(req.params.version || '').trim();
+  let draft;
+  let current;
+  try {
+    [draft, current] = await Promise.all([getRateCardByVersion(version), getRateCardInForce()]);
+  } catch (error) {
+    console.error(`Unable to load rate card ${version} for preview:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load rate cards for preview.' });
+  }
+  if (!draft) {
+    return res.status(404).json({ status: 'error', message: 'Rate card was not found.' });
+  }
+  const priceWith = rateCard => priceQuote(req.body, { rateCard })
+    .then(quote => ({ quote }))
+    .catch(error => ({ error: error.message, retryable: isRetryableQuoteError(error) }));
+  const [preview, inForce] = await Promise.all([priceWith(draft), priceWith(current)]);
+  return res.status(200).json({
+    status: 'success',
+    preview: { version: draft.version, ...preview },
+    inForce: { version: current.version, ...inForce },
+    difference: preview.quote && inForce.quote
+      ? Number((preview.quote.total - inForce.quote.total).toFixed(2))
+      : null,
+  });
+});
+
+app.post('/admin/rate-cards/:version/publish', requireAdmin('OWNER'), async (req, res) => {
+  const version = String(req.params.version || '').trim();
+  let requestedEffectiveFrom;
+  try {
+    requestedEffectiveFrom = parseEffectiveFrom(req.body?.effectiveFrom);
+  } catch (error) {
+    return res.status(422).json({ status: 'error', message: error.message });
+  }
+  try {
+    const draft = await getRateCardByVersion(version);
+    if (!draft) {
+      return res.status(404).json({ status: 'error', message: 'Rate card was not found.' });
+    }
+    if (draft.status !== 'DRAFT') {
+      return res.status(409).json({ status: 'error', message: `Rate card ${version} is already published.` });
+    }
+    const effectiveFrom = requestedEffectiveFrom || (draft.effectiveFrom ? new Date(draft.effectiveFrom) : new Date());
+    // Allow a minute of clock skew; anything older would reprice the past.
+    if (effectiveFrom.getTime() < Date.now() - 60000) {
+      return res.status(422).json({ status: 'error', message: 'effectiveFrom cannot be in the past.' });
+    }
+    const result = await pool.query(
+      `UPDATE rate_cards
+       SET status = 'PUBLISHED', effective_from = $1, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE version = $2 AND status = 'DRAFT'
+       RETURNING *`,
+      [effectiveFrom, version]
+    );
+    if (!result.rows[0]) {
+      return res.status(409).json({ status: 'error', message: `Rate card ${version} is already published.` });
+    }
+    console.log(`Rate card ${version} published, effective ${effectiveFrom.toISOString()}.`);
+    return res.status(200).json({ status: 'success', rateCard: mapRateCard(result.rows[0]) });
+  } catch (error) {
+    console.error(`Unable to publish rate card ${version}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Rate card could not be published.' });
+  }
+});
+
+// --- Authoritative quote endpoint (no logging or payment side effects) ---
+app.post('/calculate-quote', limitPublicRequests('calculateQuote'), identifyAccountUser, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const quote = await priceQuote(req.body, { account: req.account });
+    return res.status(200).json({
+      status: 'success',
+      quote,
+    });
+  } catch (error) {
+    console.warn('Invalid quote details received for calculation:', error.message);
+    return res.status(quoteErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      code: error.code,
+    });
+  }
+});
+
+// --- API Endpoint for Logging Calculated Quotes ---
+app.post('/log-calculated-quote', limitPublicRequests('logQuote'), identifyAccountUser, async (req, res) => {
+  console.log(`POST /log-calculated-quote received at ${new Date().toISOString()}`);
+  const leadData = req.body;
+
+  if (!leadData || !leadData.contactDetails) {
+    return res.status(400).json({ status: 'error', message: 'Incomplete lead data received.' });
+  }
+  const normalizedContact = await validateContactEmail(leadData.contactDetails, res);
+  if (!normalizedContact) return;
   leadData.contactDetails = normalizedContact;
 
-  let authoritativeQuote;
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(leadData, { account: req.account });
+  } catch (error) {
+    console.warn('Invalid quote details received for logging:', error.message);
+    return res.status(quoteErrorStatus(error)).json({ status: 'error', message: error.message, code: error.code });
+  }
+
+  const submittedQuote = Number(leadData.calculatedQuote);
+  if (Number.isFinite(submittedQuote) && Math.abs(submittedQuote - authoritativeQuote.total) > 0.01) {
+    console.warn('Browser quote did not match the server quote.', {
+      submittedQuote,
+      authoritativeQuote: authoritativeQuote.total,
+    });
+  }
+
+  const quotedAt = new Date();
+  const verifiedLeadData = {
+    ...buildVerifiedLeadData(leadData, authoritativeQuote, generateQuoteId(quotedAt), { accountUserId: req.accountUser?.id }),
+    quoteExpiresAt: computeQuoteExpiry(quotedAt).toISOString(),
+  };
+
+  try {
+    const savedLead = await logLeadDataToDB(verifiedLeadData, 'CalculatedQuote');
+
+    Promise.all([
+      notificationOutbox.enqueue(null, {
+        dedupeKey: `quote:${savedLead.id}`,
+        kind: 'quote',
+        quoteId: verifiedLeadData.quoteId,
+        payload: { leadData: verifiedLeadData, details: { leadId: savedLead.id } },
+      }),
+      queueCustomerQuoteEmail(null, verifiedLeadData, authoritativeQuote),
+    ])
+      .then(() => notificationOutbox.kick())
+      .catch(notificationError => {
+        console.error(`Quote notification could not be queued for lead ID: ${savedLead?.id}`, notificationError.message);
+      });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Quote data verified and logged.',
+      calculatedQuote: authoritativeQuote.total,
+      quoteVersion: authoritativeQuote.quoteVersion,
+      quoteId: verifiedLeadData.quoteId,
+      quoteExpiresAt: verifiedLeadData.quoteExpiresAt,
+      documentToken: signDocumentToken(verifiedLeadData.quoteId),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to log quote data to DB on server.',
+    });
+  }
+});
+
+// --- Quote and invoice PDFs rendered from the saved, server-verified quote ---
+function buildInvoiceUrl(quoteId) {
+  const apiBase = String(process.env.PUBLIC_API_URL || '').trim().replace(/\/$/, '');
+  const token = signDocumentToken(quoteId);
+  return apiBase && token ? `${apiBase}/quotes/${quoteId}/invoice.pdf?token=${token}` : null;
+}
+
+async function sendQuoteDocument(req, res, type) {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  let row;
+  try {
+    const quoteRecord = await pool.query(
+      `SELECT * FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1`,
+      [quoteId]
+    );
+    row = quoteRecord.rows[0];
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for its ${type} PDF:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'The document could not be generated. Please try again.' });
+  }
+  if (!row) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+
+  let document;
+  try {
+    document = buildQuoteDocument(row, type);
+  } catch (error) {
+    if (!(error instanceof QuoteDocumentError)) throw error;
+    return res.status(409).json({ status: 'error', message: error.message });
+  }
+  res.set({
+    'Cache-Control': 'private, no-store',
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${document.number}.pdf"`,
+  });
+  writeQuoteDocumentPdf(document, res);
+}
+
+app.get('/quotes/:quoteId/quote.pdf', requireQuoteDocumentAccess, (req, res) => sendQuoteDocument(req, res, 'quote'));
+app.get('/quotes/:quoteId/invoice.pdf', requireQuoteDocumentAccess, (req, res) => sendQuoteDocument(req, res, 'invoice'));
+
+// --- Resume a saved quote from the signed link in the customer's quote email ---
+app.get('/quotes/:quoteId/resume', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!quoteLinksEnabled || !verifyQuoteToken(quoteId, String(req.query.token || ''), 'resume')) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+
+  let savedQuote;
+  try {
+    const quoteRecord = await pool.query(
+      `SELECT calculated_quote, timestamp, quote_expires_at, booking_status, payment_status, lead_payload
+       FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1`,
+      [quoteId]
+    );
+    savedQuote = quoteRecord.rows[0];
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for resume:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'The quote could not be loaded. Please try again.' });
+  }
+  if (!savedQuote) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+
+  const { contactDetails, stopsData, packagesData, serviceDetails, promoCode } = savedQuote.lead_payload || {};
+  const quoteExpiresAt = resolveQuoteExpiry(savedQuote);
+  return res.status(200).json({
+    status: 'success',
+    quoteId,
+    calculatedQuote: Number(savedQuote.calculated_quote),
+    quoteExpiresAt: quoteExpiresAt.toISOString(),
+    expired: isQuoteExpired(quoteExpiresAt),
+    bookable: canStartCheckout(savedQuote),
+    bookingStatus: savedQuote.booking_status,
+    leadData: { contactDetails, stopsData, packagesData, serviceDetails, promoCode },
+  });
+});
+
+// --- Customer order tracking: signed link, or the quote ID plus the booking email ---
+async function loadOrderStatus(quoteId) {
+  const quoteRecord = await pool.query(
+    `SELECT quote_id, contact_email, booking_status, payment_status, paid_at, cancelled_at, lead_payload
+     FROM leads
+     WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+     ORDER BY id DESC LIMIT 1`,
+    [quoteId]
+  );
+  const row = quoteRecord.rows[0];
+  if (!row) return null;
+  const stopUpdates = await pool.query('SELECT stop_index, status, recorded_at FROM stop_updates WHERE quote_id = $1', [quoteId]);
+  return { contactEmail: row.contact_email, order: buildOrderStatus(row, stopUpdates.rows) };
+}
+
+app.get('/orders/:quoteId', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!quoteLinksEnabled || !verifyQuoteToken(quoteId, String(req.query.token || ''), 'order')) {
+    return res.status(404).json({ status: 'error', message: 'Order was not found.' });
+  }
+  let tracked;
+  try {
+    tracked = await loadOrderStatus(quoteId);
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for order tracking:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'Order status is temporarily unavailable. Please try again.' });
+  }
+  if (!tracked) {
+    return res.status(404).json({ status: 'error', message: 'Order was not found.' });
+  }
+  return res.status(200).json({ status: 'success', order: tracked.order });
+});
+
+// Customers without the link prove ownership with the email used for the quote.
+// The response carries a signed token so the page can be bookmarked.
+app.post('/orders/:quoteId/lookup', limitPublicRequests('orderLookup', {
+  emailOf: req => req.body?.email,
+  quoteOf: req => req.params.quoteId,
+  message: 'Too many lookups for this order. Please wait a few minutes and try again.',
+}), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  const email = normalizeEmail(req.body?.email);
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId) || !email) {
+    return res.status(400).json({ status: 'error', message: 'A quote ID and the email used for the booking are required.' });
+  }
+  let tracked;
+  try {
+    tracked = await loadOrderStatus(quoteId);
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for order lookup:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'Order status is temporarily unavailable. Please try again.' });
+  }
+  if (!tracked || String(tracked.contactEmail || '').toLowerCase() !== email) {
+    return res.status(404).json({ status: 'error', message: 'No order matches that quote ID and email.' });
+  }
+  return res.status(200).json({
+    status: 'success',
+    order: tracked.order,
+    token: quoteLinksEnabled ? signQuoteToken(quoteId, 'order') : null,
+  });
+});
+
+// --- Re-price an expired quote under the current pricing version ---
+app.post('/quotes/:quoteId/reprice', limitPublicRequests('reprice', {
+  emailOf: req => req.body?.email,
+  message: 'Too many refresh requests. Please wait a few minutes and try again.',
+}), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  const email = normalizeEmail(req.body?.email);
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId) || !email) {
+    return res.status(400).json({ status: 'error', message: 'A quote ID and the email used for the quote are required.' });
+  }
+
+  let savedQuote;
+  try {
+    const quoteRecord = await pool.query(
+      `SELECT id, contact_email, booking_status, payment_status, timestamp, quote_expires_at,
+              account_id, account_user_id, lead_payload
+       FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1`,
+      [quoteId]
+    );
+    savedQuote = quoteRecord.rows[0];
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for re-pricing:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'The quote could not be loaded. Please try again.' });
+  }
+  if (!savedQuote || String(savedQuote.contact_email || '').toLowerCase() !== email) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  if (!canStartCheckout(savedQuote)) {
+    return res.status(409).json({ status: 'error', message: 'This quote has already been booked or cancelled. Please request a new quote.' });
+  }
+  const savedExpiresAt = resolveQuoteExpiry(savedQuote);
+  if (!isQuoteExpired(savedExpiresAt)) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This quote has not expired and can still be booked at its quoted price.',
+      code: 'QUOTE_NOT_EXPIRED',
+      quoteExpiresAt: savedExpiresAt.toISOString(),
+    });
+  }
+
+  const { quoteId: previousQuoteId, calculatedQuote, quoteExpiresAt, ...storedLead } = savedQuote.lead_payload || {};
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(storedLead, { account: await getQuoteAccount(savedQuote) });
+  } catch (error) {
+    console.warn(`Stored quote ${quoteId} could not be re-priced:`, error.message);
+    return res.status(quoteErrorStatus(error)).json({ status: 'error', message: error.message, code: error.code });
+  }
+
+  const quotedAt = new Date();
+  const verifiedLeadData = {
+    ...buildVerifiedLeadData(storedLead, authoritativeQuote, generateQuoteId(quotedAt), {
+      accountUserId: savedQuote.account_user_id,
+    }),
+    quoteExpiresAt: computeQuoteExpiry(quotedAt).toISOString(),
+    repricedFromQuoteId: previousQuoteId || quoteId,
+  };
+  try {
+    await logLeadDataToDB(verifiedLeadData, 'CalculatedQuote');
+  } catch (error) {
+    return res.status(500).json({ status: 'error', message: 'Failed to save the refreshed quote.' });
+  }
+  queueCustomerQuoteEmail(null, verifiedLeadData, authoritativeQuote)
+    .then(() => notificationOutbox.kick())
+    .catch(error => console.error(`Customer quote email could not be queued for ${verifiedLeadData.quoteId}:`, error.message));
+
+  return res.status(200).json({
+    status: 'success',
+    quote: authoritativeQuote,
+    previousQuote: Number(calculatedQuote),
+    quoteId: verifiedLeadData.quoteId,
+    quoteExpiresAt: verifiedLeadData.quoteExpiresAt,
+    documentToken: signDocumentToken(verifiedLeadData.quoteId),
+  });
+});
+
+// Opens Stripe Checkout for a verified quote and records the attempt
+// against the saved quote.
+async function startQuoteCheckout(savedQuote, verifiedLeadData, authoritativeQuote, {
+  source = 'checkout',
+  actor = savedQuote.contact_email,
+} = {}) {
+  const quoteId = verifiedLeadData.quoteId;
+  const quoteExpiresAt = new Date(verifiedLeadData.quoteExpiresAt);
+  const amountInCents = Math.round(authoritativeQuote.total * 100);
+  const customerEmail = verifiedLeadData.contactDetails.email;
+  const firstStopAddress = String(verifiedLeadData.stopsData[0]?.address || '');
+  const orderSummary = `Delivery Quote: ${verifiedLeadData.stopsData.length} stops (${authoritativeQuote.totalMiles.toFixed(1)} miles). Pickup: ${verifiedLeadData.serviceDetails.pickupDate || 'N/A'} at ${verifiedLeadData.serviceDetails.pickupTime || 'N/A'}. Vehicle: ${verifiedLeadData.serviceDetails.vehicleType || 'N/A'}. First Stop: ${firstStopAddress.substring(0, 50)}${firstStopAddress.length > 50 ? '...' : ''}.`.substring(0, 200);
+
+  const YOUR_DOMAIN = process.env.YOUR_WEBSITE_URL;
+  if (!YOUR_DOMAIN || YOUR_DOMAIN === 'http://temp.com') {
+    console.error('CRITICAL: YOUR_WEBSITE_URL environment variable is not set correctly in Render for redirects!');
+  }
+  // Stripe fills in {CHECKOUT_SESSION_ID} itself, so it is appended unencoded.
+  const trackingUrl = buildOrderTrackingUrl(quoteId) ||
+    `${YOUR_DOMAIN || 'https://your-default-success-url.com'}/order-status.html?quote=${quoteId}`;
+  const successUrl = `${trackingUrl}&session_id={CHECKOUT_SESSION_ID}`;
+  const cancelUrl = YOUR_DOMAIN || 'https://your-default-cancel-url.com';
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [{
+      price_data: {
+        currency: 'usd',
+        product_data: {
+          name: 'Xpedite Now Delivery Quote',
+          description: orderSummary,
+        },
+        unit_amount: amountInCents,
+      },
+      quantity: 1,
+    }],
+    mode: 'payment',
+    expires_at: getCheckoutExpiresAt(quoteExpiresAt),
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    customer_email: customerEmail || undefined,
+    client_reference_id: quoteId,
+    metadata: {
+      quote_id: quoteId,
+      vehicle_type: String(verifiedLeadData.serviceDetails.vehicleType || '').substring(0, 100),
+    },
+  });
+  console.log('Stripe Session Created:', session.id);
   try {
-    authoritativeQuote = calculateAuthoritativeQuote(leadData, await getDisabledVehicles());
-  } catch (error) {
-    console.warn('Invalid quote details received for checkout:', error.message);
-    return res.status(422).json({ error: error.message });
+    await logLeadDataToDB({
+      ...verifiedLeadData,
+      stripeSessionId: session.id,
+    }, 'CheckoutAttempt');
+    await pool.query(
+      `UPDATE leads
+       SET booking_status = 'CHECKOUT_STARTED', payment_status = 'UNPAID', stripe_session_id = $1
+       WHERE quote_id = $2 AND log_type = 'CalculatedQuote'`,
+      [session.id, quoteId]
+    );
+    await recordBookingTransition(pool, savedQuote, { bookingStatus: 'CHECKOUT_STARTED', paymentStatus: 'UNPAID' }, { source, actor });
+  } catch (logError) {
+    console.error('Stripe Checkout was created, but its database correlation failed:', logError);
   }
+  return session;
+}
 
-  const submittedQuote = Number(leadData.calculatedQuote);
-  if (Number.isFinite(submittedQuote) && Math.abs(submittedQuote - authoritativeQuote.total) > 0.01) {
-    console.warn('Browser quote did not match the server quote.', {
-      submittedQuote,
-      authoritativeQuote: authoritativeQuote.total,
-    });
+// --- API Endpoint for Creating Stripe Checkout Session AND Logging Lead ---
+app.post('/create-checkout-session', limitPublicRequests('checkout', { errorField: 'error' }), async (req, res) => {
+  console.log(`POST /create-checkout-session received at ${new Date().toISOString()}`);
+  const leadData = req.body;
+
+  if (
+    !leadData ||
+    !leadData.contactDetails ||
+    !leadData.contactDetails.email ||
+    !leadData.contactDetails.name
+  ) {
+    return res.status(400).json({ error: 'Incomplete or invalid contact details received.' });
   }
+  const normalizedContact = await validateContactEmail(leadData.contactDetails, res);
+  if (!normalizedContact) return;
+  leadData.contactDetails = normalizedContact;
 
   const quoteId = String(leadData.quoteId || '').trim().toUpperCase();
   if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
     return res.status(409).json({ error: 'Please recalculate the quote before booking.' });
   }
 
+  let savedQuote;
   try {
     const quoteRecord = await pool.query(
-      `SELECT contact_email, calculated_quote
+      `SELECT quote_id, contact_email, calculated_quote, timestamp, quote_expires_at, quote_version,
+              booking_status, payment_status, account_id, account_user_id
        FROM leads
        WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
        ORDER BY id DESC LIMIT 1`,
       [quoteId]
     );
-    const savedQuote = quoteRecord.rows[0];
-    const emailMatches = savedQuote &&
-      String(savedQuote.contact_email || '').toLowerCase() === String(leadData.contactDetails.email || '').toLowerCase();
-    const amountMatches = savedQuote &&
-      Math.abs(Number(savedQuote.calculated_quote) - authoritativeQuote.total) <= 0.01;
-    if (!emailMatches || !amountMatches) {
-      return res.status(409).json({ error: 'This quote could not be matched. Please recalculate it before booking.' });
-    }
+    savedQuote = quoteRecord.rows[0];
   } catch (databaseError) {
     console.error('Unable to verify quote correlation before checkout:', databaseError);
     return res.status(503).json({ error: 'The quote could not be verified for booking. Please try again.' });
   }
+  const emailMatches = savedQuote &&
+    String(savedQuote.contact_email || '').toLowerCase() === String(leadData.contactDetails.email || '').toLowerCase();
+  if (!emailMatches) {
+    return res.status(409).json({ error: 'This quote could not be matched. Please recalculate it before booking.' });
+  }
+  if (!canStartCheckout(savedQuote)) {
+    return res.status(409).json({ error: 'This quote has already been booked or cancelled. Please request a new quote.' });
+  }
+
+  const quoteExpiresAt = resolveQuoteExpiry(savedQuote);
+  if (isQuoteExpired(quoteExpiresAt)) {
+    return res.status(410).json({
+      error: 'This quote has expired. Refresh it to see current pricing before booking.',
+      code: 'QUOTE_EXPIRED',
+      quoteId,
+      quoteExpiresAt: quoteExpiresAt.toISOString(),
+    });
+  }
+
+  // Re-pricing also rechecks pickup timing, which may have lapsed since the quote.
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(leadData, {
+      rateCardVersion: savedQuote.quote_version || QUOTE_VERSION,
+      account: await getQuoteAccount(savedQuote),
+    });
+  } catch (error) {
+    console.warn('Invalid quote details received for checkout:', error.message);
+    return res.status(quoteErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  const submittedQuote = Number(leadData.calculatedQuote);
+  if (Number.isFinite(submittedQuote) && Math.abs(submittedQuote - authoritativeQuote.total) > 0.01) {
+    console.warn('Browser quote did not match the server quote.', {
+      submittedQuote,
+      authoritativeQuote: authoritativeQuote.total,
+    });
+  }
+  if (Math.abs(Number(savedQuote.calculated_quote) - authoritativeQuote.total) > 0.01) {
+    return res.status(409).json({ error: 'This quote could not be matched. Please recalculate it before booking.' });
+  }
 
   const verifiedLeadData = {
-    ...leadData,
-    quoteId,
-    serviceDetails: {
-      ...(leadData.serviceDetails || {}),
-      urgency: authoritativeQuote.serviceLevel,
-      urgencyLabel: authoritativeQuote.serviceLabel,
-      afterHoursApplied: authoritativeQuote.afterHoursApplied,
-      serviceWindowHours: authoritativeQuote.serviceWindowHours,
-    },
-    totalMiles: authoritativeQuote.totalMiles,
-    calculatedQuote: authoritativeQuote.total,
+    ...buildVerifiedLeadData(leadData, authoritativeQuote, quoteId, { accountUserId: savedQuote.account_user_id }),
+    quoteExpiresAt: quoteExpiresAt.toISOString(),
   };
 
   const amountInCents = Math.round(authoritativeQuote.total * 100);
@@ -1027,61 +4870,14 @@ app.post('/create-checkout-session', async (req, res) => {
     return res.status(400).json({ error: 'Quote amount below minimum charge.' });
   }
 
-  const customerEmail = verifiedLeadData.contactDetails.email;
-  const firstStopAddress = String(verifiedLeadData.stopsData[0]?.address || '');
-  const orderSummary = `Delivery Quote: ${verifiedLeadData.stopsData.length} stops (${authoritativeQuote.totalMiles.toFixed(1)} miles). Pickup: ${verifiedLeadData.serviceDetails.pickupDate || 'N/A'} at ${verifiedLeadData.serviceDetails.pickupTime || 'N/A'}. Vehicle: ${verifiedLeadData.serviceDetails.vehicleType || 'N/A'}. First Stop: ${firstStopAddress.substring(0, 50)}${firstStopAddress.length > 50 ? '...' : ''}.`.substring(0, 200);
-
-  const YOUR_DOMAIN = process.env.YOUR_WEBSITE_URL;
-  if (!YOUR_DOMAIN || YOUR_DOMAIN === 'http://temp.com') {
-    console.error('CRITICAL: YOUR_WEBSITE_URL environment variable is not set correctly in Render for redirects!');
-  }
-  const successUrl = `${YOUR_DOMAIN || 'https://your-default-success-url.com'}/payment-success.html?session_id={CHECKOUT_SESSION_ID}`;
-  const cancelUrl = YOUR_DOMAIN || 'https://your-default-cancel-url.com';
-
   try {
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: 'Xpedite Now Delivery Quote',
-            description: orderSummary,
-          },
-          unit_amount: amountInCents,
-        },
-        quantity: 1,
-      }],
-      mode: 'payment',
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-      customer_email: customerEmail || undefined,
-      client_reference_id: quoteId,
-      metadata: {
-        quote_id: quoteId,
-        vehicle_type: String(verifiedLeadData.serviceDetails.vehicleType || '').substring(0, 100),
-      },
-    });
-    console.log('Stripe Session Created:', session.id);
-    try {
-      await logLeadDataToDB({
-        ...verifiedLeadData,
-        stripeSessionId: session.id,
-      }, 'CheckoutAttempt');
-      await pool.query(
-        `UPDATE leads
-         SET booking_status = 'CHECKOUT_STARTED', stripe_session_id = $1
-         WHERE quote_id = $2 AND log_type = 'CalculatedQuote'`,
-        [session.id, quoteId]
-      );
-    } catch (logError) {
-      console.error('Stripe Checkout was created, but its database correlation failed:', logError);
-    }
+    const session = await startQuoteCheckout(savedQuote, verifiedLeadData, authoritativeQuote);
     return res.json({
       url: session.url,
       calculatedQuote: authoritativeQuote.total,
       quoteVersion: authoritativeQuote.quoteVersion,
       quoteId,
+      quoteExpiresAt: verifiedLeadData.quoteExpiresAt,
     });
   } catch (stripeError) {
     console.error('Stripe API Error:', stripeError);
@@ -1089,6 +4885,403 @@ app.post('/create-checkout-session', async (req, res) => {
   }
 });
 
+// --- Business account self-service and invoice booking ---
+app.get('/account', identifyAccountUser, requireAccountUser, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const { id, name, paymentTerms, invoiceBilling } = req.account;
+  return res.status(200).json({
+    status: 'success',
+    account: { id, name, paymentTerms, invoiceBilling },
+    user: { name: req.accountUser.name, email: req.accountUser.email },
+  });
+});
+
+app.get('/account/statements', identifyAccountUser, requireAccountUser, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const result = await pool.query(
+      'SELECT * FROM account_statements WHERE account_id = $1 ORDER BY period_end DESC, id DESC',
+      [req.account.id]
+    );
+    return res.status(200).json({ status: 'success', statements: result.rows.map(mapStatement) });
+  } catch (error) {
+    console.error(`Unable to load statements for account ${req.account.id}:`, error);
+    return res.status(500).json({ status: 'error', message: 'Could not load statements.' });
+  }
+});
+
+app.get('/account/statements/:id', identifyAccountUser, requireAccountUser, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const statement = await loadStatement(parseAccountId(req.params.id), req.account.id);
+    if (!statement) return res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+    return res.status(200).json({ status: 'success', statement });
+  } catch (error) {
+    if (error instanceof AccountError) return res.status(404).json({ status: 'error', message: 'Statement was not found.' });
+    console.error('Unable to load statement:', error);
+    return res.status(500).json({ status: 'error', message: 'Could not load the statement.' });
+  }
+});
+
+// Every Checkout Session recorded as still open for a quote: the one the
+// quote points at and any older tabs logged as checkout attempts.
+async function findOpenCheckoutSessionIds(db, quoteId) {
+  const result = await db.query(
+    `SELECT DISTINCT stripe_session_id FROM leads
+     WHERE quote_id = $1 AND stripe_session_id IS NOT NULL AND booking_status = 'CHECKOUT_STARTED'
+       AND log_type IN ('CalculatedQuote', 'CheckoutAttempt')`,
+    [quoteId]
+  );
+  return result.rows.map(row => row.stripe_session_id);
+}
+
+// A session is closed in Stripe before its quote is booked on account, so the
+// card payment can no longer go through. A session Stripe will not expire has
+// already been paid, and the booking is refused.
+async function expireOpenCheckoutSession(sessionId) {
+  try {
+    await stripe.checkout.sessions.expire(sessionId);
+  } catch (error) {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (session.status !== 'expired') {
+      throw new BookingTransitionError('This quote is being paid by card. Wait for that payment or request a new quote.');
+    }
+  }
+}
+
+// Books a verified quote on the account's payment terms: open Checkout
+// Sessions are expired first, outside any lock, then one short transaction
+// records status, promo redemption, history and the dispatch notification.
+// Returns null when the quote does not exist.
+async function bookQuoteOnInvoice(quoteId, account, { source, actor, accountUserId = null }) {
+  const expiredSessionIds = await findOpenCheckoutSessionIds(pool, quoteId);
+  for (const sessionId of expiredSessionIds) {
+    await expireOpenCheckoutSession(sessionId);
+  }
+
+  const client = await pool.connect();
+  let plan;
+  try {
+    await client.query('BEGIN');
+    const lockedResult = await client.query(
+      `SELECT * FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [quoteId]
+    );
+    const lead = lockedResult.rows[0];
+    if (!lead) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    plan = planInvoiceBooking(lead);
+    const openSessionIds = await findOpenCheckoutSessionIds(client, quoteId);
+    if (openSessionIds.some(sessionId => !expiredSessionIds.includes(sessionId))) {
+      throw new BookingTransitionError('A card payment was just started for this quote. Wait for that payment or try again.');
+    }
+    await client.query(
+      `UPDATE leads
+       SET booking_status = $1, payment_status = $2, payment_terms = $3, invoiced_at = CURRENT_TIMESTAMP,
+           account_user_id = COALESCE($4, account_user_id)
+       WHERE quote_id = $5`,
+      [plan.bookingStatus, plan.paymentStatus, account.paymentTerms, accountUserId, quoteId]
+    );
+    if (!await redeemPromotion(client, lead)) {
+      throw new BookingTransitionError(`Promo code ${lead.lead_payload.promotion.code} has reached its usage limit. Request a new quote.`);
+    }
+    await recordBookingTransition(client, lead, plan, { source, actor, amount: Number(lead.calculated_quote) });
+    await notificationOutbox.enqueue(client, {
+      dedupeKey: `invoice-booking:${quoteId}`,
+      kind: 'booking',
+      quoteId,
+      payload: {
+        leadData: toNotificationLead(lead),
+        details: { leadId: lead.id, paymentTerms: account.paymentTerms, accountName: account.name },
+      },
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  notificationOutbox.kick();
+  return plan;
+}
+
+// Books a saved account quote on the account's payment terms instead of
+// Stripe Checkout. The quote is re-priced first, exactly as at checkout.
+app.post('/account/quotes/:quoteId/invoice-booking', identifyAccountUser, requireAccountUser, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  if (!/^XN-\d{8}-[A-F0-9]{6}$/.test(quoteId)) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  if (!req.account.invoiceBilling) {
+    return res.status(403).json({ status: 'error', message: 'This account pays by card. Use Proceed to Payment to book.' });
+  }
+
+  let savedQuote;
+  try {
+    const quoteRecord = await pool.query(
+      `SELECT * FROM leads
+       WHERE quote_id = $1 AND log_type = 'CalculatedQuote'
+       ORDER BY id DESC LIMIT 1`,
+      [quoteId]
+    );
+    savedQuote = quoteRecord.rows[0];
+  } catch (databaseError) {
+    console.error(`Unable to load ${quoteId} for invoice booking:`, databaseError);
+    return res.status(503).json({ status: 'error', message: 'The quote could not be verified for booking. Please try again.' });
+  }
+  if (!savedQuote || savedQuote.account_id !== req.account.id) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+  if (!canStartCheckout(savedQuote)) {
+    return res.status(409).json({ status: 'error', message: 'This quote has already been booked or cancelled. Please request a new quote.' });
+  }
+  const quoteExpiresAt = resolveQuoteExpiry(savedQuote);
+  if (isQuoteExpired(quoteExpiresAt)) {
+    return res.status(410).json({
+      status: 'error',
+      message: 'This quote has expired. Refresh it to see current pricing before booking.',
+      code: 'QUOTE_EXPIRED',
+    });
+  }
+
+  const { quoteId: storedQuoteId, calculatedQuote, quoteExpiresAt: storedExpiry, ...storedLead } = savedQuote.lead_payload || {};
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(storedLead, {
+      rateCardVersion: savedQuote.quote_version || QUOTE_VERSION,
+      account: req.account,
+    });
+  } catch (error) {
+    console.warn(`Account quote ${quoteId} could not be re-priced for booking:`, error.message);
+    return res.status(quoteErrorStatus(error)).json({ status: 'error', message: error.message, code: error.code });
+  }
+  if (Math.abs(Number(savedQuote.calculated_quote) - authoritativeQuote.total) > 0.01) {
+    return res.status(409).json({ status: 'error', message: 'This quote could not be matched. Please recalculate it before booking.' });
+  }
+
+  let plan;
+  try {
+    plan = await bookQuoteOnInvoice(quoteId, req.account, {
+      source: 'account_invoice',
+      actor: req.accountUser.email,
+      accountUserId: req.accountUser.id,
+    });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(409).json({ status: 'error', message: error.message });
+    }
+    console.error(`Invoice booking of ${quoteId} failed:`, error);
+    return res.status(500).json({ status: 'error', message: 'The booking could not be completed. Please try again.' });
+  }
+  if (!plan) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.' });
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    quoteId,
+    bookingStatus: plan.bookingStatus,
+    paymentStatus: plan.paymentStatus,
+    paymentTerms: req.account.paymentTerms,
+    trackingUrl: buildOrderTrackingUrl(quoteId),
+  });
+});
+
+// --- Partner quoting API (v1): see GET /api/v1/schema for request and response shapes ---
+function sendPartnerQuoteError(res, error) {
+  const statusCode = quoteErrorStatus(error);
+  return res.status(statusCode).json({
+    status: 'error',
+    message: error.message,
+    code: error.code || (statusCode === 503 ? 'SERVICE_UNAVAILABLE' : 'QUOTE_REJECTED'),
+  });
+}
+
+async function loadPartnerQuote(quoteId, partnerId) {
+  const result = await pool.query(
+    `SELECT * FROM leads
+     WHERE quote_id = $1 AND log_type = 'CalculatedQuote' AND partner_id = $2
+     ORDER BY id DESC LIMIT 1`,
+    [quoteId, partnerId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get(`/api/${API_VERSION}/schema`, (req, res) => {
+  return res.status(200).json({ status: 'success', version: API_VERSION, schemas: PARTNER_SCHEMAS });
+});
+
+// Prices and saves a quote for the partner. Partners linked to a business
+// account are priced on its negotiated rates.
+app.post(`/api/${API_VERSION}/quotes`, requirePartnerKey, async (req, res) => {
+  let request;
+  try {
+    request = parsePartnerQuoteRequest(req.body);
+  } catch (error) {
+    return sendPartnerError(res, error);
+  }
+  const { leadData, reference } = request;
+  const normalizedContact = await validateContactEmail(leadData.contactDetails, res);
+  if (!normalizedContact) return;
+  leadData.contactDetails = normalizedContact;
+
+  let account;
+  try {
+    account = req.partner.accountId ? await getAccount(req.partner.accountId) : null;
+  } catch (error) {
+    console.error(`Unable to load the account for partner ${req.partner.id}:`, error);
+    return res.status(503).json({ status: 'error', message: 'The API is temporarily unavailable.', code: 'SERVICE_UNAVAILABLE' });
+  }
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(leadData, { account: account?.active ? account : null });
+  } catch (error) {
+    console.warn(`Partner ${req.partner.id} quote was rejected:`, error.message);
+    return sendPartnerQuoteError(res, error);
+  }
+
+  const quotedAt = new Date();
+  const verifiedLeadData = {
+    ...buildVerifiedLeadData(leadData, authoritativeQuote, generateQuoteId(quotedAt)),
+    quoteExpiresAt: computeQuoteExpiry(quotedAt).toISOString(),
+    partnerId: req.partner.id,
+    partnerKeyId: req.partner.keyId,
+    partnerName: req.partner.name,
+    partnerReference: reference,
+  };
+  let savedLead;
+  try {
+    savedLead = await logLeadDataToDB(verifiedLeadData, 'CalculatedQuote');
+  } catch (error) {
+    return res.status(500).json({ status: 'error', message: 'The quote could not be saved. Please try again.' });
+  }
+
+  notificationOutbox.enqueue(null, {
+    dedupeKey: `quote:${savedLead.id}`,
+    kind: 'quote',
+    quoteId: verifiedLeadData.quoteId,
+    payload: { leadData: verifiedLeadData, details: { leadId: savedLead.id } },
+  })
+    .then(() => notificationOutbox.kick())
+    .catch(error => console.error(`Quote notification could not be queued for lead ID: ${savedLead.id}`, error.message));
+
+  return res.status(201).json({ status: 'success', quote: toPartnerQuote(verifiedLeadData) });
+});
+
+app.get(`/api/${API_VERSION}/quotes/:quoteId`, requirePartnerKey, async (req, res) => {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  let row;
+  let stopUpdates;
+  try {
+    row = await loadPartnerQuote(quoteId, req.partner.id);
+    stopUpdates = row
+      ? await pool.query('SELECT stop_index, status, recorded_at FROM stop_updates WHERE quote_id = $1', [quoteId])
+      : null;
+  } catch (error) {
+    console.error(`Unable to load ${quoteId} for partner ${req.partner.id}:`, error);
+    return res.status(503).json({ status: 'error', message: 'The API is temporarily unavailable.', code: 'SERVICE_UNAVAILABLE' });
+  }
+  if (!row) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.', code: 'NOT_FOUND' });
+  }
+  return res.status(200).json({
+    status: 'success',
+    quote: toPartnerQuote({ ...(row.lead_payload || {}), quoteId: row.quote_id }, {
+      bookingStatus: row.booking_status,
+      paymentStatus: row.payment_status,
+    }),
+    order: buildOrderStatus(row, stopUpdates.rows),
+  });
+});
+
+// Books a partner's saved quote after re-pricing it, exactly as at checkout.
+// Partners on an invoicing account are booked at once; others get a Stripe
+// Checkout link to pass to their customer.
+app.post(`/api/${API_VERSION}/quotes/:quoteId/booking`, requirePartnerKey, async (req, res) => {
+  const quoteId = String(req.params.quoteId || '').trim().toUpperCase();
+  let savedQuote;
+  let account;
+  try {
+    savedQuote = await loadPartnerQuote(quoteId, req.partner.id);
+    account = savedQuote ? await getQuoteAccount(savedQuote) : null;
+  } catch (error) {
+    console.error(`Unable to load ${quoteId} for partner booking:`, error);
+    return res.status(503).json({ status: 'error', message: 'The API is temporarily unavailable.', code: 'SERVICE_UNAVAILABLE' });
+  }
+  if (!savedQuote) {
+    return res.status(404).json({ status: 'error', message: 'Quote was not found.', code: 'NOT_FOUND' });
+  }
+  if (!canStartCheckout(savedQuote)) {
+    return res.status(409).json({ status: 'error', message: 'This quote has already been booked or cancelled.', code: 'QUOTE_NOT_BOOKABLE' });
+  }
+  const quoteExpiresAt = resolveQuoteExpiry(savedQuote);
+  if (isQuoteExpired(quoteExpiresAt)) {
+    return res.status(410).json({ status: 'error', message: 'This quote has expired. Request a new quote.', code: 'QUOTE_EXPIRED' });
+  }
+
+  const { quoteId: storedQuoteId, calculatedQuote, quoteExpiresAt: storedExpiry, ...storedLead } = savedQuote.lead_payload || {};
+  let authoritativeQuote;
+  try {
+    authoritativeQuote = await priceQuote(storedLead, {
+      rateCardVersion: savedQuote.quote_version || QUOTE_VERSION,
+      account,
+    });
+  } catch (error) {
+    console.warn(`Partner quote ${quoteId} could not be re-priced for booking:`, error.message);
+    return sendPartnerQuoteError(res, error);
+  }
+  if (Math.abs(Number(savedQuote.calculated_quote) - authoritativeQuote.total) > 0.01) {
+    return res.status(409).json({ status: 'error', message: 'The price of this quote has changed. Request a new quote.', code: 'QUOTE_CHANGED' });
+  }
+
+  const booking = {
+    quoteId,
+    reference: savedQuote.partner_reference,
+    trackingUrl: buildOrderTrackingUrl(quoteId),
+  };
+  const actor = `partner:${req.partner.id}`;
+  if (account?.invoiceBilling) {
+    try {
+      const plan = await bookQuoteOnInvoice(quoteId, account, { source: 'partner_api', actor });
+      if (!plan) {
+        return res.status(404).json({ status: 'error', message: 'Quote was not found.', code: 'NOT_FOUND' });
+      }
+      return res.status(200).json({
+        status: 'success',
+        booking: { ...booking, bookingStatus: plan.bookingStatus, paymentStatus: plan.paymentStatus, paymentTerms: account.paymentTerms },
+      });
+    } catch (error) {
+      if (error instanceof BookingTransitionError) {
+        return res.status(409).json({ status: 'error', message: error.message, code: 'QUOTE_NOT_BOOKABLE' });
+      }
+      console.error(`Partner invoice booking of ${quoteId} failed:`, error);
+      return res.status(500).json({ status: 'error', message: 'The booking could not be completed. Please try again.' });
+    }
+  }
+
+  const verifiedLeadData = {
+    ...buildVerifiedLeadData(storedLead, authoritativeQuote, quoteId),
+    quoteExpiresAt: quoteExpiresAt.toISOString(),
+  };
+  try {
+    const session = await startQuoteCheckout(savedQuote, verifiedLeadData, authoritativeQuote, { source: 'partner_api', actor });
+    return res.status(200).json({
+      status: 'success',
+      booking: { ...booking, bookingStatus: 'CHECKOUT_STARTED', paymentStatus: 'UNPAID', paymentUrl: session.url },
+    });
+  } catch (stripeError) {
+    console.error(`Stripe API Error for partner quote ${quoteId}:`, stripeError);
+    return res.status(502).json({ status: 'error', message: 'The payment link could not be created. Please try again.' });
+  }
+});
+
 // Basic Root Route
 app.get('/', (req, res) => {
     res.send('Delivery Quote Backend Server (PostgreSQL Logging) is Running!');
@@ -1097,7 +5290,10 @@ app.get('/', (req, res) => {
 // Start the server
 const PORT = process.env.PORT || 10000;
 ensureLeadsTableExists()
-  .then(() => app.listen(PORT, () => console.log(`Backend server listening on port ${PORT}`)))
+  .then(() => {
+    notificationOutbox.start();
+    app.listen(PORT, () => console.log(`Backend server listening on port ${PORT}`));
+  })
   .catch(error => {
     console.error('Failed to initialize the quote database; backend was not started:', error);
     process.exitCode = 1;
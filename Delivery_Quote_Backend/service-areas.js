@@ -0,0 +1,157 @@
+'use strict';
+
+const { cleanText } = require('./alert-content');
+
+// PRIMARY zones are the core service area. EXTENDED zones are served for an
+// out-of-area surcharge. A stop outside every active zone is not quoted.
+const ZONE_KINDS = Object.freeze(['PRIMARY', 'EXTENDED']);
+const MAX_POLYGON_POINTS = 500;
+const MAX_POSTAL_CODES = 5000;
+const MAX_ZONE_SURCHARGE = 10000;
+
+class ServiceAreaError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ServiceAreaError';
+    this.code = code;
+  }
+}
+
+// ZIP+4 compares on its five-digit ZIP; other codes on their letters and digits.
+function normalizePostalCode(value) {
+  const text = String(value ?? '').trim().toUpperCase();
+  const zip = /^(\d{5})(?:-?\d{4})?$/.exec(text);
+  return zip ? zip[1] : text.replace(/[\s-]+/g, '');
+}
+
+function parsePolygon(value) {
+  if (!Array.isArray(value) || value.length < 3 || value.length > MAX_POLYGON_POINTS) {
+    throw new Error(`polygon must list 3 to ${MAX_POLYGON_POINTS} points.`);
+  }
+  return value.map((point, index) => {
+    const lat = Number(point?.lat);
+    const lng = Number(point?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`polygon point ${index + 1} must have a valid lat and lng.`);
+    }
+    return { lat, lng };
+  });
+}
+
+function parsePostalCodes(value) {
+  const list = typeof value === 'string' ? value.split(/[,\n]/) : value;
+  if (!Array.isArray(list)) throw new Error('postalCodes must be a list of postal codes.');
+  const codes = [...new Set(list.map(normalizePostalCode).filter(Boolean))];
+  if (codes.length > MAX_POSTAL_CODES) throw new Error(`postalCodes may list at most ${MAX_POSTAL_CODES} codes.`);
+  if (codes.some(code => !/^[A-Z0-9]{3,10}$/.test(code))) {
+    throw new Error('postalCodes may contain only letters and digits.');
+  }
+  return codes;
+}
+
+// Validates a zone create (all required fields) or update (only the fields
+// sent). A zone needs a polygon, a postal code list, or both.
+function parseServiceAreaInput(body = {}, { partial = false, existing = null } = {}) {
+  const zone = {};
+  if (!partial || body.name !== undefined) {
+    zone.name = cleanText(body.name, 100);
+    if (!zone.name) throw new Error('name is required.');
+  }
+  if (!partial || body.kind !== undefined) {
+    zone.kind = String(body.kind ?? '').trim().toUpperCase();
+    if (!ZONE_KINDS.includes(zone.kind)) throw new Error(`kind must be one of ${ZONE_KINDS.join(', ')}.`);
+  }
+  if (body.polygon !== undefined) zone.polygon = body.polygon === null ? null : parsePolygon(body.polygon);
+  if (body.postalCodes !== undefined) zone.postalCodes = body.postalCodes === null ? [] : parsePostalCodes(body.postalCodes);
+  if (!partial || body.surcharge !== undefined) {
+    zone.surcharge = Number(body.surcharge ?? 0);
+    if (!Number.isFinite(zone.surcharge) || zone.surcharge < 0 || zone.surcharge > MAX_ZONE_SURCHARGE) {
+      throw new Error(`surcharge must be an amount from 0 to ${MAX_ZONE_SURCHARGE}.`);
+    }
+    zone.surcharge = Number(zone.surcharge.toFixed(2));
+  }
+  if (!partial || body.active !== undefined) {
+    if (body.active !== undefined && typeof body.active !== 'boolean') throw new Error('active must be true or false.');
+    zone.active = body.active ?? true;
+  }
+  if (partial && !Object.keys(zone).length) {
+    throw new Error('Send at least one service area field to update.');
+  }
+
+  const merged = { ...existing, ...zone };
+  if (!merged.polygon && !merged.postalCodes?.length) {
+    throw new Error('A service area needs a polygon or a list of postal codes.');
+  }
+  if (merged.kind === 'PRIMARY' && merged.surcharge > 0) {
+    throw new Error('Primary service areas cannot carry a surcharge.');
+  }
+  return zone;
+}
+
+function mapServiceArea(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    polygon: row.polygon || null,
+    postalCodes: row.postal_codes || [],
+    surcharge: Number(row.surcharge),
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Ray casting on raw lat/lng, which is accurate enough at city scale.
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function zoneContains(zone, stop) {
+  if (stop.postalCode && zone.postalCodes.includes(normalizePostalCode(stop.postalCode))) return true;
+  return Boolean(zone.polygon) && Number.isFinite(stop.lat) && Number.isFinite(stop.lng) &&
+    isPointInPolygon(stop, zone.polygon);
+}
+
+// Matches each measured stop to its best zone: primary first, then the
+// cheapest extended zone. Only the pickup pays the out-of-area surcharge.
+// With no active zones configured every stop is served with no surcharge.
+function matchServiceAreas(stops, zones) {
+  const activeZones = zones
+    .filter(zone => zone.active)
+    .sort((a, b) => ZONE_KINDS.indexOf(a.kind) - ZONE_KINDS.indexOf(b.kind) || a.surcharge - b.surcharge || a.id - b.id);
+  if (!activeZones.length) return { stopZones: [], outOfAreaFee: 0 };
+
+  const stopZones = stops.map((stop, index) => {
+    const zone = activeZones.find(candidate => zoneContains(candidate, stop));
+    if (!zone) {
+      const place = index === 0 ? 'The pickup address' : `Stop ${index + 1}`;
+      throw new ServiceAreaError(
+        `${place} is outside our service area. Contact dispatch to arrange this delivery.`,
+        'OUTSIDE_SERVICE_AREA'
+      );
+    }
+    return { stop: index + 1, zoneId: zone.id, zoneName: zone.name, kind: zone.kind };
+  });
+  const pickupZone = activeZones.find(zone => zone.id === stopZones[0].zoneId);
+  return { stopZones, outOfAreaFee: pickupZone.kind === 'PRIMARY' ? 0 : pickupZone.surcharge };
+}
+
+module.exports = {
+  ServiceAreaError,
+  ZONE_KINDS,
+  isPointInPolygon,
+  mapServiceArea,
+  matchServiceAreas,
+  normalizePostalCode,
+  parseServiceAreaInput,
+};
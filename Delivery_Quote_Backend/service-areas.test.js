@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ServiceAreaError,
+  isPointInPolygon,
+  matchServiceAreas,
+  normalizePostalCode,
+  parseServiceAreaInput,
+} = require('./service-areas');
+
+const TAMPA_BOX = [
+  { lat: 27.7, lng: -82.7 },
+  { lat: 28.2, lng: -82.7 },
+  { lat: 28.2, lng: -82.2 },
+  { lat: 27.7, lng: -82.2 },
+];
+
+const ZONES = [
+  { id: 3, name: 'Lakeland', kind: 'EXTENDED', polygon: null, postalCodes: ['33801', '33803'], surcharge: 45, active: true },
+  { id: 1, name: 'Tampa Bay', kind: 'PRIMARY', polygon: TAMPA_BOX, postalCodes: [], surcharge: 0, active: true },
+  { id: 2, name: 'Greater Florida', kind: 'EXTENDED', polygon: null, postalCodes: ['33801'], surcharge: 90, active: true },
+  { id: 4, name: 'Retired', kind: 'PRIMARY', polygon: null, postalCodes: ['32801'], surcharge: 0, active: false },
+];
+
+const TAMPA = { lat: 27.95, lng: -82.45, postalCode: '33602' };
+const LAKELAND = { lat: 28.04, lng: -81.95, postalCode: '33801' };
+
+test('finds points inside a polygon', () => {
+  assert.equal(isPointInPolygon(TAMPA, TAMPA_BOX), true);
+  assert.equal(isPointInPolygon(LAKELAND, TAMPA_BOX), false);
+});
+
+test('matches each stop to the primary zone first, then the cheapest extended zone', () => {
+  const match = matchServiceAreas([LAKELAND, TAMPA], ZONES);
+  assert.deepEqual(match.stopZones, [
+    { stop: 1, zoneId: 3, zoneName: 'Lakeland', kind: 'EXTENDED' },
+    { stop: 2, zoneId: 1, zoneName: 'Tampa Bay', kind: 'PRIMARY' },
+  ]);
+  assert.equal(match.outOfAreaFee, 45);
+  assert.equal(matchServiceAreas([TAMPA, LAKELAND], ZONES).outOfAreaFee, 0);
+});
+
+test('rejects stops outside every active zone and skips geofencing when none are set', () => {
+  const orlando = { lat: 28.54, lng: -81.38, postalCode: '32801' };
+  assert.throws(
+    () => matchServiceAreas([TAMPA, orlando], ZONES),
+    error => error instanceof ServiceAreaError && error.code === 'OUTSIDE_SERVICE_AREA' && /Stop 2 is outside/.test(error.message)
+  );
+  assert.throws(() => matchServiceAreas([orlando, TAMPA], ZONES), /The pickup address is outside our service area/);
+  assert.deepEqual(matchServiceAreas([orlando, TAMPA], []), { stopZones: [], outOfAreaFee: 0 });
+});
+
+test('validates service area input', () => {
+  const zone = parseServiceAreaInput({ name: ' Lakeland ', kind: 'extended', postalCodes: '33801, 33803-1234', surcharge: '45' });
+  assert.deepEqual(zone, { name: 'Lakeland', kind: 'EXTENDED', postalCodes: ['33801', '33803'], surcharge: 45, active: true });
+  assert.equal(normalizePostalCode('m5h 2n2'), 'M5H2N2');
+  assert.throws(() => parseServiceAreaInput({ name: 'Empty', kind: 'PRIMARY' }), /polygon or a list of postal codes/);
+  assert.throws(() => parseServiceAreaInput({ name: 'Line', kind: 'PRIMARY', polygon: TAMPA_BOX.slice(0, 2) }), /3 to 500 points/);
+  assert.throws(() => parseServiceAreaInput({ ...zone, kind: 'PRIMARY' }), /cannot carry a surcharge/);
+  assert.deepEqual(parseServiceAreaInput({ active: false }, { partial: true, existing: zone }), { active: false });
+  assert.throws(() => parseServiceAreaInput({ postalCodes: [] }, { partial: true, existing: zone }), /polygon or a list/);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { buildAlertContent, parseAlertKinds } = require('./alert-content');
+const { postWithTimeout } = require('./http-post');
+
+const MAX_SECTION_LENGTH = 3000;
+
+function isSlackEnabled(env = process.env) {
+  return String(env.SLACK_NOTIFICATIONS_ENABLED || '').trim().toLowerCase() === 'true';
+}
+
+// Slack mrkdwn treats these three characters as control characters.
+function escapeSlack(value) {
+  return String(value ?? '').replace(/[&<>]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[character]);
+}
+
+function renderSlackAlert(content) {
+  const details = escapeSlack(content.lines.join('\n'));
+  return {
+    text: content.title,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: content.title.slice(0, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: content.summary.map(line => `*${escapeSlack(line)}*`).join('\n') } },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: details.length > MAX_SECTION_LENGTH ? `${details.slice(0, MAX_SECTION_LENGTH - 3)}...` : details,
+        },
+      },
+    ],
+  };
+}
+
+// Posts alerts to a Slack incoming webhook (SLACK_WEBHOOK_URL).
+function createSlackNotifier({ env = process.env, fetchImpl = globalThis.fetch } = {}) {
+  const kinds = parseAlertKinds(env.SLACK_ALERT_KINDS, undefined, 'SLACK_ALERT_KINDS');
+
+  return {
+    isEnabled: isSlackEnabled,
+    accepts: kind => kinds.includes(kind),
+    async send(kind, payload = {}) {
+      const webhookUrl = String(env.SLACK_WEBHOOK_URL || '').trim();
+      if (!webhookUrl) {
+        throw new Error('SLACK_WEBHOOK_URL is required for Slack alerts.');
+      }
+      const content = buildAlertContent(kind, payload.leadData, payload.details || {});
+      const { response, text } = await postWithTimeout(webhookUrl, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(renderSlackAlert(content)),
+      }, { fetchImpl, label: 'Slack notification' });
+      if (!response.ok) {
+        throw new Error(`Slack rejected the notification: HTTP ${response.status}${text ? ` ${text.slice(0, 200)}` : ''}`);
+      }
+      return { sent: true };
+    },
+  };
+}
+
+module.exports = {
+  createSlackNotifier,
+  isSlackEnabled,
+  renderSlackAlert,
+};
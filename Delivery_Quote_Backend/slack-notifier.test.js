@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSlackNotifier } = require('./slack-notifier');
+
+const SAMPLE_LEAD = {
+  quoteId: 'XN-20260820-A1B2C3',
+  contactDetails: { name: 'A & B <Movers>' },
+  serviceDetails: { vehicleType: 'suv' },
+  calculatedQuote: 80,
+};
+
+const ENV = Object.freeze({
+  SLACK_NOTIFICATIONS_ENABLED: 'true',
+  SLACK_WEBHOOK_URL: 'https://hooks.slack.test/services/T/B/X',
+});
+
+test('posts Block Kit alerts with escaped mrkdwn to the webhook', async () => {
+  let request;
+  const notifier = createSlackNotifier({
+    env: ENV,
+    fetchImpl: async (url, options) => {
+      request = { url, body: JSON.parse(options.body) };
+      return { ok: true, status: 200, text: async () => 'ok' };
+    },
+  });
+  await notifier.send('quote', { leadData: SAMPLE_LEAD, details: { leadId: 3 } });
+  assert.equal(request.url, ENV.SLACK_WEBHOOK_URL);
+  assert.equal(request.body.text, 'NEW QUOTE | $80.00 | SUV');
+  assert.equal(request.body.blocks[1].text.text, '*Price: $80.00*');
+  assert.match(request.body.blocks[2].text.text, /Customer: A &amp; B &lt;Movers&gt;/);
+});
+
+test('surfaces Slack rejections so the outbox retries', async () => {
+  const notifier = createSlackNotifier({
+    env: ENV,
+    fetchImpl: async () => ({ ok: false, status: 404, text: async () => 'no_service' }),
+  });
+  await assert.rejects(notifier.send('quote', { leadData: SAMPLE_LEAD }), /HTTP 404 no_service/);
+  await assert.rejects(createSlackNotifier({ env: {} }).send('quote', {}), /SLACK_WEBHOOK_URL/);
+});
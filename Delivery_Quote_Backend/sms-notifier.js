@@ -0,0 +1,63 @@
+'use strict';
+
+const { buildAlertContent, cleanText, parseAlertKinds } = require('./alert-content');
+const { postWithTimeout } = require('./http-post');
+
+const DEFAULT_MAX_LENGTH = 320;
+// Texts interrupt whoever is on call, so quote alerts are opt-in.
+const DEFAULT_SMS_KINDS = Object.freeze(['booking', 'booking_status']);
+
+function isSmsEnabled(env = process.env) {
+  return String(env.SMS_NOTIFICATIONS_ENABLED || '').trim().toLowerCase() === 'true';
+}
+
+function renderSmsAlert(content, maxLength = DEFAULT_MAX_LENGTH) {
+  const text = [
+    content.title,
+    `${content.quoteId || 'Quote ID unavailable'} | Pickup ${content.pickup}`,
+    ...(content.kind === 'booking_status' || content.kind === 'stop_update' ? content.summary : []),
+  ].join('\n');
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 3).trimEnd()}...`;
+}
+
+// Sends a JSON { from, to, message } POST to a generic SMS gateway
+// (SMS_GATEWAY_URL), authenticated with SMS_GATEWAY_TOKEN as a bearer token.
+function createSmsNotifier({ env = process.env, fetchImpl = globalThis.fetch } = {}) {
+  const kinds = parseAlertKinds(env.SMS_ALERT_KINDS, DEFAULT_SMS_KINDS, 'SMS_ALERT_KINDS');
+  const maxLength = Number(env.SMS_MAX_LENGTH) > 0 ? Math.floor(Number(env.SMS_MAX_LENGTH)) : DEFAULT_MAX_LENGTH;
+
+  return {
+    isEnabled: isSmsEnabled,
+    accepts: kind => kinds.includes(kind),
+    async send(kind, payload = {}) {
+      const gatewayUrl = String(env.SMS_GATEWAY_URL || '').trim();
+      const to = String(env.SMS_TO || '').split(',').map(number => number.trim()).filter(Boolean);
+      if (!gatewayUrl || !to.length) {
+        throw new Error('SMS_GATEWAY_URL and SMS_TO are required for SMS alerts.');
+      }
+      const headers = { 'Content-Type': 'application/json' };
+      const token = String(env.SMS_GATEWAY_TOKEN || '').trim();
+      if (token) headers.Authorization = `Bearer ${token}`;
+
+      const content = buildAlertContent(kind, payload.leadData, payload.details || {});
+      const { response, text } = await postWithTimeout(gatewayUrl, {
+        headers,
+        body: JSON.stringify({
+          from: String(env.SMS_FROM || '').trim() || undefined,
+          to,
+          message: renderSmsAlert(content, maxLength),
+        }),
+      }, { fetchImpl, label: 'SMS notification' });
+      if (!response.ok) {
+        throw new Error(`The SMS gateway rejected the notification: HTTP ${response.status} ${cleanText(text, 200)}`.trim());
+      }
+      return { sent: true };
+    },
+  };
+}
+
+module.exports = {
+  createSmsNotifier,
+  isSmsEnabled,
+  renderSmsAlert,
+};
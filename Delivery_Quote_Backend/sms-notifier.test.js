@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSmsNotifier, renderSmsAlert } = require('./sms-notifier');
+
+const SAMPLE_LEAD = {
+  quoteId: 'XN-20260820-A1B2C3',
+  serviceDetails: { vehicleType: 'cargo_van', pickupDate: '2026-08-13', pickupTime: '14:05' },
+  calculatedQuote: 95,
+};
+
+const ENV = Object.freeze({
+  SMS_NOTIFICATIONS_ENABLED: 'true',
+  SMS_GATEWAY_URL: 'https://sms.test/messages',
+  SMS_GATEWAY_TOKEN: 'gateway-token',
+  SMS_FROM: '+18135550100',
+  SMS_TO: '+18135550111,+18135550122',
+});
+
+test('texts urgent alerts through the gateway with a bearer token', async () => {
+  let request;
+  const notifier = createSmsNotifier({
+    env: ENV,
+    fetchImpl: async (url, options) => {
+      request = { url, headers: options.headers, body: JSON.parse(options.body) };
+      return { ok: true, status: 202, text: async () => '' };
+    },
+  });
+  assert.equal(notifier.accepts('quote'), false);
+  assert.equal(notifier.accepts('booking'), true);
+  await notifier.send('booking_status', { leadData: SAMPLE_LEAD, details: { status: 'DISPUTED', paymentStatus: 'DISPUTED' } });
+  assert.equal(request.headers.Authorization, 'Bearer gateway-token');
+  assert.deepEqual(request.body.to, ['+18135550111', '+18135550122']);
+  assert.equal(request.body.message, [
+    'PAYMENT DISPUTED | $95.00 | Cargo Van',
+    'XN-20260820-A1B2C3 | Pickup Thu, Aug. 13, 2026 @ 2:05pm',
+    'Status: DISPUTED | Payment DISPUTED',
+  ].join('\n'));
+});
+
+test('keeps texts within the configured length', () => {
+  const text = renderSmsAlert({ kind: 'booking', title: 'X'.repeat(400), quoteId: null, pickup: 'soon', summary: [] }, 160);
+  assert.equal(text.length, 160);
+  assert.ok(text.endsWith('...'));
+});